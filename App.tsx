@@ -1,32 +1,114 @@
 
-import React, { useState, useEffect, useRef, useCallback } from 'react';
-import html2canvas from 'html2canvas';
-import jsPDF from 'jspdf';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import GanttChart from './components/GanttChart.tsx';
 import { useLanguage } from './contexts/LanguageContext.tsx';
 import { translations, TranslationKey } from './lib/translations.ts';
 import SettingsIcon from './components/icons/SettingsIcon.tsx';
 import ZoomInIcon from './components/icons/ZoomInIcon.tsx';
 import ZoomOutIcon from './components/icons/ZoomOutIcon.tsx';
+import ArrowsPointingOutIcon from './components/icons/ArrowsPointingOutIcon.tsx';
 import ProgressLineIcon from './components/icons/ProgressLineIcon.tsx';
 import XIcon from './components/icons/XIcon.tsx';
 import SettingsModal from './components/SettingsModal.tsx';
 import Calendar from './components/Calendar.tsx';
-import { Task } from './types.ts';
+import { Task, DependencyType, NonWorkingPeriod, WorkingHours, ColumnVisibility, ProjectData, Baseline, TaskFilter, TaskSort, FilterPreset, CustomField, TaskCategory, SharedProjectState, CollabSettings, CollabPeer, ProjectTemplate, ProgressSnapshot } from './types.ts';
 import DownloadIcon from './components/icons/DownloadIcon.tsx';
 import UploadIcon from './components/icons/UploadIcon.tsx';
 import PdfIcon from './components/icons/PdfIcon.tsx';
+import FolderIcon from './components/icons/FolderIcon.tsx';
+import UndoIcon from './components/icons/UndoIcon.tsx';
+import RedoIcon from './components/icons/RedoIcon.tsx';
+import { useUndoHistory } from './hooks/useUndoHistory.ts';
+import { useCollaboration } from './hooks/useCollaboration.ts';
+import { CollabOp, rebaseSharedState } from './lib/collabDoc.ts';
+import CollaborationModal, { COLLAB_STATUS_COLORS } from './components/CollaborationModal.tsx';
+import CloudIcon from './components/icons/CloudIcon.tsx';
+import {
+    duplicateTaskBlocks,
+    getSelectionRootIds,
+    rollUpSummaryTasks,
+    indentTask,
+    getCollapsedIds,
+    setCollapsedState,
+} from './lib/taskTree.ts';
 import {
     formatDateUTC,
     addDaysUTC,
     parseUTCDateString,
-    addWorkingDays,
-    addOrSubtractWorkingDays,
-    calculateWorkingDays,
+    createWorkingCalendar,
+    isNonWorkingDay,
+    DEFAULT_WORKING_HOURS,
 } from './lib/dateUtils.ts';
 import ConfirmModal from './components/ConfirmModal.tsx';
+import { createTaskEditor, removeTaskBlocks } from './lib/taskEditing.ts';
+import { removeCyclicDependencies } from './lib/dependencies.ts';
+import ProjectLibraryModal from './components/ProjectLibraryModal.tsx';
+import BaselineModal from './components/BaselineModal.tsx';
+import ProgressHistoryModal from './components/ProgressHistoryModal.tsx';
+import ClockIcon from './components/icons/ClockIcon.tsx';
+import BaselineIcon from './components/icons/BaselineIcon.tsx';
+import ChartBarIcon from './components/icons/ChartBarIcon.tsx';
+import UserGroupIcon from './components/icons/UserGroupIcon.tsx';
+import FunnelIcon from './components/icons/FunnelIcon.tsx';
+import { createBaseline } from './lib/baselines.ts';
+import { recordProgressSnapshot, haveProgressValuesChanged } from './lib/progressHistory.ts';
+import TableImportModal from './components/TableImportModal.tsx';
+import PdfExportModal from './components/PdfExportModal.tsx';
+import CalendarExportModal from './components/CalendarExportModal.tsx';
+import ProgressDashboard, { ChartImageFormat } from './components/ProgressDashboard.tsx';
+import PresentationChartLineIcon from './components/icons/PresentationChartLineIcon.tsx';
+import BulkActionBar from './components/BulkActionBar.tsx';
+import TaskFilterBar from './components/TaskFilterBar.tsx';
+import { createGanttPdf, PdfExportOptions } from './lib/pdfExport.ts';
+import { calculateEarnedValue, EarnedValueWeighting } from './lib/earnedValue.ts';
+import { svgToPngBlob, svgToSvgBlob } from './lib/svgExport.ts';
+import {
+    TaskTableCell,
+    TaskTableField,
+    buildTaskTableRows,
+    toCsv,
+    parseCsv,
+    toXlsx,
+    parseXlsx,
+} from './lib/taskTable.ts';
+import { toICalendar, getAssignees } from './lib/icalendar.ts';
+import { toMsProjectXml, parseMsProjectXml } from './lib/msProjectXml.ts';
+import {
+    ProjectSummary,
+    createProjectId,
+    listProjects,
+    loadProject,
+    saveProject,
+    deleteProject,
+    getLastOpenedProjectId,
+    setLastOpenedProjectId,
+    loadFilterPresets,
+    saveFilterPresets,
+    loadTemplates,
+    saveTemplates,
+    loadCollabSettings,
+    saveCollabSettings,
+} from './lib/projectStorage.ts';
+import { EMPTY_TASK_FILTER, filterTasks, isTaskFilterActive } from './lib/taskFilter.ts';
+import { getCustomFieldSortKey, removeCustomValues } from './lib/customFields.ts';
+import { createBenchmarkProject } from './lib/benchmarkProject.ts';
+import { createTemplateFromProject, createProjectFromTemplate, TemplateProjectOptions } from './lib/projectTemplates.ts';
+import {
+    ZOOM_LEVELS,
+    DEFAULT_ZOOM_INDEX,
+    TIMESCALE_MODES,
+    TimescaleMode,
+    getZoomIndexForMode,
+    getFitZoomIndex,
+} from './lib/timescale.ts';
 
-const ZOOM_LEVELS = [8, 12, 18, 24, 40, 64];
+const TIMESCALE_LABEL_KEYS: Record<TimescaleMode, TranslationKey> = {
+    hour: 'timescaleHour',
+    day: 'timescaleDay',
+    week: 'timescaleWeek',
+    month: 'timescaleMonth',
+    quarter: 'timescaleQuarter',
+};
 
 const getInitialStartDate = () => {
     const now = new Date();
@@ -48,6 +130,85 @@ const INITIAL_COLORS = {
     progressLine: '#ff0000',
 };
 
+const INITIAL_COLUMN_VISIBILITY: ColumnVisibility = {
+    assignee: true,
+    startDate: false,
+    endDate: false,
+    duration: true,
+    progress: true,
+    manHours: false,
+    variance: true,
+    float: false,
+    times: false,
+    predecessors: false,
+};
+
+const INITIAL_ROW_HEIGHT = 40;
+
+const INITIAL_DAILY_CAPACITY = 1;
+
+const AUTOSAVE_DELAY_MS = 500;
+
+const downloadBlob = (blob: Blob, fileName: string) => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+};
+
+// Base name for exported files, e.g. `Schedule_2024-05-01`.
+const getExportFileBaseName = () => {
+    const today = new Date();
+    const year = today.getFullYear();
+    const month = (today.getMonth() + 1).toString().padStart(2, '0');
+    const day = today.getDate().toString().padStart(2, '0');
+    return `Schedule_${year}-${month}-${day}`;
+};
+
+// The part of a project that undo/redo covers.
+type HistorySnapshot = SharedProjectState;
+
+const createInitialTasks = (): Task[] => {
+    const initialT = (key: TranslationKey) => translations[key]['ja']; // Default to Japanese for initial state
+    return [
+      { id: '1', name: `${initialT('newTaskName')} 1`, assignee: '', startDate: '', endDate: '', progress: 0, manHours: 0 },
+      { id: '2', name: `${initialT('newTaskName')} 2`, assignee: '', startDate: '', endDate: '', progress: 0, manHours: 0 },
+      { id: '3', name: `${initialT('newTaskName')} 3`, assignee: '', startDate: '', endDate: '', progress: 0, manHours: 0 },
+    ];
+};
+
+const createInitialProjectData = (): ProjectData => ({
+    projectName: translations.untitledProject.ja,
+    projectStart: getInitialStartDate(),
+    projectEnd: getInitialEndDate(),
+    creationDate: getInitialStartDate(),
+    creatorName: '',
+    tasks: createInitialTasks(),
+    settings: {
+        holidays: [0, 6],
+        nonWorkingPeriods: [],
+        workingDayExceptions: [],
+        workingHours: DEFAULT_WORKING_HOURS,
+        columnVisibility: INITIAL_COLUMN_VISIBILITY,
+        baseColor: INITIAL_COLORS.base,
+        progressColor: INITIAL_COLORS.progress,
+        textColor: INITIAL_COLORS.text,
+        rowHeight: INITIAL_ROW_HEIGHT,
+        progressLineColor: INITIAL_COLORS.progressLine,
+        dailyCapacity: INITIAL_DAILY_CAPACITY,
+        customFields: [],
+        categories: [],
+        autoRecordProgress: false,
+    },
+    baselines: [],
+    selectedBaselineId: null,
+    progressSnapshots: [],
+});
+
 
 const App: React.FC = () => {
   const { language, setLanguage } = useLanguage();
@@ -69,19 +230,59 @@ const App: React.FC = () => {
     onConfirm: () => {},
   });
   const [holidays, setHolidays] = useState<Set<number>>(() => new Set([0, 6]));
-  const [columnVisibility, setColumnVisibility] = useState({
-    assignee: true,
-    startDate: false,
-    endDate: false,
-    duration: true,
-    progress: true,
-    manHours: false,
-  });
-  const [zoomIndex, setZoomIndex] = useState(3);
+  const [nonWorkingPeriods, setNonWorkingPeriods] = useState<NonWorkingPeriod[]>([]);
+  const [workingDayExceptions, setWorkingDayExceptions] = useState<string[]>([]);
+  const [workingHours, setWorkingHours] = useState<WorkingHours>(DEFAULT_WORKING_HOURS);
+  const [columnVisibility, setColumnVisibility] = useState<ColumnVisibility>(INITIAL_COLUMN_VISIBILITY);
+  const [zoomIndex, setZoomIndex] = useState(DEFAULT_ZOOM_INDEX);
+  const [timelineViewportWidth, setTimelineViewportWidth] = useState(0);
   const [progressLineDate, setProgressLineDate] = useState<string | null>(null);
   const [isProgressLineCalendarOpen, setIsProgressLineCalendarOpen] = useState(false);
   const importFileRef = useRef<HTMLInputElement>(null);
-  const [rowHeight, setRowHeight] = useState<number>(40);
+  const [rowHeight, setRowHeight] = useState<number>(INITIAL_ROW_HEIGHT);
+  const [dailyCapacity, setDailyCapacity] = useState<number>(INITIAL_DAILY_CAPACITY);
+  const [customFields, setCustomFields] = useState<CustomField[]>([]);
+  const [categories, setCategories] = useState<TaskCategory[]>([]);
+  const [showResourcePanel, setShowResourcePanel] = useState(false);
+  const [groupByAssignee, setGroupByAssignee] = useState(false);
+  const [selectedTaskIds, setSelectedTaskIds] = useState<Set<string>>(() => new Set());
+  const [showFilterBar, setShowFilterBar] = useState(false);
+  const [taskFilter, setTaskFilter] = useState<TaskFilter>(EMPTY_TASK_FILTER);
+  const [taskSort, setTaskSort] = useState<TaskSort | null>(null);
+  const [filterPresets, setFilterPresets] = useState<FilterPreset[]>(loadFilterPresets);
+
+  // Local project library
+  const [currentProjectId, setCurrentProjectId] = useState<string>(() => getLastOpenedProjectId() || createProjectId());
+  const [isProjectLibraryOpen, setIsProjectLibraryOpen] = useState(false);
+  const [projectSummaries, setProjectSummaries] = useState<ProjectSummary[]>([]);
+  const [templates, setTemplates] = useState<ProjectTemplate[]>(loadTemplates);
+  const hasRestoredProjectRef = useRef(false);
+
+  // Real-time collaboration
+  const [collabSettings, setCollabSettings] = useState<CollabSettings | null>(() => loadCollabSettings(currentProjectId));
+  const [isCollaborationOpen, setIsCollaborationOpen] = useState(false);
+
+  // Baselines (saved plans for planned-vs-actual comparison)
+  const [baselines, setBaselines] = useState<Baseline[]>([]);
+  const [selectedBaselineId, setSelectedBaselineId] = useState<string | null>(null);
+  const [isBaselineModalOpen, setIsBaselineModalOpen] = useState(false);
+
+  // Progress History
+  const [progressSnapshots, setProgressSnapshots] = useState<ProgressSnapshot[]>([]);
+  const [autoRecordProgress, setAutoRecordProgress] = useState(false);
+  const [isProgressHistoryOpen, setIsProgressHistoryOpen] = useState(false);
+  // Progress values as of the last render, and the task list of the last loaded project (see the auto-record effect).
+  const lastProgressRef = useRef<Map<string, number> | null>(null);
+  const loadedTasksRef = useRef<Task[] | null>(null);
+
+  // Export menu and CSV / XLSX import
+  const [isExportMenuOpen, setIsExportMenuOpen] = useState(false);
+  const [tableImport, setTableImport] = useState<{ fileName: string; rows: TaskTableCell[][] } | null>(null);
+  const [isPdfExportOpen, setIsPdfExportOpen] = useState(false);
+  const [isCalendarExportOpen, setIsCalendarExportOpen] = useState(false);
+  const [isDashboardOpen, setIsDashboardOpen] = useState(false);
+  // null until chosen: weight by manpower when any has been entered, by working days otherwise.
+  const [earnedValueWeighting, setEarnedValueWeighting] = useState<EarnedValueWeighting | null>(null);
 
 
   // State lifted up from GanttChart
@@ -97,18 +298,113 @@ const App: React.FC = () => {
   const [textColor, setTextColor] = useState<string>(INITIAL_COLORS.text);
   const [progressLineColor, setProgressLineColor] = useState<string>(INITIAL_COLORS.progressLine);
 
-  const [tasks, setTasks] = useState<Task[]>(() => {
-    const initialT = (key: TranslationKey) => translations[key]['ja']; // Default to Japanese for initial state
-    return [
-      { id: '1', name: `${initialT('newTaskName')} 1`, assignee: '', startDate: '', endDate: '', progress: 0, manHours: 0 },
-      { id: '2', name: `${initialT('newTaskName')} 2`, assignee: '', startDate: '', endDate: '', progress: 0, manHours: 0 },
-      { id: '3', name: `${initialT('newTaskName')} 3`, assignee: '', startDate: '', endDate: '', progress: 0, manHours: 0 },
-    ];
+  const [tasks, setTasks] = useState<Task[]>(createInitialTasks);
+  const [collapsedTaskIds, setCollapsedTaskIds] = useState<Set<string>>(new Set());
+  const displayedTasks = useMemo(() => setCollapsedState(tasks, collapsedTaskIds), [tasks, collapsedTaskIds]);
+
+  const historySnapshot = useMemo<HistorySnapshot>(
+    () => ({ projectName, projectStart, projectEnd, creationDate, creatorName, tasks }),
+    [projectName, projectStart, projectEnd, creationDate, creatorName, tasks]
+  );
+
+  const restoreHistorySnapshot = useCallback((snapshot: HistorySnapshot) => {
+    setProjectName(snapshot.projectName);
+    setProjectStart(snapshot.projectStart);
+    setProjectEnd(snapshot.projectEnd);
+    setCreationDate(snapshot.creationDate);
+    setCreatorName(snapshot.creatorName);
+    setTasks(snapshot.tasks);
+  }, []);
+
+  const {
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    beginGesture,
+    endGesture,
+    resetHistory,
+    rebaseHistory,
+  } = useUndoHistory(historySnapshot, restoreHistorySnapshot);
+
+  const isModalOpen = isSettingsModalOpen || isProjectLibraryOpen || isBaselineModalOpen || !!tableImport
+    || isCollaborationOpen || isPdfExportOpen || isProgressHistoryOpen || isDashboardOpen || isCalendarExportOpen
+    || confirmModalState.isOpen;
+
+  useEffect(() => {
+    // Grid cells save on every keystroke, so the schedule's history is their undo. Other fields, such as the
+    // filter search and the predecessor cell that saves on blur, keep the browser's own text undo.
+    const isTextUndoTarget = (target: EventTarget | null) => {
+      if (!(target instanceof HTMLElement)) return false;
+      if (!(target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement
+        || target instanceof HTMLSelectElement || target.isContentEditable)) return false;
+      const cell = target.closest<HTMLElement>('[data-grid-cell]');
+      return !cell || cell.dataset.gridCell === 'predecessors';
+    };
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (!(e.ctrlKey || e.metaKey) || isModalOpen || isTextUndoTarget(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo, isModalOpen]);
+
+  const workingCalendar = useMemo(
+    () => createWorkingCalendar(holidays, nonWorkingPeriods, workingDayExceptions, workingHours),
+    [holidays, nonWorkingPeriods, workingDayExceptions, workingHours]
+  );
+
+  // Every task edit goes through here so that summary tasks stay rolled up from their children.
+  const updateTasks = useCallback((updater: (currentTasks: Task[]) => Task[]) => {
+    setTasks(currentTasks => rollUpSummaryTasks(updater(currentTasks), workingCalendar));
+  }, [workingCalendar]);
+
+  // Collaborators' edits are not undo steps of this user; recorded steps are rebased onto them instead.
+  // Joining a room replaces the project, so the history of the previous one is dropped.
+  const handleRemoteChange = useCallback((next: SharedProjectState, ops: CollabOp[], isJoin: boolean) => {
+    if (isJoin) resetHistory();
+    else rebaseHistory(snapshot => rebaseSharedState(snapshot, ops, next));
+    restoreHistorySnapshot({ ...next, tasks: rollUpSummaryTasks(next.tasks, workingCalendar) });
+  }, [resetHistory, rebaseHistory, restoreHistorySnapshot, workingCalendar]);
+
+  const collaboration = useCollaboration({
+    projectId: currentProjectId,
+    settings: collabSettings,
+    state: historySnapshot,
+    onRemoteChange: handleRemoteChange,
   });
 
+  const remoteEditorsByTaskId = useMemo(() => {
+    const editors = new Map<string, CollabPeer[]>();
+    collaboration.peers.forEach(peer => {
+      if (peer.taskId) editors.set(peer.taskId, [...(editors.get(peer.taskId) || []), peer]);
+    });
+    return editors;
+  }, [collaboration.peers]);
+
+  const handleCollabSettingsChange = (settings: CollabSettings) => {
+    setCollabSettings(settings);
+    saveCollabSettings(currentProjectId, settings);
+  };
+
   const handleZoomIn = () => setZoomIndex(prev => Math.min(prev + 1, ZOOM_LEVELS.length - 1));
   const handleZoomOut = () => setZoomIndex(prev => Math.max(prev - 1, 0));
 
+  const handleFitToScreen = () => {
+    const start = parseUTCDateString(projectStart);
+    const end = parseUTCDateString(projectEnd);
+    if (!start || !end || start > end || timelineViewportWidth <= 0) return;
+    const dayCount = Math.round((end.getTime() - start.getTime()) / (1000 * 3600 * 24)) + 1;
+    setZoomIndex(getFitZoomIndex(dayCount, timelineViewportWidth));
+  };
+
   const toggleLanguage = () => {
     setLanguage(lang => (lang === 'ja' ? 'en' : 'ja'));
   };
@@ -120,6 +416,17 @@ const App: React.FC = () => {
     setProgressLineColor(INITIAL_COLORS.progressLine);
   };
   
+  const taskEditor = createTaskEditor({
+    tasks,
+    updateTasks,
+    projectStart,
+    projectEnd,
+    workingCalendar,
+    selectedTaskIds,
+    newTaskName: t('newTaskName'),
+    copySuffix: t('copySuffix'),
+  });
+
   const handleDeleteAllTasks = () => {
     if (tasks.length === 0) return;
     setConfirmModalState({
@@ -127,165 +434,143 @@ const App: React.FC = () => {
         title: t('deleteAllTasks'),
         message: t('confirmDeleteAllTasks'),
         onConfirm: () => {
-            setTasks([]);
+            updateTasks(() => []);
             setConfirmModalState({ isOpen: false, title: '', message: '', onConfirm: () => {} });
         },
     });
   };
 
-  const handleAddTask = () => {
-    const newId = Date.now().toString();
-    setTasks(prev => [...prev, { id: newId, name: `${t('newTaskName')} ${prev.length + 1}`, assignee: '', startDate: '', endDate: '', progress: 0, manHours: 0 }]);
+  // Deleting a field also drops its values, and any sorting or filtering by it.
+  const handleDeleteCustomField = (fieldId: string) => {
+    setCustomFields(prev => prev.filter(field => field.id !== fieldId));
+    updateTasks(prev => removeCustomValues(prev, fieldId));
+    setTaskSort(prev => (prev?.key === getCustomFieldSortKey(fieldId) ? null : prev));
+    setTaskFilter(prev => {
+      if (!prev.customValues || !(fieldId in prev.customValues)) return prev;
+      const customValues = { ...prev.customValues };
+      delete customValues[fieldId];
+      return { ...prev, customValues };
+    });
   };
 
-  const handleDeleteTask = (id: string) => {
-    setTasks(prev => prev.filter(task => task.id !== id));
+  // Tasks of a deleted category fall back to the default colors.
+  const handleDeleteCategory = (categoryId: string) => {
+    setCategories(prev => prev.filter(category => category.id !== categoryId));
+    updateTasks(prev => prev.map(task => {
+      if (task.categoryId !== categoryId) return task;
+      const updated = { ...task };
+      delete updated.categoryId;
+      return updated;
+    }));
   };
 
-  const handleDuplicateTask = (taskId: string) => {
-    setTasks(currentTasks => {
-      const taskIndex = currentTasks.findIndex(t => t.id === taskId);
-      if (taskIndex === -1) {
-        return currentTasks;
-      }
-      const originalTask = currentTasks[taskIndex];
-      const newTask: Task = {
-        ...originalTask,
-        id: Date.now().toString(),
-        name: `${originalTask.name}${t('copySuffix')}`,
-      };
-      const newTasks = [...currentTasks];
-      newTasks.splice(taskIndex + 1, 0, newTask);
-      return newTasks;
+  // Drops selected ids whose tasks no longer exist, e.g. after an undo or when another project is opened.
+  useEffect(() => {
+    setSelectedTaskIds(prev => {
+      if (prev.size === 0) return prev;
+      const taskIds = new Set(tasks.map(task => task.id));
+      const remaining = new Set(Array.from(prev).filter(id => taskIds.has(id)));
+      return remaining.size === prev.size ? prev : remaining;
+    });
+  }, [tasks]);
+
+  // Status filters ("late" in particular) are judged against the progress line date, or today without one.
+  const filteredTasks = useMemo(() => {
+    const statusDate = parseUTCDateString(progressLineDate || getInitialStartDate())!;
+    return filterTasks(displayedTasks, taskFilter, statusDate, workingCalendar, customFields);
+  }, [displayedTasks, taskFilter, progressLineDate, workingCalendar, customFields]);
+
+  const updateFilterPresets = (updater: (presets: FilterPreset[]) => FilterPreset[]) => {
+    setFilterPresets(prev => {
+      const next = updater(prev);
+      saveFilterPresets(next);
+      return next;
     });
   };
 
-  const handleTaskChange = (id: string, field: keyof Task, value: string | number | undefined) => {
-    setTasks(prev => prev.map(task => task.id === id ? { ...task, [field]: value } : task));
+  const handleSaveFilterPreset = (name: string) => {
+    updateFilterPresets(prev => [
+      ...prev.filter(preset => preset.name !== name),
+      { id: Date.now().toString(), name, filter: taskFilter, sort: taskSort },
+    ]);
   };
 
-  const handleDurationChange = (task: Task, newDurationStr: string) => {
-    const newDuration = parseInt(newDurationStr, 10);
-    if (isNaN(newDuration) || newDuration < 1) return;
+  const handleApplyFilterPreset = (preset: FilterPreset) => {
+    setTaskFilter({ ...EMPTY_TASK_FILTER, ...preset.filter });
+    setTaskSort(preset.sort);
+  };
 
-    const startDate = parseUTCDateString(task.startDate);
-    if (startDate) {
-        const newEndDate = addWorkingDays(startDate, newDuration, holidays);
-        handleTaskChange(task.id, 'endDate', formatDateUTC(newEndDate));
-    }
+  const handleBulkSetAssignee = (assignee: string) => {
+    updateTasks(prev => prev.map(task => (selectedTaskIds.has(task.id) ? { ...task, assignee } : task)));
   };
 
-  const handleProgressChange = (taskId: string, newProgressStr: string) => {
-    let newProgress = parseInt(newProgressStr, 10);
-    if (isNaN(newProgress)) {
-        newProgress = 0;
-    }
-    const clampedProgress = Math.max(0, Math.min(100, newProgress));
-    handleTaskChange(taskId, 'progress', clampedProgress);
+  const handleBulkSetProgress = (progress: number) => {
+    const clampedProgress = Math.max(0, Math.min(100, Math.round(progress)));
+    updateTasks(prev => prev.map(task => (selectedTaskIds.has(task.id) ? { ...task, progress: clampedProgress } : task)));
   };
 
-  const handleManHoursChange = (taskId: string, newManHoursStr: string) => {
-    let newManHours = parseFloat(newManHoursStr);
-    if (isNaN(newManHours)) {
-      handleTaskChange(taskId, 'manHours', undefined);
+  const handleBulkShift = (offset: number) => {
+    if (offset === 0) return;
+    const shifted = taskEditor.shiftTasksWithinProject(tasks, getSelectionRootIds(tasks, selectedTaskIds), offset);
+    if (shifted === tasks) {
+      alert(t('bulkShiftOutsideProject'));
       return;
     }
-    const clampedManHours = Math.max(0, newManHours);
-    handleTaskChange(taskId, 'manHours', clampedManHours);
+    updateTasks(() => shifted);
   };
 
-  const handleTaskDateSet = (taskId: string, startDateStr: string, endDateStr: string) => {
-      const d1 = parseUTCDateString(startDateStr);
-      const d2 = parseUTCDateString(endDateStr);
-      if (d1 && d2) {
-          const finalStartDate = d1.getTime() < d2.getTime() ? startDateStr : endDateStr;
-          const finalEndDate = d1.getTime() < d2.getTime() ? endDateStr : startDateStr;
-          
-          setTasks(prev => prev.map(task => 
-              task.id === taskId 
-              ? { ...task, startDate: finalStartDate, endDate: finalEndDate } 
-              : task
-          ));
-      }
+  const handleBulkDuplicate = () => {
+    updateTasks(prev => duplicateTaskBlocks(prev, getSelectionRootIds(prev, selectedTaskIds), t('copySuffix')));
   };
 
-  const handleTaskDragUpdate = (
-    taskId: string,
-    actionType: 'move' | 'resize-start' | 'resize-end',
-    initialStartDate: Date,
-    initialEndDate: Date,
-    dayOffset: number
-  ) => {
-      const pStart = parseUTCDateString(projectStart);
-      const pEnd = parseUTCDateString(projectEnd);
-      if (!pStart || !pEnd) return;
-
-      setTasks(currentTasks =>
-        currentTasks.map(task => {
-          if (task.id === taskId) {
-            let newStartDate: Date;
-            let newEndDate: Date;
-
-            switch (actionType) {
-              case 'move': {
-                const durationInWorkingDays = calculateWorkingDays(initialStartDate, initialEndDate, holidays) || 1;
-                let potentialStartDate = addDaysUTC(initialStartDate, dayOffset);
-
-                if (potentialStartDate.getTime() < pStart.getTime()) {
-                  potentialStartDate = pStart;
-                }
-                let potentialEndDate = addWorkingDays(potentialStartDate, durationInWorkingDays, holidays);
-
-                if (potentialEndDate.getTime() > pEnd.getTime()) {
-                  potentialEndDate = pEnd;
-                  potentialStartDate = addOrSubtractWorkingDays(potentialEndDate, -(durationInWorkingDays - 1), holidays);
-                  if (potentialStartDate.getTime() < pStart.getTime()) {
-                    potentialStartDate = pStart;
-                  }
-                }
-                newStartDate = potentialStartDate;
-                newEndDate = addWorkingDays(newStartDate, durationInWorkingDays, holidays);
-                if (newEndDate.getTime() > pEnd.getTime()) newEndDate = pEnd;
-                if (newEndDate < newStartDate) newEndDate = newStartDate;
-                break;
-              }
-              case 'resize-start': {
-                newStartDate = addDaysUTC(initialStartDate, dayOffset);
-                newEndDate = initialEndDate;
-                if (newStartDate.getTime() < pStart.getTime()) newStartDate = pStart;
-                if (newStartDate.getTime() > newEndDate.getTime()) [newStartDate, newEndDate] = [newEndDate, newStartDate];
-                break;
-              }
-              case 'resize-end': {
-                newStartDate = initialStartDate;
-                newEndDate = addDaysUTC(initialEndDate, dayOffset);
-                if (newEndDate.getTime() > pEnd.getTime()) newEndDate = pEnd;
-                if (newEndDate.getTime() < newStartDate.getTime()) [newEndDate, newStartDate] = [newEndDate, newStartDate];
-                break;
-              }
-            }
-            return { ...task, startDate: formatDateUTC(newStartDate), endDate: formatDateUTC(newEndDate) };
-          }
-          return task;
-        })
-      );
+  const handleBulkDelete = () => {
+    setConfirmModalState({
+        isOpen: true,
+        title: t('deleteSelectedTasks'),
+        message: t('confirmDeleteSelectedTasks').replace('{count}', `${selectedTaskIds.size}`),
+        onConfirm: () => {
+            updateTasks(prev => removeTaskBlocks(prev, getSelectionRootIds(prev, selectedTaskIds)));
+            setSelectedTaskIds(new Set());
+            setConfirmModalState({ isOpen: false, title: '', message: '', onConfirm: () => {} });
+        },
+    });
   };
 
-  const handleTaskReorder = (draggedTaskId: string, dropIndex: number) => {
-      setTasks(currentTasks => {
-          const newTasks = [...currentTasks];
-          const draggedTask = newTasks.find(t => t.id === draggedTaskId);
-          if (!draggedTask) return currentTasks;
+  const handleToggleNonWorkingDate = (dateStr: string) => {
+      const date = parseUTCDateString(dateStr);
+      if (!date) return;
 
-          const draggedIndex = newTasks.indexOf(draggedTask);
-          newTasks.splice(draggedIndex, 1);
-          const adjustedDropIndex = dropIndex > draggedIndex ? dropIndex - 1 : dropIndex;
-          newTasks.splice(adjustedDropIndex, 0, draggedTask);
+      if (workingDayExceptions.includes(dateStr)) {
+          setWorkingDayExceptions(prev => prev.filter(d => d !== dateStr));
+      } else if (!isNonWorkingDay(date, workingCalendar)) {
+          setNonWorkingPeriods(prev => [...prev, { id: Date.now().toString(), startDate: dateStr, endDate: dateStr }]);
+      } else if (nonWorkingPeriods.some(p => p.startDate === dateStr && p.endDate === dateStr)) {
+          setNonWorkingPeriods(prev => prev.filter(p => !(p.startDate === dateStr && p.endDate === dateStr)));
+      } else {
+          // A weekly holiday or a day inside a longer closure: mark it as a working day instead.
+          setWorkingDayExceptions(prev => [...prev, dateStr].sort());
+      }
+  };
+
+  const handleAddDependency = (predecessorId: string, successorId: string, type: DependencyType) => {
+      if (!taskEditor.addDependency(predecessorId, successorId, type)) alert(t('dependencyCycleError'));
+  };
 
-          return newTasks;
+  const handleToggleCollapse = (taskId: string) => {
+      setCollapsedTaskIds(prev => {
+          const next = new Set(prev);
+          if (!next.delete(taskId)) next.add(taskId);
+          return next;
       });
   };
 
+  // A task indented under a collapsed summary stays in view.
+  const handleIndentTask = (taskId: string) => {
+      const newParentId = indentTask(tasks, taskId).find(task => task.id === taskId)?.parentId;
+      if (newParentId && collapsedTaskIds.has(newParentId)) handleToggleCollapse(newParentId);
+      taskEditor.indentTask(taskId);
+  };
+
   useEffect(() => {
     if (!isProgressLineCalendarOpen) return;
     const handleClickOutside = (event: MouseEvent) => {
@@ -299,41 +584,354 @@ const App: React.FC = () => {
     };
   }, [isProgressLineCalendarOpen]);
 
-  const handleExport = () => {
-    const dataToSave = {
-        projectName,
-        projectStart,
-        projectEnd,
-        creationDate,
-        creatorName,
-        tasks,
-        settings: {
-            holidays: Array.from(holidays),
-            columnVisibility,
-            baseColor,
-            progressColor,
-            textColor,
-            rowHeight,
-            progressLineColor,
+  useEffect(() => {
+    if (!isExportMenuOpen) return;
+    const handleClickOutside = (event: MouseEvent) => {
+        if (!(event.target as HTMLElement).closest('[data-export-menu]') && !(event.target as HTMLElement).closest('[data-export-menu-toggle]')) {
+             setIsExportMenuOpen(false);
         }
     };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => {
+        document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [isExportMenuOpen]);
+
+  const serializeProject = (): ProjectData => ({
+      projectName,
+      projectStart,
+      projectEnd,
+      creationDate,
+      creatorName,
+      tasks: displayedTasks,
+      settings: {
+          holidays: Array.from(holidays),
+          nonWorkingPeriods,
+          workingDayExceptions,
+          workingHours,
+          columnVisibility,
+          baseColor,
+          progressColor,
+          textColor,
+          rowHeight,
+          progressLineColor,
+          dailyCapacity,
+          customFields,
+          categories,
+          autoRecordProgress,
+      },
+      baselines,
+      selectedBaselineId,
+      progressSnapshots,
+  });
+
+  const applyProjectData = (data: ProjectData) => {
+      setProjectName(data.projectName);
+      setProjectStart(data.projectStart);
+      setProjectEnd(data.projectEnd);
+      if (data.creationDate) setCreationDate(data.creationDate);
+      setCreatorName(data.creatorName || '');
+      const loadedTasks = setCollapsedState(data.tasks, new Set());
+      setTasks(loadedTasks);
+      setCollapsedTaskIds(getCollapsedIds(data.tasks));
+      setProgressLineDate(null);
+      const importedBaselines = Array.isArray(data.baselines) ? data.baselines : [];
+      setBaselines(importedBaselines);
+      setSelectedBaselineId(importedBaselines.some(b => b.id === data.selectedBaselineId) ? data.selectedBaselineId! : null);
+      setProgressSnapshots(Array.isArray(data.progressSnapshots) ? data.progressSnapshots : []);
+      loadedTasksRef.current = loadedTasks;
+
+      if (data.settings) {
+        if (data.settings.holidays) {
+            setHolidays(new Set(data.settings.holidays));
+        }
+        setNonWorkingPeriods(Array.isArray(data.settings.nonWorkingPeriods) ? data.settings.nonWorkingPeriods : []);
+        setWorkingDayExceptions(Array.isArray(data.settings.workingDayExceptions) ? data.settings.workingDayExceptions : []);
+        // Files from before working hours existed get the default day, on which their date-only tasks fill whole days.
+        setWorkingHours(data.settings.workingHours || DEFAULT_WORKING_HOURS);
+        if (data.settings.columnVisibility) {
+            setColumnVisibility(prev => ({...prev, ...data.settings.columnVisibility}));
+        }
+        if (data.settings.baseColor) {
+            setBaseColor(data.settings.baseColor);
+        }
+        if (data.settings.progressColor) {
+            setProgressColor(data.settings.progressColor);
+        }
+        if (data.settings.textColor) {
+            setTextColor(data.settings.textColor);
+        }
+        if (data.settings.rowHeight) {
+            setRowHeight(data.settings.rowHeight);
+        }
+        if (data.settings.progressLineColor) {
+            setProgressLineColor(data.settings.progressLineColor);
+        }
+        setDailyCapacity(data.settings.dailyCapacity || INITIAL_DAILY_CAPACITY);
+        setCustomFields(Array.isArray(data.settings.customFields) ? data.settings.customFields : []);
+        setCategories(Array.isArray(data.settings.categories) ? data.settings.categories : []);
+        setAutoRecordProgress(!!data.settings.autoRecordProgress);
+      }
+  };
+
+  // Restore the last opened project on startup.
+  useEffect(() => {
+    const saved = loadProject(currentProjectId);
+    if (saved) {
+        resetHistory();
+        applyProjectData(saved);
+    }
+    setLastOpenedProjectId(currentProjectId);
+    hasRestoredProjectRef.current = true;
+
+    // Development builds open a generated large project with `?benchmark=<task count>`.
+    const benchmarkTaskCount = import.meta.env.DEV ? Number(new URLSearchParams(window.location.search).get('benchmark')) : 0;
+    if (benchmarkTaskCount > 0) {
+        switchToProject(createProjectId(), createBenchmarkProject(createInitialProjectData(), Math.floor(benchmarkTaskCount)));
+    }
+  }, []);
+
+  // Autosave the current project shortly after every change.
+  useEffect(() => {
+    if (!hasRestoredProjectRef.current) return;
+    const timer = setTimeout(() => saveProject(currentProjectId, serializeProject()), AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [
+    currentProjectId, projectName, projectStart, projectEnd, creationDate, creatorName, displayedTasks,
+    holidays, nonWorkingPeriods, workingDayExceptions, workingHours, columnVisibility,
+    baseColor, progressColor, textColor, rowHeight, progressLineColor, dailyCapacity, customFields, categories,
+    baselines, selectedBaselineId, progressSnapshots, autoRecordProgress,
+  ]);
+
+  // Keeps today's snapshot current while auto-recording is on. Loading a project is not a progress change.
+  useEffect(() => {
+    const last = lastProgressRef.current;
+    lastProgressRef.current = new Map(tasks.map(task => [task.id, task.progress]));
+    if (!autoRecordProgress || !last || tasks === loadedTasksRef.current) return;
+    if (haveProgressValuesChanged(last, tasks)) {
+      setProgressSnapshots(prev => recordProgressSnapshot(prev, tasks, getInitialStartDate(), true));
+    }
+  }, [tasks]);
+
+  const visibleProgressSnapshots = useMemo(() => progressSnapshots.filter(snapshot => snapshot.visible), [progressSnapshots]);
+
+  const handleRecordProgressSnapshot = (statusDate: string) => {
+      setProgressSnapshots(prev => recordProgressSnapshot(prev, tasks, statusDate));
+  };
+
+  const handleUpdateProgressSnapshot = (id: string, changes: Partial<Pick<ProgressSnapshot, 'visible' | 'color'>>) => {
+      setProgressSnapshots(prev => prev.map(snapshot => (snapshot.id === id ? { ...snapshot, ...changes } : snapshot)));
+  };
+
+  const handleDeleteProgressSnapshot = (id: string) => {
+      setConfirmModalState({
+          isOpen: true,
+          title: t('deleteProgressSnapshot'),
+          message: t('confirmDeleteProgressSnapshot'),
+          onConfirm: () => {
+              setProgressSnapshots(prev => prev.filter(snapshot => snapshot.id !== id));
+              setConfirmModalState({ isOpen: false, title: '', message: '', onConfirm: () => {} });
+          },
+      });
+  };
+
+  const switchToProject = (id: string, data: ProjectData) => {
+      saveProject(currentProjectId, serializeProject());
+      saveProject(id, data);
+      resetHistory();
+      applyProjectData(data);
+      setCurrentProjectId(id);
+      setCollabSettings(loadCollabSettings(id));
+      setLastOpenedProjectId(id);
+      setProjectSummaries(listProjects());
+  };
+
+  const handleOpenProjectLibrary = () => {
+      saveProject(currentProjectId, serializeProject());
+      setProjectSummaries(listProjects());
+      setIsProjectLibraryOpen(true);
+  };
+
+  const handleOpenProject = (id: string) => {
+      if (id !== currentProjectId) {
+          const data = loadProject(id);
+          if (!data) return;
+          switchToProject(id, data);
+      }
+      setIsProjectLibraryOpen(false);
+  };
+
+  const handleCreateProject = () => {
+      switchToProject(createProjectId(), createInitialProjectData());
+      setIsProjectLibraryOpen(false);
+  };
+
+  const handleRenameProject = (id: string, name: string) => {
+      if (id === currentProjectId) {
+          setProjectName(name);
+          saveProject(id, { ...serializeProject(), projectName: name });
+      } else {
+          const data = loadProject(id);
+          if (!data) return;
+          saveProject(id, { ...data, projectName: name });
+      }
+      setProjectSummaries(listProjects());
+  };
+
+  const handleDuplicateProject = (id: string) => {
+      const data = id === currentProjectId ? serializeProject() : loadProject(id);
+      if (!data) return;
+      saveProject(createProjectId(), { ...data, projectName: `${data.projectName}${t('copySuffix')}` });
+      setProjectSummaries(listProjects());
+  };
+
+  const updateTemplates = (updater: (templates: ProjectTemplate[]) => ProjectTemplate[]) => {
+      setTemplates(prev => {
+          const next = updater(prev);
+          saveTemplates(next);
+          return next;
+      });
+  };
+
+  const handleSaveTemplate = (name: string) => {
+      const template = createTemplateFromProject(serializeProject(), name, workingCalendar);
+      updateTemplates(prev => [template, ...prev]);
+  };
+
+  const handleDeleteTemplate = (id: string) => {
+      setConfirmModalState({
+          isOpen: true,
+          title: t('deleteTemplate'),
+          message: t('confirmDeleteTemplate'),
+          onConfirm: () => {
+              updateTemplates(prev => prev.filter(template => template.id !== id));
+              setConfirmModalState({ isOpen: false, title: '', message: '', onConfirm: () => {} });
+          },
+      });
+  };
+
+  // The new project keeps the current working calendar, which the template's dates are laid out on.
+  const handleCreateFromTemplate = (template: ProjectTemplate, options: TemplateProjectOptions) => {
+      const initial = createInitialProjectData();
+      const base: ProjectData = {
+          ...initial,
+          settings: { ...initial.settings, holidays: Array.from(holidays), nonWorkingPeriods, workingDayExceptions, workingHours },
+      };
+      switchToProject(createProjectId(), createProjectFromTemplate(template, options, base, workingCalendar));
+      setIsProjectLibraryOpen(false);
+  };
+
+  const handleSaveBaseline = (name: string) => {
+      const baseline = createBaseline(tasks, name);
+      setBaselines(prev => [...prev, baseline]);
+      setSelectedBaselineId(baseline.id);
+  };
+
+  const handleDeleteBaseline = (id: string) => {
+      setConfirmModalState({
+          isOpen: true,
+          title: t('deleteBaseline'),
+          message: t('confirmDeleteBaseline'),
+          onConfirm: () => {
+              setBaselines(prev => prev.filter(baseline => baseline.id !== id));
+              setSelectedBaselineId(prev => (prev === id ? null : prev));
+              setConfirmModalState({ isOpen: false, title: '', message: '', onConfirm: () => {} });
+          },
+      });
+  };
+
+  const handleDeleteProject = (id: string) => {
+      setConfirmModalState({
+          isOpen: true,
+          title: t('deleteProject'),
+          message: t('confirmDeleteProject'),
+          onConfirm: () => {
+              deleteProject(id);
+              if (id === currentProjectId) {
+                  const next = listProjects()[0];
+                  const nextData = next ? loadProject(next.id) : null;
+                  const nextId = next && nextData ? next.id : createProjectId();
+                  const data = nextData || createInitialProjectData();
+                  saveProject(nextId, data);
+                  resetHistory();
+                  applyProjectData(data);
+                  setCurrentProjectId(nextId);
+                  setCollabSettings(loadCollabSettings(nextId));
+                  setLastOpenedProjectId(nextId);
+              }
+              setProjectSummaries(listProjects());
+              setConfirmModalState({ isOpen: false, title: '', message: '', onConfirm: () => {} });
+          },
+      });
+  };
+
+  const handleExport = () => {
+    setIsExportMenuOpen(false);
+    const dataToSave = serializeProject();
     const jsonString = JSON.stringify(dataToSave, null, 2);
     const blob = new Blob([jsonString], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
+    downloadBlob(blob, `${getExportFileBaseName()}.json`);
+  };
 
-    const today = new Date();
-    const year = today.getFullYear();
-    const month = (today.getMonth() + 1).toString().padStart(2, '0');
-    const day = today.getDate().toString().padStart(2, '0');
-    const formattedDate = `${year}-${month}-${day}`;
+  const handleExportTable = async (format: 'csv' | 'xlsx') => {
+    setIsExportMenuOpen(false);
+    const headers: Record<TaskTableField, string> = {
+        name: t('taskName'),
+        assignee: t('assignee'),
+        startDate: t('startDate'),
+        startTime: t('startTime'),
+        endDate: t('endDate'),
+        endTime: t('endTime'),
+        duration: t('duration'),
+        progress: t('progress'),
+        manHours: t('manHours'),
+    };
+    const rows = buildTaskTableRows(tasks, workingCalendar, headers);
+    try {
+        if (format === 'csv') {
+            downloadBlob(new Blob([toCsv(rows)], { type: 'text/csv;charset=utf-8' }), `${getExportFileBaseName()}.csv`);
+        } else {
+            downloadBlob(await toXlsx(rows, projectName), `${getExportFileBaseName()}.xlsx`);
+        }
+    } catch (error) {
+        console.error('Failed to export task table:', error);
+        alert(t('exportTableError'));
+    }
+  };
 
-    a.download = `Schedule_${formattedDate}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+  const handleExportCalendar = (assignee: string | null) => {
+    const ics = toICalendar(tasks, {
+        calendarName: projectName,
+        assignee,
+        labels: { assignee: t('assignee'), progress: t('progress') },
+    });
+    downloadBlob(new Blob([ics], { type: 'text/calendar;charset=utf-8' }), `${getExportFileBaseName()}.ics`);
+    setIsCalendarExportOpen(false);
+  };
+
+  const handleExportMsProject = () => {
+    setIsExportMenuOpen(false);
+    const xml = toMsProjectXml(tasks, { name: projectName, startDate: projectStart, calendar: workingCalendar });
+    downloadBlob(new Blob([xml], { type: 'application/xml' }), `${getExportFileBaseName()}.xml`);
+  };
+
+  // Replaces the tasks with the imported ones and widens the project period so that they are all visible.
+  const handleMsProjectImport = (text: string) => {
+    const { projectName: importedName, tasks: importedTasks } = parseMsProjectXml(text, workingCalendar);
+    const datedTasks = importedTasks.filter(task => task.startDate && task.endDate);
+    if (importedName) setProjectName(importedName);
+    if (datedTasks.length > 0) {
+        const earliestStart = datedTasks.reduce((min, task) => (task.startDate < min ? task.startDate : min), datedTasks[0].startDate);
+        const latestEnd = datedTasks.reduce((max, task) => (task.endDate > max ? task.endDate : max), datedTasks[0].endDate);
+        if (earliestStart < projectStart) setProjectStart(earliestStart);
+        if (latestEnd > projectEnd) setProjectEnd(latestEnd);
+    }
+    updateTasks(() => importedTasks);
+  };
+
+  const handleTableImport = (importedTasks: Task[], replaceExisting: boolean) => {
+    updateTasks(prev => (replaceExisting ? importedTasks : [...prev, ...importedTasks]));
+    setTableImport(null);
   };
 
   const handleImportClick = () => {
@@ -344,6 +942,31 @@ const App: React.FC = () => {
       const file = event.target.files?.[0];
       if (!file) return;
 
+      const extension = file.name.split('.').pop()?.toLowerCase();
+      if (extension === 'csv' || extension === 'xlsx') {
+          const readRows = extension === 'csv'
+              ? file.text().then(parseCsv)
+              : file.arrayBuffer().then(parseXlsx);
+          readRows
+              .then(rows => setTableImport({ fileName: file.name, rows }))
+              .catch(error => {
+                  console.error("Failed to import file:", error);
+                  alert(t('importError'));
+              });
+          event.target.value = '';
+          return;
+      }
+      if (extension === 'xml') {
+          file.text()
+              .then(handleMsProjectImport)
+              .catch(error => {
+                  console.error("Failed to import file:", error);
+                  alert(t('importError'));
+              });
+          event.target.value = '';
+          return;
+      }
+
       const reader = new FileReader();
       reader.onload = (e) => {
           try {
@@ -355,36 +978,7 @@ const App: React.FC = () => {
                   throw new Error("Invalid file format");
               }
               
-              setProjectName(data.projectName);
-              setProjectStart(data.projectStart);
-              setProjectEnd(data.projectEnd);
-              if (data.creationDate) setCreationDate(data.creationDate);
-              if (data.creatorName) setCreatorName(data.creatorName);
-              setTasks(data.tasks);
-
-              if (data.settings) {
-                if (data.settings.holidays) {
-                    setHolidays(new Set(data.settings.holidays));
-                }
-                if (data.settings.columnVisibility) {
-                    setColumnVisibility(prev => ({...prev, ...data.settings.columnVisibility}));
-                }
-                if (data.settings.baseColor) {
-                    setBaseColor(data.settings.baseColor);
-                }
-                if (data.settings.progressColor) {
-                    setProgressColor(data.settings.progressColor);
-                }
-                if (data.settings.textColor) {
-                    setTextColor(data.settings.textColor);
-                }
-                if (data.settings.rowHeight) {
-                    setRowHeight(data.settings.rowHeight);
-                }
-                if (data.settings.progressLineColor) {
-                    setProgressLineColor(data.settings.progressLineColor);
-                }
-              }
+              applyProjectData({ ...data, tasks: removeCyclicDependencies(data.tasks) });
 
           } catch (error) {
               console.error("Failed to import file:", error);
@@ -395,65 +989,67 @@ const App: React.FC = () => {
       event.target.value = '';
   };
 
-  const handleExportPDF = async () => {
-    const ganttElement = document.getElementById('gantt-chart-container');
-    const scrollContainer = document.getElementById('gantt-scroll-container');
-    const ganttGrid = document.getElementById('gantt-grid-container');
-    const addTaskButton = document.getElementById('add-task-button');
-    
-    if (!ganttElement || !scrollContainer || !ganttGrid) return;
+  const selectedBaseline = baselines.find(baseline => baseline.id === selectedBaselineId) || null;
+  const effectiveWeighting = earnedValueWeighting ?? (tasks.some(task => task.manHours) ? 'manHours' : 'workingDays');
+  const statusDate = progressLineDate || getInitialStartDate();
 
-    try {
-      // Save original styles
-      const originalOverflow = ganttGrid.style.overflow;
-      const originalHeight = ganttElement.style.height;
-      const originalMaxHeight = ganttElement.style.maxHeight;
-      const originalWidth = ganttElement.style.width;
-      const originalMaxWidth = ganttElement.style.maxWidth;
-      const originalButtonDisplay = addTaskButton ? addTaskButton.style.display : '';
-      
-      // Temporarily expand the container to fit all content
-      ganttGrid.style.overflow = 'visible';
-      ganttElement.style.height = 'auto';
-      ganttElement.style.maxHeight = 'none';
-      ganttElement.style.width = `${Math.max(ganttElement.scrollWidth, ganttGrid.scrollWidth)}px`;
-      ganttElement.style.maxWidth = 'none';
-      if (addTaskButton) addTaskButton.style.display = 'none';
-
-      // Wait a moment for the DOM to update
-      await new Promise(resolve => setTimeout(resolve, 100));
-
-      const canvas = await html2canvas(ganttElement, {
-        scale: 2,
-        useCORS: true,
-        windowWidth: ganttElement.scrollWidth,
-        windowHeight: ganttElement.scrollHeight,
-      });
+  const getEarnedValueReport = () => calculateEarnedValue(tasks, {
+    calendar: workingCalendar,
+    statusDate: parseUTCDateString(statusDate)!,
+    weighting: effectiveWeighting,
+    rangeStart: parseUTCDateString(projectStart) || parseUTCDateString(statusDate)!,
+    rangeEnd: parseUTCDateString(projectEnd) || parseUTCDateString(statusDate)!,
+    baseline: selectedBaseline,
+  });
 
-      // Restore original styles
-      ganttGrid.style.overflow = originalOverflow;
-      ganttElement.style.height = originalHeight;
-      ganttElement.style.maxHeight = originalMaxHeight;
-      ganttElement.style.width = originalWidth;
-      ganttElement.style.maxWidth = originalMaxWidth;
-      if (addTaskButton) addTaskButton.style.display = originalButtonDisplay;
-
-      const imgData = canvas.toDataURL('image/png');
-      const pdf = new jsPDF({
-        orientation: canvas.width > canvas.height ? 'landscape' : 'portrait',
-        unit: 'px',
-        format: [canvas.width, canvas.height]
-      });
+  const earnedValueReport = useMemo(
+    () => (isDashboardOpen ? getEarnedValueReport() : null),
+    [isDashboardOpen, tasks, workingCalendar, statusDate, effectiveWeighting, projectStart, projectEnd, selectedBaseline]
+  );
 
-      pdf.addImage(imgData, 'PNG', 0, 0, canvas.width, canvas.height);
-      
-      const today = new Date();
-      const year = today.getFullYear();
-      const month = (today.getMonth() + 1).toString().padStart(2, '0');
-      const day = today.getDate().toString().padStart(2, '0');
-      const formattedDate = `${year}-${month}-${day}`;
+  const handleExportChart = async (svg: SVGSVGElement, name: string, format: ChartImageFormat) => {
+    try {
+      const blob = format === 'png' ? await svgToPngBlob(svg) : svgToSvgBlob(svg);
+      downloadBlob(blob, `${getExportFileBaseName()}_${name}.${format}`);
+    } catch (error) {
+      console.error('Failed to export chart:', error);
+      alert(t('exportChartError'));
+    }
+  };
 
-      pdf.save(`Schedule_${formattedDate}.pdf`);
+  const handleExportPDF = async (options: PdfExportOptions) => {
+    try {
+      const report = options.includeDashboard ? getEarnedValueReport() : null;
+      const pdf = await createGanttPdf({
+        projectName,
+        creatorName,
+        creationDate,
+        tasks,
+        calendar: workingCalendar,
+        progressLineDate,
+        progressSnapshots: visibleProgressSnapshots,
+        categories,
+        colors: { base: baseColor, progress: progressColor, progressLine: progressLineColor },
+        labels: { creator: t('creator'), creationDate: t('creationDate'), period: t('printPeriod'), taskName: t('taskName'), legend: t('legend') },
+        dashboard: report && report.totalWeight > 0 ? {
+          report,
+          statusDate,
+          unit: t(effectiveWeighting === 'manHours' ? 'manHours' : 'duration'),
+          labels: {
+            title: t('progressDashboard'),
+            asOf: t('asOf'),
+            planned: t('plannedValue'),
+            earned: t('earnedValue'),
+            scheduleVariance: t('scheduleVariance'),
+            spi: t('spi'),
+            sCurve: t('sCurve'),
+            completionByAssignee: t('completionByAssignee'),
+            unassigned: t('unassigned'),
+          },
+        } : null,
+      }, options);
+      pdf.save(`${getExportFileBaseName()}.pdf`);
+      setIsPdfExportOpen(false);
     } catch (error) {
       console.error('Failed to export PDF:', error);
       alert(t('exportPdfError'));
@@ -467,6 +1063,12 @@ const App: React.FC = () => {
           onClose={() => setIsSettingsModalOpen(false)}
           holidays={holidays}
           setHolidays={setHolidays}
+          nonWorkingPeriods={nonWorkingPeriods}
+          setNonWorkingPeriods={setNonWorkingPeriods}
+          workingDayExceptions={workingDayExceptions}
+          setWorkingDayExceptions={setWorkingDayExceptions}
+          workingHours={workingHours}
+          setWorkingHours={setWorkingHours}
           columnVisibility={columnVisibility}
           setColumnVisibility={setColumnVisibility}
           baseColor={baseColor}
@@ -479,9 +1081,106 @@ const App: React.FC = () => {
           setProgressLineColor={setProgressLineColor}
           rowHeight={rowHeight}
           setRowHeight={setRowHeight}
+          dailyCapacity={dailyCapacity}
+          setDailyCapacity={setDailyCapacity}
+          customFields={customFields}
+          setCustomFields={setCustomFields}
+          onDeleteCustomField={handleDeleteCustomField}
+          categories={categories}
+          setCategories={setCategories}
+          onDeleteCategory={handleDeleteCategory}
           onResetColors={handleResetColors}
         />
       )}
+      {isProjectLibraryOpen && (
+        <ProjectLibraryModal
+          projects={projectSummaries}
+          currentProjectId={currentProjectId}
+          onOpenProject={handleOpenProject}
+          onCreateProject={handleCreateProject}
+          onRenameProject={handleRenameProject}
+          onDuplicateProject={handleDuplicateProject}
+          onDeleteProject={handleDeleteProject}
+          templates={templates}
+          currentProjectName={projectName}
+          defaultStartDate={getInitialStartDate()}
+          onSaveTemplate={handleSaveTemplate}
+          onDeleteTemplate={handleDeleteTemplate}
+          onCreateFromTemplate={handleCreateFromTemplate}
+          onClose={() => setIsProjectLibraryOpen(false)}
+        />
+      )}
+      {isBaselineModalOpen && (
+        <BaselineModal
+          baselines={baselines}
+          selectedBaselineId={selectedBaselineId}
+          onSelectBaseline={setSelectedBaselineId}
+          onSaveBaseline={handleSaveBaseline}
+          onDeleteBaseline={handleDeleteBaseline}
+          onClose={() => setIsBaselineModalOpen(false)}
+        />
+      )}
+      {tableImport && (
+        <TableImportModal
+          fileName={tableImport.fileName}
+          rows={tableImport.rows}
+          workingCalendar={workingCalendar}
+          onImport={handleTableImport}
+          onClose={() => setTableImport(null)}
+        />
+      )}
+      {isCollaborationOpen && (
+        <CollaborationModal
+          settings={collabSettings}
+          defaultRoom={projectName}
+          status={collaboration.status}
+          peers={collaboration.peers}
+          tasks={tasks}
+          onConnect={handleCollabSettingsChange}
+          onDisconnect={() => collabSettings && handleCollabSettingsChange({ ...collabSettings, enabled: false })}
+          onClose={() => setIsCollaborationOpen(false)}
+        />
+      )}
+      {isPdfExportOpen && (
+        <PdfExportModal
+          initialRangeStart={projectStart}
+          initialRangeEnd={projectEnd}
+          onExport={handleExportPDF}
+          onClose={() => setIsPdfExportOpen(false)}
+        />
+      )}
+      {isProgressHistoryOpen && (
+        <ProgressHistoryModal
+          snapshots={progressSnapshots}
+          defaultStatusDate={progressLineDate || getInitialStartDate()}
+          autoRecord={autoRecordProgress}
+          onAutoRecordChange={setAutoRecordProgress}
+          onRecordSnapshot={handleRecordProgressSnapshot}
+          onUpdateSnapshot={handleUpdateProgressSnapshot}
+          onDeleteSnapshot={handleDeleteProgressSnapshot}
+          onClose={() => setIsProgressHistoryOpen(false)}
+        />
+      )}
+      {isDashboardOpen && earnedValueReport && (
+        <ProgressDashboard
+          report={earnedValueReport}
+          weighting={effectiveWeighting}
+          onWeightingChange={setEarnedValueWeighting}
+          statusDate={statusDate}
+          isStatusDateToday={!progressLineDate}
+          baselineName={selectedBaseline?.name ?? null}
+          statusLineColor={progressLineColor}
+          onExportChart={handleExportChart}
+          onClose={() => setIsDashboardOpen(false)}
+        />
+      )}
+      {isCalendarExportOpen && (
+        <CalendarExportModal
+          assignees={getAssignees(tasks)}
+          onExport={handleExportCalendar}
+          onClose={() => setIsCalendarExportOpen(false)}
+        />
+      )}
       {confirmModalState.isOpen && (
         <ConfirmModal
           title={confirmModalState.title}
@@ -503,6 +1202,23 @@ const App: React.FC = () => {
           
           <div className="flex items-center space-x-2 sm:space-x-4">
             <div className="flex items-center justify-end space-x-2 p-1 sm:p-2 rounded-lg bg-slate-100 border border-slate-200">
+                <button
+                    onClick={undo}
+                    disabled={!canUndo}
+                    className="p-2 rounded-full text-gray-500 hover:bg-gray-200 hover:text-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    title={t('undo')}
+                >
+                    <UndoIcon className="w-5 h-5" />
+                </button>
+                <button
+                    onClick={redo}
+                    disabled={!canRedo}
+                    className="p-2 rounded-full text-gray-500 hover:bg-gray-200 hover:text-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    title={t('redo')}
+                >
+                    <RedoIcon className="w-5 h-5" />
+                </button>
+                <div className="h-6 border-l border-gray-300"></div>
                 <button
                     onClick={() => setIsSettingsModalOpen(true)}
                     className="p-2 rounded-full text-gray-500 hover:bg-gray-200 hover:text-gray-700 transition-colors"
@@ -542,6 +1258,49 @@ const App: React.FC = () => {
                         <XIcon className="w-4 h-4" />
                     </button>
                 )}
+                <button
+                    onClick={() => setIsProgressHistoryOpen(true)}
+                    className={`p-2 rounded-full transition-colors ${visibleProgressSnapshots.length > 0 ? 'text-indigo-600 bg-indigo-100 hover:bg-indigo-200' : 'text-gray-500 hover:bg-gray-200 hover:text-gray-700'}`}
+                    title={t('progressHistory')}
+                >
+                    <ClockIcon className="w-5 h-5" />
+                </button>
+                <div className="h-6 border-l border-gray-300"></div>
+                <button
+                    onClick={() => setIsBaselineModalOpen(true)}
+                    className={`p-2 rounded-full transition-colors ${selectedBaselineId ? 'text-indigo-600 bg-indigo-100 hover:bg-indigo-200' : 'text-gray-500 hover:bg-gray-200 hover:text-gray-700'}`}
+                    title={t('baselines')}
+                >
+                    <BaselineIcon className="w-5 h-5" />
+                </button>
+                <button
+                    onClick={() => setShowResourcePanel(prev => !prev)}
+                    className={`p-2 rounded-full transition-colors ${showResourcePanel ? 'text-indigo-600 bg-indigo-100 hover:bg-indigo-200' : 'text-gray-500 hover:bg-gray-200 hover:text-gray-700'}`}
+                    title={t('showResourcePanel')}
+                >
+                    <ChartBarIcon className="w-5 h-5" />
+                </button>
+                <button
+                    onClick={() => setIsDashboardOpen(true)}
+                    className="p-2 rounded-full text-gray-500 hover:bg-gray-200 hover:text-gray-700 transition-colors"
+                    title={t('progressDashboard')}
+                >
+                    <PresentationChartLineIcon className="w-5 h-5" />
+                </button>
+                <button
+                    onClick={() => setShowFilterBar(prev => !prev)}
+                    className={`p-2 rounded-full transition-colors ${showFilterBar || isTaskFilterActive(taskFilter) ? 'text-indigo-600 bg-indigo-100 hover:bg-indigo-200' : 'text-gray-500 hover:bg-gray-200 hover:text-gray-700'}`}
+                    title={t('filterTasks')}
+                >
+                    <FunnelIcon className="w-5 h-5" />
+                </button>
+                <button
+                    onClick={() => setGroupByAssignee(prev => !prev)}
+                    className={`p-2 rounded-full transition-colors ${groupByAssignee ? 'text-indigo-600 bg-indigo-100 hover:bg-indigo-200' : 'text-gray-500 hover:bg-gray-200 hover:text-gray-700'}`}
+                    title={t('groupByAssignee')}
+                >
+                    <UserGroupIcon className="w-5 h-5" />
+                </button>
                 <div className="h-6 border-l border-gray-300"></div>
                 <button
                     onClick={handleZoomOut}
@@ -551,6 +1310,16 @@ const App: React.FC = () => {
                 >
                     <ZoomOutIcon className="w-5 h-5" />
                 </button>
+                <select
+                    value={ZOOM_LEVELS[zoomIndex].mode}
+                    onChange={e => setZoomIndex(getZoomIndexForMode(e.target.value as TimescaleMode))}
+                    className="py-1 pl-2 pr-7 border border-gray-300 rounded-md text-sm text-slate-600 bg-white focus:ring-indigo-500 focus:border-indigo-500"
+                    title={t('timescale')}
+                >
+                    {TIMESCALE_MODES.map(mode => (
+                        <option key={mode} value={mode}>{t(TIMESCALE_LABEL_KEYS[mode])}</option>
+                    ))}
+                </select>
                 <button
                     onClick={handleZoomIn}
                     disabled={zoomIndex === ZOOM_LEVELS.length - 1}
@@ -559,18 +1328,82 @@ const App: React.FC = () => {
                 >
                     <ZoomInIcon className="w-5 h-5" />
                 </button>
+                <button
+                    onClick={handleFitToScreen}
+                    className="p-2 rounded-full text-gray-500 hover:bg-gray-200 hover:text-gray-700 transition-colors"
+                    title={t('fitToScreen')}
+                >
+                    <ArrowsPointingOutIcon className="w-5 h-5" />
+                </button>
             </div>
             <div className="flex items-center justify-end space-x-2 p-1 sm:p-2 rounded-lg bg-slate-100 border border-slate-200">
+                <button onClick={handleOpenProjectLibrary} className="p-2 rounded-full text-gray-500 hover:bg-gray-200 hover:text-gray-700 transition-colors" title={t('projectLibrary')}>
+                    <FolderIcon className="w-5 h-5" />
+                </button>
+                <button
+                    onClick={() => setIsCollaborationOpen(true)}
+                    className={`relative p-2 rounded-full transition-colors ${collaboration.status !== 'off' ? 'text-indigo-600 bg-indigo-100 hover:bg-indigo-200' : 'text-gray-500 hover:bg-gray-200 hover:text-gray-700'}`}
+                    title={t('collaboration')}
+                >
+                    <CloudIcon className="w-5 h-5" />
+                    {collaboration.status !== 'off' && (
+                        <span className={`absolute top-1 right-1 w-2 h-2 rounded-full ring-2 ring-white ${COLLAB_STATUS_COLORS[collaboration.status]}`} />
+                    )}
+                </button>
+                {collaboration.peers.length > 0 && (
+                    <div className="flex -space-x-1.5">
+                        {collaboration.peers.map(peer => (
+                            <span
+                                key={peer.clientId}
+                                className="w-6 h-6 rounded-full ring-2 ring-white flex items-center justify-center text-[10px] font-bold text-white"
+                                style={{ backgroundColor: peer.color }}
+                                title={peer.name}
+                            >
+                                {peer.name.slice(0, 1).toUpperCase()}
+                            </span>
+                        ))}
+                    </div>
+                )}
+                <div className="h-6 border-l border-gray-300"></div>
                 <button onClick={handleImportClick} className="p-2 rounded-full text-gray-500 hover:bg-gray-200 hover:text-gray-700 transition-colors" title={t('importData')}>
                     <UploadIcon className="w-5 h-5" />
                 </button>
-                <input type="file" ref={importFileRef} onChange={handleFileChange} accept=".json, .gantt.json" className="hidden" />
+                <input type="file" ref={importFileRef} onChange={handleFileChange} accept=".json, .gantt.json, .csv, .xlsx, .xml" className="hidden" />
                 <div className="h-6 border-l border-gray-300"></div>
-                <button onClick={handleExport} className="p-2 rounded-full text-gray-500 hover:bg-gray-200 hover:text-gray-700 transition-colors" title={t('exportData')}>
-                    <DownloadIcon className="w-5 h-5" />
-                </button>
+                <div className="relative">
+                    <button
+                        data-export-menu-toggle
+                        onClick={() => setIsExportMenuOpen(prev => !prev)}
+                        className="p-2 rounded-full text-gray-500 hover:bg-gray-200 hover:text-gray-700 transition-colors"
+                        title={t('exportData')}
+                    >
+                        <DownloadIcon className="w-5 h-5" />
+                    </button>
+                    {isExportMenuOpen && (
+                        <div data-export-menu className="absolute right-0 mt-2 w-56 bg-white border border-gray-200 rounded-md shadow-lg z-50 py-1">
+                            <button onClick={handleExport} className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">
+                                {t('exportJson')}
+                            </button>
+                            <button onClick={() => handleExportTable('csv')} className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">
+                                {t('exportCsv')}
+                            </button>
+                            <button onClick={() => handleExportTable('xlsx')} className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">
+                                {t('exportXlsx')}
+                            </button>
+                            <button
+                                onClick={() => { setIsExportMenuOpen(false); setIsCalendarExportOpen(true); }}
+                                className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                            >
+                                {t('exportIcs')}
+                            </button>
+                            <button onClick={handleExportMsProject} className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">
+                                {t('exportMsProject')}
+                            </button>
+                        </div>
+                    )}
+                </div>
                 <div className="h-6 border-l border-gray-300"></div>
-                <button onClick={handleExportPDF} className="p-2 rounded-full text-gray-500 hover:bg-gray-200 hover:text-gray-700 transition-colors" title={t('exportPdf')}>
+                <button onClick={() => setIsPdfExportOpen(true)} className="p-2 rounded-full text-gray-500 hover:bg-gray-200 hover:text-gray-700 transition-colors" title={t('exportPdf')}>
                     <PdfIcon className="w-5 h-5" />
                 </button>
             </div>
@@ -585,6 +1418,33 @@ const App: React.FC = () => {
         </div>
       </header>
       <main className="w-full p-2">
+        {showFilterBar && (
+          <TaskFilterBar
+            filter={taskFilter}
+            onFilterChange={setTaskFilter}
+            assignees={getAssignees(tasks)}
+            customFields={customFields.filter(field => field.visible)}
+            matchCount={filteredTasks.length}
+            totalCount={tasks.length}
+            presets={filterPresets}
+            onApplyPreset={handleApplyFilterPreset}
+            onSavePreset={handleSaveFilterPreset}
+            onDeletePreset={id => updateFilterPresets(prev => prev.filter(preset => preset.id !== id))}
+            onClose={() => setShowFilterBar(false)}
+          />
+        )}
+        {selectedTaskIds.size > 0 && (
+          <BulkActionBar
+            selectedCount={selectedTaskIds.size}
+            assignees={getAssignees(tasks)}
+            onSetAssignee={handleBulkSetAssignee}
+            onSetProgress={handleBulkSetProgress}
+            onShift={handleBulkShift}
+            onDuplicate={handleBulkDuplicate}
+            onDelete={handleBulkDelete}
+            onClearSelection={() => setSelectedTaskIds(new Set())}
+          />
+        )}
         <GanttChart 
           projectName={projectName}
           setProjectName={setProjectName}
@@ -596,27 +1456,57 @@ const App: React.FC = () => {
           setCreationDate={setCreationDate}
           creatorName={creatorName}
           setCreatorName={setCreatorName}
-          tasks={tasks}
-          holidays={holidays}
+          tasks={displayedTasks}
+          filteredTasks={filteredTasks}
+          customFields={customFields}
+          categories={categories}
+          taskSort={taskSort}
+          onTaskSortChange={setTaskSort}
+          workingCalendar={workingCalendar}
           columnVisibility={columnVisibility}
           zoomIndex={zoomIndex}
           progressLineDate={progressLineDate}
+          progressSnapshots={visibleProgressSnapshots}
+          baseline={selectedBaseline}
           baseColor={baseColor}
           progressColor={progressColor}
           textColor={textColor}
           progressLineColor={progressLineColor}
           rowHeight={rowHeight}
+          dailyCapacity={dailyCapacity}
+          showResourcePanel={showResourcePanel}
+          groupByAssignee={groupByAssignee}
+          selectedTaskIds={selectedTaskIds}
+          onSelectionChange={setSelectedTaskIds}
           onDeleteAllTasks={handleDeleteAllTasks}
-          onAddTask={handleAddTask}
-          onDeleteTask={handleDeleteTask}
-          onDuplicateTask={handleDuplicateTask}
-          onTaskChange={handleTaskChange}
-          onDurationChange={handleDurationChange}
-          onProgressChange={handleProgressChange}
-          onManHoursChange={handleManHoursChange}
-          onTaskDateSet={handleTaskDateSet}
-          onTaskDragUpdate={handleTaskDragUpdate}
-          onTaskReorder={handleTaskReorder}
+          onAddTask={taskEditor.addTask}
+          onDeleteTask={taskEditor.deleteTask}
+          onDuplicateTask={taskEditor.duplicateTask}
+          onInsertTask={taskEditor.insertTask}
+          onTaskNudge={taskEditor.nudgeTask}
+          onTaskChange={taskEditor.changeTask}
+          onCustomValueChange={taskEditor.changeCustomValue}
+          onDurationChange={taskEditor.changeDuration}
+          onProgressChange={taskEditor.changeProgress}
+          onManHoursChange={taskEditor.changeManHours}
+          onTaskDateSet={taskEditor.setTaskDates}
+          onTaskDragUpdate={taskEditor.dragTask}
+          onTaskTimeDragUpdate={taskEditor.dragTaskTime}
+          onDragGestureStart={beginGesture}
+          onDragGestureEnd={endGesture}
+          onTaskReorder={taskEditor.reorderTask}
+          onIndentTask={handleIndentTask}
+          onOutdentTask={taskEditor.outdentTask}
+          onToggleCollapse={handleToggleCollapse}
+          onToggleMilestone={taskEditor.toggleMilestone}
+          onToggleNonWorkingDate={handleToggleNonWorkingDate}
+          onAddDependency={handleAddDependency}
+          onDependencyChange={taskEditor.changeDependency}
+          onDeleteDependency={taskEditor.deleteDependency}
+          onDependenciesSet={taskEditor.setDependencies}
+          onTimelineViewportWidthChange={setTimelineViewportWidth}
+          remoteEditors={remoteEditorsByTaskId}
+          onActiveTaskChange={collaboration.setActiveTaskId}
         />
       </main>
     </div>
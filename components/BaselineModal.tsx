@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { useLanguage } from '../contexts/LanguageContext.tsx';
+import { translations, TranslationKey } from '../lib/translations.ts';
+import type { Baseline } from '../types.ts';
+import XIcon from './icons/XIcon.tsx';
+import PlusIcon from './icons/PlusIcon.tsx';
+import TrashIcon from './icons/TrashIcon.tsx';
+
+interface BaselineModalProps {
+  baselines: Baseline[];
+  selectedBaselineId: string | null;
+  onSelectBaseline: (id: string | null) => void;
+  onSaveBaseline: (name: string) => void;
+  onDeleteBaseline: (id: string) => void;
+  onClose: () => void;
+}
+
+const BaselineModal: React.FC<BaselineModalProps> = ({
+  baselines,
+  selectedBaselineId,
+  onSelectBaseline,
+  onSaveBaseline,
+  onDeleteBaseline,
+  onClose,
+}) => {
+  const { language } = useLanguage();
+  const t = (key: TranslationKey) => translations[key][language];
+
+  const [newBaselineName, setNewBaselineName] = useState('');
+
+  const handleSave = () => {
+    onSaveBaseline(newBaselineName.trim() || `${t('defaultBaselineName')} ${baselines.length + 1}`);
+    setNewBaselineName('');
+  };
+
+  const formatCreatedAt = (time: number) =>
+    new Date(time).toLocaleString(language === 'ja' ? 'ja-JP' : 'en-US', {
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-lg m-4" onClick={e => e.stopPropagation()}>
+        <div className="p-4 sm:p-5 border-b flex justify-between items-center">
+          <div>
+            <h2 className="text-xl font-bold text-slate-800">{t('baselines')}</h2>
+            <p className="text-sm text-slate-500">{t('baselinesDesc')}</p>
+          </div>
+          <button onClick={onClose} className="p-1 rounded-full text-gray-400 hover:bg-gray-200 hover:text-gray-600">
+            <XIcon className="w-5 h-5" />
+          </button>
+        </div>
+        <ul className="max-h-[60vh] overflow-y-auto divide-y">
+          <li className={`px-4 py-2 ${selectedBaselineId === null ? 'bg-indigo-50' : 'hover:bg-gray-50'}`}>
+            <label className="flex items-center gap-3 cursor-pointer">
+              <input
+                type="radio"
+                name="selected-baseline"
+                checked={selectedBaselineId === null}
+                onChange={() => onSelectBaseline(null)}
+                className="h-4 w-4 border-gray-300 text-indigo-600 focus:ring-indigo-500"
+              />
+              <span className="text-sm text-slate-600">{t('hideBaseline')}</span>
+            </label>
+          </li>
+          {baselines.length === 0 && (
+            <li className="px-4 py-3 text-sm text-slate-400">{t('noBaselines')}</li>
+          )}
+          {baselines.map(baseline => {
+            const isSelected = baseline.id === selectedBaselineId;
+            return (
+              <li key={baseline.id} className={`flex items-center gap-2 px-4 py-2 ${isSelected ? 'bg-indigo-50' : 'hover:bg-gray-50'}`}>
+                <label className="flex-grow min-w-0 flex items-center gap-3 cursor-pointer" title={t('showBaseline')}>
+                  <input
+                    type="radio"
+                    name="selected-baseline"
+                    checked={isSelected}
+                    onChange={() => onSelectBaseline(baseline.id)}
+                    className="h-4 w-4 border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                  />
+                  <span className="min-w-0">
+                    <span className="block truncate text-sm font-medium text-slate-700">{baseline.name}</span>
+                    <span className="block text-xs text-slate-400">{formatCreatedAt(baseline.createdAt)}</span>
+                  </span>
+                </label>
+                <button onClick={() => onDeleteBaseline(baseline.id)} className="text-gray-400 hover:text-red-500 p-1 rounded-full transition-colors" title={t('deleteBaseline')}>
+                  <TrashIcon />
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+        <div className="p-4 bg-slate-50 flex items-center gap-2 rounded-b-lg">
+          <input
+            type="text"
+            value={newBaselineName}
+            onChange={e => setNewBaselineName(e.target.value)}
+            onKeyDown={e => {
+              if (e.key === 'Enter') handleSave();
+            }}
+            placeholder={t('baselineNamePlaceholder')}
+            className="flex-grow min-w-0 px-2 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500"
+          />
+          <button
+            onClick={handleSave}
+            className="flex items-center gap-1 px-4 py-2 bg-white border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+          >
+            <PlusIcon className="w-4 h-4" />
+            {t('saveBaseline')}
+          </button>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+          >
+            {t('close')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BaselineModal;
@@ -0,0 +1,118 @@
+import React, { useState, useId } from 'react';
+import { useLanguage } from '../contexts/LanguageContext.tsx';
+import { translations, TranslationKey } from '../lib/translations.ts';
+import DuplicateIcon from './icons/DuplicateIcon.tsx';
+import TrashIcon from './icons/TrashIcon.tsx';
+import XIcon from './icons/XIcon.tsx';
+
+interface BulkActionBarProps {
+  selectedCount: number;
+  assignees: string[];
+  onSetAssignee: (assignee: string) => void;
+  onSetProgress: (progress: number) => void;
+  onShift: (workingDays: number) => void;
+  onDuplicate: () => void;
+  onDelete: () => void;
+  onClearSelection: () => void;
+}
+
+const inputClassName = 'px-2 py-1 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500';
+const applyButtonClassName = 'px-2 py-1 bg-indigo-600 text-white rounded-md text-sm hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed';
+
+// Actions applied to every selected task at once.
+const BulkActionBar: React.FC<BulkActionBarProps> = ({
+  selectedCount,
+  assignees,
+  onSetAssignee,
+  onSetProgress,
+  onShift,
+  onDuplicate,
+  onDelete,
+  onClearSelection,
+}) => {
+  const { language } = useLanguage();
+  const t = (key: TranslationKey) => translations[key][language];
+  const assigneeListId = useId();
+
+  const [assignee, setAssignee] = useState('');
+  const [progress, setProgress] = useState('');
+  const [shiftDays, setShiftDays] = useState('');
+
+  const progressValue = parseInt(progress, 10);
+  const shiftValue = parseInt(shiftDays, 10);
+
+  return (
+    <div className="mb-2 p-2 flex flex-wrap items-center gap-x-4 gap-y-2 rounded-lg bg-indigo-50 border border-indigo-200 text-sm text-slate-700">
+      <span className="font-semibold text-indigo-700">{t('selectedTaskCount').replace('{count}', `${selectedCount}`)}</span>
+      <form
+        className="flex items-center gap-1"
+        onSubmit={e => {
+          e.preventDefault();
+          onSetAssignee(assignee.trim());
+        }}
+      >
+        <label className="text-slate-600">{t('assignee')}</label>
+        <input
+          type="text"
+          value={assignee}
+          onChange={e => setAssignee(e.target.value)}
+          list={assigneeListId}
+          className={`${inputClassName} w-32`}
+        />
+        <datalist id={assigneeListId}>
+          {assignees.map(name => <option key={name} value={name} />)}
+        </datalist>
+        <button type="submit" className={applyButtonClassName}>{t('apply')}</button>
+      </form>
+      <form
+        className="flex items-center gap-1"
+        onSubmit={e => {
+          e.preventDefault();
+          if (!isNaN(progressValue)) onSetProgress(progressValue);
+        }}
+      >
+        <label className="text-slate-600">{t('progress')}</label>
+        <input
+          type="number"
+          min={0}
+          max={100}
+          value={progress}
+          onChange={e => setProgress(e.target.value)}
+          className={`${inputClassName} w-20`}
+        />
+        <span>%</span>
+        <button type="submit" disabled={isNaN(progressValue)} className={applyButtonClassName}>{t('apply')}</button>
+      </form>
+      <form
+        className="flex items-center gap-1"
+        onSubmit={e => {
+          e.preventDefault();
+          if (!isNaN(shiftValue)) onShift(shiftValue);
+        }}
+      >
+        <label className="text-slate-600" title={t('shiftByWorkingDaysDesc')}>{t('shiftByWorkingDays')}</label>
+        <input
+          type="number"
+          step={1}
+          value={shiftDays}
+          onChange={e => setShiftDays(e.target.value)}
+          className={`${inputClassName} w-20`}
+        />
+        <button type="submit" disabled={isNaN(shiftValue) || shiftValue === 0} className={applyButtonClassName}>{t('apply')}</button>
+      </form>
+      <div className="flex items-center gap-1 ml-auto">
+        <button onClick={onDuplicate} className="p-2 rounded-full text-gray-500 hover:bg-indigo-100 hover:text-gray-700 transition-colors" title={t('duplicateSelectedTasks')}>
+          <DuplicateIcon className="w-5 h-5" />
+        </button>
+        <button onClick={onDelete} className="p-2 rounded-full text-gray-500 hover:bg-red-100 hover:text-red-600 transition-colors" title={t('deleteSelectedTasks')}>
+          <TrashIcon className="w-5 h-5" />
+        </button>
+        <button onClick={onClearSelection} className="p-2 rounded-full text-gray-500 hover:bg-indigo-100 hover:text-gray-700 transition-colors" title={t('clearSelection')}>
+          <XIcon className="w-5 h-5" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { useLanguage } from '../contexts/LanguageContext.tsx';
+import { translations, TranslationKey } from '../lib/translations.ts';
+import XIcon from './icons/XIcon.tsx';
+
+interface CalendarExportModalProps {
+  assignees: string[];
+  onExport: (assignee: string | null) => void;
+  onClose: () => void;
+}
+
+const ALL_ASSIGNEES = '';
+
+const CalendarExportModal: React.FC<CalendarExportModalProps> = ({ assignees, onExport, onClose }) => {
+  const { language } = useLanguage();
+  const t = (key: TranslationKey) => translations[key][language];
+
+  const [assignee, setAssignee] = useState(ALL_ASSIGNEES);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-md m-4" onClick={e => e.stopPropagation()}>
+        <div className="p-4 sm:p-5 border-b flex justify-between items-center">
+          <h2 className="text-xl font-bold text-slate-800">{t('exportIcs')}</h2>
+          <button onClick={onClose} className="p-1 rounded-full text-gray-400 hover:bg-gray-200 hover:text-gray-600">
+            <XIcon className="w-5 h-5" />
+          </button>
+        </div>
+        <div className="p-4 sm:p-5 space-y-2">
+          <p className="text-sm text-slate-500">{t('exportIcsDesc')}</p>
+          <label className="block text-sm font-medium text-slate-600">
+            {t('assignee')}
+            <select
+              value={assignee}
+              onChange={e => setAssignee(e.target.value)}
+              className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500"
+            >
+              <option value={ALL_ASSIGNEES}>{t('allAssignees')}</option>
+              {assignees.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <div className="p-4 bg-slate-50 flex justify-end space-x-2 rounded-b-lg">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-white border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+          >
+            {t('cancel')}
+          </button>
+          <button
+            onClick={() => onExport(assignee === ALL_ASSIGNEES ? null : assignee)}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+          >
+            {t('export')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CalendarExportModal;
@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import { useLanguage } from '../contexts/LanguageContext.tsx';
+import { translations, TranslationKey } from '../lib/translations.ts';
+import type { CollabSettings, CollabStatus, CollabPeer, Task } from '../types.ts';
+import XIcon from './icons/XIcon.tsx';
+
+interface CollaborationModalProps {
+  settings: CollabSettings | null;
+  defaultRoom: string;
+  status: CollabStatus;
+  peers: CollabPeer[];
+  tasks: Task[];
+  onConnect: (settings: CollabSettings) => void;
+  onDisconnect: () => void;
+  onClose: () => void;
+}
+
+const DEFAULT_SERVER_URL = 'ws://localhost:8787';
+
+const STATUS_LABEL_KEYS: Record<CollabStatus, TranslationKey> = {
+  off: 'collabStatusOff',
+  connecting: 'collabStatusConnecting',
+  online: 'collabStatusOnline',
+  offline: 'collabStatusOffline',
+};
+
+export const COLLAB_STATUS_COLORS: Record<CollabStatus, string> = {
+  off: 'bg-gray-300',
+  connecting: 'bg-amber-400',
+  online: 'bg-emerald-500',
+  offline: 'bg-red-500',
+};
+
+const CollaborationModal: React.FC<CollaborationModalProps> = ({
+  settings,
+  defaultRoom,
+  status,
+  peers,
+  tasks,
+  onConnect,
+  onDisconnect,
+  onClose,
+}) => {
+  const { language } = useLanguage();
+  const t = (key: TranslationKey) => translations[key][language];
+
+  const [serverUrl, setServerUrl] = useState(settings?.serverUrl || DEFAULT_SERVER_URL);
+  const [room, setRoom] = useState(settings?.room || defaultRoom);
+  const [userName, setUserName] = useState(settings?.userName || '');
+  const isConnected = status !== 'off';
+  const canConnect = serverUrl.trim() !== '' && room.trim() !== '' && userName.trim() !== '';
+
+  const handleConnect = () => {
+    if (!canConnect) return;
+    onConnect({ serverUrl: serverUrl.trim(), room: room.trim(), userName: userName.trim(), enabled: true });
+  };
+
+  const getTaskName = (taskId: string | null) => (taskId ? tasks.find(task => task.id === taskId)?.name : undefined);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-lg m-4" onClick={e => e.stopPropagation()}>
+        <div className="p-4 sm:p-5 border-b flex justify-between items-center">
+          <div>
+            <h2 className="text-xl font-bold text-slate-800">{t('collaboration')}</h2>
+            <p className="text-sm text-slate-500">{t('collaborationDesc')}</p>
+          </div>
+          <button onClick={onClose} className="p-1 rounded-full text-gray-400 hover:bg-gray-200 hover:text-gray-600">
+            <XIcon className="w-5 h-5" />
+          </button>
+        </div>
+        <div className="p-4 sm:p-5 space-y-4">
+          <div>
+            <label htmlFor="collabServerUrl" className="block text-sm font-medium text-gray-700 mb-1">{t('collabServerUrl')}</label>
+            <input
+              id="collabServerUrl"
+              type="text"
+              value={serverUrl}
+              onChange={e => setServerUrl(e.target.value)}
+              disabled={isConnected}
+              placeholder={DEFAULT_SERVER_URL}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500 disabled:bg-gray-100"
+            />
+          </div>
+          <div>
+            <label htmlFor="collabRoom" className="block text-sm font-medium text-gray-700 mb-1">{t('collabRoom')}</label>
+            <input
+              id="collabRoom"
+              type="text"
+              value={room}
+              onChange={e => setRoom(e.target.value)}
+              disabled={isConnected}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500 disabled:bg-gray-100"
+            />
+            <p className="mt-1 text-xs text-slate-500">{t('collabRoomDesc')}</p>
+          </div>
+          <div>
+            <label htmlFor="collabUserName" className="block text-sm font-medium text-gray-700 mb-1">{t('collabUserName')}</label>
+            <input
+              id="collabUserName"
+              type="text"
+              value={userName}
+              onChange={e => setUserName(e.target.value)}
+              disabled={isConnected}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500 disabled:bg-gray-100"
+            />
+          </div>
+          {!isConnected && (
+            <p className="text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded-md px-3 py-2">{t('collabJoinWarning')}</p>
+          )}
+          <div className="flex items-center justify-between gap-3">
+            <div className="flex items-center gap-2 text-sm text-slate-600 min-w-0">
+              <span className={`w-2.5 h-2.5 flex-shrink-0 rounded-full ${COLLAB_STATUS_COLORS[status]}`} />
+              <span>{t(STATUS_LABEL_KEYS[status])}</span>
+            </div>
+            {isConnected ? (
+              <button
+                onClick={onDisconnect}
+                className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 flex-shrink-0"
+              >
+                {t('collabDisconnect')}
+              </button>
+            ) : (
+              <button
+                onClick={handleConnect}
+                disabled={!canConnect}
+                title={canConnect ? undefined : t('collabMissingFields')}
+                className="px-4 py-2 bg-indigo-600 text-white rounded-md text-sm font-medium hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed flex-shrink-0"
+              >
+                {t('collabConnect')}
+              </button>
+            )}
+          </div>
+        </div>
+        {isConnected && (
+          <div className="border-t">
+            <h3 className="px-4 sm:px-5 pt-3 text-sm font-semibold text-slate-700">{t('collabOnlineUsers')}</h3>
+            <ul className="max-h-48 overflow-y-auto px-4 sm:px-5 py-2 space-y-1">
+              {peers.length === 0 && <li className="text-sm text-slate-400">{t('collabNoOtherUsers')}</li>}
+              {peers.map(peer => (
+                <li key={peer.clientId} className="flex items-center gap-2 text-sm text-slate-700">
+                  <span className="w-2.5 h-2.5 flex-shrink-0 rounded-full" style={{ backgroundColor: peer.color }} />
+                  <span className="font-medium truncate">{peer.name}</span>
+                  {getTaskName(peer.taskId) !== undefined && (
+                    <span className="text-slate-500 truncate">{t('collabEditing')}: {getTaskName(peer.taskId)}</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CollaborationModal;
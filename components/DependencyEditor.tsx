@@ -0,0 +1,96 @@
+import React, { useId } from 'react';
+import { useLanguage } from '../contexts/LanguageContext.tsx';
+import { translations, TranslationKey } from '../lib/translations.ts';
+import type { DependencyType, TaskDependency } from '../types.ts';
+import XIcon from './icons/XIcon.tsx';
+
+interface DependencyEditorProps {
+  dependency: TaskDependency;
+  predecessorName: string;
+  successorName: string;
+  x: number;
+  y: number;
+  onChange: (changes: Partial<TaskDependency>) => void;
+  onDelete: () => void;
+  onClose: () => void;
+}
+
+const DEPENDENCY_TYPES: { type: DependencyType; key: TranslationKey }[] = [
+  { type: 'FS', key: 'finishToStart' },
+  { type: 'SS', key: 'startToStart' },
+  { type: 'FF', key: 'finishToFinish' },
+];
+
+const DependencyEditor: React.FC<DependencyEditorProps> = ({
+  dependency,
+  predecessorName,
+  successorName,
+  x,
+  y,
+  onChange,
+  onDelete,
+  onClose,
+}) => {
+  const { language } = useLanguage();
+  const t = (key: TranslationKey) => translations[key][language];
+  const fieldId = useId();
+
+  const handleLagChange = (value: string) => {
+    const lag = parseInt(value, 10);
+    onChange({ lag: isNaN(lag) ? 0 : lag });
+  };
+
+  return (
+    <div
+      data-dependency-editor
+      className="fixed w-64 bg-white border border-gray-300 rounded-lg shadow-xl z-50 font-sans"
+      style={{ top: y + 8, left: x + 8 }}
+    >
+      <div className="px-3 py-2 border-b flex justify-between items-center">
+        <h3 className="text-sm font-semibold text-slate-800">{t('dependency')}</h3>
+        <button onClick={onClose} className="p-1 rounded-full text-gray-400 hover:bg-gray-200 hover:text-gray-600" title={t('close')}>
+          <XIcon className="w-4 h-4" />
+        </button>
+      </div>
+      <div className="p-3 space-y-3">
+        <p className="text-xs text-slate-600 truncate">
+          {predecessorName} → {successorName}
+        </p>
+        <div>
+          <label htmlFor={`${fieldId}-dependencyType`} className="block text-xs font-medium text-gray-700 mb-1">{t('dependencyType')}</label>
+          <select
+            id={`${fieldId}-dependencyType`}
+            value={dependency.type}
+            onChange={e => onChange({ type: e.target.value as DependencyType })}
+            className="w-full px-2 py-1 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            {DEPENDENCY_TYPES.map(({ type, key }) => (
+              <option key={type} value={type}>{t(key)}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor={`${fieldId}-dependencyLag`} className="block text-xs font-medium text-gray-700 mb-1">{t('lagDays')}</label>
+          <input
+            id={`${fieldId}-dependencyLag`}
+            type="number"
+            value={dependency.lag}
+            onChange={e => handleLagChange(e.target.value)}
+            onFocus={e => e.target.select()}
+            className="w-full px-2 py-1 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500"
+          />
+        </div>
+      </div>
+      <div className="px-3 py-2 bg-slate-50 flex justify-end rounded-b-lg">
+        <button
+          onClick={onDelete}
+          className="px-3 py-1 bg-red-600 text-white rounded-md text-xs font-medium hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
+        >
+          {t('deleteDependency')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DependencyEditor;
@@ -0,0 +1,166 @@
+import React, { forwardRef } from 'react';
+import { formatDateUTC } from '../lib/dateUtils.ts';
+import { EARNED_VALUE_COLORS, EarnedValueReport } from '../lib/earnedValue.ts';
+
+// Plain SVG with inline attributes only (no Tailwind classes), so the charts can be saved as
+// standalone SVG/PNG files exactly as they appear.
+
+const PLANNED_COLOR = EARNED_VALUE_COLORS.planned;
+const EARNED_COLOR = EARNED_VALUE_COLORS.earned;
+const AXIS_COLOR = '#94a3b8';
+const GRID_COLOR = '#e2e8f0';
+const TEXT_COLOR = '#475569';
+const FONT_FAMILY = 'sans-serif';
+const MAX_MONTH_LABELS = 12;
+
+interface SCurveChartProps {
+  report: EarnedValueReport;
+  statusTime: number;
+  statusLineColor: string;
+  labels: { planned: string; earned: string; statusDate: string };
+}
+
+const S_CURVE_WIDTH = 720;
+const S_CURVE_HEIGHT = 320;
+const S_CURVE_PADDING = { top: 28, right: 16, bottom: 28, left: 40 };
+
+export const SCurveChart = forwardRef<SVGSVGElement, SCurveChartProps>(({ report, statusTime, statusLineColor, labels }, ref) => {
+  const { points } = report;
+  const plotWidth = S_CURVE_WIDTH - S_CURVE_PADDING.left - S_CURVE_PADDING.right;
+  const plotHeight = S_CURVE_HEIGHT - S_CURVE_PADDING.top - S_CURVE_PADDING.bottom;
+  const firstTime = points[0]?.time ?? 0;
+  const lastTime = points[points.length - 1]?.time ?? 0;
+  const span = Math.max(1, lastTime - firstTime);
+  const toX = (time: number) => S_CURVE_PADDING.left + ((time - firstTime) / span) * plotWidth;
+  const toY = (percent: number) => S_CURVE_PADDING.top + plotHeight - (percent / 100) * plotHeight;
+
+  const plannedPath = points.map(point => `${toX(point.time).toFixed(1)},${toY(point.planned).toFixed(1)}`).join(' ');
+  const earnedPath = points
+    .filter(point => point.earned !== null)
+    .map(point => `${toX(point.time).toFixed(1)},${toY(point.earned!).toFixed(1)}`)
+    .join(' ');
+
+  const monthStarts = points.filter(point => new Date(point.time).getUTCDate() === 1);
+  const monthStep = Math.ceil(monthStarts.length / MAX_MONTH_LABELS) || 1;
+  const isStatusVisible = points.length > 0 && statusTime >= firstTime && statusTime <= lastTime;
+
+  return (
+    <svg
+      ref={ref}
+      xmlns="http://www.w3.org/2000/svg"
+      viewBox={`0 0 ${S_CURVE_WIDTH} ${S_CURVE_HEIGHT}`}
+      width="100%"
+      fontFamily={FONT_FAMILY}
+      fontSize={11}
+    >
+      <rect x={0} y={0} width={S_CURVE_WIDTH} height={S_CURVE_HEIGHT} fill="#ffffff" />
+      {[0, 20, 40, 60, 80, 100].map(percent => (
+        <g key={percent}>
+          <line x1={S_CURVE_PADDING.left} x2={S_CURVE_WIDTH - S_CURVE_PADDING.right} y1={toY(percent)} y2={toY(percent)} stroke={GRID_COLOR} />
+          <text x={S_CURVE_PADDING.left - 6} y={toY(percent)} textAnchor="end" dominantBaseline="middle" fill={TEXT_COLOR}>{percent}%</text>
+        </g>
+      ))}
+      {monthStarts.map((point, index) => index % monthStep === 0 && (
+        <g key={point.time}>
+          <line x1={toX(point.time)} x2={toX(point.time)} y1={S_CURVE_PADDING.top} y2={S_CURVE_PADDING.top + plotHeight} stroke={GRID_COLOR} />
+          <text x={toX(point.time)} y={S_CURVE_HEIGHT - 10} textAnchor="middle" fill={TEXT_COLOR}>
+            {formatDateUTC(new Date(point.time)).slice(0, 7)}
+          </text>
+        </g>
+      ))}
+      <line
+        x1={S_CURVE_PADDING.left}
+        x2={S_CURVE_WIDTH - S_CURVE_PADDING.right}
+        y1={toY(0)}
+        y2={toY(0)}
+        stroke={AXIS_COLOR}
+      />
+      <polyline points={plannedPath} fill="none" stroke={PLANNED_COLOR} strokeWidth={2} strokeDasharray="6 4" />
+      {earnedPath && <polyline points={earnedPath} fill="none" stroke={EARNED_COLOR} strokeWidth={2.5} />}
+      {isStatusVisible && (
+        <g>
+          <line
+            x1={toX(statusTime)}
+            x2={toX(statusTime)}
+            y1={S_CURVE_PADDING.top}
+            y2={S_CURVE_PADDING.top + plotHeight}
+            stroke={statusLineColor}
+            strokeDasharray="3 3"
+          />
+          <text x={toX(statusTime)} y={S_CURVE_PADDING.top - 6} textAnchor="middle" fill={statusLineColor}>
+            {labels.statusDate} {formatDateUTC(new Date(statusTime))}
+          </text>
+        </g>
+      )}
+      <g transform={`translate(${S_CURVE_PADDING.left + 8}, ${S_CURVE_PADDING.top + 10})`}>
+        <line x1={0} x2={20} y1={0} y2={0} stroke={PLANNED_COLOR} strokeWidth={2} strokeDasharray="6 4" />
+        <text x={26} y={0} dominantBaseline="middle" fill={TEXT_COLOR}>{labels.planned}</text>
+        <line x1={0} x2={20} y1={16} y2={16} stroke={EARNED_COLOR} strokeWidth={2.5} />
+        <text x={26} y={16} dominantBaseline="middle" fill={TEXT_COLOR}>{labels.earned}</text>
+      </g>
+    </svg>
+  );
+});
+
+interface AssigneeProgressChartProps {
+  report: EarnedValueReport;
+  labels: { unassigned: string; planned: string; earned: string };
+}
+
+const ASSIGNEE_CHART_WIDTH = 720;
+const ASSIGNEE_ROW_HEIGHT = 28;
+const ASSIGNEE_LABEL_WIDTH = 140;
+const ASSIGNEE_VALUE_WIDTH = 110;
+const ASSIGNEE_HEADER_HEIGHT = 24;
+
+// One bar per assignee: the share of their work done, with a tick where the plan says they should be.
+export const AssigneeProgressChart = forwardRef<SVGSVGElement, AssigneeProgressChartProps>(({ report, labels }, ref) => {
+  const barX = ASSIGNEE_LABEL_WIDTH;
+  const barWidth = ASSIGNEE_CHART_WIDTH - ASSIGNEE_LABEL_WIDTH - ASSIGNEE_VALUE_WIDTH;
+  const height = ASSIGNEE_HEADER_HEIGHT + report.assignees.length * ASSIGNEE_ROW_HEIGHT + 8;
+
+  return (
+    <svg
+      ref={ref}
+      xmlns="http://www.w3.org/2000/svg"
+      viewBox={`0 0 ${ASSIGNEE_CHART_WIDTH} ${height}`}
+      width="100%"
+      fontFamily={FONT_FAMILY}
+      fontSize={11}
+    >
+      <rect x={0} y={0} width={ASSIGNEE_CHART_WIDTH} height={height} fill="#ffffff" />
+      <g transform={`translate(${barX}, 12)`}>
+        <rect x={0} y={-5} width={14} height={10} fill={EARNED_COLOR} />
+        <text x={20} y={0} dominantBaseline="middle" fill={TEXT_COLOR}>{labels.earned}</text>
+        <line x1={110} x2={110} y1={-7} y2={7} stroke={PLANNED_COLOR} strokeWidth={2} />
+        <text x={118} y={0} dominantBaseline="middle" fill={TEXT_COLOR}>{labels.planned}</text>
+      </g>
+      {report.assignees.map((entry, index) => {
+        const y = ASSIGNEE_HEADER_HEIGHT + index * ASSIGNEE_ROW_HEIGHT;
+        const earnedPercent = entry.total > 0 ? (entry.earned / entry.total) * 100 : 0;
+        const plannedPercent = entry.total > 0 ? (entry.planned / entry.total) * 100 : 0;
+        const name = entry.assignee || labels.unassigned;
+        return (
+          <g key={entry.assignee || '\u0000'}>
+            <text x={ASSIGNEE_LABEL_WIDTH - 8} y={y + ASSIGNEE_ROW_HEIGHT / 2} textAnchor="end" dominantBaseline="middle" fill={TEXT_COLOR}>
+              {name.length > 18 ? `${name.slice(0, 17)}…` : name}
+            </text>
+            <rect x={barX} y={y + 6} width={barWidth} height={ASSIGNEE_ROW_HEIGHT - 12} fill={GRID_COLOR} rx={2} />
+            <rect x={barX} y={y + 6} width={(earnedPercent / 100) * barWidth} height={ASSIGNEE_ROW_HEIGHT - 12} fill={EARNED_COLOR} rx={2} />
+            <line
+              x1={barX + (plannedPercent / 100) * barWidth}
+              x2={barX + (plannedPercent / 100) * barWidth}
+              y1={y + 3}
+              y2={y + ASSIGNEE_ROW_HEIGHT - 3}
+              stroke={PLANNED_COLOR}
+              strokeWidth={2}
+            />
+            <text x={barX + barWidth + 8} y={y + ASSIGNEE_ROW_HEIGHT / 2} dominantBaseline="middle" fill={TEXT_COLOR}>
+              {Math.round(earnedPercent)}% / {Math.round(plannedPercent)}%
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+});
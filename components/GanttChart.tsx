@@ -1,6 +1,6 @@
 
-import React, { useState, useMemo, useCallback, useEffect, useRef } from 'react';
-import type { Task } from '../types.ts';
+import React, { useState, useMemo, useCallback, useEffect, useRef, useId, forwardRef, useImperativeHandle } from 'react';
+import type { Task, TaskDependency, DependencyType, Baseline, ProgressSnapshot, TaskSort, TaskSortKey, CustomField, TaskCategory, CollabPeer } from '../types.ts';
 import PlusIcon from './icons/PlusIcon.tsx';
 import TrashIcon from './icons/TrashIcon.tsx';
 import CalendarIcon from './icons/CalendarIcon.tsx';
@@ -9,19 +9,71 @@ import { useLanguage } from '../contexts/LanguageContext.tsx';
 import { translations, TranslationKey } from '../lib/translations.ts';
 import GripVerticalIcon from './icons/GripVerticalIcon.tsx';
 import DuplicateIcon from './icons/DuplicateIcon.tsx';
+import DependencyEditor from './DependencyEditor.tsx';
+import TaskColorEditor from './TaskColorEditor.tsx';
+import ChevronRightIcon from './icons/ChevronRightIcon.tsx';
+import IndentIcon from './icons/IndentIcon.tsx';
+import OutdentIcon from './icons/OutdentIcon.tsx';
+import DiamondIcon from './icons/DiamondIcon.tsx';
+import { getVisibleTasks, getTaskDepths, getParentIds } from '../lib/taskTree.ts';
+import { getBaselineVariance } from '../lib/baselines.ts';
+import { getProgressLinePosition, toDayPosition } from '../lib/progressLine.ts';
+import { getSnapshotTask } from '../lib/progressHistory.ts';
+import { calculateResourceLoads, groupTasksByAssignee } from '../lib/resources.ts';
+import { calculateTotalFloat, isCriticalFloat } from '../lib/criticalPath.ts';
+import { formatPredecessors, parsePredecessors } from '../lib/dependencies.ts';
+import { createTaskComparator, sortTaskTree } from '../lib/taskFilter.ts';
+import { getCustomFieldSortKey, getCustomValue, formatCustomValue, parseCustomValueInput } from '../lib/customFields.ts';
+import { getTaskBarColors, getBarPatternStyle, getReadableTextColor } from '../lib/taskColors.ts';
+import {
+  ZOOM_LEVELS,
+  TIMESCALE_CONFIGS,
+  getTimescalePeriods,
+  formatPeriodLabel,
+  snapDateToUnit,
+  getSnappedRange,
+  getTimeSnapMinutes,
+} from '../lib/timescale.ts';
+import { getTaskStart, getTaskEnd, compareDateTimes, calculateTaskDuration, formatDuration, getDayFraction, DateTime } from '../lib/workingHours.ts';
+import ResourcePanel from './ResourcePanel.tsx';
+import { useScrollViewport } from '../hooks/useScrollViewport.ts';
+import { getVisibleRange, isInRange, overlapsRange, getDateColumnIndex } from '../lib/virtualization.ts';
 import { 
     parseUTCDateString, 
     formatDateUTC, 
     addDaysUTC, 
     getDatesInRange,
-    calculateWorkingDays,
+    formatTime,
+    isNonWorkingDay,
+    getWorkingSegments,
+    WorkingCalendar,
 } from '../lib/dateUtils.ts';
 
 
-const ZOOM_LEVELS = [8, 12, 18, 24, 40, 64];
 
 type DragActionType = 'move' | 'resize-start' | 'resize-end';
 
+type BarSide = 'start' | 'end';
+
+const DAY_IN_MS = 1000 * 3600 * 24;
+const SUMMARY_BAR_COLOR = '#64748b';
+const SUMMARY_PROGRESS_COLOR = '#334155';
+const CRITICAL_BAR_COLOR = '#f87171';
+const CRITICAL_PROGRESS_COLOR = '#dc2626';
+const MILESTONE_SIZE = 16;
+const LINK_ARROW_GAP = 8;
+const TASK_BAR_HEIGHT = 32; // h-8
+// Rows and timeline pixels rendered beyond the viewport on each side.
+const ROW_OVERSCAN = 8;
+const COLUMN_OVERSCAN_PX = 480;
+
+const getDependencyType = (fromSide: BarSide, toSide: BarSide): DependencyType | null => {
+    if (fromSide === 'end' && toSide === 'start') return 'FS';
+    if (fromSide === 'start' && toSide === 'start') return 'SS';
+    if (fromSide === 'end' && toSide === 'end') return 'FF';
+    return null; // Start-to-finish links are not supported
+};
+
 const getReactEventCoords = (e: React.MouseEvent | React.TouchEvent) => {
     if ('touches' in e) {
         return { clientX: e.touches[0].clientX, clientY: e.touches[0].clientY };
@@ -52,7 +104,12 @@ interface GanttChartProps {
   creatorName: string;
   setCreatorName: React.Dispatch<React.SetStateAction<string>>;
   tasks: Task[];
-  holidays: Set<number>;
+  filteredTasks: Task[]; // `tasks` narrowed down by the filter bar, in manual order
+  customFields: CustomField[];
+  categories: TaskCategory[];
+  taskSort: TaskSort | null;
+  onTaskSortChange: (sort: TaskSort | null) => void;
+  workingCalendar: WorkingCalendar;
   columnVisibility: {
     assignee: boolean;
     startDate: boolean;
@@ -60,19 +117,33 @@ interface GanttChartProps {
     duration: boolean;
     progress: boolean;
     manHours: boolean;
+    variance: boolean;
+    float: boolean;
+    times: boolean;
+    predecessors: boolean;
   };
   zoomIndex: number;
   progressLineDate: string | null;
+  progressSnapshots?: ProgressSnapshot[]; // Recorded status dates drawn as extra progress lines
+  baseline: Baseline | null;
   baseColor: string;
   progressColor: string;
   textColor: string;
   progressLineColor: string;
   rowHeight: number;
+  dailyCapacity: number;
+  showResourcePanel: boolean;
+  groupByAssignee: boolean;
+  selectedTaskIds: Set<string>;
+  onSelectionChange: (taskIds: Set<string>) => void;
   onDeleteAllTasks: () => void;
   onAddTask: () => void;
   onDeleteTask: (id: string) => void;
   onDuplicateTask: (id: string) => void;
+  onInsertTask: (afterTaskId: string) => string;
+  onTaskNudge: (taskId: string, actionType: DragActionType, direction: 1 | -1) => void;
   onTaskChange: (id: string, field: keyof Task, value: string | number | undefined) => void;
+  onCustomValueChange: (taskId: string, fieldId: string, value: string | number | undefined) => void;
   onDurationChange: (task: Task, newDurationStr: string) => void;
   onProgressChange: (taskId: string, newProgressStr: string) => void;
   onManHoursChange: (taskId: string, newManHoursStr: string) => void;
@@ -84,10 +155,41 @@ interface GanttChartProps {
     initialEndDate: Date,
     dayOffset: number
   ) => void;
+  // Hour timescale drags: `minuteOffset` is in timeline minutes, already snapped to `snapMinutes`.
+  onTaskTimeDragUpdate: (
+    taskId: string,
+    actionType: DragActionType,
+    initialStart: DateTime,
+    initialEnd: DateTime,
+    minuteOffset: number,
+    snapMinutes: number
+  ) => void;
+  onDragGestureStart: () => void;
+  onDragGestureEnd: () => void;
   onTaskReorder: (draggedTaskId: string, dropIndex: number) => void;
+  onIndentTask: (taskId: string) => void;
+  onOutdentTask: (taskId: string) => void;
+  onToggleCollapse: (taskId: string) => void;
+  onToggleMilestone: (taskId: string) => void;
+  onAddDependency: (predecessorId: string, successorId: string, type: DependencyType) => void;
+  onDependencyChange: (successorId: string, predecessorId: string, changes: Partial<TaskDependency>) => void;
+  onDeleteDependency: (successorId: string, predecessorId: string) => void;
+  onDependenciesSet: (taskId: string, dependencies: TaskDependency[]) => boolean; // False when a link would close a loop
+  onToggleNonWorkingDate?: (date: string) => void; // Date headers toggle working days only when given
+  onTimelineViewportWidthChange: (width: number) => void;
+  remoteEditors?: Map<string, CollabPeer[]>; // Collaborators by the task they are editing
+  onActiveTaskChange?: (taskId: string | null) => void;
+  readOnly?: boolean; // Tasks can be viewed, selected, sorted and expanded, but not edited
+  embedded?: boolean; // Fills its host element and leaves the project fields to the host page
 }
 
-const GanttChart: React.FC<GanttChartProps> = ({
+// Imperative access for pages embedding the chart. Both return false when the date or task is not shown.
+export interface GanttChartHandle {
+  scrollToDate: (date: string) => boolean;
+  scrollToTask: (taskId: string) => boolean;
+}
+
+const GanttChart = forwardRef<GanttChartHandle, GanttChartProps>(({
   projectName,
   setProjectName,
   projectStart,
@@ -99,31 +201,64 @@ const GanttChart: React.FC<GanttChartProps> = ({
   creatorName,
   setCreatorName,
   tasks,
-  holidays,
+  filteredTasks,
+  customFields,
+  categories,
+  taskSort,
+  onTaskSortChange,
+  workingCalendar,
   columnVisibility,
   zoomIndex,
   progressLineDate,
+  progressSnapshots = [],
+  baseline,
   baseColor,
   progressColor,
   textColor,
   progressLineColor,
   rowHeight,
+  dailyCapacity,
+  showResourcePanel,
+  groupByAssignee,
+  selectedTaskIds,
+  onSelectionChange,
   onDeleteAllTasks,
   onAddTask,
   onDeleteTask,
   onDuplicateTask,
+  onInsertTask,
+  onTaskNudge,
   onTaskChange,
+  onCustomValueChange,
   onDurationChange,
   onProgressChange,
   onManHoursChange,
   onTaskDateSet,
   onTaskDragUpdate,
+  onTaskTimeDragUpdate,
+  onDragGestureStart,
+  onDragGestureEnd,
   onTaskReorder,
-}) => {
+  onIndentTask,
+  onOutdentTask,
+  onToggleCollapse,
+  onToggleMilestone,
+  onAddDependency,
+  onDependencyChange,
+  onDeleteDependency,
+  onDependenciesSet,
+  onToggleNonWorkingDate,
+  onTimelineViewportWidthChange,
+  remoteEditors,
+  onActiveTaskChange,
+  readOnly = false,
+  embedded = false,
+}, ref) => {
   const { language } = useLanguage();
   const t = useCallback((key: TranslationKey) => {
     return translations[key][language];
   }, [language]);
+  const canToggleNonWorkingDates = !readOnly && !!onToggleNonWorkingDate;
 
   const [activeCalendar, setActiveCalendar] = useState<{ type: string; taskId?: string, position: 'top' | 'bottom' } | null>(null);
   
@@ -133,8 +268,17 @@ const GanttChart: React.FC<GanttChartProps> = ({
   const taskDetailsHeaderRef = useRef<HTMLDivElement>(null);
   const ganttGridRef = useRef<HTMLDivElement>(null);
 
-  const [dragPreview, setDragPreview] = useState<{ taskId: string; start: string; end: string; } | null>(null);
+  // `anchor` is the day the pointer went down on; `start`/`end` are the range snapped to the timescale.
+  const [dragPreview, setDragPreview] = useState<{ taskId: string; anchor: string; start: string; end: string; } | null>(null);
   const [tooltip, setTooltip] = useState<{ visible: boolean; x: number; y: number; content: string } | null>(null);
+  // Cell to focus once the rows have re-rendered, e.g. the name of a row that was just inserted.
+  const [pendingFocus, setPendingFocus] = useState<{ taskId?: string; rowIndex?: number; cell: string } | null>(null);
+  const [announcedTaskId, setAnnouncedTaskId] = useState<string | null>(null);
+  const gridHelpId = useId();
+  const barHelpId = useId();
+  // Ids are per instance so that several charts can share a page; `:` is not allowed in SVG url() references.
+  const fieldId = useId();
+  const arrowheadId = `dependency-arrowhead${useId().replace(/:/g, '')}`;
   
   const [dragAction, setDragAction] = useState<{
     type: DragActionType;
@@ -142,10 +286,47 @@ const GanttChart: React.FC<GanttChartProps> = ({
     initialX: number;
     initialStartDate: Date;
     initialEndDate: Date;
+    initialStart: DateTime; // Start and end with their times, for the hour timescale
+    initialEnd: DateTime;
   } | null>(null);
 
   const [reorderState, setReorderState] = useState<{ draggedTaskId: string; dropIndex: number | null } | null>(null);
+  const [linkDrag, setLinkDrag] = useState<{
+    fromTaskId: string;
+    fromSide: BarSide;
+    startX: number;
+    startY: number;
+    currentX: number;
+    currentY: number;
+  } | null>(null);
+  // Rubber-band selection rectangle, in grid content coordinates.
+  const [selectionBox, setSelectionBox] = useState<{
+    startX: number;
+    startY: number;
+    currentX: number;
+    currentY: number;
+    initialSelection: Set<string>; // Selection to add to (Ctrl/Shift held), otherwise empty
+  } | null>(null);
+  const selectionAnchorRef = useRef<string | null>(null);
+  const [dependencyEditor, setDependencyEditor] = useState<{ successorId: string; predecessorId: string; x: number; y: number } | null>(null);
+  const [colorEditor, setColorEditor] = useState<{ taskId: string; x: number; y: number } | null>(null);
+
+  // The task the user is working on: the one being dragged, or the one whose row cell or bar has focus.
+  const [focusedTaskId, setFocusedTaskId] = useState<string | null>(null);
+  const activeTaskId = dragAction?.taskId ?? focusedTaskId;
+  useEffect(() => {
+    onActiveTaskChange?.(activeTaskId);
+  }, [activeTaskId, onActiveTaskChange]);
+
+  const handleGridFocus = (e: React.FocusEvent<HTMLDivElement>) => {
+    const element = (e.target as HTMLElement).closest<HTMLElement>('[data-row-task-id], [data-bar-task-id]');
+    setFocusedTaskId(element?.dataset.rowTaskId ?? element?.dataset.barTaskId ?? null);
+  };
+  const handleGridBlur = (e: React.FocusEvent<HTMLDivElement>) => {
+    if (!e.currentTarget.contains(e.relatedTarget as Node | null)) setFocusedTaskId(null);
+  };
   const [totalGridWidth, setTotalGridWidth] = useState(0);
+  const [taskDetailsWidth, setTaskDetailsWidth] = useState(0);
 
   const handleInputFocus = (e: React.FocusEvent<HTMLInputElement>) => {
     e.target.select();
@@ -168,7 +349,32 @@ const GanttChart: React.FC<GanttChartProps> = ({
     }
   }, []);
 
-  const dayWidth = useMemo(() => ZOOM_LEVELS[zoomIndex], [zoomIndex]);
+  // The resource panel lines its label column up with the task details column.
+  useEffect(() => {
+    const headerElement = taskDetailsHeaderRef.current;
+    if (!headerElement) return;
+    const observer = new ResizeObserver(() => setTaskDetailsWidth(headerElement.offsetWidth));
+    observer.observe(headerElement);
+    return () => observer.disconnect();
+  }, []);
+
+  // Lets the toolbar's "fit to screen" pick a zoom level for the visible part of the timeline.
+  useEffect(() => {
+    const gridElement = ganttGridRef.current;
+    if (!gridElement) return;
+    const observer = new ResizeObserver(() => onTimelineViewportWidthChange(gridElement.clientWidth - taskDetailsWidth));
+    observer.observe(gridElement);
+    return () => observer.disconnect();
+  }, [taskDetailsWidth, onTimelineViewportWidthChange]);
+
+  const { mode: timescale, dayWidth } = ZOOM_LEVELS[zoomIndex];
+  const timescaleConfig = TIMESCALE_CONFIGS[timescale];
+  // The hour timescale shows one column per day like the day timescale, with the working hours inside.
+  const isHourScale = timescale === 'hour';
+  const isDailyScale = timescale === 'day' || isHourScale;
+  const workdaySpan = workingCalendar.hours.end - workingCalendar.hours.start;
+  const snapMinutes = getTimeSnapMinutes(dayWidth, workdaySpan);
+  const hourLabelWidth = (dayWidth * 60) / workdaySpan;
 
   const openCalendar = useCallback((e: React.MouseEvent, type: string, taskId?: string) => {
     // Per user request, force task-related calendars to always open downwards.
@@ -241,92 +447,105 @@ const GanttChart: React.FC<GanttChartProps> = ({
     return getDatesInRange(start, end);
   }, [projectStart, projectEnd]);
 
-  const getTaskDuration = useCallback((startDateStr: string, endDateStr: string): number => {
-    const start = parseUTCDateString(startDateStr);
-    const end = parseUTCDateString(endDateStr);
-    if (!start || !end) return 0;
-    return calculateWorkingDays(start, end, holidays);
-  }, [holidays]);
-    
-  const getGridPosition = (start: Date, end: Date) => {
-    if (dateArray.length === 0 || end < start) return { gridColumn: '1 / span 1', opacity: 0 };
-
-    const projectStartDate = dateArray[0];
-    const projectEndDate = dateArray[dateArray.length - 1];
-
-    // Find the intersection of the task and project timelines for rendering
-    const renderStart = new Date(Math.max(start.getTime(), projectStartDate.getTime()));
-    const renderEnd = new Date(Math.min(end.getTime(), projectEndDate.getTime()));
-
-    // If there is no intersection, the task is not visible
-    if (renderEnd < renderStart) {
-      return { gridColumn: '1 / span 1', opacity: 0 };
-    }
-
-    const startIndex = dateArray.findIndex(d => d.getTime() === renderStart.getTime());
-    const endIndex = dateArray.findIndex(d => d.getTime() === renderEnd.getTime());
-    
-    if (startIndex === -1 || endIndex === -1) {
-       return { gridColumn: '1 / span 1', opacity: 0 };
-    }
-    
-    return { gridColumn: `${startIndex + 1} / ${endIndex + 2}` };
+  const visibleTasks = useMemo(() => {
+    const compare = taskSort ? createTaskComparator(taskSort, workingCalendar, customFields) : null;
+    if (groupByAssignee) return groupTasksByAssignee(compare ? [...filteredTasks].sort(compare) : filteredTasks);
+    return getVisibleTasks(compare ? sortTaskTree(filteredTasks, compare) : filteredTasks);
+  }, [filteredTasks, taskSort, groupByAssignee, workingCalendar, customFields]);
+  const rowIndexById = useMemo(() => new Map(visibleTasks.map((task, index) => [task.id, index])), [visibleTasks]);
+
+  // Only the rows and day columns around the viewport are rendered; scroll offsets below are
+  // relative to the first row and the first day column.
+  const viewport = useScrollViewport(ganttGridRef);
+  const headerHeight = timelineHeaderRef.current?.offsetHeight || 0;
+  const timelineWidth = dateArray.length * dayWidth;
+  const rowRange = getVisibleRange(viewport.scrollTop, viewport.height - headerHeight, rowHeight, visibleTasks.length, ROW_OVERSCAN);
+  const columnRange = getVisibleRange(
+    viewport.scrollLeft - COLUMN_OVERSCAN_PX,
+    viewport.width - taskDetailsWidth + COLUMN_OVERSCAN_PX * 2,
+    dayWidth,
+    dateArray.length,
+    0
+  );
+  const visibleCustomFields = useMemo(() => customFields.filter(field => field.visible), [customFields]);
+  const categoriesById = useMemo(() => new Map(categories.map(category => [category.id, category])), [categories]);
+  const defaultBarColors = useMemo(() => ({ base: baseColor, progress: progressColor }), [baseColor, progressColor]);
+  // Rows can only be dragged into place or indented while they are shown in their stored order.
+  const isManualOrder = !groupByAssignee && !taskSort;
+  const showVariance = columnVisibility.variance && baseline !== null;
+  // Row numbers follow the manual task order and name predecessors in the predecessor column.
+  const rowNumbers = useMemo(() => new Map(tasks.map((task, index) => [task.id, index + 1])), [tasks]);
+  const [predecessorError, setPredecessorError] = useState<{ taskId: string; messageKey: TranslationKey } | null>(null);
+  const taskDepths = useMemo(() => getTaskDepths(tasks), [tasks]);
+  const summaryTaskIds = useMemo(() => getParentIds(tasks), [tasks]);
+
+  // Where a task starts and ends within its first and last day column (0 to 1); whole days for date-only tasks.
+  const getTaskDayFractions = useCallback((task: Task): { start: number; end: number } => {
+    const start = getTaskStart(task, workingCalendar);
+    const end = getTaskEnd(task, workingCalendar);
+    return {
+      start: start ? getDayFraction(start.minute, workingCalendar) : 0,
+      end: end ? getDayFraction(end.minute, workingCalendar) : 1,
+    };
+  }, [workingCalendar]);
+
+  // Horizontal placement of a bar from `start` to `end` (inclusive), clipped to the project timeline.
+  // The fractions trim the first and last day for tasks with times.
+  const getTimelinePosition = (start: Date, end: Date, startFraction = 0, endFraction = 1): React.CSSProperties => {
+    if (dateArray.length === 0 || end < start) return { left: 0, width: dayWidth, opacity: 0 };
+    const firstIndex = getDateColumnIndex(dateArray[0], start);
+    const lastIndex = getDateColumnIndex(dateArray[0], end);
+    const startIndex = Math.max(0, firstIndex);
+    const endIndex = Math.min(dateArray.length - 1, lastIndex);
+    // Outside the timeline: keep the (focusable) bar in the DOM but hide it.
+    if (endIndex < startIndex) return { left: 0, width: dayWidth, opacity: 0 };
+    const left = (startIndex + (startIndex === firstIndex ? startFraction : 0)) * dayWidth;
+    const right = (endIndex + (endIndex === lastIndex ? endFraction : 1)) * dayWidth;
+    return { left, width: Math.max(2, right - left) };
   };
   
   const getTaskSegments = useCallback((task: Task): {startDate: Date, endDate: Date}[] => {
     const start = parseUTCDateString(task.startDate);
     const end = parseUTCDateString(task.endDate);
     if (!start || !end || end < start) return [];
+    return getWorkingSegments(start, end, workingCalendar);
+  }, [workingCalendar]);
+
+  // Bars being moved or resized update `tasks` directly; a bar being drawn on an empty row only exists
+  // as the drag preview, so it is folded in here to keep the critical path live while dragging.
+  const totalFloats = useMemo(() => {
+    if (!dragPreview) return calculateTotalFloat(tasks, workingCalendar);
+    const [previewStart, previewEnd] = [dragPreview.start, dragPreview.end].sort();
+    const previewTasks = tasks.map(task => (
+      task.id === dragPreview.taskId ? { ...task, startDate: previewStart, endDate: previewEnd } : task
+    ));
+    return calculateTotalFloat(previewTasks, workingCalendar);
+  }, [tasks, dragPreview, workingCalendar]);
+
+  const resourceLoads = useMemo(
+    () => calculateResourceLoads(tasks, workingCalendar, dailyCapacity),
+    [tasks, workingCalendar, dailyCapacity]
+  );
 
-    const segments: {startDate: Date, endDate: Date}[] = [];
-    let segmentStart: Date | null = null;
-    
-    const current = new Date(start.getTime());
-    while(current.getTime() <= end.getTime()){
-      const isHoliday = holidays.has(current.getUTCDay());
-      
-      if(!isHoliday && segmentStart === null){
-        segmentStart = new Date(current.getTime());
-      } else if(isHoliday && segmentStart !== null){
-        const segmentEnd = new Date(current.getTime());
-        segmentEnd.setUTCDate(segmentEnd.getUTCDate() - 1);
-        segments.push({startDate: segmentStart, endDate: segmentEnd});
-        segmentStart = null;
-      }
-      current.setUTCDate(current.getUTCDate() + 1);
-    }
-    
-    if (segmentStart !== null) {
-      segments.push({startDate: segmentStart, endDate: end});
-    }
-
-    return segments;
-  }, [holidays]);
-
-  const monthHeaders = useMemo(() => {
-    const months: { formatted: string; days: number }[] = [];
-    if (dateArray.length === 0) return months;
-
-    let currentMonth = -1;
-    let currentYear = -1;
-
-    dateArray.forEach(date => {
-        const month = date.getUTCMonth();
-        const year = date.getUTCFullYear();
-        if (month !== currentMonth || year !== currentYear) {
-            currentMonth = month;
-            currentYear = year;
-            const formattedString = date.toLocaleString(language === 'ja' ? 'ja-JP' : 'en-US', {
-                year: 'numeric',
-                month: 'long',
-                timeZone: 'UTC',
-            });
-            months.push({ formatted: formattedString, days: 0 });
-        }
-        months[months.length - 1].days++;
-    });
-    return months;
-  }, [dateArray, language]);
+  const upperHeaders = useMemo(() => {
+    const unit = timescaleConfig.tiers[0];
+    return getTimescalePeriods(dateArray, unit).map(period => ({
+      ...period,
+      label: formatPeriodLabel(period.start, unit, language, 'long'),
+    }));
+  }, [dateArray, timescaleConfig, language]);
+
+  // Lower header row for the week/month/quarter timescales; the day and hour timescales use `dateHeaders`.
+  const periodHeaders = useMemo(() => {
+    if (isDailyScale) return [];
+    const unit = timescaleConfig.tiers[1];
+    const upperEndIndexes = new Set(upperHeaders.map(header => header.startIndex + header.span));
+    return getTimescalePeriods(dateArray, unit).map(period => ({
+      ...period,
+      label: formatPeriodLabel(period.start, unit, language, period.span * dayWidth < 40 ? 'narrow' : 'short'),
+      isUpperBoundary: upperEndIndexes.has(period.startIndex + period.span),
+    }));
+  }, [isDailyScale, timescaleConfig, dateArray, upperHeaders, dayWidth, language]);
 
   const dateHeaders = useMemo(() => {
     if (dateArray.length === 0) return [];
@@ -348,6 +567,7 @@ const GanttChart: React.FC<GanttChartProps> = ({
 
       headers.push({
         date,
+        startIndex: i,
         span,
         isLastDayOfMonth,
       });
@@ -355,6 +575,280 @@ const GanttChart: React.FC<GanttChartProps> = ({
     return headers;
   }, [dateArray, dayWidth]);
 
+  // Full hours of the working day on the hour timescale, as offsets from the start of a day column.
+  const hourMarks = useMemo(() => {
+    if (!isHourScale) return [];
+    const { start, end } = workingCalendar.hours;
+    const marks: { minute: number; left: number }[] = [];
+    for (let minute = Math.ceil(start / 60) * 60; minute < end; minute += 60) {
+      marks.push({ minute, left: getDayFraction(minute, workingCalendar) * dayWidth });
+    }
+    return marks;
+  }, [isHourScale, workingCalendar, dayWidth]);
+
+  // The lunch break within a day column, shaded on the hour timescale.
+  const breakBand = useMemo(() => {
+    const { breakStart, breakEnd } = workingCalendar.hours;
+    if (!isHourScale || breakStart === null || breakEnd === null) return null;
+    const left = getDayFraction(breakStart, workingCalendar) * dayWidth;
+    return { left, width: getDayFraction(breakEnd, workingCalendar) * dayWidth - left };
+  }, [isHourScale, workingCalendar, dayWidth]);
+
+  // Background cells shared by every task row: one per day on the day and hour timescales, one per period otherwise.
+  const backgroundColumns = useMemo(() => {
+    if (!isDailyScale) {
+      return periodHeaders.map(({ startIndex, span, isUpperBoundary }) => ({
+        startIndex,
+        span,
+        className: isUpperBoundary ? 'border-gray-400' : 'border-gray-200',
+      }));
+    }
+
+    let interval = 1;
+    if (dayWidth < 24) interval = 2;
+    if (dayWidth < 18) interval = 3;
+    if (dayWidth < 12) interval = 7;
+
+    return dateArray.map((date, index) => {
+      const isHoliday = isNonWorkingDay(date, workingCalendar);
+      const nextDay = addDaysUTC(date, 1);
+      const isLastDayOfMonth = nextDay.getUTCDate() === 1;
+      const isGroupSeparator = interval > 1 && (index + 1) % interval === 0;
+
+      let borderClass = 'border-gray-100'; // Lightest, default
+      if (isLastDayOfMonth) {
+          borderClass = 'border-gray-400'; // Darkest
+      } else if (isGroupSeparator) {
+          borderClass = 'border-gray-300'; // Medium
+      }
+      return { startIndex: index, span: 1, className: `${borderClass} ${isHoliday ? 'bg-red-50' : ''}` };
+    });
+  }, [isDailyScale, periodHeaders, dateArray, dayWidth, workingCalendar]);
+
+  const getTaskAriaLabel = (task: Task) => {
+    const dates = task.milestone
+      ? `${t('milestone')} ${task.startDate}`
+      : `${t('startDate')} ${task.startDate}${task.startTime ? ` ${task.startTime}` : ''}, ${t('endDate')} ${task.endDate}${task.endTime ? ` ${task.endTime}` : ''}`;
+    return `${task.name}, ${dates}, ${t('progress')} ${task.progress}%`;
+  };
+
+  // `cell` is a `data-grid-cell` name, or 'bar' for the task's bar in the timeline.
+  const focusRenderedCell = useCallback((taskId: string, cell: string) => {
+    const target = cell === 'bar'
+      ? ganttGridRef.current?.querySelector<HTMLElement>(`[data-bar-task-id="${taskId}"]`)
+      : taskRowRefs.current[taskId]?.querySelector<HTMLElement>(`[data-grid-cell="${cell}"]`)
+        ?? taskRowRefs.current[taskId]?.querySelector<HTMLElement>('[data-grid-cell="name"]');
+    target?.focus();
+    return !!target;
+  }, []);
+
+  // Rows outside the viewport are not rendered; their cell is focused once the row has been rendered
+  // as the pending focus target (focusing then scrolls it into view).
+  const focusTaskCell = useCallback((taskId: string, cell: string) => {
+    if (focusRenderedCell(taskId, cell)) return true;
+    if (taskRowRefs.current[taskId] || !rowIndexById.has(taskId)) return false;
+    setPendingFocus({ taskId, cell });
+    return true;
+  }, [focusRenderedCell, rowIndexById]);
+
+  // Scroll offsets count from the first day column and the first row, as the task details column and
+  // the header stay in place: a date is brought to the left edge of the timeline, a task right below
+  // the header with the start of its bar in view.
+  useImperativeHandle(ref, () => ({
+    scrollToDate: (date: string) => {
+      const target = parseUTCDateString(date);
+      const grid = ganttGridRef.current;
+      if (!target || !grid || dateArray.length === 0) return false;
+      const columnIndex = getDateColumnIndex(dateArray[0], target);
+      if (columnIndex < 0 || columnIndex >= dateArray.length) return false;
+      grid.scrollTo({ left: columnIndex * dayWidth });
+      return true;
+    },
+    scrollToTask: (taskId: string) => {
+      const rowIndex = rowIndexById.get(taskId);
+      const grid = ganttGridRef.current;
+      if (rowIndex === undefined || !grid) return false;
+      const start = parseUTCDateString(visibleTasks[rowIndex].startDate);
+      const columnIndex = start && dateArray.length > 0 ? getDateColumnIndex(dateArray[0], start) : -1;
+      const isStartShown = columnIndex >= 0 && columnIndex < dateArray.length;
+      grid.scrollTo({ top: rowIndex * rowHeight, left: isStartShown ? columnIndex * dayWidth : grid.scrollLeft });
+      return true;
+    },
+  }), [dateArray, dayWidth, rowIndexById, visibleTasks, rowHeight]);
+
+  const pendingFocusTaskId = pendingFocus
+    ? pendingFocus.taskId ?? visibleTasks[Math.min(pendingFocus.rowIndex ?? 0, visibleTasks.length - 1)]?.id
+    : undefined;
+
+  useEffect(() => {
+    if (!pendingFocus) return;
+    if (pendingFocusTaskId) focusRenderedCell(pendingFocusTaskId, pendingFocus.cell);
+    setPendingFocus(null);
+  }, [pendingFocus, pendingFocusTaskId, focusRenderedCell]);
+
+  const renderedRowIndexes: number[] = [];
+  for (let index = rowRange.start; index < rowRange.end; index++) renderedRowIndexes.push(index);
+  const pendingFocusRowIndex = pendingFocusTaskId ? rowIndexById.get(pendingFocusTaskId) : undefined;
+  if (pendingFocusRowIndex !== undefined && !isInRange(rowRange, pendingFocusRowIndex)) renderedRowIndexes.push(pendingFocusRowIndex);
+
+  // Shortcuts shared by the grid cells and the bars.
+  const handleRowShortcut = (e: React.KeyboardEvent, task: Task, index: number, cell: string): boolean => {
+    if (readOnly) return false;
+    const isCtrl = e.ctrlKey || e.metaKey;
+    if (isCtrl && e.key.toLowerCase() === 'd') {
+      onDuplicateTask(task.id);
+    } else if (e.key === 'Insert') {
+      setPendingFocus({ taskId: onInsertTask(task.id), cell: 'name' });
+    } else if (e.key === 'Delete' && (isCtrl || cell === 'bar')) {
+      onDeleteTask(task.id);
+      setPendingFocus({ rowIndex: index, cell });
+    } else {
+      return false;
+    }
+    e.preventDefault();
+    return true;
+  };
+
+  // Spreadsheet-style navigation: arrows, Enter and Tab move between the cells of the task grid.
+  const handleGridCellKeyDown = (e: React.KeyboardEvent<HTMLInputElement | HTMLSelectElement>, task: Task, index: number) => {
+    const input = e.currentTarget;
+    const cell = input.dataset.gridCell!;
+    if (handleRowShortcut(e, task, index, cell)) return;
+
+    const rowCells = Array.from(taskRowRefs.current[task.id]?.querySelectorAll<HTMLElement>('[data-grid-cell]') || []);
+    const cellIndex = rowCells.indexOf(input);
+    const focusRow = (rowIndex: number, targetCell: string) => {
+      const target = visibleTasks[rowIndex];
+      return !!target && focusTaskCell(target.id, targetCell);
+    };
+    // Arrows only leave a text field when the caret is at its edge or the whole value is selected.
+    const valueLength = input.value.length;
+    const selectionStart = ('selectionStart' in input && input.selectionStart) || 0;
+    const selectionEnd = 'selectionEnd' in input && input.selectionEnd !== null ? input.selectionEnd : valueLength;
+    const isWholeSelected = selectionStart === 0 && selectionEnd === valueLength;
+
+    let handled = false;
+    if (e.altKey && e.shiftKey && (e.key === 'ArrowRight' || e.key === 'ArrowLeft')) {
+      if (isManualOrder && !readOnly) {
+        if (e.key === 'ArrowRight') onIndentTask(task.id);
+        else onOutdentTask(task.id);
+      }
+      handled = true;
+    } else if (e.altKey || e.ctrlKey || e.metaKey) {
+      return;
+    } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+      focusRow(index + (e.key === 'ArrowDown' ? 1 : -1), cell);
+      handled = true;
+    } else if (e.key === 'Enter') {
+      focusRow(index + (e.shiftKey ? -1 : 1), cell);
+      handled = true;
+    } else if (e.key === 'Tab') {
+      const next = rowCells[cellIndex + (e.shiftKey ? -1 : 1)];
+      if (next) {
+        next.focus();
+        handled = true;
+      } else {
+        const nextRowTask = visibleTasks[index + (e.shiftKey ? -1 : 1)];
+        const nextRowCells = nextRowTask ? taskRowRefs.current[nextRowTask.id]?.querySelectorAll<HTMLElement>('[data-grid-cell]') : undefined;
+        const target = nextRowCells && (e.shiftKey ? nextRowCells[nextRowCells.length - 1] : nextRowCells[0]);
+        if (target) {
+          target.focus();
+          handled = true;
+        }
+      }
+    } else if (e.key === 'ArrowLeft' && (isWholeSelected || selectionEnd === 0)) {
+      rowCells[cellIndex - 1]?.focus();
+      handled = cellIndex > 0;
+    } else if (e.key === 'ArrowRight' && (isWholeSelected || selectionStart === valueLength)) {
+      rowCells[cellIndex + 1]?.focus();
+      handled = cellIndex < rowCells.length - 1;
+    }
+    if (handled) e.preventDefault();
+  };
+
+  const getGridCellProps = (cell: string, label: string, task: Task, index: number) => ({
+    'data-grid-cell': cell,
+    'aria-label': `${label}: ${task.name}`,
+    onKeyDown: (e: React.KeyboardEvent<HTMLInputElement | HTMLSelectElement>) => handleGridCellKeyDown(e, task, index),
+  });
+
+  // Empty time cells stand for the start or the end of the working day.
+  const renderTimeCell = (task: Task, index: number, field: 'startTime' | 'endTime', isSummary: boolean) => (
+    <div className="w-16 flex-shrink-0 h-full flex items-center">
+      <input
+        type="time"
+        step={1800}
+        value={task[field] || ''}
+        readOnly={readOnly || isSummary || task.milestone}
+        onChange={e => onTaskChange(task.id, field, e.target.value || undefined)}
+        {...getGridCellProps(field, t(field), task, index)}
+        className="w-full px-1 py-0 h-full bg-transparent border-none focus:ring-0 text-xs leading-normal"
+      />
+    </div>
+  );
+
+  // Links are typed as row numbers and saved when the cell is left; invalid text stays for correcting.
+  const commitPredecessors = (task: Task, input: HTMLInputElement) => {
+    if (readOnly) return;
+    const text = formatPredecessors(task.dependencies, rowNumbers);
+    if (input.value.trim() === text) {
+      setPredecessorError(null);
+      return;
+    }
+    const dependencies = parsePredecessors(input.value, tasks, task.id);
+    const messageKey: TranslationKey | null = !dependencies
+      ? 'invalidPredecessors'
+      : onDependenciesSet(task.id, dependencies) ? null : 'dependencyCycleError';
+    setPredecessorError(messageKey ? { taskId: task.id, messageKey } : null);
+    if (dependencies && !messageKey) input.value = formatPredecessors(dependencies, rowNumbers);
+  };
+
+  const renderPredecessorCell = (task: Task, index: number) => {
+    const text = formatPredecessors(task.dependencies, rowNumbers);
+    const error = predecessorError?.taskId === task.id ? t(predecessorError.messageKey) : null;
+    return (
+      <div className="w-24 flex-shrink-0 h-full flex items-center">
+        <input
+          key={text}
+          type="text"
+          defaultValue={text}
+          readOnly={readOnly}
+          onFocus={handleInputFocus}
+          onBlur={e => commitPredecessors(task, e.currentTarget)}
+          {...getGridCellProps('predecessors', t('predecessors'), task, index)}
+          aria-invalid={!!error}
+          title={error || t('predecessorsDesc')}
+          placeholder="-"
+          className={`w-full px-1 py-0 h-full bg-transparent border-none focus:ring-0 text-xs text-center leading-normal ${error ? 'text-red-600 ring-1 ring-inset ring-red-400' : ''}`}
+        />
+      </div>
+    );
+  };
+
+  // Arrow keys move a focused bar by one working day; Shift resizes its finish and Alt its start.
+  const handleBarKeyDown = (e: React.KeyboardEvent<HTMLDivElement>, task: Task, index: number) => {
+    if (handleRowShortcut(e, task, index, 'bar')) return;
+    if ((e.key === 'ArrowLeft' || e.key === 'ArrowRight') && !readOnly) {
+      const actionType: DragActionType = e.shiftKey ? 'resize-end' : e.altKey ? 'resize-start' : 'move';
+      onTaskNudge(task.id, actionType, e.key === 'ArrowRight' ? 1 : -1);
+      setAnnouncedTaskId(task.id);
+    } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      for (let i = index + step; i >= 0 && i < visibleTasks.length; i += step) {
+        const start = parseUTCDateString(visibleTasks[i].startDate);
+        const end = parseUTCDateString(visibleTasks[i].endDate);
+        if (start && end && start <= end && focusTaskCell(visibleTasks[i].id, 'bar')) break;
+      }
+    } else if (e.key === 'Enter') {
+      focusTaskCell(task.id, 'name');
+    } else {
+      return;
+    }
+    e.preventDefault();
+  };
+
+  const announcedTask = announcedTaskId ? tasks.find(task => task.id === announcedTaskId) : undefined;
+
   const getDateFromX = useCallback((x: number) => {
     // This implementation calculates the position relative to the main grid element,
     // which correctly accounts for horizontal scrolling.
@@ -380,6 +874,24 @@ const GanttChart: React.FC<GanttChartProps> = ({
     return null;
   }, [dateArray, dayWidth]);
 
+  // Toggles one task, or with `extendRange` adds every visible row between the last toggled task and this one.
+  const toggleTaskSelection = (taskId: string, extendRange: boolean) => {
+    const anchorIndex = selectionAnchorRef.current ? rowIndexById.get(selectionAnchorRef.current) ?? -1 : -1;
+    const targetIndex = rowIndexById.get(taskId) ?? -1;
+    const nextSelection = new Set(selectedTaskIds);
+    if (extendRange && anchorIndex !== -1 && targetIndex !== -1) {
+      const [from, to] = anchorIndex < targetIndex ? [anchorIndex, targetIndex] : [targetIndex, anchorIndex];
+      visibleTasks.slice(from, to + 1).forEach(task => nextSelection.add(task.id));
+    } else {
+      if (nextSelection.has(taskId)) nextSelection.delete(taskId);
+      else nextSelection.add(taskId);
+      selectionAnchorRef.current = taskId;
+    }
+    onSelectionChange(nextSelection);
+  };
+
+  const isAllVisibleSelected = visibleTasks.length > 0 && visibleTasks.every(task => selectedTaskIds.has(task.id));
+
  const handlePointerDownForCreate = useCallback((e: React.MouseEvent<HTMLDivElement> | React.TouchEvent<HTMLDivElement>) => {
       if (e.type.startsWith('touch')) {
         e.preventDefault();
@@ -387,18 +899,18 @@ const GanttChart: React.FC<GanttChartProps> = ({
       const { clientX } = getReactEventCoords(e);
       const startDate = getDateFromX(clientX);
       if (startDate) {
-          if (holidays.has(startDate.getUTCDay())) {
+          if (timescaleConfig.snapUnit === 'day' && isNonWorkingDay(startDate, workingCalendar)) {
             // Prevent task creation on holidays
             return;
           }
           const taskId = (e.currentTarget as HTMLElement).dataset.taskRowId;
           if (taskId) {
-            const startDateStr = formatDateUTC(startDate);
-            setDragPreview({ taskId, start: startDateStr, end: startDateStr });
+            const { start, end } = getSnappedRange(startDate, startDate, timescaleConfig.snapUnit);
+            setDragPreview({ taskId, anchor: formatDateUTC(startDate), start: formatDateUTC(start), end: formatDateUTC(end) });
           }
       }
       setTooltip(null);
-  }, [getDateFromX, holidays]);
+  }, [getDateFromX, workingCalendar, timescaleConfig]);
 
   const handlePointerMove = useCallback((e: React.MouseEvent<HTMLDivElement> | React.TouchEvent<HTMLDivElement>) => {
     const timelineRowCell = e.currentTarget;
@@ -409,12 +921,18 @@ const GanttChart: React.FC<GanttChartProps> = ({
         if (e.type === 'touchmove') e.preventDefault(); // Prevent scrolling
         const currentDate = getDateFromX(clientX);
         if (currentDate) {
-            setDragPreview(prev => (prev ? { ...prev, end: formatDateUTC(currentDate) } : null));
+            setDragPreview(prev => {
+                const anchorDate = prev ? parseUTCDateString(prev.anchor) : null;
+                if (!prev || !anchorDate) return null;
+                if (timescaleConfig.snapUnit === 'day') return { ...prev, end: formatDateUTC(currentDate) };
+                const { start, end } = getSnappedRange(anchorDate, currentDate, timescaleConfig.snapUnit);
+                return { ...prev, start: formatDateUTC(start), end: formatDateUTC(end) };
+            });
         }
         return; // Don't do cursor/tooltip logic while actively creating a task
     }
 
-    if (e.type.startsWith('touch') || dragAction || reorderState) {
+    if (e.type.startsWith('touch') || dragAction || reorderState || linkDrag) {
         setTooltip(null);
         return;
     }
@@ -423,9 +941,9 @@ const GanttChart: React.FC<GanttChartProps> = ({
     const taskId = timelineRowCell.dataset.taskRowId;
     const task = tasks.find(t => t.id === taskId);
 
-    if (task && !task.startDate && !task.endDate) {
+    if (task && !task.startDate && !task.endDate && !readOnly) {
         const dateUnderCursor = getDateFromX(clientX);
-        const isHolidayUnderCursor = dateUnderCursor ? holidays.has(dateUnderCursor.getUTCDay()) : true;
+        const isHolidayUnderCursor = dateUnderCursor ? isNonWorkingDay(dateUnderCursor, workingCalendar) : true;
 
         if (isHolidayUnderCursor) {
             timelineRowCell.style.cursor = 'not-allowed';
@@ -443,7 +961,7 @@ const GanttChart: React.FC<GanttChartProps> = ({
         timelineRowCell.style.cursor = 'default';
         setTooltip(null);
     }
-  }, [dragPreview, dragAction, reorderState, tasks, getDateFromX, holidays, t]);
+  }, [dragPreview, dragAction, reorderState, linkDrag, tasks, getDateFromX, workingCalendar, timescaleConfig, t, readOnly]);
   
   const handleMouseLeave = useCallback((e: React.MouseEvent<HTMLDivElement>) => {
     // Reset cursor and tooltip when mouse leaves the row
@@ -474,20 +992,29 @@ const GanttChart: React.FC<GanttChartProps> = ({
         e.preventDefault();
     }
     e.stopPropagation();
-    const start = parseUTCDateString(task.startDate);
-    const end = parseUTCDateString(task.endDate);
+    if (e.ctrlKey || e.metaKey || e.shiftKey) {
+        e.preventDefault();
+        toggleTaskSelection(task.id, e.shiftKey);
+        return;
+    }
+    if (readOnly) return;
+    const start = getTaskStart(task, workingCalendar);
+    const end = getTaskEnd(task, workingCalendar);
     if (!start || !end) return;
 
     const { clientX } = getReactEventCoords(e);
 
+    onDragGestureStart();
     setDragAction({
       type,
       taskId: task.id,
       initialX: clientX,
-      initialStartDate: start,
-      initialEndDate: end,
+      initialStartDate: start.date,
+      initialEndDate: end.date,
+      initialStart: start,
+      initialEnd: end,
     });
-  }, []);
+  }, [onDragGestureStart, toggleTaskSelection, workingCalendar, readOnly]);
 
   const handleDragMove = useCallback((e: MouseEvent | TouchEvent) => {
     if (e.type === 'touchmove') {
@@ -501,22 +1028,35 @@ const GanttChart: React.FC<GanttChartProps> = ({
     const { clientX } = coords;
 
     const deltaX = clientX - dragAction.initialX;
-    const dayOffset = Math.round(deltaX / dayWidth);
-
-    onTaskDragUpdate(
-        dragAction.taskId,
-        dragAction.type,
-        dragAction.initialStartDate,
-        dragAction.initialEndDate,
-        dayOffset
-    );
+    if (isHourScale) {
+        const minuteOffset = Math.round((deltaX / dayWidth) * workdaySpan / snapMinutes) * snapMinutes;
+        onTaskTimeDragUpdate(dragAction.taskId, dragAction.type, dragAction.initialStart, dragAction.initialEnd, minuteOffset, snapMinutes);
+    } else {
+        let dayOffset = Math.round(deltaX / dayWidth);
+
+        // On the coarser timescales the dragged edge lands on a week/month boundary instead of any day.
+        if (timescaleConfig.snapUnit !== 'day') {
+            const isEndEdge = dragAction.type === 'resize-end';
+            const draggedEdge = isEndEdge ? dragAction.initialEndDate : dragAction.initialStartDate;
+            const snapped = snapDateToUnit(addDaysUTC(draggedEdge, dayOffset), timescaleConfig.snapUnit, isEndEdge ? 'end' : 'start');
+            dayOffset = Math.round((snapped.getTime() - draggedEdge.getTime()) / DAY_IN_MS);
+        }
+
+        onTaskDragUpdate(
+            dragAction.taskId,
+            dragAction.type,
+            dragAction.initialStartDate,
+            dragAction.initialEndDate,
+            dayOffset
+        );
+    }
 
     // If resizing causes start/end to flip, update the drag action type
     const task = tasks.find(t => t.id === dragAction.taskId);
     if (task) {
-        const newStart = parseUTCDateString(task.startDate);
-        const newEnd = parseUTCDateString(task.endDate);
-        if (newStart && newEnd && newStart > newEnd) {
+        const newStart = getTaskStart(task, workingCalendar);
+        const newEnd = getTaskEnd(task, workingCalendar);
+        if (newStart && newEnd && compareDateTimes(newStart, newEnd) > 0) {
             if (dragAction.type === 'resize-start') {
                 setDragAction(prev => (prev ? { ...prev, type: 'resize-end' } : null));
             } else if (dragAction.type === 'resize-end') {
@@ -524,11 +1064,12 @@ const GanttChart: React.FC<GanttChartProps> = ({
             }
         }
     }
-  }, [dragAction, dayWidth, onTaskDragUpdate, tasks]);
+  }, [dragAction, dayWidth, isHourScale, workdaySpan, snapMinutes, timescaleConfig, onTaskDragUpdate, onTaskTimeDragUpdate, tasks, workingCalendar]);
 
   const handleDragEnd = useCallback(() => {
     setDragAction(null);
-  }, []);
+    onDragGestureEnd();
+  }, [onDragGestureEnd]);
   
   useEffect(() => {
     const getCursor = (type: DragActionType) => {
@@ -562,6 +1103,13 @@ const GanttChart: React.FC<GanttChartProps> = ({
   }, [dragAction, handleDragMove, handleDragEnd]);
 
 
+  const getGridContentCoords = useCallback((clientX: number, clientY: number) => {
+    const grid = ganttGridRef.current;
+    if (!grid) return { x: 0, y: 0 };
+    const rect = grid.getBoundingClientRect();
+    return { x: clientX - rect.left + grid.scrollLeft, y: clientY - rect.top + grid.scrollTop };
+  }, []);
+
   const handleReorderStart = useCallback((e: React.MouseEvent | React.TouchEvent, taskId: string) => {
     e.preventDefault();
     e.stopPropagation();
@@ -576,41 +1124,24 @@ const GanttChart: React.FC<GanttChartProps> = ({
 
     const coords = getNativeEventCoords(e);
     if (!coords) return;
-    const { clientY } = coords;
-
-    const positions = tasks.map(task => {
-        const el = taskRowRefs.current[task.id];
-        if (!el) return { id: task.id, top: -1, bottom: -1, mid: -1 };
-        const rect = el.getBoundingClientRect();
-        return { id: task.id, top: rect.top, bottom: rect.bottom, mid: rect.top + rect.height / 2 };
-    }).filter(p => p.top !== -1);
-
-    const target = positions.find(p => clientY >= p.top && clientY <= p.bottom);
-    let newDropIndex: number | null = null;
-    if (target) {
-        const targetIndex = tasks.findIndex(t => t.id === target.id);
-        newDropIndex = clientY < target.mid ? targetIndex : targetIndex + 1;
-    } else {
-        const firstTaskRect = taskRowRefs.current[tasks[0]?.id]?.getBoundingClientRect();
-        if (firstTaskRect && clientY < firstTaskRect.top) {
-            newDropIndex = 0;
-        } else {
-            const lastTaskRect = taskRowRefs.current[tasks[tasks.length-1]?.id]?.getBoundingClientRect();
-            if(lastTaskRect && clientY > lastTaskRect.bottom) {
-                 newDropIndex = tasks.length;
-            }
-        }
-    }
-    
-    setReorderState(prev => (prev ? { ...prev, dropIndex: newDropIndex } : null));
-  }, [reorderState, tasks]);
+    // Rows have a fixed height, so the drop position follows from the pointer offset alone:
+    // the upper half of a row drops before it, the lower half after it.
+    const { y } = getGridContentCoords(coords.clientX, coords.clientY);
+    const rowPosition = (y - (timelineHeaderRef.current?.offsetHeight || 0)) / rowHeight;
+    const newDropIndex = Math.max(0, Math.min(visibleTasks.length, Math.round(rowPosition)));
+
+    setReorderState(prev => (prev && prev.dropIndex !== newDropIndex ? { ...prev, dropIndex: newDropIndex } : prev));
+  }, [reorderState, visibleTasks.length, rowHeight, getGridContentCoords]);
 
   const handleReorderEnd = useCallback(() => {
     if (reorderState && typeof reorderState.dropIndex === 'number') {
-        onTaskReorder(reorderState.draggedTaskId, reorderState.dropIndex);
+        // The drop index refers to visible rows; translate it to a position in the full task list.
+        const dropTask = visibleTasks[reorderState.dropIndex];
+        const fullDropIndex = dropTask ? tasks.indexOf(dropTask) : tasks.length;
+        onTaskReorder(reorderState.draggedTaskId, fullDropIndex);
     }
     setReorderState(null);
-  }, [reorderState, onTaskReorder]);
+  }, [reorderState, visibleTasks, tasks, onTaskReorder]);
 
   useEffect(() => {
     if (reorderState?.draggedTaskId) {
@@ -633,107 +1164,348 @@ const GanttChart: React.FC<GanttChartProps> = ({
     };
   }, [reorderState, handleReorderMove, handleReorderEnd]);
 
-  const dropIndex = reorderState?.dropIndex;
+  const handleLinkStart = useCallback((e: React.MouseEvent | React.TouchEvent, taskId: string, side: BarSide) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const { clientX, clientY } = getReactEventCoords(e);
+    const { x, y } = getGridContentCoords(clientX, clientY);
+    setLinkDrag({ fromTaskId: taskId, fromSide: side, startX: x, startY: y, currentX: x, currentY: y });
+    setTooltip(null);
+  }, [getGridContentCoords]);
 
-  const progressLinePath = useMemo(() => {
-    if (!progressLineDate || dateArray.length === 0 || !taskDetailsHeaderRef.current || !timelineHeaderRef.current) return null;
+  const handleLinkMove = useCallback((e: MouseEvent | TouchEvent) => {
+    if (e.type === 'touchmove') {
+        e.preventDefault();
+    }
+    const { clientX, clientY } = getNativeEventCoords(e);
+    const { x, y } = getGridContentCoords(clientX, clientY);
+    setLinkDrag(prev => (prev ? { ...prev, currentX: x, currentY: y } : null));
+  }, [getGridContentCoords]);
+
+  const handleLinkEnd = useCallback((e: MouseEvent | TouchEvent) => {
+    if (!linkDrag) return;
+    const { clientX, clientY } = getNativeEventCoords(e);
+    setLinkDrag(null);
+
+    const target = (document.elementFromPoint(clientX, clientY) as HTMLElement | null)?.closest<HTMLElement>('[data-bar-task-id]');
+    const targetTaskId = target?.dataset.barTaskId;
+    if (!target || !targetTaskId || targetTaskId === linkDrag.fromTaskId) return;
+
+    const targetRect = target.getBoundingClientRect();
+    const toSide: BarSide = clientX < targetRect.left + targetRect.width / 2 ? 'start' : 'end';
+    const type = getDependencyType(linkDrag.fromSide, toSide);
+    if (type) {
+        onAddDependency(linkDrag.fromTaskId, targetTaskId, type);
+    }
+  }, [linkDrag, onAddDependency]);
 
+  useEffect(() => {
+    if (linkDrag) {
+        document.body.style.cursor = 'crosshair';
+        document.body.style.userSelect = 'none';
+        window.addEventListener('mousemove', handleLinkMove);
+        window.addEventListener('touchmove', handleLinkMove, { passive: false });
+        window.addEventListener('mouseup', handleLinkEnd);
+        window.addEventListener('touchend', handleLinkEnd);
+    }
+    return () => {
+        window.removeEventListener('mousemove', handleLinkMove);
+        window.removeEventListener('touchmove', handleLinkMove);
+        window.removeEventListener('mouseup', handleLinkEnd);
+        window.removeEventListener('touchend', handleLinkEnd);
+        if (document.body) {
+           document.body.style.cursor = 'auto';
+           document.body.style.userSelect = 'auto';
+        }
+    };
+  }, [linkDrag, handleLinkMove, handleLinkEnd]);
+
+  const handleSelectionBoxStart = useCallback((e: React.MouseEvent) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    const { x, y } = getGridContentCoords(e.clientX, e.clientY);
+    const isAdditive = e.ctrlKey || e.metaKey || e.shiftKey;
+    setSelectionBox({ startX: x, startY: y, currentX: x, currentY: y, initialSelection: isAdditive ? selectedTaskIds : new Set() });
+    setTooltip(null);
+  }, [getGridContentCoords, selectedTaskIds]);
+
+  // Selects every bar the rectangle touches, live while it is being drawn.
+  const handleSelectionBoxMove = useCallback((e: MouseEvent) => {
+    const grid = ganttGridRef.current;
+    if (!selectionBox || !grid) return;
+    const { x, y } = getGridContentCoords(e.clientX, e.clientY);
+    setSelectionBox(prev => (prev ? { ...prev, currentX: x, currentY: y } : null));
+
+    const [left, right] = [Math.min(selectionBox.startX, x), Math.max(selectionBox.startX, x)];
+    const [top, bottom] = [Math.min(selectionBox.startY, y), Math.max(selectionBox.startY, y)];
+    const nextSelection = new Set(selectionBox.initialSelection);
+    // Hit-test the bars from their dates rather than the DOM, which only holds the rendered rows.
+    const barsTop = (timelineHeaderRef.current?.offsetHeight || 0) + (rowHeight - TASK_BAR_HEIGHT) / 2;
+    const detailsWidth = taskDetailsHeaderRef.current?.offsetWidth || 0;
+    const firstRow = Math.max(0, Math.ceil((top - barsTop - TASK_BAR_HEIGHT) / rowHeight));
+    const lastRow = Math.min(visibleTasks.length - 1, Math.floor((bottom - barsTop) / rowHeight));
+    for (let index = firstRow; index <= lastRow && dateArray.length > 0; index++) {
+        const task = visibleTasks[index];
+        const start = parseUTCDateString(task.startDate);
+        const end = parseUTCDateString(task.endDate);
+        if (!start || !end || end < start) continue;
+        const startColumn = Math.max(0, getDateColumnIndex(dateArray[0], start));
+        const endColumn = Math.min(dateArray.length - 1, getDateColumnIndex(dateArray[0], task.milestone ? start : end));
+        if (endColumn < startColumn) continue;
+        const barLeft = detailsWidth + startColumn * dayWidth;
+        const barRight = detailsWidth + (endColumn + 1) * dayWidth;
+        if (barLeft <= right && barRight >= left) nextSelection.add(task.id);
+    }
+    onSelectionChange(nextSelection);
+  }, [selectionBox, getGridContentCoords, onSelectionChange, visibleTasks, dateArray, dayWidth, rowHeight]);
+
+  const handleSelectionBoxEnd = useCallback(() => {
+    // A plain click on an empty part of the timeline clears the selection.
+    if (selectionBox && selectionBox.startX === selectionBox.currentX && selectionBox.startY === selectionBox.currentY) {
+        onSelectionChange(selectionBox.initialSelection);
+    }
+    setSelectionBox(null);
+  }, [selectionBox, onSelectionChange]);
+
+  useEffect(() => {
+    if (selectionBox) {
+        document.body.style.userSelect = 'none';
+        window.addEventListener('mousemove', handleSelectionBoxMove);
+        window.addEventListener('mouseup', handleSelectionBoxEnd);
+    }
+    return () => {
+        window.removeEventListener('mousemove', handleSelectionBoxMove);
+        window.removeEventListener('mouseup', handleSelectionBoxEnd);
+        if (document.body) {
+           document.body.style.userSelect = 'auto';
+        }
+    };
+  }, [selectionBox, handleSelectionBoxMove, handleSelectionBoxEnd]);
+
+  useEffect(() => {
+    if (!dependencyEditor) return;
+    const handleClickOutside = (event: MouseEvent) => {
+        if (!(event.target as HTMLElement).closest('[data-dependency-editor]')) {
+             setDependencyEditor(null);
+        }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => {
+        document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [dependencyEditor]);
+
+  useEffect(() => {
+    if (!colorEditor) return;
+    const handleClickOutside = (event: MouseEvent) => {
+        if (!(event.target as HTMLElement).closest('[data-task-color-editor]')) {
+             setColorEditor(null);
+        }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => {
+        document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [colorEditor]);
+
+  const dropIndex = reorderState?.dropIndex;
+
+  // The live progress line for `progressLineDate`, plus one per recorded snapshot drawn from the
+  // progress and dates the tasks had back then. Tasks added after a snapshot stay on its status line.
+  const progressLines = useMemo(() => {
+    if (dateArray.length === 0 || !taskDetailsHeaderRef.current || !timelineHeaderRef.current) return [];
+    const sources: { key: string; statusDate: string; color: string; isLive: boolean; resolveTask: (task: Task) => Task | null }[] = [
+      ...progressSnapshots.map(snapshot => ({
+        key: snapshot.id,
+        statusDate: snapshot.statusDate,
+        color: snapshot.color,
+        isLive: false,
+        resolveTask: (task: Task) => getSnapshotTask(task, snapshot),
+      })),
+      ...(progressLineDate ? [{ key: 'live', statusDate: progressLineDate, color: progressLineColor, isLive: true, resolveTask: (task: Task) => task }] : []),
+    ];
     const headerHeight = timelineHeaderRef.current.offsetHeight;
     const taskDetailsWidth = taskDetailsHeaderRef.current.offsetWidth || 0;
-    const baselineDate = parseUTCDateString(progressLineDate);
-    if (!baselineDate) return null;
-
-    const baselineDateIndex = dateArray.findIndex(d => d.getTime() === baselineDate.getTime());
-    if (baselineDateIndex === -1) return null;
-
-    const baselineX = (baselineDateIndex + 1) * dayWidth;
-
-    const taskProgressXs = tasks.map(task => {
-        let currentTaskX = baselineX; // Default to baseline
-
-        const startDate = parseUTCDateString(task.startDate);
-        const endDate = parseUTCDateString(task.endDate);
-
-        if (startDate && endDate) {
-            const isCompletedEarly = endDate.getTime() < baselineDate.getTime() && task.progress === 100;
-            const isNotYetStarted = startDate.getTime() > baselineDate.getTime() && task.progress === 0;
-
-            if (!isCompletedEarly && !isNotYetStarted) {
-                const totalWorkDays = calculateWorkingDays(startDate, endDate, holidays);
-                if (totalWorkDays > 0) {
-                    let completedWorkDays = totalWorkDays * (task.progress / 100);
-                    
-                    const segments = getTaskSegments(task);
-                    if (segments.length > 0) {
-                        const visualStartDate = segments[0].startDate;
-                        let currentPosDate = new Date(visualStartDate.getTime());
-                        let pixelOffset = 0;
-
-                        while(completedWorkDays > 0 && currentPosDate.getTime() <= endDate.getTime()) {
-                            if(!holidays.has(currentPosDate.getUTCDay())){
-                               const consumption = Math.min(1, completedWorkDays);
-                               pixelOffset += consumption * dayWidth;
-                               completedWorkDays -= consumption;
-                            } else {
-                               pixelOffset += dayWidth;
-                            }
-                            
-                            if (completedWorkDays > 0) {
-                              currentPosDate.setUTCDate(currentPosDate.getUTCDate() + 1);
-                            }
-                        }
-                        const startIndex = dateArray.findIndex(d => d.getTime() === visualStartDate.getTime());
-                        if(startIndex !== -1) {
-                            currentTaskX = (startIndex * dayWidth) + pixelOffset;
-                        }
-                    }
-                }
-            }
-        }
-        return taskDetailsWidth + currentTaskX;
-    });
 
-    const taskBarHeight = 32; // Corresponds to h-8 in Tailwind
-    const spaceAboveBelowBar = (rowHeight - taskBarHeight) / 2;
-    const finalBaselineX = taskDetailsWidth + baselineX;
+    const buildLine = (progressDate: string, resolveTask: (task: Task) => Task | null) => {
+      const baselineDate = parseUTCDateString(progressDate);
+      if (!baselineDate) return null;
+
+      const baselineDateIndex = getDateColumnIndex(dateArray[0], baselineDate);
+      if (baselineDateIndex < 0 || baselineDateIndex >= dateArray.length) return null;
+
+      const baselineX = (baselineDateIndex + 1) * dayWidth;
+
+      const originPosition = toDayPosition(dateArray[0]);
+      const getTaskProgressX = (task: Task | null) => {
+          if (!task) return taskDetailsWidth + baselineX;
+          const currentTaskX = (getProgressLinePosition(task, baselineDate, workingCalendar) - originPosition) * dayWidth;
+          // Points outside the project timeline fall back to the baseline.
+          if (currentTaskX < 0 || currentTaskX > timelineWidth) return taskDetailsWidth + baselineX;
+          return taskDetailsWidth + currentTaskX;
+      };
 
-    // Start with a vertical line through the timeline header.
-    let path = `M ${finalBaselineX} 0 L ${finalBaselineX} ${headerHeight}`;
+      const spaceAboveBelowBar = (rowHeight - TASK_BAR_HEIGHT) / 2;
+      const finalBaselineX = taskDetailsWidth + baselineX;
+
+      // Start with a vertical line through the timeline header. Rows that are not rendered stay on
+      // the baseline, so only the rendered ones add vertices.
+      let path = `M ${finalBaselineX} 0 L ${finalBaselineX} ${headerHeight}`;
+      const milestonePoints: { x: number; y: number; isDone: boolean }[] = [];
     
-    if (tasks.length > 0 && taskProgressXs.length > 0) {
-        tasks.forEach((_, i) => {
-            const progressX = taskProgressXs[i];
-            const rowTopY = headerHeight + i * rowHeight;
-            const barTopY = rowTopY + spaceAboveBelowBar;
-            const barCenterY = rowTopY + rowHeight / 2;
-            const barBottomY = rowTopY + rowHeight - spaceAboveBelowBar;
-            const rowBottomY = rowTopY + rowHeight;
+      if (visibleTasks.length > 0) {
+          visibleTasks.slice(rowRange.start, rowRange.end).forEach((visibleTask, rangeIndex) => {
+              const i = rowRange.start + rangeIndex;
+              const task = resolveTask(visibleTask);
+              const progressX = getTaskProgressX(task);
+              const rowTopY = headerHeight + i * rowHeight;
+              const barTopY = rowTopY + spaceAboveBelowBar;
+              const barCenterY = rowTopY + rowHeight / 2;
+              const barBottomY = rowTopY + rowHeight - spaceAboveBelowBar;
+              const rowBottomY = rowTopY + rowHeight;
             
-            // From previous point (or header) to the top of the task bar at baseline
-            path += ` L ${finalBaselineX} ${barTopY}`;
+              // From previous point (or header) to the top of the task bar at baseline
+              path += ` L ${finalBaselineX} ${barTopY}`;
             
-            // To the actual progress point at the center of the bar
-            path += ` L ${progressX} ${barCenterY}`;
+              // To the actual progress point at the center of the bar
+              path += ` L ${progressX} ${barCenterY}`;
+              if (task?.milestone && task.startDate) {
+                  milestonePoints.push({ x: progressX, y: barCenterY, isDone: task.progress >= 100 });
+              }
             
-            // Back to the baseline at the bottom of the bar
-            path += ` L ${finalBaselineX} ${barBottomY}`;
+              // Back to the baseline at the bottom of the bar
+              path += ` L ${finalBaselineX} ${barBottomY}`;
             
-            // And finally down to the bottom of the row at baseline, to connect to the next task
-            path += ` L ${finalBaselineX} ${rowBottomY}`;
-        });
-    }
+              // And finally down to the bottom of the row at baseline, to connect to the next task
+              path += ` L ${finalBaselineX} ${rowBottomY}`;
+          });
+          path += ` L ${finalBaselineX} ${headerHeight + visibleTasks.length * rowHeight}`;
+      }
 
-    return path;
-  }, [progressLineDate, tasks, dateArray, dayWidth, holidays, rowHeight]);
+      return { path, milestonePoints, x: finalBaselineX };
+    };
+
+    return sources.flatMap(source => {
+      const line = buildLine(source.statusDate, source.resolveTask);
+      return line ? [{ ...source, ...line }] : [];
+    });
+  }, [progressLineDate, progressSnapshots, progressLineColor, visibleTasks, dateArray, dayWidth, timelineWidth, workingCalendar, rowHeight, rowRange.start, rowRange.end]);
   
-  const totalContentHeight = (timelineHeaderRef.current?.offsetHeight || 0) + tasks.length * rowHeight;
+  const dependencyPaths = useMemo(() => {
+    if (dateArray.length === 0 || !taskDetailsHeaderRef.current || !timelineHeaderRef.current) return [];
 
-  const totalManHours = useMemo(() => {
-    return tasks.reduce((sum, task) => sum + (task.manHours || 0), 0);
-  }, [tasks]);
+    const headerHeight = timelineHeaderRef.current.offsetHeight;
+    const taskDetailsWidth = taskDetailsHeaderRef.current.offsetWidth || 0;
+    const firstTime = dateArray[0].getTime();
+    const lastIndex = dateArray.length - 1;
+
+    const getBarEdgeX = (task: Task, side: BarSide): number | null => {
+        const date = parseUTCDateString(side === 'start' ? task.startDate : task.endDate);
+        if (!date) return null;
+        const index = Math.min(lastIndex, Math.max(0, Math.round((date.getTime() - firstTime) / DAY_IN_MS)));
+        // Milestones sit in the middle of their whole day column.
+        const fractions = task.milestone ? { start: 0, end: 1 } : getTaskDayFractions(task);
+        return taskDetailsWidth + (index + (side === 'start' ? fractions.start : fractions.end)) * dayWidth;
+    };
+
+    const paths: { key: string; successorId: string; predecessorId: string; d: string; firstRow: number; lastRow: number }[] = [];
+
+    visibleTasks.forEach((successor, successorIndex) => {
+        successor.dependencies?.forEach(dep => {
+            const predecessorIndex = rowIndexById.get(dep.predecessorId);
+            if (predecessorIndex === undefined) return;
+            const predecessor = visibleTasks[predecessorIndex];
+
+            const fromSide: BarSide = dep.type === 'SS' ? 'start' : 'end';
+            const toSide: BarSide = dep.type === 'FF' ? 'end' : 'start';
+            const x1 = getBarEdgeX(predecessor, fromSide);
+            const x2 = getBarEdgeX(successor, toSide);
+            if (x1 === null || x2 === null) return;
+
+            const y1 = headerHeight + predecessorIndex * rowHeight + rowHeight / 2;
+            const y2 = headerHeight + successorIndex * rowHeight + rowHeight / 2;
+            const exitX = x1 + (fromSide === 'end' ? LINK_ARROW_GAP : -LINK_ARROW_GAP);
+            const entryX = x2 + (toSide === 'start' ? -LINK_ARROW_GAP : LINK_ARROW_GAP);
+
+            let d: string;
+            if (dep.type === 'SS') {
+                const turnX = Math.min(exitX, entryX);
+                d = `M ${x1} ${y1} H ${turnX} V ${y2} H ${x2}`;
+            } else if (dep.type === 'FF') {
+                const turnX = Math.max(exitX, entryX);
+                d = `M ${x1} ${y1} H ${turnX} V ${y2} H ${x2}`;
+            } else if (exitX <= entryX) {
+                d = `M ${x1} ${y1} H ${exitX} V ${y2} H ${x2}`;
+            } else {
+                // The successor starts before there is room for a direct elbow, so route between the rows.
+                const betweenRowsY = y1 + (y2 > y1 ? rowHeight / 2 : -rowHeight / 2);
+                d = `M ${x1} ${y1} H ${exitX} V ${betweenRowsY} H ${entryX} V ${y2} H ${x2}`;
+            }
+            paths.push({
+                key: `${dep.predecessorId}->${successor.id}`,
+                successorId: successor.id,
+                predecessorId: dep.predecessorId,
+                d,
+                firstRow: Math.min(predecessorIndex, successorIndex),
+                lastRow: Math.max(predecessorIndex, successorIndex),
+            });
+        });
+    });
+    return paths;
+  }, [visibleTasks, rowIndexById, dateArray, dayWidth, rowHeight, getTaskDayFractions]);
+
+  const editedDependency = useMemo(() => {
+    if (!dependencyEditor) return null;
+    const successor = tasks.find(t => t.id === dependencyEditor.successorId);
+    const predecessor = tasks.find(t => t.id === dependencyEditor.predecessorId);
+    const dependency = successor?.dependencies?.find(dep => dep.predecessorId === dependencyEditor.predecessorId);
+    if (!successor || !predecessor || !dependency) return null;
+    return { successor, predecessor, dependency };
+  }, [dependencyEditor, tasks]);
+
+  const colorEditorTask = colorEditor ? tasks.find(task => task.id === colorEditor.taskId) : undefined;
+
+  const totalContentHeight = headerHeight + visibleTasks.length * rowHeight;
+
+  // Totals count summary tasks only when the filter hides all of their children; otherwise the
+  // children are counted (summary man-hours already contain theirs).
+  const totaledTasks = useMemo(() => {
+    const shownParentIds = getParentIds(filteredTasks);
+    return filteredTasks.filter(task => !shownParentIds.has(task.id));
+  }, [filteredTasks]);
+  const totalManHours = useMemo(() => totaledTasks.reduce((sum, task) => sum + (task.manHours || 0), 0), [totaledTasks]);
+  const customFieldTotals = useMemo(() => {
+    const totals = new Map<string, number>();
+    visibleCustomFields.filter(field => field.type === 'number').forEach(field => {
+      totals.set(field.id, totaledTasks.reduce((sum, task) => {
+        const value = getCustomValue(task, field.id);
+        return sum + (typeof value === 'number' ? value : 0);
+      }, 0));
+    });
+    return totals;
+  }, [totaledTasks, visibleCustomFields]);
+
+  // Clicking a column header sorts ascending, then descending, then restores the manual order.
+  const handleSortClick = (key: TaskSortKey) => {
+    if (taskSort?.key !== key) onTaskSortChange({ key, direction: 'asc' });
+    else if (taskSort.direction === 'asc') onTaskSortChange({ key, direction: 'desc' });
+    else onTaskSortChange(null);
+  };
+
+  const renderSortButton = (key: TaskSortKey, label: string) => (
+    <button
+      type="button"
+      onClick={() => handleSortClick(key)}
+      className={`inline-flex items-center gap-0.5 hover:text-indigo-600 ${taskSort?.key === key ? 'text-indigo-600' : ''}`}
+      title={t('sortByColumn')}
+    >
+      {label}
+      {taskSort?.key === key && <span aria-label={t(taskSort.direction === 'asc' ? 'sortAscending' : 'sortDescending')}>{taskSort.direction === 'asc' ? '▲' : '▼'}</span>}
+    </button>
+  );
 
   return (
-    <div id="gantt-chart-container" className="bg-white rounded-lg shadow-lg flex flex-col h-[calc(100vh-7rem)] overflow-hidden relative">
+    <div className={`bg-white rounded-lg shadow-lg flex flex-col ${embedded ? 'h-full' : 'h-[calc(100vh-7rem)]'} overflow-hidden relative`}>
       {tooltip?.visible && (
         <div
             className="fixed bg-gray-800 text-white text-xs rounded py-1 px-2 pointer-events-none shadow-lg"
@@ -746,16 +1518,16 @@ const GanttChart: React.FC<GanttChartProps> = ({
             {tooltip.content}
         </div>
       )}
-      <div className="p-4 sm:p-6 flex-shrink-0 border-b">
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-4 items-end">
+      {(!embedded || categories.length > 0) && <div className={`${embedded ? 'px-4 py-2' : 'p-4 sm:p-6'} flex-shrink-0 border-b`}>
+        {!embedded && <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-4 items-end">
           {/* Combined Row 1: Project Name, Creation Date, Creator */}
           <div className="md:col-span-2 flex flex-wrap items-end gap-x-4 gap-y-2">
             {/* Project Name */}
             <div className="flex-grow min-w-[300px]">
-              <label htmlFor="projectName" className="block text-sm font-medium text-gray-700 mb-1">{t('projectNameLabel')}</label>
+              <label htmlFor={`${fieldId}-projectName`} className="block text-sm font-medium text-gray-700 mb-1">{t('projectNameLabel')}</label>
               <input
                 type="text"
-                id="projectName"
+                id={`${fieldId}-projectName`}
                 value={projectName}
                 onChange={e => setProjectName(e.target.value)}
                 onFocus={handleInputFocus}
@@ -766,9 +1538,9 @@ const GanttChart: React.FC<GanttChartProps> = ({
 
             {/* Creation Date */}
             <div className="relative w-36 flex-shrink-0">
-              <label htmlFor="creationDate" className="block text-sm font-medium text-gray-700 mb-1">{t('creationDate')}</label>
+              <label htmlFor={`${fieldId}-creationDate`} className="block text-sm font-medium text-gray-700 mb-1">{t('creationDate')}</label>
               <div className="relative">
-                <input type="text" id="creationDate" value={creationDate} onChange={e => setCreationDate(e.target.value)} onFocus={handleInputFocus} placeholder={t('dateFormatPlaceholder')} className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 pr-10 leading-normal" />
+                <input type="text" id={`${fieldId}-creationDate`} value={creationDate} onChange={e => setCreationDate(e.target.value)} onFocus={handleInputFocus} placeholder={t('dateFormatPlaceholder')} className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 pr-10 leading-normal" />
                 <button
                   data-calendar-toggle
                   onClick={(e) => openCalendar(e, 'creationDate')}
@@ -794,10 +1566,10 @@ const GanttChart: React.FC<GanttChartProps> = ({
 
             {/* Creator */}
             <div className="w-36 flex-shrink-0">
-              <label htmlFor="creatorName" className="block text-sm font-medium text-gray-700 mb-1">{t('creator')}</label>
+              <label htmlFor={`${fieldId}-creatorName`} className="block text-sm font-medium text-gray-700 mb-1">{t('creator')}</label>
               <input
                 type="text"
-                id="creatorName"
+                id={`${fieldId}-creatorName`}
                 value={creatorName}
                 onChange={e => setCreatorName(e.target.value)}
                 onFocus={handleInputFocus}
@@ -809,9 +1581,9 @@ const GanttChart: React.FC<GanttChartProps> = ({
 
           {/* Project Start Date */}
           <div className="relative">
-            <label htmlFor="projectStart" className="block text-sm font-medium text-gray-700 mb-1">{t('projectStartDate')}</label>
+            <label htmlFor={`${fieldId}-projectStart`} className="block text-sm font-medium text-gray-700 mb-1">{t('projectStartDate')}</label>
             <div className="relative">
-              <input type="text" id="projectStart" value={projectStart} onChange={e => setProjectStart(e.target.value)} placeholder={t('dateFormatPlaceholder')} className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 pr-10 leading-normal" />
+              <input type="text" id={`${fieldId}-projectStart`} value={projectStart} onChange={e => setProjectStart(e.target.value)} placeholder={t('dateFormatPlaceholder')} className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 pr-10 leading-normal" />
               <button
                 data-calendar-toggle
                 onClick={(e) => openCalendar(e, 'projectStart')}
@@ -836,9 +1608,9 @@ const GanttChart: React.FC<GanttChartProps> = ({
 
           {/* Project End Date */}
           <div className="relative">
-            <label htmlFor="projectEnd" className="block text-sm font-medium text-gray-700 mb-1">{t('projectEndDate')}</label>
+            <label htmlFor={`${fieldId}-projectEnd`} className="block text-sm font-medium text-gray-700 mb-1">{t('projectEndDate')}</label>
             <div className="relative">
-              <input type="text" id="projectEnd" value={projectEnd} onChange={e => setProjectEnd(e.target.value)} placeholder={t('dateFormatPlaceholder')} className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 pr-10 leading-normal" />
+              <input type="text" id={`${fieldId}-projectEnd`} value={projectEnd} onChange={e => setProjectEnd(e.target.value)} placeholder={t('dateFormatPlaceholder')} className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 pr-10 leading-normal" />
               <button
                 data-calendar-toggle
                 onClick={(e) => openCalendar(e, 'projectEnd')}
@@ -860,43 +1632,94 @@ const GanttChart: React.FC<GanttChartProps> = ({
               />
             )}
           </div>
-        </div>
-      </div>
-
-      <div id="gantt-scroll-container" className="relative flex-grow flex flex-col min-h-0">
+        </div>}
+        {categories.length > 0 && (
+          <ul className={`${embedded ? '' : 'mt-3 '}flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-slate-600`} aria-label={t('legend')}>
+            {categories.map(category => (
+              <li key={category.id} className="flex items-center gap-1.5">
+                <span
+                  className="w-6 h-3 rounded-sm border border-black/10"
+                  style={{ backgroundColor: category.baseColor, ...getBarPatternStyle(category.pattern, category.baseColor) }}
+                  aria-hidden="true"
+                />
+                {category.name}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>}
+
+      <div className="relative flex-grow flex flex-col min-h-0">
+        <p id={gridHelpId} className="sr-only">{t('gridKeyboardHelp')}</p>
+        <p id={barHelpId} className="sr-only">{t('taskBarKeyboardHelp')}</p>
+        <div className="sr-only" aria-live="polite">{announcedTask ? getTaskAriaLabel(announcedTask) : ''}</div>
         <div
-          id="gantt-grid-container"
           ref={(el) => {
             if (ganttGridRef) (ganttGridRef as any).current = el;
             if (scrollContainerRef) (scrollContainerRef as any).current = el;
           }}
           className="gantt-grid min-w-full grid relative overflow-auto flex-grow content-start"
+          role="treegrid"
+          aria-label={projectName || t('taskDetails')}
+          aria-rowcount={visibleTasks.length + 1}
+          aria-describedby={gridHelpId}
+          onFocus={handleGridFocus}
+          onBlur={handleGridBlur}
           style={{
             gridTemplateColumns: `max-content 1fr`,
-            gridTemplateRows: `max-content repeat(${tasks.length}, ${rowHeight}px)`,
+            gridTemplateRows: `max-content repeat(${visibleTasks.length}, ${rowHeight}px)`,
           }}
         >
+          <div role="row" className="contents" aria-rowindex={1}>
           {/* Top-left corner */}
-          <div ref={taskDetailsHeaderRef} className="sticky top-0 left-0 bg-slate-100 p-2 border-b border-r border-gray-200 font-semibold text-slate-600 text-sm flex items-center z-30">
+          <div ref={taskDetailsHeaderRef} role="columnheader" className="sticky top-0 left-0 bg-slate-100 p-2 border-b border-r border-gray-200 font-semibold text-slate-600 text-sm flex items-center z-30">
             <div className="flex items-center w-full gap-1">
-              <div className="w-6 flex-shrink-0" /> {/* Spacer for Grip Icon */}
-              <div className="flex-grow min-w-0 p-1">{t('taskDetails')}</div>
-              {columnVisibility.assignee && <div className="w-24 flex-shrink-0 p-1 text-xs text-center">{t('assignee')}</div>}
-              {columnVisibility.startDate && <div className="w-24 flex-shrink-0 p-1 text-xs text-center">{t('startDate')}</div>}
-              {columnVisibility.endDate && <div className="w-24 flex-shrink-0 p-1 text-xs text-center">{t('endDate')}</div>}
-              {columnVisibility.duration && <div className="w-16 flex-shrink-0 p-1 text-xs text-center">{t('duration')}</div>}
-              {columnVisibility.progress && <div className="w-20 flex-shrink-0 p-1 text-xs text-center">{t('progress')}</div>}
+              <input
+                type="checkbox"
+                checked={isAllVisibleSelected}
+                ref={el => { if (el) el.indeterminate = !isAllVisibleSelected && visibleTasks.some(task => selectedTaskIds.has(task.id)); }}
+                onChange={() => onSelectionChange(isAllVisibleSelected ? new Set() : new Set(visibleTasks.map(task => task.id)))}
+                disabled={visibleTasks.length === 0}
+                className="h-4 w-4 flex-shrink-0 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+                title={t('selectAllTasks')}
+                aria-label={t('selectAllTasks')}
+              />
+              {!readOnly && <div className="w-6 flex-shrink-0" />} {/* Spacer for Grip Icon */}
+              {columnVisibility.predecessors && <div className="w-8 flex-shrink-0 p-1 text-xs text-center" title={t('rowNumberDesc')}>#</div>}
+              <div className="flex-grow min-w-0 p-1">{renderSortButton('name', t('taskDetails'))}</div>
+              {columnVisibility.assignee && <div className="w-24 flex-shrink-0 p-1 text-xs text-center">{renderSortButton('assignee', t('assignee'))}</div>}
+              {columnVisibility.startDate && <div className="w-24 flex-shrink-0 p-1 text-xs text-center">{renderSortButton('startDate', t('startDate'))}</div>}
+              {columnVisibility.times && <div className="w-16 flex-shrink-0 p-1 text-xs text-center">{t('startTime')}</div>}
+              {columnVisibility.endDate && <div className="w-24 flex-shrink-0 p-1 text-xs text-center">{renderSortButton('endDate', t('endDate'))}</div>}
+              {columnVisibility.times && <div className="w-16 flex-shrink-0 p-1 text-xs text-center">{t('endTime')}</div>}
+              {columnVisibility.duration && <div className="w-16 flex-shrink-0 p-1 text-xs text-center">{renderSortButton('duration', t('duration'))}</div>}
+              {columnVisibility.progress && <div className="w-20 flex-shrink-0 p-1 text-xs text-center">{renderSortButton('progress', t('progress'))}</div>}
+              {columnVisibility.float && <div className="w-16 flex-shrink-0 p-1 text-xs text-center" title={t('floatDesc')}>{t('float')}</div>}
+              {columnVisibility.predecessors && <div className="w-24 flex-shrink-0 p-1 text-xs text-center" title={t('predecessorsDesc')}>{t('predecessors')}</div>}
               {columnVisibility.manHours && (
                 <div className="w-20 flex-shrink-0 p-1 text-xs text-center">
                   <div className="flex flex-col items-center justify-center -space-y-1">
-                    <span>{t('manHours')}</span>
+                    {renderSortButton('manHours', t('manHours'))}
                     <span className="text-[10px] text-slate-500 font-normal">
                       ({t('total')}: {totalManHours.toLocaleString(undefined, { maximumFractionDigits: 1 })})
                     </span>
                   </div>
                 </div>
               )}
-              <div className="w-16 flex-shrink-0 flex items-center justify-end">
+              {showVariance && <div className="w-16 flex-shrink-0 p-1 text-xs text-center" title={t('varianceDesc')}>{t('variance')}</div>}
+              {visibleCustomFields.map(field => (
+                <div key={field.id} className="w-24 flex-shrink-0 p-1 text-xs text-center">
+                  <div className="flex flex-col items-center justify-center -space-y-1">
+                    {renderSortButton(getCustomFieldSortKey(field.id), field.name)}
+                    {customFieldTotals.has(field.id) && (
+                      <span className="text-[10px] text-slate-500 font-normal">
+                        ({t('total')}: {customFieldTotals.get(field.id)!.toLocaleString(undefined, { maximumFractionDigits: 2 })})
+                      </span>
+                    )}
+                  </div>
+                </div>
+              ))}
+              {!readOnly && <div className="w-36 flex-shrink-0 flex items-center justify-end">
                  <button 
                     onClick={onDeleteAllTasks} 
                     className="text-gray-400 hover:text-red-500 p-1 rounded-full transition-colors disabled:opacity-50 disabled:cursor-not-allowed" 
@@ -905,7 +1728,7 @@ const GanttChart: React.FC<GanttChartProps> = ({
                   >
                       <TrashIcon />
                   </button>
-              </div>
+              </div>}
             </div>
           </div>
 
@@ -916,19 +1739,34 @@ const GanttChart: React.FC<GanttChartProps> = ({
               gridColumn: `2 / span 1`,
             }}
             ref={timelineHeaderRef}
+            role="columnheader"
+            aria-label={t('timescale')}
           >
-            <div className="grid" style={{ gridTemplateColumns: `repeat(${dateArray.length}, ${dayWidth}px)` }}>
-              {monthHeaders.map((month, index) => (
-                <div key={index} className="text-center font-semibold text-slate-600 text-sm py-1 border-r border-gray-400" style={{ gridColumn: `span ${month.days}` }}>
-                  {month.formatted}
+            <div className="relative h-7" style={{ width: timelineWidth }}>
+              {upperHeaders.filter(header => overlapsRange(columnRange, header.startIndex, header.span)).map(header => (
+                <div
+                  key={header.startIndex}
+                  className="absolute top-0 h-full text-center font-semibold text-slate-600 text-sm py-1 border-r border-gray-400 overflow-hidden whitespace-nowrap"
+                  style={{ left: header.startIndex * dayWidth, width: header.span * dayWidth }}
+                >
+                  {header.label}
                 </div>
               ))}
             </div>
-            <div className="grid" style={{ gridTemplateColumns: `repeat(${dateArray.length}, ${dayWidth}px)` }}>
-              {dateHeaders.map(({ date, span, isLastDayOfMonth }, index) => {
+            <div className="relative h-[36px]" style={{ width: timelineWidth }}>
+              {!isDailyScale && periodHeaders.filter(header => overlapsRange(columnRange, header.startIndex, header.span)).map(header => (
+                <div
+                  key={header.startIndex}
+                  className={`absolute top-0 text-xs text-slate-500 bg-slate-50 border-r ${header.isUpperBoundary ? 'border-gray-400' : 'border-gray-300'} overflow-hidden whitespace-nowrap text-center h-[36px] leading-[36px]`}
+                  style={{ left: header.startIndex * dayWidth, width: header.span * dayWidth }}
+                >
+                  {header.label}
+                </div>
+              ))}
+              {isDailyScale && dateHeaders.filter(header => overlapsRange(columnRange, header.startIndex, header.span)).map(({ date, startIndex, span, isLastDayOfMonth }) => {
                 const dayOfWeek = date.toLocaleString(language === 'ja' ? 'ja-JP' : 'en-US', { weekday: 'short', timeZone: 'UTC' });
                 const day = date.getUTCDay();
-                const isHoliday = holidays.has(day);
+                const isHoliday = isNonWorkingDay(date, workingCalendar);
 
                 let dayColorClass = 'text-slate-500';
                 if (day === 0) { // Sunday
@@ -947,9 +1785,14 @@ const GanttChart: React.FC<GanttChartProps> = ({
 
                 return (
                   <div 
-                    key={index} 
-                    className={`text-xs border-r ${borderClass} ${isHoliday ? 'bg-red-50' : 'bg-slate-50'} ${dayColorClass} overflow-hidden ${textAlignClass} relative h-[36px]`}
-                    style={{ gridColumn: `span ${span}` }}
+                    key={startIndex} 
+                    className={`text-xs border-r ${borderClass} ${isHoliday ? 'bg-red-50' : 'bg-slate-50'} ${dayColorClass} overflow-hidden ${textAlignClass} absolute top-0 h-[36px] ${canToggleNonWorkingDates ? 'cursor-pointer hover:bg-slate-200' : ''}`}
+                    style={{ left: startIndex * dayWidth, width: span * dayWidth }}
+                    title={canToggleNonWorkingDates ? t('toggleNonWorkingDay') : undefined}
+                    onClick={canToggleNonWorkingDates ? (e) => {
+                      const clickedDate = span === 1 ? date : getDateFromX(e.clientX);
+                      if (clickedDate) onToggleNonWorkingDate?.(formatDateUTC(clickedDate));
+                    } : undefined}
                   >
                       <div className="absolute top-[4px] left-0 right-0">
                         <div className="whitespace-nowrap leading-[14px]">{date.getUTCDate()}</div>
@@ -959,64 +1802,189 @@ const GanttChart: React.FC<GanttChartProps> = ({
                 );
               })}
             </div>
+            {isHourScale && (
+              <div className="relative h-5 border-t border-gray-200" style={{ width: timelineWidth }}>
+                {dateArray.slice(columnRange.start, columnRange.end).map((date, offset) => {
+                  const index = columnRange.start + offset;
+                  return hourMarks.map(mark => (
+                    <div
+                      key={`${index}-${mark.minute}`}
+                      className={`absolute top-0 h-full pl-0.5 text-[10px] leading-5 text-slate-500 whitespace-nowrap border-l ${mark.left === 0 ? 'border-gray-300' : 'border-gray-200'}`}
+                      style={{ left: index * dayWidth + mark.left }}
+                    >
+                      {hourLabelWidth < 32 ? mark.minute / 60 : formatTime(mark.minute)}
+                    </div>
+                  ));
+                })}
+              </div>
+            )}
+          </div>
           </div>
           
           {typeof dropIndex === 'number' && reorderState && (
             <div
+                aria-hidden="true"
                 className="h-0.5 bg-blue-500 pointer-events-none absolute w-full z-40"
                 style={{
-                    top: (timelineHeaderRef.current?.offsetHeight || 0) + (tasks.findIndex(t => t.id === reorderState.draggedTaskId) < dropIndex ? dropIndex -1 : dropIndex) * rowHeight - 2,
+                    top: headerHeight + ((rowIndexById.get(reorderState.draggedTaskId) ?? -1) < dropIndex ? dropIndex -1 : dropIndex) * rowHeight - 2,
                     left: 0,
                 }}
             />
           )}
 
-          {/* Task Rows */}
-          {tasks.map((task, index) => {
+          {/* Background Lines & Weekend Highlighting, shared by all rows */}
+          <div
+            aria-hidden="true"
+            className="absolute pointer-events-none"
+            style={{ top: headerHeight, left: taskDetailsWidth, width: timelineWidth, height: visibleTasks.length * rowHeight }}
+          >
+            {backgroundColumns.filter(column => overlapsRange(columnRange, column.startIndex, column.span)).map(column => (
+              <div
+                key={column.startIndex}
+                className={`absolute inset-y-0 border-r ${column.className}`}
+                style={{ left: column.startIndex * dayWidth, width: column.span * dayWidth }}
+              >
+                {breakBand && <div className="absolute inset-y-0 bg-slate-100/70" style={breakBand} />}
+                {hourMarks.filter(mark => mark.left > 0).map(mark => (
+                  <div key={mark.minute} className="absolute inset-y-0 border-l border-gray-100" style={{ left: mark.left }} />
+                ))}
+              </div>
+            ))}
+          </div>
+
+          {/* Task Rows: only those around the viewport, plus a row that is about to receive focus */}
+          {renderedRowIndexes.map(index => {
+            const task = visibleTasks[index];
             const isDragging = reorderState?.draggedTaskId === task.id;
+            const isSummary = summaryTaskIds.has(task.id);
+            const depth = groupByAssignee ? 0 : taskDepths.get(task.id) || 0;
+            const isOverAllocated = resourceLoads.overAllocatedTaskIds.has(task.id);
+            const totalFloat = totalFloats.get(task.id);
+            const isCritical = isCriticalFloat(totalFloat);
+            const groupAssignee = task.assignee?.trim() || '';
+            const isSelected = selectedTaskIds.has(task.id);
+            const barColors = getTaskBarColors(task, categoriesById, defaultBarColors);
+            const isGroupStart = groupByAssignee && (index === 0 || (visibleTasks[index - 1].assignee?.trim() || '') !== groupAssignee);
+            const editors = remoteEditors?.get(task.id);
             
             return (
-            <React.Fragment key={task.id}>
+            <div
+              key={task.id}
+              role="row"
+              className="contents"
+              aria-rowindex={index + 2}
+              aria-selected={isSelected}
+              aria-level={groupByAssignee ? undefined : depth + 1}
+              aria-expanded={isSummary && !groupByAssignee ? !task.collapsed : undefined}
+            >
               {/* Task Details Column Cell */}
               <div
                 ref={(el) => { taskRowRefs.current[task.id] = el; }}
-                className={`sticky left-0 bg-white border-b border-r border-gray-200 z-20 flex items-center px-2 py-0 gap-1 transition-opacity ${isDragging ? 'opacity-50' : ''}`}
+                role="gridcell"
+                data-row-task-id={task.id}
+                className={`sticky left-0 ${isSelected ? 'bg-indigo-50' : 'bg-white'} border-b border-r border-gray-200 z-20 flex items-center px-2 py-0 gap-1 transition-opacity ${isDragging ? 'opacity-50' : ''} ${isGroupStart && index > 0 ? 'border-t-2 border-t-slate-300' : ''}`}
                 style={{
                   height: `${rowHeight}px`,
                   gridRow: index + 2,
                   gridColumn: 1,
                   zIndex: activeCalendar?.taskId === task.id ? 41 : 20,
+                  boxShadow: editors ? `inset 3px 0 0 ${editors[0].color}` : undefined,
                 }}
               >
-                  <button
+                  <input
+                    type="checkbox"
+                    checked={isSelected}
+                    onChange={e => toggleTaskSelection(task.id, (e.nativeEvent as MouseEvent).shiftKey)}
+                    className="h-4 w-4 flex-shrink-0 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+                    title={t('selectTask')}
+                    aria-label={`${t('selectTask')}: ${task.name}`}
+                  />
+                  {!readOnly && <button
                     onMouseDown={(e) => handleReorderStart(e, task.id)}
                     onTouchStart={(e) => handleReorderStart(e, task.id)}
-                    className="p-1 text-gray-400 hover:bg-gray-200 rounded-md"
+                    disabled={!isManualOrder}
+                    className="p-1 text-gray-400 hover:bg-gray-200 rounded-md disabled:opacity-30 disabled:pointer-events-none"
                     title={t('reorderTask')}
                   >
                     <GripVerticalIcon className="w-5 h-5 cursor-grab active:cursor-grabbing"/>
-                  </button>
-                  <input type="text" value={task.name} onChange={e => onTaskChange(task.id, 'name', e.target.value)} onFocus={handleInputFocus} placeholder={t('taskNamePlaceholder')} className="flex-grow min-w-0 px-1 py-0 h-full bg-transparent border-none focus:ring-0 text-sm leading-normal"/>
+                  </button>}
+                  {columnVisibility.predecessors && (
+                    <div className="w-8 flex-shrink-0 text-xs text-center text-gray-400">{rowNumbers.get(task.id)}</div>
+                  )}
+                  <div className="flex-grow min-w-0 h-full flex items-center" style={{ paddingLeft: `${depth * 16}px` }}>
+                    {isSummary ? (
+                      <button
+                        onClick={() => onToggleCollapse(task.id)}
+                        className="p-0.5 text-gray-500 hover:bg-gray-200 rounded flex-shrink-0"
+                        title={task.collapsed ? t('expand') : t('collapse')}
+                      >
+                        <ChevronRightIcon className={`w-4 h-4 transition-transform ${task.collapsed ? '' : 'rotate-90'}`} />
+                      </button>
+                    ) : (
+                      <div className="w-5 flex-shrink-0" />
+                    )}
+                    {isGroupStart && (
+                      <span className="flex-shrink-0 max-w-[6rem] truncate px-1.5 py-0.5 rounded-full bg-slate-200 text-slate-600 text-xs font-semibold">
+                        {groupAssignee || t('unassigned')}
+                      </span>
+                    )}
+                    {!isSummary && (
+                      <button
+                        onClick={(e) => setColorEditor({ taskId: task.id, x: e.clientX, y: e.clientY })}
+                        disabled={readOnly}
+                        className="w-3 h-3 mx-0.5 flex-shrink-0 rounded-sm border border-black/20 hover:ring-2 hover:ring-indigo-300"
+                        style={{ backgroundColor: barColors.base, ...getBarPatternStyle(barColors.pattern, barColors.base) }}
+                        title={`${t('taskColorDesc')}${task.categoryId && categoriesById.has(task.categoryId) ? `: ${categoriesById.get(task.categoryId)!.name}` : ''}`}
+                        aria-label={`${t('taskColorDesc')}: ${task.name}`}
+                      />
+                    )}
+                    <input
+                      type="text"
+                      value={task.name}
+                      onChange={e => onTaskChange(task.id, 'name', e.target.value)}
+                      readOnly={readOnly}
+                      onFocus={handleInputFocus}
+                      {...getGridCellProps('name', t('taskName'), task, index)}
+                      placeholder={t('taskNamePlaceholder')}
+                      title={isSummary ? t('summaryTask') : undefined}
+                      className={`flex-grow min-w-0 px-1 py-0 h-full bg-transparent border-none focus:ring-0 text-sm leading-normal ${isSummary ? 'font-bold' : ''}`}
+                    />
+                    {editors && (
+                      <span className="flex -space-x-1 flex-shrink-0" title={`${t('collabEditing')}: ${editors.map(peer => peer.name).join(', ')}`}>
+                        {editors.map(peer => (
+                          <span
+                            key={peer.clientId}
+                            className="w-4 h-4 rounded-full ring-1 ring-white flex items-center justify-center text-[9px] font-bold text-white"
+                            style={{ backgroundColor: peer.color }}
+                          >
+                            {peer.name.slice(0, 1).toUpperCase()}
+                          </span>
+                        ))}
+                      </span>
+                    )}
+                  </div>
                   {columnVisibility.assignee && <div className="w-24 flex-shrink-0 h-full flex items-center">
                     <input
                       type="text"
                       value={task.assignee || ''}
                       onChange={e => onTaskChange(task.id, 'assignee', e.target.value)}
+                      readOnly={readOnly}
                       onFocus={handleInputFocus}
+                      {...getGridCellProps('assignee', t('assignee'), task, index)}
                       placeholder={t('assignee')}
                       className="w-full px-1 py-0 h-full bg-transparent border-none focus:ring-0 text-xs leading-normal"
                     />
                   </div>}
                   {columnVisibility.startDate && <div className="relative w-24 flex-shrink-0 h-full flex items-center">
-                      <input type="text" value={task.startDate} onChange={e => onTaskChange(task.id, 'startDate', e.target.value)} placeholder={t('dateFormatPlaceholder')} className="w-full px-1 py-0 h-full bg-transparent border-none focus:ring-0 text-xs pr-6 leading-normal"/>
-                      <button
+                      <input type="text" value={task.startDate} readOnly={readOnly || isSummary} {...getGridCellProps('startDate', t('startDate'), task, index)} onChange={e => onTaskChange(task.id, 'startDate', e.target.value)} placeholder={t('dateFormatPlaceholder')} className="w-full px-1 py-0 h-full bg-transparent border-none focus:ring-0 text-xs pr-6 leading-normal"/>
+                      {!isSummary && !readOnly && <button
                           data-calendar-toggle
                           onClick={(e) => openCalendar(e, 'taskStartDate', task.id)}
                           className="absolute inset-y-0 right-0 flex items-center pr-1 text-gray-400 hover:text-indigo-600"
                           aria-label={t('openCalendar')}
                       >
                           <CalendarIcon className="w-4 h-4"/>
-                      </button>
+                      </button>}
                        {activeCalendar?.type === 'taskStartDate' && activeCalendar?.taskId === task.id && (
                           <Calendar
                               initialDate={task.startDate}
@@ -1033,16 +2001,17 @@ const GanttChart: React.FC<GanttChartProps> = ({
                           />
                       )}
                   </div>}
+                  {columnVisibility.times && renderTimeCell(task, index, 'startTime', isSummary)}
                   {columnVisibility.endDate && <div className="relative w-24 flex-shrink-0 h-full flex items-center">
-                      <input type="text" value={task.endDate} onChange={e => onTaskChange(task.id, 'endDate', e.target.value)} placeholder={t('dateFormatPlaceholder')} className="w-full px-1 py-0 h-full bg-transparent border-none focus:ring-0 text-xs pr-6 leading-normal"/>
-                      <button
+                      <input type="text" value={task.endDate} readOnly={readOnly || isSummary} {...getGridCellProps('endDate', t('endDate'), task, index)} onChange={e => onTaskChange(task.id, 'endDate', e.target.value)} placeholder={t('dateFormatPlaceholder')} className="w-full px-1 py-0 h-full bg-transparent border-none focus:ring-0 text-xs pr-6 leading-normal"/>
+                      {!isSummary && !readOnly && <button
                           data-calendar-toggle
                           onClick={(e) => openCalendar(e, 'taskEndDate', task.id)}
                           className="absolute inset-y-0 right-0 flex items-center pr-1 text-gray-400 hover:text-indigo-600"
                           aria-label={t('openCalendar')}
                       >
                           <CalendarIcon className="w-4 h-4"/>
-                      </button>
+                      </button>}
                       {activeCalendar?.type === 'taskEndDate' && activeCalendar?.taskId === task.id && (
                           <Calendar
                               initialDate={task.endDate}
@@ -1059,41 +2028,141 @@ const GanttChart: React.FC<GanttChartProps> = ({
                           />
                       )}
                   </div>}
+                  {columnVisibility.times && renderTimeCell(task, index, 'endTime', isSummary)}
                   {columnVisibility.duration && <div className="w-16 flex-shrink-0 h-full flex items-center">
                     <input
                       type="number"
-                      value={getTaskDuration(task.startDate, task.endDate) || ''}
+                      value={task.milestone || !task.startDate || !task.endDate ? '' : (formatDuration(calculateTaskDuration(task, workingCalendar)) || '')}
+                      readOnly={readOnly || isSummary || task.milestone}
                       onChange={e => onDurationChange(task, e.target.value)}
                       onFocus={handleInputFocus}
+                      {...getGridCellProps('duration', t('duration'), task, index)}
                       className="w-full px-1 py-0 h-full bg-transparent border-none focus:ring-0 text-xs text-center leading-normal"
                       placeholder="-"
-                      min="1"
+                      min="0"
+                      step="any"
                     />
                   </div>}
                   {columnVisibility.progress && <div className="w-20 flex-shrink-0 relative h-full flex items-center">
+                    {task.milestone ? (
+                      <label className="w-full flex items-center justify-center gap-1 text-xs text-gray-500 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={task.progress >= 100}
+                          onChange={e => onProgressChange(task.id, e.target.checked ? '100' : '0')}
+                          disabled={readOnly}
+                          {...getGridCellProps('progress', t('milestoneDone'), task, index)}
+                          className="h-3.5 w-3.5 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+                        />
+                        {t('milestoneDone')}
+                      </label>
+                    ) : (<>
                     <input
                       type="number"
                       value={task.progress}
+                      readOnly={readOnly || isSummary}
                       onChange={e => onProgressChange(task.id, e.target.value)}
                       onFocus={handleInputFocus}
+                      {...getGridCellProps('progress', t('progress'), task, index)}
                       className="w-full px-1 py-0 h-full bg-transparent border-none focus:ring-0 text-xs text-center pr-4 leading-normal"
                       min="0"
                       max="100"
                     />
                     <span className="absolute right-2 top-1/2 -translate-y-1/2 text-xs text-gray-400">%</span>
+                    </>)}
                   </div>}
+                  {columnVisibility.float && (
+                    <div
+                      className={`w-16 flex-shrink-0 h-full flex items-center justify-center text-xs ${isCritical ? 'text-red-600 font-semibold' : 'text-gray-500'}`}
+                      title={isCritical ? t('criticalPath') : t('floatDesc')}
+                    >
+                      {totalFloat === undefined ? '-' : totalFloat}
+                    </div>
+                  )}
+                  {columnVisibility.predecessors && renderPredecessorCell(task, index)}
                   {columnVisibility.manHours && <div className="w-20 flex-shrink-0 h-full flex items-center">
                     <input
                       type="number"
                       value={task.manHours ?? ''}
+                      readOnly={readOnly || isSummary}
                       onChange={e => onManHoursChange(task.id, e.target.value)}
                       onFocus={handleInputFocus}
+                      {...getGridCellProps('manHours', t('manHours'), task, index)}
                       className="w-full px-1 py-0 h-full bg-transparent border-none focus:ring-0 text-xs text-center leading-normal"
                       placeholder="-"
                       min="0"
                     />
                   </div>}
-                  <div className="w-16 flex-shrink-0 flex items-center justify-end">
+                  {showVariance && (() => {
+                    const variance = getBaselineVariance(task, baseline?.tasks[task.id], workingCalendar);
+                    let varianceClass = 'text-gray-400';
+                    if (variance !== null && variance > 0) varianceClass = 'text-red-600 font-semibold';
+                    if (variance !== null && variance < 0) varianceClass = 'text-green-600 font-semibold';
+                    return (
+                      <div className={`w-16 flex-shrink-0 h-full flex items-center justify-center text-xs ${varianceClass}`} title={t('varianceDesc')}>
+                        {variance === null ? '-' : variance > 0 ? `+${variance}` : variance}
+                      </div>
+                    );
+                  })()}
+                  {visibleCustomFields.map(field => {
+                    const value = formatCustomValue(getCustomValue(task, field.id));
+                    const cellProps = getGridCellProps(`custom-${field.id}`, field.name, task, index);
+                    const cellClassName = 'w-full px-1 py-0 h-full bg-transparent border-none focus:ring-0 text-xs leading-normal';
+                    return (
+                      <div key={field.id} className="w-24 flex-shrink-0 h-full flex items-center">
+                        {field.type === 'choice' ? (
+                          <select
+                            value={value}
+                            onChange={e => onCustomValueChange(task.id, field.id, parseCustomValueInput(field, e.target.value))}
+                            disabled={readOnly}
+                            {...cellProps}
+                            className={`${cellClassName} pr-6`}
+                          >
+                            <option value="">-</option>
+                            {/* Keep a value whose choice has since been removed from the list */}
+                            {value && !(field.options || []).includes(value) && <option value={value}>{value}</option>}
+                            {(field.options || []).map(option => <option key={option} value={option}>{option}</option>)}
+                          </select>
+                        ) : (
+                          <input
+                            type={field.type === 'number' ? 'number' : 'text'}
+                            value={value}
+                            onChange={e => onCustomValueChange(task.id, field.id, parseCustomValueInput(field, e.target.value))}
+                            readOnly={readOnly}
+                            onFocus={handleInputFocus}
+                            {...cellProps}
+                            placeholder={field.type === 'date' ? t('dateFormatPlaceholder') : '-'}
+                            className={`${cellClassName} ${field.type === 'number' ? 'text-right' : ''}`}
+                          />
+                        )}
+                      </div>
+                    );
+                  })}
+                  {!readOnly && <div className="w-36 flex-shrink-0 flex items-center justify-end">
+                    <button
+                      onClick={() => onOutdentTask(task.id)}
+                      disabled={!task.parentId || !isManualOrder}
+                      className="text-gray-400 hover:text-indigo-500 p-1 rounded-full transition-colors disabled:opacity-30 disabled:cursor-not-allowed"
+                      title={t('outdentTask')}
+                    >
+                      <OutdentIcon className="w-5 h-5" />
+                    </button>
+                    <button
+                      onClick={() => onIndentTask(task.id)}
+                      disabled={index === 0 || !isManualOrder}
+                      className="text-gray-400 hover:text-indigo-500 p-1 rounded-full transition-colors disabled:opacity-30 disabled:cursor-not-allowed"
+                      title={t('indentTask')}
+                    >
+                      <IndentIcon className="w-5 h-5" />
+                    </button>
+                    <button
+                      onClick={() => onToggleMilestone(task.id)}
+                      disabled={isSummary}
+                      className={`${task.milestone ? 'text-indigo-500' : 'text-gray-400'} hover:text-indigo-500 p-1 rounded-full transition-colors disabled:opacity-30 disabled:cursor-not-allowed`}
+                      title={task.milestone ? t('convertToTask') : t('convertToMilestone')}
+                    >
+                      <DiamondIcon className="w-5 h-5" />
+                    </button>
                     <button
                       onClick={() => onDuplicateTask(task.id)}
                       className="text-gray-400 hover:text-indigo-500 p-1 rounded-full transition-colors"
@@ -1104,11 +2173,12 @@ const GanttChart: React.FC<GanttChartProps> = ({
                     <button onClick={() => onDeleteTask(task.id)} className="text-gray-400 hover:text-red-500 p-1 rounded-full transition-colors">
                         <TrashIcon />
                     </button>
-                  </div>
+                  </div>}
               </div>
 
               {/* Task Timeline Row Cell */}
               <div
+                role="gridcell"
                 className={`relative border-b transition-opacity z-0 ${isDragging ? 'opacity-50' : ''}`}
                 style={{
                   gridRow: index + 2,
@@ -1116,12 +2186,14 @@ const GanttChart: React.FC<GanttChartProps> = ({
                 }}
                 data-task-row-id={task.id}
                 onMouseDown={(e) => {
-                  if (!task.startDate && !task.endDate) {
+                  if (!readOnly && !isSummary && !task.startDate && !task.endDate) {
                     handlePointerDownForCreate(e);
+                  } else {
+                    handleSelectionBoxStart(e);
                   }
                 }}
                 onTouchStart={(e) => {
-                  if (!task.startDate && !task.endDate) {
+                  if (!readOnly && !isSummary && !task.startDate && !task.endDate) {
                     handlePointerDownForCreate(e);
                   }
                 }}
@@ -1129,30 +2201,23 @@ const GanttChart: React.FC<GanttChartProps> = ({
                 onTouchMove={handlePointerMove}
                 onMouseLeave={handleMouseLeave}
               >
-                  {/* Background Lines & Weekend Highlighting */}
-                  <div className="absolute inset-0 grid" style={{ gridTemplateColumns: `repeat(${dateArray.length}, ${dayWidth}px)` }}>
-                      {dateArray.map((date, index) => {
-                          const isHoliday = holidays.has(date.getUTCDay());
-                          const nextDay = addDaysUTC(date, 1);
-                          const isLastDayOfMonth = nextDay.getUTCDate() === 1;
-
-                          let interval = 1;
-                          if (dayWidth < 24) interval = 2;
-                          if (dayWidth < 18) interval = 3;
-                          if (dayWidth < 12) interval = 7;
-                          const isGroupSeparator = interval > 1 && (index + 1) % interval === 0;
-
-                          let borderClass = 'border-gray-100'; // Lightest, default
-                          if (isLastDayOfMonth) {
-                              borderClass = 'border-gray-400'; // Darkest
-                          } else if (isGroupSeparator) {
-                              borderClass = 'border-gray-300'; // Medium
-                          }
-                          return <div key={index} className={`h-full border-r ${borderClass} ${isHoliday ? 'bg-red-50' : ''}`}></div>;
-                      })}
-                  </div>
+                  {/* Baseline Ghost Bar */}
+                  {(() => {
+                    const planned = baseline?.tasks[task.id];
+                    const plannedStart = planned ? parseUTCDateString(planned.startDate) : null;
+                    const plannedEnd = planned ? parseUTCDateString(planned.endDate) : null;
+                    if (!planned || !plannedStart || !plannedEnd) return null;
+                    return (
+                      <div className="absolute inset-x-0 bottom-px h-[3px] pointer-events-none">
+                        <div
+                          className="absolute h-full bg-slate-500 opacity-60 rounded-sm"
+                          style={getTimelinePosition(plannedStart, plannedEnd)}
+                        />
+                      </div>
+                    );
+                  })()}
                   {/* Task Bar */}
-                  <div className="absolute inset-0 grid items-center" style={{ gridTemplateColumns: `repeat(${dateArray.length}, ${dayWidth}px)` }}>
+                  <div className="absolute inset-0">
                      {(() => {
                         const taskStart = parseUTCDateString(task.startDate);
                         const taskEnd = parseUTCDateString(task.endDate);
@@ -1161,29 +2226,96 @@ const GanttChart: React.FC<GanttChartProps> = ({
                             return null;
                         }
 
-                        const totalWorkingDays = getTaskDuration(task.startDate, task.endDate);
-                        if (totalWorkingDays === 0) return null;
-                        
-                        let completedWorkingDays = totalWorkingDays * (task.progress / 100);
-                        
-                        const totalDurationDays = (taskEnd.getTime() - taskStart.getTime()) / (1000 * 3600 * 24) + 1;
-                        if (totalDurationDays <= 0) return null;
-                        
-                        const segments = getTaskSegments(task);
+                        if (task.milestone) {
+                            const isDone = task.progress >= 100;
+                            const milestoneBorderColor = isCritical ? CRITICAL_PROGRESS_COLOR : barColors.progress;
+                            const milestoneFillColor = isCritical ? CRITICAL_BAR_COLOR : barColors.base;
+                            return (
+                                <div
+                                    className={`group/bar absolute top-1/2 -translate-y-1/2 h-8 flex items-center justify-center ${readOnly ? '' : 'cursor-move'} rounded-md focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-500 ${isSelected ? 'outline outline-2 outline-offset-2 outline-indigo-500' : ''}`}
+                                    style={{ ...getTimelinePosition(taskStart, taskStart), touchAction: 'none' }}
+                                    data-bar-task-id={task.id}
+                                    tabIndex={0}
+                                    role="button"
+                                    aria-label={getTaskAriaLabel(task)}
+                                    aria-describedby={barHelpId}
+                                    onKeyDown={(e) => handleBarKeyDown(e, task, index)}
+                                    title={isOverAllocated ? `${t('milestone')} - ${t('overAllocated')}` : t('milestone')}
+                                    onMouseDown={(e) => handleDragStart(e, task, 'move')}
+                                    onTouchStart={(e) => handleDragStart(e, task, 'move')}
+                                >
+                                    <div
+                                        className={`rotate-45 border-2 ${isOverAllocated ? 'ring-2 ring-red-500' : ''}`}
+                                        style={{
+                                            width: MILESTONE_SIZE,
+                                            height: MILESTONE_SIZE,
+                                            borderColor: milestoneBorderColor,
+                                            backgroundColor: isDone ? milestoneBorderColor : milestoneFillColor,
+                                        }}
+                                    />
+                                    <span className="whitespace-nowrap absolute left-full ml-2 text-sm font-medium leading-none pointer-events-none text-slate-700">{task.name}</span>
+                                    {/* Link Handles */}
+                                    {!readOnly && (
+                                      <>
+                                        <div
+                                            className="absolute -left-3 top-1/2 -translate-y-1/2 w-2.5 h-2.5 rounded-full bg-white border-2 border-indigo-500 cursor-crosshair opacity-0 group-hover/bar:opacity-100 transition-opacity"
+                                            title={t('dragToLink')}
+                                            onMouseDown={(e) => handleLinkStart(e, task.id, 'start')}
+                                            onTouchStart={(e) => handleLinkStart(e, task.id, 'start')}
+                                        />
+                                        <div
+                                            className="absolute -right-3 top-1/2 -translate-y-1/2 w-2.5 h-2.5 rounded-full bg-white border-2 border-indigo-500 cursor-crosshair opacity-0 group-hover/bar:opacity-100 transition-opacity"
+                                            title={t('dragToLink')}
+                                            onMouseDown={(e) => handleLinkStart(e, task.id, 'end')}
+                                            onTouchStart={(e) => handleLinkStart(e, task.id, 'end')}
+                                        />
+                                      </>
+                                    )}
+                                </div>
+                            );
+                        }
 
-                        const interactionLayerStyle: React.CSSProperties = { color: textColor };
-                        if (segments.length > 0 && totalDurationDays > 0) {
-                            const visualStartDate = segments[0].startDate;
-                            const visualEndDate = segments[segments.length - 1].endDate;
+                        if (calculateTaskDuration(task, workingCalendar) === 0) return null;
+
+                        // Bar geometry in day columns from the start of the first day: times trim the first and last day.
+                        const fractions = getTaskDayFractions(task);
+                        const barStartDays = fractions.start;
+                        const barEndDays = (taskEnd.getTime() - taskStart.getTime()) / DAY_IN_MS + fractions.end;
+                        const barLengthDays = barEndDays - barStartDays;
+                        if (barLengthDays <= 0) return null;
+                        const getSegmentSpan = (segment: { startDate: Date; endDate: Date }) => {
+                            const from = Math.max(barStartDays, (segment.startDate.getTime() - taskStart.getTime()) / DAY_IN_MS);
+                            const to = Math.min(barEndDays, (segment.endDate.getTime() - taskStart.getTime()) / DAY_IN_MS + 1);
+                            return { from, to: Math.max(from, to) };
+                        };
+
+                        const segments = getTaskSegments(task);
+                        // Progress fills the working parts of the bar from the left.
+                        const workedDays = segments.reduce((sum, segment) => {
+                            const { from, to } = getSegmentSpan(segment);
+                            return sum + to - from;
+                        }, 0);
+                        let completedDays = workedDays * (task.progress / 100);
+
+                        let barColor = isSummary ? SUMMARY_BAR_COLOR : barColors.base;
+                        let barProgressColor = isSummary ? SUMMARY_PROGRESS_COLOR : barColors.progress;
+                        if (isCritical && !isSummary) {
+                            barColor = CRITICAL_BAR_COLOR;
+                            barProgressColor = CRITICAL_PROGRESS_COLOR;
+                        }
+                        const barPatternStyle = isSummary ? undefined : getBarPatternStyle(barColors.pattern, barColor);
+                        // The label starts over the progress part once there is any progress.
+                        const labelBackground = task.progress > 0 ? barProgressColor : barColor;
+                        const interactionLayerStyle: React.CSSProperties = { color: isSummary ? '#ffffff' : getReadableTextColor(labelBackground, textColor) };
+                        if (segments.length > 0) {
+                            const visualStart = getSegmentSpan(segments[0]).from;
+                            const visualEnd = getSegmentSpan(segments[segments.length - 1]).to;
 
-                            const startOffsetDays = (visualStartDate.getTime() - taskStart.getTime()) / (1000 * 3600 * 24);
-                            const endOffsetDays = (taskEnd.getTime() - visualEndDate.getTime()) / (1000 * 3600 * 24);
-                            
                             interactionLayerStyle.position = 'absolute';
                             interactionLayerStyle.top = '0';
                             interactionLayerStyle.bottom = '0';
-                            interactionLayerStyle.left = `${(startOffsetDays / totalDurationDays) * 100}%`;
-                            interactionLayerStyle.right = `${(endOffsetDays / totalDurationDays) * 100}%`;
+                            interactionLayerStyle.left = `${((visualStart - barStartDays) / barLengthDays) * 100}%`;
+                            interactionLayerStyle.right = `${((barEndDays - visualEnd) / barLengthDays) * 100}%`;
                         } else {
                             interactionLayerStyle.display = 'none';
                         }
@@ -1191,24 +2323,34 @@ const GanttChart: React.FC<GanttChartProps> = ({
 
                         return (
                             <div
-                                className="relative h-8"
-                                style={{ ...getGridPosition(taskStart, taskEnd) }}
+                                className={`absolute top-1/2 -translate-y-1/2 h-8 rounded-md focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-500 focus-visible:ring-offset-1 ${isOverAllocated ? 'ring-2 ring-red-500 ring-offset-1' : ''} ${isSelected ? 'outline outline-2 outline-offset-2 outline-indigo-500' : ''}`}
+                                style={getTimelinePosition(taskStart, taskEnd, fractions.start, fractions.end)}
+                                data-bar-task-id={task.id}
+                                tabIndex={0}
+                                role="button"
+                                aria-label={getTaskAriaLabel(task)}
+                                aria-describedby={barHelpId}
+                                onKeyDown={(e) => handleBarKeyDown(e, task, index)}
+                                title={isOverAllocated ? t('overAllocated') : undefined}
                             >
                                 {/* Background Visual Bars Container */}
                                 <div className="absolute inset-0">
                                     {segments.map((segment, segIndex) => {
-                                        const segmentWorkingDays = calculateWorkingDays(segment.startDate, segment.endDate, holidays);
-                                        if (segmentWorkingDays === 0) return null;
+                                        const { from, to } = getSegmentSpan(segment);
+                                        const segmentDays = to - from;
+                                        if (segmentDays <= 0) return null;
 
-                                        const progressDaysInSegment = Math.max(0, Math.min(segmentWorkingDays, completedWorkingDays));
-                                        const progressWidthPercent = (progressDaysInSegment / segmentWorkingDays) * 100;
-                                        completedWorkingDays -= progressDaysInSegment;
+                                        const progressDaysInSegment = Math.max(0, Math.min(segmentDays, completedDays));
+                                        const progressWidthPercent = (progressDaysInSegment / segmentDays) * 100;
+                                        completedDays -= progressDaysInSegment;
 
-                                        const segmentStartOffsetDays = (segment.startDate.getTime() - taskStart.getTime()) / (1000 * 3600 * 24);
-                                        const segmentDurationDays = (segment.endDate.getTime() - segment.startDate.getTime()) / (1000 * 3600 * 24) + 1;
-                                        
-                                        const left = (segmentStartOffsetDays / totalDurationDays) * 100;
-                                        const width = (segmentDurationDays / totalDurationDays) * 100;
+                                        // Long bars are split at every non-working run; skip the pieces that are scrolled out of view.
+                                        const segmentStartColumn = getDateColumnIndex(dateArray[0], segment.startDate);
+                                        const segmentColumnCount = getDateColumnIndex(segment.startDate, segment.endDate) + 1;
+                                        if (!overlapsRange(columnRange, segmentStartColumn, segmentColumnCount)) return null;
+
+                                        const left = ((from - barStartDays) / barLengthDays) * 100;
+                                        const width = (segmentDays / barLengthDays) * 100;
                                         
                                         return (
                                             <div
@@ -1216,14 +2358,15 @@ const GanttChart: React.FC<GanttChartProps> = ({
                                                 className="absolute top-0 h-full"
                                                 style={{ left: `${left}%`, width: `${width}%` }}
                                             >
-                                                <div className="w-full h-full relative" style={{ backgroundColor: baseColor }}>
+                                                <div className="w-full h-full relative" style={{ backgroundColor: barColor }}>
                                                     <div
                                                         className="absolute top-0 left-0 h-full pointer-events-none"
                                                         style={{ 
                                                             width: `${progressWidthPercent}%`, 
-                                                            backgroundColor: progressColor,
+                                                            backgroundColor: barProgressColor,
                                                         }}
                                                     />
+                                                    {barPatternStyle && <div className="absolute inset-0 pointer-events-none" style={barPatternStyle} />}
                                                 </div>
                                             </div>
                                         );
@@ -1232,30 +2375,51 @@ const GanttChart: React.FC<GanttChartProps> = ({
 
                                 {/* Foreground Interaction & Text Layer */}
                                 <div
-                                    className="group/bar cursor-move px-3 text-sm font-medium h-full relative"
+                                    className={`group/bar ${readOnly ? '' : 'cursor-move'} px-3 text-sm font-medium h-full relative`}
                                     style={{ ...interactionLayerStyle, touchAction: 'none' }}
                                     onMouseDown={(e) => handleDragStart(e, task, 'move')}
                                     onTouchStart={(e) => handleDragStart(e, task, 'move')}
                                 >
-                                    <span className="whitespace-nowrap absolute left-3 top-[9px] leading-none">{task.name}</span>
-                                    <div
-                                        className="absolute left-0 top-0 h-full w-2 cursor-ew-resize"
-                                        onMouseDown={(e) => handleDragStart(e, task, 'resize-start')}
-                                        onTouchStart={(e) => handleDragStart(e, task, 'resize-start')}
-                                    />
-                                    <div
-                                        className="absolute right-0 top-0 h-full w-2 cursor-ew-resize"
-                                        onMouseDown={(e) => handleDragStart(e, task, 'resize-end')}
-                                        onTouchStart={(e) => handleDragStart(e, task, 'resize-end')}
-                                    />
+                                    <span className={`whitespace-nowrap absolute left-3 top-[9px] leading-none ${isSummary ? 'font-bold' : ''}`}>{task.name}</span>
+                                    {!isSummary && !readOnly && (
+                                      <>
+                                        <div
+                                            className="absolute left-0 top-0 h-full w-2 cursor-ew-resize"
+                                            onMouseDown={(e) => handleDragStart(e, task, 'resize-start')}
+                                            onTouchStart={(e) => handleDragStart(e, task, 'resize-start')}
+                                        />
+                                        <div
+                                            className="absolute right-0 top-0 h-full w-2 cursor-ew-resize"
+                                            onMouseDown={(e) => handleDragStart(e, task, 'resize-end')}
+                                            onTouchStart={(e) => handleDragStart(e, task, 'resize-end')}
+                                        />
+                                      </>
+                                    )}
+                                    {/* Link Handles */}
+                                    {!readOnly && (
+                                      <>
+                                        <div
+                                            className="absolute -left-3 top-1/2 -translate-y-1/2 w-2.5 h-2.5 rounded-full bg-white border-2 border-indigo-500 cursor-crosshair opacity-0 group-hover/bar:opacity-100 transition-opacity"
+                                            title={t('dragToLink')}
+                                            onMouseDown={(e) => handleLinkStart(e, task.id, 'start')}
+                                            onTouchStart={(e) => handleLinkStart(e, task.id, 'start')}
+                                        />
+                                        <div
+                                            className="absolute -right-3 top-1/2 -translate-y-1/2 w-2.5 h-2.5 rounded-full bg-white border-2 border-indigo-500 cursor-crosshair opacity-0 group-hover/bar:opacity-100 transition-opacity"
+                                            title={t('dragToLink')}
+                                            onMouseDown={(e) => handleLinkStart(e, task.id, 'end')}
+                                            onTouchStart={(e) => handleLinkStart(e, task.id, 'end')}
+                                        />
+                                      </>
+                                    )}
                                 </div>
                             </div>
                         );
                      })()}
                      {dragPreview && dragPreview.taskId === task.id && (
                         <div
-                          className="h-8 bg-indigo-300 opacity-70"
-                          style={getGridPosition(
+                          className="absolute top-1/2 -translate-y-1/2 h-8 bg-indigo-300 opacity-70"
+                          style={getTimelinePosition(
                               parseUTCDateString(dragPreview.start > dragPreview.end ? dragPreview.end : dragPreview.start)!,
                               parseUTCDateString(dragPreview.start > dragPreview.end ? dragPreview.start : dragPreview.end)!,
                           )}
@@ -1263,27 +2427,126 @@ const GanttChart: React.FC<GanttChartProps> = ({
                      )}
                   </div>
               </div>
-            </React.Fragment>
+            </div>
           )})}
-          {progressLinePath && (
-            <div className="absolute top-0 left-0 pointer-events-none z-35" style={{ height: totalContentHeight, width: totalGridWidth ? `${totalGridWidth}px` : '100%' }}>
+          {(dependencyPaths.length > 0 || linkDrag) && (
+            <div aria-hidden="true" className="absolute top-0 left-0 pointer-events-none" style={{ height: totalContentHeight, width: totalGridWidth ? `${totalGridWidth}px` : '100%', zIndex: 5 }}>
+              <svg width={totalGridWidth || '100%'} height="100%">
+                  <defs>
+                      <marker id={arrowheadId} viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                          <path d="M 0 0 L 10 5 L 0 10 z" fill="#475569" />
+                      </marker>
+                  </defs>
+                  {dependencyPaths.filter(path => path.firstRow < rowRange.end && path.lastRow >= rowRange.start).map(({ key, successorId, predecessorId, d }) => (
+                      <g
+                          key={key}
+                          className={readOnly ? undefined : 'cursor-pointer'}
+                          style={{ pointerEvents: readOnly ? 'none' : 'stroke' }}
+                          onClick={(e) => setDependencyEditor({ successorId, predecessorId, x: e.clientX, y: e.clientY })}
+                      >
+                          <path d={d} stroke="transparent" strokeWidth="10" fill="none" />
+                          <path d={d} stroke="#475569" strokeWidth="1.5" fill="none" markerEnd={`url(#${arrowheadId})`} />
+                      </g>
+                  ))}
+                  {linkDrag && (
+                      <line
+                          x1={linkDrag.startX}
+                          y1={linkDrag.startY}
+                          x2={linkDrag.currentX}
+                          y2={linkDrag.currentY}
+                          stroke="#6366f1"
+                          strokeWidth="2"
+                          strokeDasharray="4 4"
+                      />
+                  )}
+              </svg>
+            </div>
+          )}
+          {selectionBox && (
+            <div
+              aria-hidden="true"
+              className="absolute border border-indigo-500 bg-indigo-200 bg-opacity-30 pointer-events-none z-30"
+              style={{
+                left: Math.min(selectionBox.startX, selectionBox.currentX),
+                top: Math.min(selectionBox.startY, selectionBox.currentY),
+                width: Math.abs(selectionBox.currentX - selectionBox.startX),
+                height: Math.abs(selectionBox.currentY - selectionBox.startY),
+              }}
+            />
+          )}
+          {progressLines.length > 0 && (
+            <div aria-hidden="true" className="absolute top-0 left-0 pointer-events-none z-35" style={{ height: totalContentHeight, width: totalGridWidth ? `${totalGridWidth}px` : '100%' }}>
               <svg width={totalGridWidth || '100%'} height="100%">
-                  <path d={progressLinePath} stroke={progressLineColor} strokeWidth="2" fill="none" strokeDasharray="4 4" />
+                {progressLines.map(line => (
+                  <g key={line.key}>
+                    <path d={line.path} stroke={line.color} strokeWidth="2" fill="none" strokeDasharray={line.isLive ? '4 4' : undefined} />
+                    {!line.isLive && (
+                      <text x={line.x + 3} y={10} fontSize="10" fill={line.color}>{line.statusDate}</text>
+                    )}
+                    {line.milestonePoints.map((point, i) => (
+                        <circle
+                            key={i}
+                            cx={point.x}
+                            cy={point.y}
+                            r={4}
+                            stroke={line.color}
+                            strokeWidth="2"
+                            fill={point.isDone ? line.color : '#ffffff'}
+                        />
+                    ))}
+                  </g>
+                ))}
               </svg>
             </div>
           )}
         </div>
+        {showResourcePanel && (
+          <ResourcePanel
+            loads={resourceLoads.loads}
+            dateArray={dateArray}
+            dayWidth={dayWidth}
+            labelWidth={taskDetailsWidth}
+            dailyCapacity={dailyCapacity}
+            scrollContainerRef={scrollContainerRef}
+          />
+        )}
       </div>
-      <button
-        id="add-task-button"
+      {dependencyEditor && editedDependency && (
+        <DependencyEditor
+          dependency={editedDependency.dependency}
+          predecessorName={editedDependency.predecessor.name}
+          successorName={editedDependency.successor.name}
+          x={dependencyEditor.x}
+          y={dependencyEditor.y}
+          onChange={(changes) => onDependencyChange(dependencyEditor.successorId, dependencyEditor.predecessorId, changes)}
+          onDelete={() => {
+            onDeleteDependency(dependencyEditor.successorId, dependencyEditor.predecessorId);
+            setDependencyEditor(null);
+          }}
+          onClose={() => setDependencyEditor(null)}
+        />
+      )}
+      {colorEditor && colorEditorTask && (
+        <TaskColorEditor
+          task={colorEditorTask}
+          categories={categories}
+          defaultColor={getTaskBarColors({ ...colorEditorTask, color: undefined }, categoriesById, defaultBarColors).base}
+          x={colorEditor.x}
+          y={colorEditor.y}
+          onCategoryChange={(categoryId) => onTaskChange(colorEditor.taskId, 'categoryId', categoryId)}
+          onColorChange={(color) => onTaskChange(colorEditor.taskId, 'color', color)}
+          onClose={() => setColorEditor(null)}
+        />
+      )}
+      {!readOnly && <button
         onClick={onAddTask}
         title={t('addTask')}
-        className="fixed bottom-8 right-8 z-50 w-14 h-14 bg-indigo-600 text-white rounded-full flex items-center justify-center shadow-lg hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition-all transform hover:scale-110"
+        className={`${embedded ? 'absolute bottom-6 right-6' : 'fixed bottom-8 right-8'} z-50 w-14 h-14 bg-indigo-600 text-white rounded-full flex items-center justify-center shadow-lg hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition-all transform hover:scale-110`}
       >
         <PlusIcon className="w-7 h-7" />
-      </button>
+      </button>}
     </div>
   );
-};
+});
 
 export default GanttChart;
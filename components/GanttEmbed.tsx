@@ -0,0 +1,312 @@
+import React, { useState, useMemo, useCallback, useEffect, useRef, forwardRef, useImperativeHandle } from 'react';
+import type { Task, ProjectData, TaskSort, DependencyType, ColumnVisibility } from '../types.ts';
+import GanttChart, { GanttChartHandle } from './GanttChart.tsx';
+import ConfirmModal from './ConfirmModal.tsx';
+import XIcon from './icons/XIcon.tsx';
+import { LanguageProvider, useLanguage, Language } from '../contexts/LanguageContext.tsx';
+import { translations, TranslationKey } from '../lib/translations.ts';
+import { createWorkingCalendar, DEFAULT_WORKING_HOURS } from '../lib/dateUtils.ts';
+import { rollUpSummaryTasks, indentTask } from '../lib/taskTree.ts';
+import { createTaskEditor, TaskEdit } from '../lib/taskEditing.ts';
+import { ZOOM_LEVELS, DEFAULT_ZOOM_INDEX } from '../lib/timescale.ts';
+
+// --- Embeddable Chart ---
+// The chart as a controlled component for other pages: the host owns the project and gets every edit
+// back through `onChange`. Each instance keeps its own selection, sorting and expanded rows, so several
+// charts can share a page.
+
+// What an edit did, with the ids of the tasks it touched. Changed tasks include successors moved by
+// their links and summaries whose dates were rolled up.
+export type GanttChangeEvent = TaskEdit & {
+  createdTaskIds: string[];
+  deletedTaskIds: string[];
+  changedTaskIds: string[];
+};
+
+// An edit the chart refused. It is also shown in the chart itself instead of in a browser dialog.
+export interface GanttEditRejection {
+  reason: 'dependencyCycle';
+  taskId: string; // The successor of the refused link
+  message: string; // In the chart's language
+}
+
+export interface GanttEmbedProps {
+  value: ProjectData;
+  onChange?: (next: ProjectData, event: GanttChangeEvent) => void;
+  onEditRejected?: (rejection: GanttEditRejection) => void;
+  readOnly?: boolean;
+  language?: Language;
+  zoomIndex?: number; // Index into ZOOM_LEVELS
+  progressLineDate?: string | null;
+  showResourcePanel?: boolean;
+  className?: string; // Sizes the chart's box; 600px high by default
+}
+
+export interface GanttEmbedHandle extends GanttChartHandle {
+  exportJSON: () => string; // The project as the app saves it to a file
+}
+
+const DEFAULT_COLUMN_VISIBILITY: ColumnVisibility = {
+  assignee: true,
+  startDate: false,
+  endDate: false,
+  duration: true,
+  progress: true,
+  manHours: false,
+  variance: true,
+  float: false,
+  times: false,
+  predecessors: false,
+};
+
+const noop = () => {};
+
+const isSameTask = (a: Task, b: Task): boolean => {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]) as Set<keyof Task>;
+  return Array.from(keys).every(key => a[key] === b[key]);
+};
+
+// Null when the edit left the tasks as they were.
+const describeChange = (edit: TaskEdit, previous: Task[], next: Task[]): GanttChangeEvent | null => {
+  const previousById = new Map(previous.map(task => [task.id, task]));
+  const nextIds = new Set(next.map(task => task.id));
+  const createdTaskIds: string[] = [];
+  const changedTaskIds: string[] = [];
+  next.forEach(task => {
+    const before = previousById.get(task.id);
+    if (!before) createdTaskIds.push(task.id);
+    else if (!isSameTask(before, task)) changedTaskIds.push(task.id);
+  });
+  const deletedTaskIds = previous.filter(task => !nextIds.has(task.id)).map(task => task.id);
+  const isReordered = next.some((task, i) => task.id !== previous[i]?.id);
+  if (!createdTaskIds.length && !deletedTaskIds.length && !changedTaskIds.length && !isReordered) return null;
+  return { ...edit, createdTaskIds, deletedTaskIds, changedTaskIds };
+};
+
+const EmbeddedChart = forwardRef<GanttEmbedHandle, GanttEmbedProps>(({
+  value,
+  onChange,
+  onEditRejected,
+  readOnly = false,
+  zoomIndex = DEFAULT_ZOOM_INDEX,
+  progressLineDate = null,
+  showResourcePanel = false,
+  className = 'h-[600px]',
+}, ref) => {
+  const { language } = useLanguage();
+  const t = (key: TranslationKey) => translations[key][language];
+
+  const { settings } = value;
+  const workingCalendar = useMemo(
+    () => createWorkingCalendar(
+      new Set(settings.holidays),
+      settings.nonWorkingPeriods,
+      settings.workingDayExceptions,
+      settings.workingHours || DEFAULT_WORKING_HOURS
+    ),
+    [settings.holidays, settings.nonWorkingPeriods, settings.workingDayExceptions, settings.workingHours]
+  );
+
+  // Expanding and collapsing rows is a matter of this view, so it is kept here instead of in `value`.
+  const [collapsedOverrides, setCollapsedOverrides] = useState<Map<string, boolean>>(new Map());
+  const tasks = useMemo(() => {
+    if (collapsedOverrides.size === 0) return value.tasks;
+    return value.tasks.map(task => {
+      const collapsed = collapsedOverrides.get(task.id);
+      return collapsed === undefined || collapsed === !!task.collapsed ? task : { ...task, collapsed };
+    });
+  }, [value.tasks, collapsedOverrides]);
+
+  const [selectedTaskIds, setSelectedTaskIds] = useState<Set<string>>(new Set());
+  const [taskSort, setTaskSort] = useState<TaskSort | null>(null);
+  const [isConfirmingDeleteAll, setIsConfirmingDeleteAll] = useState(false);
+
+  useEffect(() => {
+    setSelectedTaskIds(prev => {
+      const ids = new Set(value.tasks.map(task => task.id));
+      return Array.from(prev).every(id => ids.has(id)) ? prev : new Set(Array.from(prev).filter(id => ids.has(id)));
+    });
+  }, [value.tasks]);
+
+  // Edits made before the host has passed the new value back build on the previous edit.
+  const valueRef = useRef(value);
+  valueRef.current = value;
+
+  const updateTasks = useCallback((updater: (currentTasks: Task[]) => Task[], edit: TaskEdit) => {
+    if (readOnly) return;
+    const current = valueRef.current;
+    const nextTasks = rollUpSummaryTasks(updater(current.tasks), workingCalendar);
+    const event = describeChange(edit, current.tasks, nextTasks);
+    if (!event) return;
+    const next = { ...current, tasks: nextTasks };
+    valueRef.current = next;
+    onChange?.(next, event);
+  }, [readOnly, workingCalendar, onChange]);
+
+  const taskEditor = createTaskEditor({
+    tasks: value.tasks,
+    updateTasks,
+    projectStart: value.projectStart,
+    projectEnd: value.projectEnd,
+    workingCalendar,
+    selectedTaskIds,
+    newTaskName: t('newTaskName'),
+    copySuffix: t('copySuffix'),
+  });
+
+  const [rejectionMessage, setRejectionMessage] = useState<string | null>(null);
+
+  const handleAddDependency = (predecessorId: string, successorId: string, type: DependencyType) => {
+    if (taskEditor.addDependency(predecessorId, successorId, type)) return;
+    const message = t('dependencyCycleError');
+    setRejectionMessage(message);
+    onEditRejected?.({ reason: 'dependencyCycle', taskId: successorId, message });
+  };
+
+  const handleToggleCollapse = (taskId: string) => {
+    const task = tasks.find(candidate => candidate.id === taskId);
+    if (!task) return;
+    setCollapsedOverrides(prev => new Map(prev).set(taskId, !task.collapsed));
+  };
+
+  // A task indented under a collapsed summary stays in view.
+  const handleIndentTask = (taskId: string) => {
+    const newParentId = indentTask(tasks, taskId).find(task => task.id === taskId)?.parentId;
+    if (newParentId) setCollapsedOverrides(prev => new Map(prev).set(newParentId, false));
+    taskEditor.indentTask(taskId);
+  };
+
+  const handleConfirmDeleteAll = () => {
+    updateTasks(() => [], { type: 'delete' });
+    setIsConfirmingDeleteAll(false);
+  };
+
+  const chartRef = useRef<GanttChartHandle>(null);
+  const [pendingScrollTaskId, setPendingScrollTaskId] = useState<string | null>(null);
+
+  // Scrolling waits for the rows of expanded ancestors to be rendered.
+  useEffect(() => {
+    if (!pendingScrollTaskId) return;
+    chartRef.current?.scrollToTask(pendingScrollTaskId);
+    setPendingScrollTaskId(null);
+  }, [pendingScrollTaskId]);
+
+  useImperativeHandle(ref, () => ({
+    scrollToDate: (date: string) => chartRef.current?.scrollToDate(date) ?? false,
+    scrollToTask: (taskId: string) => {
+      const tasksById = new Map(tasks.map(task => [task.id, task]));
+      if (!tasksById.has(taskId)) return false;
+      const collapsedAncestorIds: string[] = [];
+      for (let parentId = tasksById.get(taskId)?.parentId; parentId; parentId = tasksById.get(parentId)?.parentId) {
+        if (tasksById.get(parentId)?.collapsed) collapsedAncestorIds.push(parentId);
+      }
+      if (collapsedAncestorIds.length === 0) return chartRef.current?.scrollToTask(taskId) ?? false;
+      setCollapsedOverrides(prev => {
+        const next = new Map(prev);
+        collapsedAncestorIds.forEach(id => next.set(id, false));
+        return next;
+      });
+      setPendingScrollTaskId(taskId);
+      return true;
+    },
+    exportJSON: () => JSON.stringify(valueRef.current, null, 2),
+  }), [tasks]);
+
+  const selectedBaseline = value.baselines?.find(baseline => baseline.id === value.selectedBaselineId) || null;
+  const visibleProgressSnapshots = useMemo(
+    () => (value.progressSnapshots || []).filter(snapshot => snapshot.visible),
+    [value.progressSnapshots]
+  );
+
+  return (
+    <div className={`gantt-embed relative bg-white ${className}`}>
+      <GanttChart
+        ref={chartRef}
+        projectName={value.projectName}
+        setProjectName={noop}
+        projectStart={value.projectStart}
+        setProjectStart={noop}
+        projectEnd={value.projectEnd}
+        setProjectEnd={noop}
+        creationDate={value.creationDate}
+        setCreationDate={noop}
+        creatorName={value.creatorName}
+        setCreatorName={noop}
+        tasks={tasks}
+        filteredTasks={tasks}
+        customFields={settings.customFields || []}
+        categories={settings.categories || []}
+        taskSort={taskSort}
+        onTaskSortChange={setTaskSort}
+        workingCalendar={workingCalendar}
+        columnVisibility={{ ...DEFAULT_COLUMN_VISIBILITY, ...settings.columnVisibility }}
+        zoomIndex={Math.min(ZOOM_LEVELS.length - 1, Math.max(0, zoomIndex))}
+        progressLineDate={progressLineDate}
+        progressSnapshots={visibleProgressSnapshots}
+        baseline={selectedBaseline}
+        baseColor={settings.baseColor || '#fef08a'}
+        progressColor={settings.progressColor || '#bae6fd'}
+        textColor={settings.textColor || '#000000'}
+        progressLineColor={settings.progressLineColor || '#ff0000'}
+        rowHeight={settings.rowHeight || 40}
+        dailyCapacity={settings.dailyCapacity || 1}
+        showResourcePanel={showResourcePanel}
+        groupByAssignee={false}
+        selectedTaskIds={selectedTaskIds}
+        onSelectionChange={setSelectedTaskIds}
+        onDeleteAllTasks={() => { if (value.tasks.length > 0) setIsConfirmingDeleteAll(true); }}
+        onAddTask={taskEditor.addTask}
+        onDeleteTask={taskEditor.deleteTask}
+        onDuplicateTask={taskEditor.duplicateTask}
+        onInsertTask={taskEditor.insertTask}
+        onTaskNudge={taskEditor.nudgeTask}
+        onTaskChange={taskEditor.changeTask}
+        onCustomValueChange={taskEditor.changeCustomValue}
+        onDurationChange={taskEditor.changeDuration}
+        onProgressChange={taskEditor.changeProgress}
+        onManHoursChange={taskEditor.changeManHours}
+        onTaskDateSet={taskEditor.setTaskDates}
+        onTaskDragUpdate={taskEditor.dragTask}
+        onTaskTimeDragUpdate={taskEditor.dragTaskTime}
+        onDragGestureStart={noop}
+        onDragGestureEnd={noop}
+        onTaskReorder={taskEditor.reorderTask}
+        onIndentTask={handleIndentTask}
+        onOutdentTask={taskEditor.outdentTask}
+        onToggleCollapse={handleToggleCollapse}
+        onToggleMilestone={taskEditor.toggleMilestone}
+        onAddDependency={handleAddDependency}
+        onDependencyChange={taskEditor.changeDependency}
+        onDeleteDependency={taskEditor.deleteDependency}
+        onDependenciesSet={taskEditor.setDependencies}
+        onTimelineViewportWidthChange={noop}
+        readOnly={readOnly}
+        embedded
+      />
+      {rejectionMessage && (
+        <div role="alert" className="absolute top-2 left-1/2 -translate-x-1/2 z-50 flex items-center gap-2 max-w-[90%] px-3 py-2 rounded-md shadow-lg bg-red-50 border border-red-200 text-sm text-red-700">
+          <span>{rejectionMessage}</span>
+          <button onClick={() => setRejectionMessage(null)} className="p-0.5 rounded-full text-red-400 hover:bg-red-100 hover:text-red-600" aria-label={t('close')}>
+            <XIcon className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+      {isConfirmingDeleteAll && (
+        <ConfirmModal
+          title={t('deleteAllTasks')}
+          message={t('confirmDeleteAllTasks')}
+          onConfirm={handleConfirmDeleteAll}
+          onClose={() => setIsConfirmingDeleteAll(false)}
+        />
+      )}
+    </div>
+  );
+});
+
+const GanttEmbed = forwardRef<GanttEmbedHandle, GanttEmbedProps>(({ language = 'ja', ...props }, ref) => (
+  <LanguageProvider language={language}>
+    <EmbeddedChart ref={ref} {...props} />
+  </LanguageProvider>
+));
+
+export default GanttEmbed;
@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import { useLanguage } from '../contexts/LanguageContext.tsx';
+import { translations, TranslationKey } from '../lib/translations.ts';
+import { parseUTCDateString } from '../lib/dateUtils.ts';
+import type { PdfExportOptions, PdfPaperSize, PdfOrientation, PdfLayout } from '../lib/pdfExport.ts';
+import XIcon from './icons/XIcon.tsx';
+
+interface PdfExportModalProps {
+  initialRangeStart: string;
+  initialRangeEnd: string;
+  onExport: (options: PdfExportOptions) => Promise<void>;
+  onClose: () => void;
+}
+
+const PAPER_SIZE_LABELS: Record<PdfPaperSize, string> = {
+  a4: 'A4',
+  a3: 'A3',
+  b4: 'B4 (JIS)',
+  letter: 'Letter',
+};
+
+const PdfExportModal: React.FC<PdfExportModalProps> = ({ initialRangeStart, initialRangeEnd, onExport, onClose }) => {
+  const { language } = useLanguage();
+  const t = (key: TranslationKey) => translations[key][language];
+
+  const [paperSize, setPaperSize] = useState<PdfPaperSize>('a3');
+  const [orientation, setOrientation] = useState<PdfOrientation>('landscape');
+  const [layout, setLayout] = useState<PdfLayout>('fitWidth');
+  const [rangeStart, setRangeStart] = useState(initialRangeStart);
+  const [rangeEnd, setRangeEnd] = useState(initialRangeEnd);
+  const [includeDashboard, setIncludeDashboard] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const start = parseUTCDateString(rangeStart);
+  const end = parseUTCDateString(rangeEnd);
+  const isRangeValid = !!start && !!end && start <= end;
+
+  const handleExport = async () => {
+    if (!isRangeValid) return;
+    setIsExporting(true);
+    try {
+      await onExport({ paperSize, orientation, layout, rangeStart, rangeEnd, includeDashboard });
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const radioClass = "h-4 w-4 border-gray-300 text-indigo-600 focus:ring-indigo-500";
+  const inputClass = "mt-1 w-full px-2 py-1 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500";
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-md m-4" onClick={e => e.stopPropagation()}>
+        <div className="p-4 sm:p-5 border-b flex justify-between items-center">
+          <h2 className="text-xl font-bold text-slate-800">{t('pdfExportSettings')}</h2>
+          <button onClick={onClose} className="p-1 rounded-full text-gray-400 hover:bg-gray-200 hover:text-gray-600">
+            <XIcon className="w-5 h-5" />
+          </button>
+        </div>
+        <div className="p-4 sm:p-5 space-y-4">
+          <label className="block text-sm font-medium text-slate-600">
+            {t('paperSize')}
+            <select value={paperSize} onChange={e => setPaperSize(e.target.value as PdfPaperSize)} className={inputClass}>
+              {(Object.keys(PAPER_SIZE_LABELS) as PdfPaperSize[]).map(size => (
+                <option key={size} value={size}>{PAPER_SIZE_LABELS[size]}</option>
+              ))}
+            </select>
+          </label>
+          <div>
+            <span className="block text-sm font-medium text-slate-600">{t('orientation')}</span>
+            <div className="mt-1 flex space-x-4">
+              {(['landscape', 'portrait'] as PdfOrientation[]).map(value => (
+                <label key={value} className="flex items-center space-x-2 text-sm text-slate-600 cursor-pointer">
+                  <input type="radio" name="pdf-orientation" checked={orientation === value} onChange={() => setOrientation(value)} className={radioClass} />
+                  <span>{t(value)}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+          <div>
+            <span className="block text-sm font-medium text-slate-600">{t('pdfLayout')}</span>
+            <div className="mt-1 flex space-x-4">
+              <label className="flex items-center space-x-2 text-sm text-slate-600 cursor-pointer">
+                <input type="radio" name="pdf-layout" checked={layout === 'fitWidth'} onChange={() => setLayout('fitWidth')} className={radioClass} />
+                <span>{t('fitToWidth')}</span>
+              </label>
+              <label className="flex items-center space-x-2 text-sm text-slate-600 cursor-pointer">
+                <input type="radio" name="pdf-layout" checked={layout === 'paginate'} onChange={() => setLayout('paginate')} className={radioClass} />
+                <span>{t('splitAcrossPages')}</span>
+              </label>
+            </div>
+          </div>
+          <div>
+            <span className="block text-sm font-medium text-slate-600">{t('printPeriod')}</span>
+            <div className="flex items-center space-x-2">
+              <input type="text" value={rangeStart} onChange={e => setRangeStart(e.target.value)} placeholder={t('dateFormatPlaceholder')} className={inputClass} />
+              <span className="text-slate-400">-</span>
+              <input type="text" value={rangeEnd} onChange={e => setRangeEnd(e.target.value)} placeholder={t('dateFormatPlaceholder')} className={inputClass} />
+            </div>
+            {!isRangeValid && <p className="mt-1 text-xs text-red-600">{t('invalidDateRange')}</p>}
+          </div>
+          <label className="flex items-center space-x-2 text-sm text-slate-600 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={includeDashboard}
+              onChange={e => setIncludeDashboard(e.target.checked)}
+              className="h-4 w-4 border-gray-300 rounded text-indigo-600 focus:ring-indigo-500"
+            />
+            <span>{t('includeProgressDashboard')}</span>
+          </label>
+        </div>
+        <div className="p-4 bg-slate-50 flex justify-end space-x-2 rounded-b-lg">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-white border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+          >
+            {t('cancel')}
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={!isRangeValid || isExporting}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isExporting ? t('exportingPdf') : t('exportPdf')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PdfExportModal;
@@ -0,0 +1,145 @@
+import React, { useRef } from 'react';
+import { useLanguage } from '../contexts/LanguageContext.tsx';
+import { translations, TranslationKey } from '../lib/translations.ts';
+import { parseUTCDateString } from '../lib/dateUtils.ts';
+import type { EarnedValueReport, EarnedValueWeighting } from '../lib/earnedValue.ts';
+import { SCurveChart, AssigneeProgressChart } from './EarnedValueCharts.tsx';
+import XIcon from './icons/XIcon.tsx';
+
+export type ChartImageFormat = 'png' | 'svg';
+
+interface ProgressDashboardProps {
+  report: EarnedValueReport;
+  weighting: EarnedValueWeighting;
+  onWeightingChange: (weighting: EarnedValueWeighting) => void;
+  statusDate: string;
+  isStatusDateToday: boolean;
+  baselineName: string | null;
+  statusLineColor: string;
+  onExportChart: (svg: SVGSVGElement, name: string, format: ChartImageFormat) => void;
+  onClose: () => void;
+}
+
+const formatNumber = (value: number) => (Math.round(value * 10) / 10).toLocaleString();
+
+const ProgressDashboard: React.FC<ProgressDashboardProps> = ({
+  report,
+  weighting,
+  onWeightingChange,
+  statusDate,
+  isStatusDateToday,
+  baselineName,
+  statusLineColor,
+  onExportChart,
+  onClose,
+}) => {
+  const { language } = useLanguage();
+  const t = (key: TranslationKey) => translations[key][language];
+  const sCurveRef = useRef<SVGSVGElement>(null);
+  const assigneeChartRef = useRef<SVGSVGElement>(null);
+
+  const unit = t(weighting === 'manHours' ? 'manHours' : 'duration');
+  const toPercent = (value: number) => (report.totalWeight > 0 ? (value / report.totalWeight) * 100 : 0);
+  const isBehind = report.scheduleVariance < -1e-9;
+
+  const renderExportButtons = (ref: React.RefObject<SVGSVGElement>, name: string) => (
+    <div className="flex gap-1">
+      {(['png', 'svg'] as ChartImageFormat[]).map(format => (
+        <button
+          key={format}
+          onClick={() => ref.current && onExportChart(ref.current, name, format)}
+          className="px-2 py-1 text-xs text-gray-500 hover:text-indigo-600 rounded-md hover:bg-gray-200 transition-colors"
+        >
+          {format.toUpperCase()}
+        </button>
+      ))}
+    </div>
+  );
+
+  const kpis: { label: string; value: string; detail?: string; alert?: boolean }[] = [
+    { label: t('plannedValue'), value: `${formatNumber(toPercent(report.plannedValue))}%`, detail: `${formatNumber(report.plannedValue)} ${unit}` },
+    { label: t('earnedValue'), value: `${formatNumber(toPercent(report.earnedValue))}%`, detail: `${formatNumber(report.earnedValue)} ${unit}` },
+    {
+      label: t('scheduleVariance'),
+      value: `${report.scheduleVariance > 0 ? '+' : ''}${formatNumber(report.scheduleVariance)} ${unit}`,
+      detail: `${report.scheduleVariance > 0 ? '+' : ''}${formatNumber(toPercent(report.scheduleVariance))}%`,
+      alert: isBehind,
+    },
+    { label: t('spi'), value: report.spi === null ? '-' : report.spi.toFixed(2), alert: isBehind },
+  ];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl m-4 max-h-[95vh] flex flex-col" onClick={e => e.stopPropagation()}>
+        <div className="p-4 sm:p-5 border-b flex justify-between items-center">
+          <div>
+            <h2 className="text-xl font-bold text-slate-800">{t('progressDashboard')}</h2>
+            <p className="text-sm text-slate-500">
+              {t('asOf')} {statusDate} ({t(isStatusDateToday ? 'statusDateToday' : 'progressLine')})
+              {' · '}
+              {t('plannedFrom')}: {baselineName ?? t('currentSchedule')}
+            </p>
+          </div>
+          <button onClick={onClose} className="p-1 rounded-full text-gray-400 hover:bg-gray-200 hover:text-gray-600">
+            <XIcon className="w-5 h-5" />
+          </button>
+        </div>
+        <div className="p-4 sm:p-5 space-y-5 overflow-y-auto">
+          <div className="flex items-center gap-2 text-sm text-slate-600">
+            <label htmlFor="evWeighting">{t('weightBy')}</label>
+            <select
+              id="evWeighting"
+              value={weighting}
+              onChange={e => onWeightingChange(e.target.value as EarnedValueWeighting)}
+              className="px-2 py-1 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500"
+            >
+              <option value="manHours">{t('manHours')}</option>
+              <option value="workingDays">{t('workingDays')}</option>
+            </select>
+          </div>
+          {report.totalWeight === 0 ? (
+            <p className="text-sm text-slate-500">{t(weighting === 'manHours' ? 'noManHoursForDashboard' : 'noTasksForDashboard')}</p>
+          ) : (
+            <>
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                {kpis.map(kpi => (
+                  <div key={kpi.label} className="border border-gray-200 rounded-md px-3 py-2">
+                    <div className="text-xs text-slate-500">{kpi.label}</div>
+                    <div className={`text-lg font-semibold ${kpi.alert ? 'text-red-600' : 'text-slate-800'}`}>{kpi.value}</div>
+                    {kpi.detail && <div className="text-xs text-slate-400">{kpi.detail}</div>}
+                  </div>
+                ))}
+              </div>
+              <section>
+                <div className="flex items-center justify-between mb-1">
+                  <h3 className="text-sm font-semibold text-slate-700">{t('sCurve')}</h3>
+                  {renderExportButtons(sCurveRef, 'S-curve')}
+                </div>
+                <SCurveChart
+                  ref={sCurveRef}
+                  report={report}
+                  statusTime={parseUTCDateString(statusDate)?.getTime() ?? 0}
+                  statusLineColor={statusLineColor}
+                  labels={{ planned: t('plannedValue'), earned: t('earnedValue'), statusDate: t('asOf') }}
+                />
+              </section>
+              <section>
+                <div className="flex items-center justify-between mb-1">
+                  <h3 className="text-sm font-semibold text-slate-700">{t('completionByAssignee')}</h3>
+                  {renderExportButtons(assigneeChartRef, 'Assignees')}
+                </div>
+                <AssigneeProgressChart
+                  ref={assigneeChartRef}
+                  report={report}
+                  labels={{ unassigned: t('unassigned'), planned: t('plannedValue'), earned: t('earnedValue') }}
+                />
+              </section>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProgressDashboard;
@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { useLanguage } from '../contexts/LanguageContext.tsx';
+import { translations, TranslationKey } from '../lib/translations.ts';
+import { parseUTCDateString } from '../lib/dateUtils.ts';
+import type { ProgressSnapshot } from '../types.ts';
+import XIcon from './icons/XIcon.tsx';
+import PlusIcon from './icons/PlusIcon.tsx';
+import TrashIcon from './icons/TrashIcon.tsx';
+
+interface ProgressHistoryModalProps {
+  snapshots: ProgressSnapshot[];
+  defaultStatusDate: string;
+  autoRecord: boolean;
+  onAutoRecordChange: (autoRecord: boolean) => void;
+  onRecordSnapshot: (statusDate: string) => void;
+  onUpdateSnapshot: (id: string, changes: Partial<Pick<ProgressSnapshot, 'visible' | 'color'>>) => void;
+  onDeleteSnapshot: (id: string) => void;
+  onClose: () => void;
+}
+
+const ProgressHistoryModal: React.FC<ProgressHistoryModalProps> = ({
+  snapshots,
+  defaultStatusDate,
+  autoRecord,
+  onAutoRecordChange,
+  onRecordSnapshot,
+  onUpdateSnapshot,
+  onDeleteSnapshot,
+  onClose,
+}) => {
+  const { language } = useLanguage();
+  const t = (key: TranslationKey) => translations[key][language];
+
+  const [statusDate, setStatusDate] = useState(defaultStatusDate);
+  const isStatusDateValid = parseUTCDateString(statusDate) !== null;
+  const isExistingDate = snapshots.some(snapshot => snapshot.statusDate === statusDate);
+
+  const handleRecord = () => {
+    if (isStatusDateValid) onRecordSnapshot(statusDate);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-lg m-4" onClick={e => e.stopPropagation()}>
+        <div className="p-4 sm:p-5 border-b flex justify-between items-center">
+          <div>
+            <h2 className="text-xl font-bold text-slate-800">{t('progressHistory')}</h2>
+            <p className="text-sm text-slate-500">{t('progressHistoryDesc')}</p>
+          </div>
+          <button onClick={onClose} className="p-1 rounded-full text-gray-400 hover:bg-gray-200 hover:text-gray-600">
+            <XIcon className="w-5 h-5" />
+          </button>
+        </div>
+        <ul className="max-h-[50vh] overflow-y-auto divide-y">
+          {snapshots.length === 0 && (
+            <li className="px-4 py-3 text-sm text-slate-400">{t('noProgressSnapshots')}</li>
+          )}
+          {snapshots.map(snapshot => (
+            <li key={snapshot.id} className={`flex items-center gap-3 px-4 py-2 ${snapshot.visible ? 'bg-indigo-50' : 'hover:bg-gray-50'}`}>
+              <label className="flex-grow min-w-0 flex items-center gap-3 cursor-pointer" title={t('showProgressSnapshot')}>
+                <input
+                  type="checkbox"
+                  checked={snapshot.visible}
+                  onChange={e => onUpdateSnapshot(snapshot.id, { visible: e.target.checked })}
+                  className="h-4 w-4 border-gray-300 rounded text-indigo-600 focus:ring-indigo-500"
+                />
+                <span className="min-w-0">
+                  <span className="block truncate text-sm font-medium text-slate-700">
+                    {snapshot.statusDate}
+                    {snapshot.auto && <span className="ml-2 text-xs font-normal text-slate-400">({t('recordedAutomatically')})</span>}
+                  </span>
+                  <span className="block text-xs text-slate-400">
+                    {t('lastSaved')}: {new Date(snapshot.createdAt).toLocaleString(language === 'ja' ? 'ja-JP' : 'en-US')}
+                  </span>
+                </span>
+              </label>
+              <input
+                type="color"
+                value={snapshot.color}
+                onChange={e => onUpdateSnapshot(snapshot.id, { color: e.target.value })}
+                className="w-8 h-8 p-0 border-0 rounded cursor-pointer flex-shrink-0"
+                title={t('lineColor')}
+              />
+              <button onClick={() => onDeleteSnapshot(snapshot.id)} className="text-gray-400 hover:text-red-500 p-1 rounded-full transition-colors" title={t('deleteProgressSnapshot')}>
+                <TrashIcon />
+              </button>
+            </li>
+          ))}
+        </ul>
+        <div className="px-4 py-3 border-t">
+          <label className="flex items-center gap-2 text-sm text-slate-600 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={autoRecord}
+              onChange={e => onAutoRecordChange(e.target.checked)}
+              className="h-4 w-4 border-gray-300 rounded text-indigo-600 focus:ring-indigo-500"
+            />
+            <span>{t('autoRecordProgress')}</span>
+          </label>
+        </div>
+        <div className="p-4 bg-slate-50 rounded-b-lg">
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              value={statusDate}
+              onChange={e => setStatusDate(e.target.value)}
+              onKeyDown={e => {
+                if (e.key === 'Enter') handleRecord();
+              }}
+              placeholder={t('dateFormatPlaceholder')}
+              className="flex-grow min-w-0 px-2 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500"
+            />
+            <button
+              onClick={handleRecord}
+              disabled={!isStatusDateValid}
+              className="flex items-center gap-1 px-4 py-2 bg-white border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed whitespace-nowrap"
+            >
+              <PlusIcon className="w-4 h-4" />
+              {t(isExistingDate ? 'updateProgressSnapshot' : 'recordProgressSnapshot')}
+            </button>
+            <button
+              onClick={onClose}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+            >
+              {t('close')}
+            </button>
+          </div>
+          {!isStatusDateValid && <p className="mt-1 text-xs text-red-600">{t('invalidStatusDate')}</p>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProgressHistoryModal;
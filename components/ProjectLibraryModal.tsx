@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import { useLanguage } from '../contexts/LanguageContext.tsx';
+import { translations, TranslationKey } from '../lib/translations.ts';
+import type { ProjectSummary } from '../lib/projectStorage.ts';
+import type { ProjectTemplate } from '../types.ts';
+import type { TemplateProjectOptions } from '../lib/projectTemplates.ts';
+import TemplateLibrary from './TemplateLibrary.tsx';
+import XIcon from './icons/XIcon.tsx';
+import PlusIcon from './icons/PlusIcon.tsx';
+import DuplicateIcon from './icons/DuplicateIcon.tsx';
+import TrashIcon from './icons/TrashIcon.tsx';
+
+interface ProjectLibraryModalProps {
+  projects: ProjectSummary[];
+  currentProjectId: string;
+  onOpenProject: (id: string) => void;
+  onCreateProject: () => void;
+  onRenameProject: (id: string, name: string) => void;
+  onDuplicateProject: (id: string) => void;
+  onDeleteProject: (id: string) => void;
+  templates: ProjectTemplate[];
+  currentProjectName: string;
+  defaultStartDate: string;
+  onSaveTemplate: (name: string) => void;
+  onDeleteTemplate: (id: string) => void;
+  onCreateFromTemplate: (template: ProjectTemplate, options: TemplateProjectOptions) => void;
+  onClose: () => void;
+}
+
+const ProjectLibraryModal: React.FC<ProjectLibraryModalProps> = ({
+  projects,
+  currentProjectId,
+  onOpenProject,
+  onCreateProject,
+  onRenameProject,
+  onDuplicateProject,
+  onDeleteProject,
+  templates,
+  currentProjectName,
+  defaultStartDate,
+  onSaveTemplate,
+  onDeleteTemplate,
+  onCreateFromTemplate,
+  onClose,
+}) => {
+  const { language } = useLanguage();
+  const t = (key: TranslationKey) => translations[key][language];
+
+  const [tab, setTab] = useState<'projects' | 'templates'>('projects');
+  const [renaming, setRenaming] = useState<{ id: string; name: string } | null>(null);
+
+  const commitRename = () => {
+    if (renaming && renaming.name.trim()) {
+      onRenameProject(renaming.id, renaming.name.trim());
+    }
+    setRenaming(null);
+  };
+
+  const formatUpdatedAt = (time: number) =>
+    new Date(time).toLocaleString(language === 'ja' ? 'ja-JP' : 'en-US', {
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-lg m-4" onClick={e => e.stopPropagation()}>
+        <div className="p-4 sm:p-5 border-b flex justify-between items-center">
+          <h2 className="text-xl font-bold text-slate-800">{t('projectLibrary')}</h2>
+          <button onClick={onClose} className="p-1 rounded-full text-gray-400 hover:bg-gray-200 hover:text-gray-600">
+            <XIcon className="w-5 h-5" />
+          </button>
+        </div>
+        <div className="flex border-b px-4">
+          {(['projects', 'templates'] as const).map(key => (
+            <button
+              key={key}
+              onClick={() => setTab(key)}
+              className={`px-3 py-2 -mb-px border-b-2 text-sm font-medium ${tab === key ? 'border-indigo-600 text-indigo-600' : 'border-transparent text-slate-500 hover:text-slate-700'}`}
+            >
+              {t(key === 'projects' ? 'projectsTab' : 'templatesTab')}
+            </button>
+          ))}
+        </div>
+        {tab === 'templates' ? (
+          <TemplateLibrary
+            templates={templates}
+            currentProjectName={currentProjectName}
+            defaultStartDate={defaultStartDate}
+            onSaveTemplate={onSaveTemplate}
+            onDeleteTemplate={onDeleteTemplate}
+            onCreateFromTemplate={onCreateFromTemplate}
+          />
+        ) : (
+          <ul className="max-h-[60vh] overflow-y-auto divide-y">
+            {projects.map(project => {
+              const isCurrent = project.id === currentProjectId;
+              return (
+                <li key={project.id} className={`flex items-center gap-2 px-4 py-2 ${isCurrent ? 'bg-indigo-50' : 'hover:bg-gray-50'}`}>
+                  <div className="flex-grow min-w-0">
+                    {renaming?.id === project.id ? (
+                      <input
+                        type="text"
+                        autoFocus
+                        value={renaming.name}
+                        onChange={e => setRenaming({ id: project.id, name: e.target.value })}
+                        onBlur={commitRename}
+                        onKeyDown={e => {
+                          if (e.key === 'Enter') commitRename();
+                          if (e.key === 'Escape') setRenaming(null);
+                        }}
+                        onFocus={e => e.target.select()}
+                        className="w-full px-2 py-1 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500"
+                      />
+                    ) : (
+                      <button
+                        onClick={() => onOpenProject(project.id)}
+                        onDoubleClick={() => setRenaming({ id: project.id, name: project.name })}
+                        className="block w-full text-left"
+                        title={t('openProject')}
+                      >
+                        <span className="block truncate text-sm font-medium text-slate-700">
+                          {project.name || t('untitledProject')}
+                          {isCurrent && <span className="ml-2 text-xs text-indigo-600">({t('currentProject')})</span>}
+                        </span>
+                        <span className="block text-xs text-slate-400">{t('lastSaved')}: {formatUpdatedAt(project.updatedAt)}</span>
+                      </button>
+                    )}
+                  </div>
+                  <button
+                    onClick={() => setRenaming({ id: project.id, name: project.name })}
+                    className="px-2 py-1 text-xs text-gray-500 hover:text-indigo-600 rounded-md hover:bg-gray-200 transition-colors"
+                  >
+                    {t('rename')}
+                  </button>
+                  <button onClick={() => onDuplicateProject(project.id)} className="text-gray-400 hover:text-indigo-500 p-1 rounded-full transition-colors" title={t('duplicateProject')}>
+                    <DuplicateIcon className="w-5 h-5" />
+                  </button>
+                  <button onClick={() => onDeleteProject(project.id)} className="text-gray-400 hover:text-red-500 p-1 rounded-full transition-colors" title={t('deleteProject')}>
+                    <TrashIcon />
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+        <div className="p-4 bg-slate-50 flex justify-between rounded-b-lg">
+          {tab === 'projects' ? (
+            <button
+              onClick={onCreateProject}
+              className="flex items-center gap-1 px-4 py-2 bg-white border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+            >
+              <PlusIcon className="w-4 h-4" />
+              {t('newProject')}
+            </button>
+          ) : <span />}
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+          >
+            {t('close')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectLibraryModal;
@@ -0,0 +1,98 @@
+import React, { useEffect, useRef } from 'react';
+import { useLanguage } from '../contexts/LanguageContext.tsx';
+import { translations, TranslationKey } from '../lib/translations.ts';
+import { formatDateUTC } from '../lib/dateUtils.ts';
+import type { AssigneeLoad } from '../lib/resources.ts';
+import { getDateColumnIndex } from '../lib/virtualization.ts';
+
+interface ResourcePanelProps {
+  loads: AssigneeLoad[];
+  dateArray: Date[];
+  dayWidth: number;
+  labelWidth: number;
+  dailyCapacity: number;
+  scrollContainerRef: React.RefObject<HTMLDivElement>;
+}
+
+const RESOURCE_ROW_HEIGHT = 40;
+
+const ResourcePanel: React.FC<ResourcePanelProps> = ({ loads, dateArray, dayWidth, labelWidth, dailyCapacity, scrollContainerRef }) => {
+  const { language } = useLanguage();
+  const t = (key: TranslationKey) => translations[key][language];
+  const timelineRef = useRef<HTMLDivElement>(null);
+
+  // Follow the horizontal scroll of the chart without re-rendering on every scroll event.
+  useEffect(() => {
+    const container = scrollContainerRef.current;
+    if (!container) return;
+    const syncScroll = () => {
+      if (timelineRef.current) timelineRef.current.style.transform = `translateX(${-container.scrollLeft}px)`;
+    };
+    syncScroll();
+    container.addEventListener('scroll', syncScroll);
+    return () => container.removeEventListener('scroll', syncScroll);
+  }, [scrollContainerRef]);
+
+  const maxLoad = loads.reduce((max, load) => Math.max(max, ...load.dailyLoad.values()), 0);
+  const scale = Math.max(dailyCapacity, maxLoad) || 1;
+  const capacityPercent = (dailyCapacity / scale) * 100;
+  const timelineWidth = dateArray.length * dayWidth;
+
+  return (
+    <div className="flex-shrink-0 border-t-2 border-slate-300 bg-white max-h-56 overflow-y-auto overflow-x-hidden">
+      <div className="flex">
+        <div className="flex-shrink-0 border-r border-gray-200 bg-slate-100" style={{ width: labelWidth }}>
+          <div className="h-7 px-2 flex items-center text-xs font-semibold text-slate-600 border-b border-gray-200">
+            {t('resourceLoad')} <span className="ml-1 font-normal text-slate-500">({t('dailyCapacity')}: {dailyCapacity})</span>
+          </div>
+          {loads.map(load => (
+            <div
+              key={load.assignee}
+              className={`px-2 flex items-center text-sm border-b border-gray-200 truncate ${load.overAllocatedDates.size > 0 ? 'text-red-600 font-semibold' : 'text-slate-700'}`}
+              style={{ height: RESOURCE_ROW_HEIGHT }}
+              title={load.overAllocatedDates.size > 0 ? t('overAllocated') : undefined}
+            >
+              {load.assignee}
+            </div>
+          ))}
+          {loads.length === 0 && (
+            <div className="px-2 py-2 text-xs text-slate-400">{t('noResourceLoad')}</div>
+          )}
+        </div>
+        <div className="flex-grow min-w-0 overflow-hidden">
+          <div ref={timelineRef} style={{ width: timelineWidth }}>
+            <div className="h-7 border-b border-gray-200 bg-slate-50" />
+            {loads.map(load => (
+              <div key={load.assignee} className="relative border-b border-gray-200" style={{ height: RESOURCE_ROW_HEIGHT }}>
+                {Array.from(load.dailyLoad, ([time, value]) => {
+                  const date = new Date(time);
+                  const index = dateArray.length > 0 ? getDateColumnIndex(dateArray[0], date) : -1;
+                  if (!value || index < 0 || index >= dateArray.length) return null;
+                  const isOver = load.overAllocatedDates.has(time);
+                  return (
+                    <div
+                      key={time}
+                      className={`absolute bottom-0 ${isOver ? 'bg-red-500' : 'bg-indigo-300'}`}
+                      style={{
+                        left: index * dayWidth + 1,
+                        width: Math.max(1, dayWidth - 2),
+                        height: `${Math.min(100, (value / scale) * 100)}%`,
+                      }}
+                      title={`${formatDateUTC(date)} ${load.assignee}: ${value.toLocaleString(undefined, { maximumFractionDigits: 2 })} / ${dailyCapacity}`}
+                    />
+                  );
+                })}
+                <div
+                  className="absolute left-0 right-0 border-t border-dashed border-red-400 pointer-events-none"
+                  style={{ bottom: `${capacityPercent}%` }}
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResourcePanel;
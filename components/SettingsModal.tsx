@@ -1,11 +1,22 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useLanguage } from '../contexts/LanguageContext.tsx';
 import { translations, TranslationKey } from '../lib/translations.ts';
+import { parseUTCDateString, parseTimeString, createWorkdayHours, DEFAULT_WORKING_HOURS } from '../lib/dateUtils.ts';
+import type { NonWorkingPeriod, WorkingHours, CustomField, CustomFieldType, TaskCategory, BarPattern } from '../types.ts';
+import { CUSTOM_FIELD_TYPES } from '../lib/customFields.ts';
+import { BAR_PATTERNS, getBarPatternStyle } from '../lib/taskColors.ts';
+import TrashIcon from './icons/TrashIcon.tsx';
 
 interface SettingsModalProps {
   onClose: () => void;
   holidays: Set<number>;
   setHolidays: React.Dispatch<React.SetStateAction<Set<number>>>;
+  nonWorkingPeriods: NonWorkingPeriod[];
+  setNonWorkingPeriods: React.Dispatch<React.SetStateAction<NonWorkingPeriod[]>>;
+  workingDayExceptions: string[];
+  setWorkingDayExceptions: React.Dispatch<React.SetStateAction<string[]>>;
+  workingHours: WorkingHours;
+  setWorkingHours: React.Dispatch<React.SetStateAction<WorkingHours>>;
   columnVisibility: {
     assignee: boolean;
     startDate: boolean;
@@ -13,6 +24,10 @@ interface SettingsModalProps {
     duration: boolean;
     progress: boolean;
     manHours: boolean;
+    variance: boolean;
+    float: boolean;
+    times: boolean;
+    predecessors: boolean;
   };
   setColumnVisibility: React.Dispatch<React.SetStateAction<any>>;
   baseColor: string;
@@ -25,13 +40,56 @@ interface SettingsModalProps {
   setProgressLineColor: React.Dispatch<React.SetStateAction<string>>;
   rowHeight: number;
   setRowHeight: React.Dispatch<React.SetStateAction<number>>;
+  dailyCapacity: number;
+  setDailyCapacity: React.Dispatch<React.SetStateAction<number>>;
+  customFields: CustomField[];
+  setCustomFields: React.Dispatch<React.SetStateAction<CustomField[]>>;
+  onDeleteCustomField: (id: string) => void;
+  categories: TaskCategory[];
+  setCategories: React.Dispatch<React.SetStateAction<TaskCategory[]>>;
+  onDeleteCategory: (id: string) => void;
   onResetColors: () => void;
 }
 
+const CUSTOM_FIELD_TYPE_LABEL_KEYS: Record<CustomFieldType, TranslationKey> = {
+  text: 'customFieldTypeText',
+  number: 'customFieldTypeNumber',
+  date: 'customFieldTypeDate',
+  choice: 'customFieldTypeChoice',
+};
+
+const BAR_PATTERN_LABEL_KEYS: Record<BarPattern, TranslationKey> = {
+  solid: 'patternSolid',
+  stripes: 'patternStripes',
+  dots: 'patternDots',
+  crosshatch: 'patternCrosshatch',
+};
+
+// New categories cycle through these bar / progress color pairs.
+const CATEGORY_PALETTE: [string, string][] = [
+  ['#60a5fa', '#2563eb'],
+  ['#4ade80', '#16a34a'],
+  ['#fbbf24', '#d97706'],
+  ['#c084fc', '#9333ea'],
+  ['#f472b6', '#db2777'],
+  ['#2dd4bf', '#0d9488'],
+  ['#94a3b8', '#475569'],
+];
+
+// Choices are edited as a comma-separated list.
+const parseOptions = (value: string): string[] =>
+  Array.from(new Set(value.split(/[,、]/).map(option => option.trim()).filter(Boolean)));
+
 const SettingsModal: React.FC<SettingsModalProps> = ({
   onClose,
   holidays,
   setHolidays,
+  nonWorkingPeriods,
+  setNonWorkingPeriods,
+  workingDayExceptions,
+  setWorkingDayExceptions,
+  workingHours,
+  setWorkingHours,
   columnVisibility,
   setColumnVisibility,
   baseColor,
@@ -44,6 +102,14 @@ const SettingsModal: React.FC<SettingsModalProps> = ({
   setProgressLineColor,
   rowHeight,
   setRowHeight,
+  dailyCapacity,
+  setDailyCapacity,
+  customFields,
+  setCustomFields,
+  onDeleteCustomField,
+  categories,
+  setCategories,
+  onDeleteCategory,
   onResetColors,
 }) => {
   const { language } = useLanguage();
@@ -61,6 +127,88 @@ const SettingsModal: React.FC<SettingsModalProps> = ({
     });
   };
 
+  const [newPeriod, setNewPeriod] = useState({ startDate: '', endDate: '', label: '' });
+  const [newException, setNewException] = useState('');
+  const [newField, setNewField] = useState<{ name: string; type: CustomFieldType; options: string }>({ name: '', type: 'text', options: '' });
+  const isNewFieldValid = newField.name.trim() !== '' && (newField.type !== 'choice' || parseOptions(newField.options).length > 0);
+  const [newCategoryName, setNewCategoryName] = useState('');
+
+  const newPeriodStart = parseUTCDateString(newPeriod.startDate);
+  const newPeriodEnd = newPeriod.endDate ? parseUTCDateString(newPeriod.endDate) : newPeriodStart;
+  const isNewPeriodValid = !!newPeriodStart && !!newPeriodEnd && newPeriodEnd >= newPeriodStart;
+
+  const handleAddPeriod = () => {
+    if (!isNewPeriodValid) return;
+    setNonWorkingPeriods(prev => [
+      ...prev,
+      {
+        id: Date.now().toString(),
+        startDate: newPeriod.startDate,
+        endDate: newPeriod.endDate || newPeriod.startDate,
+        label: newPeriod.label.trim() || undefined,
+      },
+    ].sort((a, b) => a.startDate.localeCompare(b.startDate)));
+    setNewPeriod({ startDate: '', endDate: '', label: '' });
+  };
+
+  const handleDeletePeriod = (id: string) => {
+    setNonWorkingPeriods(prev => prev.filter(period => period.id !== id));
+  };
+
+  const handleAddException = () => {
+    if (!parseUTCDateString(newException) || workingDayExceptions.includes(newException)) return;
+    setWorkingDayExceptions(prev => [...prev, newException].sort());
+    setNewException('');
+  };
+
+  const handleDeleteException = (date: string) => {
+    setWorkingDayExceptions(prev => prev.filter(d => d !== date));
+  };
+
+  // Invalid hours are not applied (the calendar falls back to the defaults), so they are flagged here.
+  const workdayHours = createWorkdayHours(workingHours);
+  const isWorkingHoursValid = workdayHours.start === parseTimeString(workingHours.start)
+    && workdayHours.end === parseTimeString(workingHours.end)
+    && (!workingHours.breakStart || workdayHours.breakStart !== null);
+
+  const handleLunchBreakToggle = (enabled: boolean) => {
+    setWorkingHours(prev => enabled
+      ? { ...prev, breakStart: DEFAULT_WORKING_HOURS.breakStart, breakEnd: DEFAULT_WORKING_HOURS.breakEnd }
+      : { start: prev.start, end: prev.end });
+  };
+
+  const handleAddCustomField = () => {
+    if (!isNewFieldValid) return;
+    setCustomFields(prev => [
+      ...prev,
+      {
+        id: Date.now().toString(),
+        name: newField.name.trim(),
+        type: newField.type,
+        options: newField.type === 'choice' ? parseOptions(newField.options) : undefined,
+        visible: true,
+      },
+    ]);
+    setNewField({ name: '', type: 'text', options: '' });
+  };
+
+  const updateCustomField = (id: string, changes: Partial<CustomField>) => {
+    setCustomFields(prev => prev.map(field => (field.id === id ? { ...field, ...changes } : field)));
+  };
+
+  const handleAddCategory = () => {
+    if (!newCategoryName.trim()) return;
+    setCategories(prev => {
+      const [baseColor, progressColor] = CATEGORY_PALETTE[prev.length % CATEGORY_PALETTE.length];
+      return [...prev, { id: Date.now().toString(), name: newCategoryName.trim(), baseColor, progressColor, pattern: 'solid' }];
+    });
+    setNewCategoryName('');
+  };
+
+  const updateCategory = (id: string, changes: Partial<TaskCategory>) => {
+    setCategories(prev => prev.map(category => (category.id === id ? { ...category, ...changes } : category)));
+  };
+
   const handleColumnVisibilityChange = (column: keyof typeof columnVisibility) => {
     setColumnVisibility((prev: any) => ({
       ...prev,
@@ -82,7 +230,8 @@ const SettingsModal: React.FC<SettingsModalProps> = ({
     { key: 'sat', index: 6 },
   ];
 
-  const columns: (keyof typeof columnVisibility)[] = ['assignee', 'startDate', 'endDate', 'duration', 'progress', 'manHours'];
+  const columns: (keyof typeof columnVisibility)[] = ['assignee', 'startDate', 'endDate', 'times', 'duration', 'progress', 'manHours', 'variance', 'float', 'predecessors'];
+  const timeInputClass = 'w-24 px-2 py-1 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500';
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
@@ -90,7 +239,7 @@ const SettingsModal: React.FC<SettingsModalProps> = ({
         <div className="p-6 border-b">
           <h2 className="text-xl font-bold text-slate-800">{t('settings')}</h2>
         </div>
-        <div className="p-6 space-y-6">
+        <div className="p-6 space-y-6 max-h-[70vh] overflow-y-auto">
           {/* Holiday Settings */}
           <div>
             <h3 className="text-lg font-semibold text-slate-700">{t('holidaySettings')}</h3>
@@ -113,6 +262,150 @@ const SettingsModal: React.FC<SettingsModalProps> = ({
             </div>
           </div>
           
+          {/* Non-working Dates */}
+          <div>
+            <h3 className="text-lg font-semibold text-slate-700">{t('nonWorkingDates')}</h3>
+            <p className="text-sm text-slate-500 mb-3">{t('nonWorkingDatesDesc')}</p>
+            <div className="flex items-center gap-2">
+              <input
+                type="text"
+                value={newPeriod.startDate}
+                onChange={(e) => setNewPeriod(prev => ({ ...prev, startDate: e.target.value }))}
+                placeholder={t('startDate')}
+                aria-label={t('startDate')}
+                className="w-28 px-2 py-1 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500"
+              />
+              <span className="text-slate-400">-</span>
+              <input
+                type="text"
+                value={newPeriod.endDate}
+                onChange={(e) => setNewPeriod(prev => ({ ...prev, endDate: e.target.value }))}
+                placeholder={t('endDate')}
+                aria-label={t('endDate')}
+                className="w-28 px-2 py-1 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500"
+              />
+            </div>
+            <div className="flex items-center gap-2 mt-2">
+              <input
+                type="text"
+                value={newPeriod.label}
+                onChange={(e) => setNewPeriod(prev => ({ ...prev, label: e.target.value }))}
+                placeholder={t('holidayLabelPlaceholder')}
+                className="flex-grow min-w-0 px-2 py-1 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500"
+              />
+              <button
+                onClick={handleAddPeriod}
+                disabled={!isNewPeriodValid}
+                className="px-3 py-1 bg-indigo-600 text-white rounded-md text-sm hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {t('add')}
+              </button>
+            </div>
+            {nonWorkingPeriods.length > 0 && (
+              <ul className="mt-3 divide-y border rounded-md">
+                {nonWorkingPeriods.map(period => (
+                  <li key={period.id} className="flex items-center justify-between px-3 py-1 text-sm text-slate-600">
+                    <span>
+                      {period.startDate}{period.endDate !== period.startDate && ` - ${period.endDate}`}
+                      {period.label && <span className="ml-2 text-slate-400">{period.label}</span>}
+                    </span>
+                    <button onClick={() => handleDeletePeriod(period.id)} className="text-gray-400 hover:text-red-500 p-1 rounded-full transition-colors" title={t('delete')}>
+                      <TrashIcon className="w-4 h-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* Working-day Exceptions */}
+          <div>
+            <h3 className="text-lg font-semibold text-slate-700">{t('workingDayExceptions')}</h3>
+            <p className="text-sm text-slate-500 mb-3">{t('workingDayExceptionsDesc')}</p>
+            <div className="flex items-center gap-2">
+              <input
+                type="text"
+                value={newException}
+                onChange={(e) => setNewException(e.target.value)}
+                placeholder={t('dateFormatPlaceholder')}
+                className="w-28 px-2 py-1 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500"
+              />
+              <button
+                onClick={handleAddException}
+                disabled={!parseUTCDateString(newException)}
+                className="px-3 py-1 bg-indigo-600 text-white rounded-md text-sm hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {t('add')}
+              </button>
+            </div>
+            {workingDayExceptions.length > 0 && (
+              <ul className="mt-3 divide-y border rounded-md">
+                {workingDayExceptions.map(date => (
+                  <li key={date} className="flex items-center justify-between px-3 py-1 text-sm text-slate-600">
+                    <span>{date}</span>
+                    <button onClick={() => handleDeleteException(date)} className="text-gray-400 hover:text-red-500 p-1 rounded-full transition-colors" title={t('delete')}>
+                      <TrashIcon className="w-4 h-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* Working Hours */}
+          <div>
+            <h3 className="text-lg font-semibold text-slate-700">{t('workingHours')}</h3>
+            <p className="text-sm text-slate-500 mb-3">{t('workingHoursDesc')}</p>
+            <div className="flex items-center gap-2">
+              <input
+                type="time"
+                value={workingHours.start}
+                onChange={(e) => setWorkingHours(prev => ({ ...prev, start: e.target.value }))}
+                aria-label={t('workdayStart')}
+                className={timeInputClass}
+              />
+              <span className="text-slate-400">-</span>
+              <input
+                type="time"
+                value={workingHours.end}
+                onChange={(e) => setWorkingHours(prev => ({ ...prev, end: e.target.value }))}
+                aria-label={t('workdayEnd')}
+                className={timeInputClass}
+              />
+            </div>
+            <div className="flex items-center gap-2 mt-2">
+              <label className="flex items-center space-x-2 text-sm text-slate-600 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={!!workingHours.breakStart}
+                  onChange={(e) => handleLunchBreakToggle(e.target.checked)}
+                  className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                />
+                <span>{t('lunchBreak')}</span>
+              </label>
+              {workingHours.breakStart && (
+                <>
+                  <input
+                    type="time"
+                    value={workingHours.breakStart}
+                    onChange={(e) => setWorkingHours(prev => ({ ...prev, breakStart: e.target.value }))}
+                    aria-label={t('lunchBreakStart')}
+                    className={timeInputClass}
+                  />
+                  <span className="text-slate-400">-</span>
+                  <input
+                    type="time"
+                    value={workingHours.breakEnd || ''}
+                    onChange={(e) => setWorkingHours(prev => ({ ...prev, breakEnd: e.target.value }))}
+                    aria-label={t('lunchBreakEnd')}
+                    className={timeInputClass}
+                  />
+                </>
+              )}
+            </div>
+            {!isWorkingHoursValid && <p className="mt-1 text-xs text-red-600">{t('invalidWorkingHours')}</p>}
+          </div>
+
           {/* Display Settings */}
           <div>
             <h3 className="text-lg font-semibold text-slate-700">{t('displaySettings')}</h3>
@@ -132,6 +425,164 @@ const SettingsModal: React.FC<SettingsModalProps> = ({
             </div>
           </div>
           
+          {/* Custom Fields */}
+          <div>
+            <h3 className="text-lg font-semibold text-slate-700">{t('customFields')}</h3>
+            <p className="text-sm text-slate-500 mb-3">{t('customFieldsDesc')}</p>
+            {customFields.length > 0 && (
+              <ul className="mb-3 divide-y border rounded-md">
+                {customFields.map(field => (
+                  <li key={field.id} className="px-3 py-2 text-sm text-slate-600 space-y-1">
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={field.visible}
+                        onChange={() => updateCustomField(field.id, { visible: !field.visible })}
+                        className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                        title={t('showColumn')}
+                        aria-label={`${t('showColumn')}: ${field.name}`}
+                      />
+                      <input
+                        type="text"
+                        value={field.name}
+                        onChange={(e) => updateCustomField(field.id, { name: e.target.value })}
+                        aria-label={t('customFieldName')}
+                        className="flex-grow min-w-0 px-2 py-1 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500"
+                      />
+                      <span className="text-xs text-slate-400 whitespace-nowrap">{t(CUSTOM_FIELD_TYPE_LABEL_KEYS[field.type])}</span>
+                      <button onClick={() => onDeleteCustomField(field.id)} className="text-gray-400 hover:text-red-500 p-1 rounded-full transition-colors" title={t('delete')}>
+                        <TrashIcon className="w-4 h-4" />
+                      </button>
+                    </div>
+                    {field.type === 'choice' && (
+                      <input
+                        type="text"
+                        defaultValue={(field.options || []).join(', ')}
+                        onBlur={(e) => updateCustomField(field.id, { options: parseOptions(e.target.value) })}
+                        placeholder={t('customFieldOptionsPlaceholder')}
+                        aria-label={t('customFieldOptionsPlaceholder')}
+                        className="w-full px-2 py-1 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500"
+                      />
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="flex items-center gap-2">
+              <input
+                type="text"
+                value={newField.name}
+                onChange={(e) => setNewField(prev => ({ ...prev, name: e.target.value }))}
+                placeholder={t('customFieldName')}
+                className="flex-grow min-w-0 px-2 py-1 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500"
+              />
+              <select
+                value={newField.type}
+                onChange={(e) => setNewField(prev => ({ ...prev, type: e.target.value as CustomFieldType }))}
+                aria-label={t('customFieldType')}
+                className="px-2 py-1 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500"
+              >
+                {CUSTOM_FIELD_TYPES.map(type => (
+                  <option key={type} value={type}>{t(CUSTOM_FIELD_TYPE_LABEL_KEYS[type])}</option>
+                ))}
+              </select>
+              <button
+                onClick={handleAddCustomField}
+                disabled={!isNewFieldValid}
+                className="px-3 py-1 bg-indigo-600 text-white rounded-md text-sm hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {t('add')}
+              </button>
+            </div>
+            {newField.type === 'choice' && (
+              <input
+                type="text"
+                value={newField.options}
+                onChange={(e) => setNewField(prev => ({ ...prev, options: e.target.value }))}
+                placeholder={t('customFieldOptionsPlaceholder')}
+                className="mt-2 w-full px-2 py-1 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500"
+              />
+            )}
+          </div>
+
+          {/* Task Categories */}
+          <div>
+            <h3 className="text-lg font-semibold text-slate-700">{t('taskCategories')}</h3>
+            <p className="text-sm text-slate-500 mb-3">{t('taskCategoriesDesc')}</p>
+            {categories.length > 0 && (
+              <ul className="mb-3 divide-y border rounded-md">
+                {categories.map(category => (
+                  <li key={category.id} className="px-3 py-2 flex items-center gap-2 text-sm text-slate-600">
+                    <span
+                      className="w-6 h-4 rounded-sm flex-shrink-0 border border-black/10"
+                      style={{ backgroundColor: category.baseColor, ...getBarPatternStyle(category.pattern, category.baseColor) }}
+                      aria-hidden="true"
+                    />
+                    <input
+                      type="text"
+                      value={category.name}
+                      onChange={(e) => updateCategory(category.id, { name: e.target.value })}
+                      aria-label={t('categoryName')}
+                      className="flex-grow min-w-0 px-2 py-1 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                    <input
+                      type="color"
+                      value={category.baseColor}
+                      onChange={(e) => updateCategory(category.id, { baseColor: e.target.value })}
+                      title={t('baseColor')}
+                      aria-label={`${t('baseColor')}: ${category.name}`}
+                      className="p-0.5 h-7 w-8 flex-shrink-0 bg-white border border-gray-300 rounded-md cursor-pointer"
+                    />
+                    <input
+                      type="color"
+                      value={category.progressColor}
+                      onChange={(e) => updateCategory(category.id, { progressColor: e.target.value })}
+                      title={t('progressColor')}
+                      aria-label={`${t('progressColor')}: ${category.name}`}
+                      className="p-0.5 h-7 w-8 flex-shrink-0 bg-white border border-gray-300 rounded-md cursor-pointer"
+                    />
+                    <select
+                      value={category.pattern}
+                      onChange={(e) => updateCategory(category.id, { pattern: e.target.value as BarPattern })}
+                      title={t('barPatternDesc')}
+                      aria-label={`${t('barPattern')}: ${category.name}`}
+                      className="px-2 py-1 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500"
+                    >
+                      {BAR_PATTERNS.map(pattern => (
+                        <option key={pattern} value={pattern}>{t(BAR_PATTERN_LABEL_KEYS[pattern])}</option>
+                      ))}
+                    </select>
+                    <button onClick={() => onDeleteCategory(category.id)} className="text-gray-400 hover:text-red-500 p-1 rounded-full transition-colors" title={t('delete')}>
+                      <TrashIcon className="w-4 h-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <form
+              className="flex items-center gap-2"
+              onSubmit={(e) => {
+                e.preventDefault();
+                handleAddCategory();
+              }}
+            >
+              <input
+                type="text"
+                value={newCategoryName}
+                onChange={(e) => setNewCategoryName(e.target.value)}
+                placeholder={t('categoryName')}
+                className="flex-grow min-w-0 px-2 py-1 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500"
+              />
+              <button
+                type="submit"
+                disabled={!newCategoryName.trim()}
+                className="px-3 py-1 bg-indigo-600 text-white rounded-md text-sm hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {t('add')}
+              </button>
+            </form>
+          </div>
+
           {/* Color Settings */}
           <div>
             <div className="flex justify-between items-center">
@@ -185,7 +636,10 @@ const SettingsModal: React.FC<SettingsModalProps> = ({
                 </div>
               </div>
               <div className="flex items-center justify-between">
-                <label htmlFor="textColorText" className="text-sm text-slate-600">{t('textColor')}</label>
+                <div>
+                  <label htmlFor="textColorText" className="text-sm text-slate-600">{t('textColor')}</label>
+                  <p className="text-xs text-slate-400">{t('textColorDesc')}</p>
+                </div>
                 <div className="flex items-center gap-2">
                   <input
                     id="textColorText"
@@ -246,6 +700,24 @@ const SettingsModal: React.FC<SettingsModalProps> = ({
             </div>
           </div>
 
+          {/* Resource Capacity Settings */}
+          <div>
+            <h3 className="text-lg font-semibold text-slate-700">{t('dailyCapacity')}</h3>
+            <p className="text-sm text-slate-500 mb-3">{t('dailyCapacityDesc')}</p>
+            <input
+              type="number"
+              min="0.1"
+              step="0.1"
+              value={dailyCapacity}
+              onChange={(e) => {
+                const value = parseFloat(e.target.value);
+                if (!isNaN(value) && value > 0) setDailyCapacity(value);
+              }}
+              onFocus={handleInputFocus}
+              className="w-24 px-2 py-1 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500"
+            />
+          </div>
+
         </div>
         <div className="p-4 bg-slate-50 text-right rounded-b-lg">
           <button
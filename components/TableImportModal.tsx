@@ -0,0 +1,139 @@
+import React, { useState, useMemo } from 'react';
+import { useLanguage } from '../contexts/LanguageContext.tsx';
+import { translations, TranslationKey } from '../lib/translations.ts';
+import type { Task } from '../types.ts';
+import type { WorkingCalendar } from '../lib/dateUtils.ts';
+import {
+  TASK_TABLE_FIELDS,
+  TaskTableCell,
+  TaskTableField,
+  TaskTableMapping,
+  guessTaskTableMapping,
+  convertTableRowsToTasks,
+} from '../lib/taskTable.ts';
+import XIcon from './icons/XIcon.tsx';
+
+interface TableImportModalProps {
+  fileName: string;
+  rows: TaskTableCell[][];
+  workingCalendar: WorkingCalendar;
+  onImport: (tasks: Task[], replaceExisting: boolean) => void;
+  onClose: () => void;
+}
+
+const FIELD_LABEL_KEYS: Record<TaskTableField, TranslationKey> = {
+  name: 'taskName',
+  assignee: 'assignee',
+  startDate: 'startDate',
+  startTime: 'startTime',
+  endDate: 'endDate',
+  endTime: 'endTime',
+  duration: 'duration',
+  progress: 'progress',
+  manHours: 'manHours',
+};
+
+const TableImportModal: React.FC<TableImportModalProps> = ({ fileName, rows, workingCalendar, onImport, onClose }) => {
+  const { language } = useLanguage();
+  const t = (key: TranslationKey) => translations[key][language];
+
+  const headers = rows[0] || [];
+  const [mapping, setMapping] = useState<TaskTableMapping>(() => {
+    const guessed = guessTaskTableMapping(headers);
+    // Fall back to the first column for the task name when no header is recognised.
+    return guessed.name === null && headers.length > 0 ? { ...guessed, name: 0 } : guessed;
+  });
+  const [replaceExisting, setReplaceExisting] = useState(true);
+
+  const { tasks, errors } = useMemo(
+    () => convertTableRowsToTasks(rows, mapping, workingCalendar),
+    [rows, mapping, workingCalendar]
+  );
+
+  const handleMappingChange = (field: TaskTableField, value: string) => {
+    setMapping(prev => ({ ...prev, [field]: value === '' ? null : Number(value) }));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-lg m-4" onClick={e => e.stopPropagation()}>
+        <div className="p-4 sm:p-5 border-b flex justify-between items-start">
+          <div className="min-w-0">
+            <h2 className="text-xl font-bold text-slate-800">{t('importTable')}</h2>
+            <p className="text-sm text-slate-500 truncate">{fileName}</p>
+          </div>
+          <button onClick={onClose} className="p-1 rounded-full text-gray-400 hover:bg-gray-200 hover:text-gray-600">
+            <XIcon className="w-5 h-5" />
+          </button>
+        </div>
+        <div className="p-4 sm:p-5 space-y-4 max-h-[60vh] overflow-y-auto">
+          {rows.length < 2 ? (
+            <p className="text-sm text-red-600">{t('importTableEmpty')}</p>
+          ) : (
+            <>
+              <p className="text-sm text-slate-500">{t('importTableDesc')}</p>
+              <div className="grid grid-cols-2 gap-x-4 gap-y-2">
+                {TASK_TABLE_FIELDS.map(field => (
+                  <label key={field} className="flex flex-col text-sm text-slate-600">
+                    {t(FIELD_LABEL_KEYS[field])}
+                    <select
+                      value={mapping[field] ?? ''}
+                      onChange={e => handleMappingChange(field, e.target.value)}
+                      className="mt-1 px-2 py-1 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500"
+                    >
+                      <option value="">{t('notImported')}</option>
+                      {headers.map((header, index) => (
+                        <option key={index} value={index}>
+                          {String(header ?? '') || `#${index + 1}`}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+              {errors.length > 0 && (
+                <div>
+                  <h3 className="text-sm font-semibold text-red-600">{t('importRowErrors')} ({new Set(errors.map(error => error.row)).size})</h3>
+                  <ul className="mt-1 max-h-40 overflow-y-auto text-xs border border-red-200 rounded-md divide-y divide-red-100 bg-red-50">
+                    {errors.map((error, index) => (
+                      <li key={index} className="px-2 py-1 text-red-700">
+                        {t('row')} {error.row}: {t(error.messageKey)}
+                        {error.value && <span className="text-red-500"> ("{error.value}")</span>}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              <label className="flex items-center space-x-2 text-sm text-slate-600 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={replaceExisting}
+                  onChange={e => setReplaceExisting(e.target.checked)}
+                  className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                />
+                <span>{t('replaceExistingTasks')}</span>
+              </label>
+            </>
+          )}
+        </div>
+        <div className="p-4 bg-slate-50 flex justify-end space-x-2 rounded-b-lg">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-white border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+          >
+            {t('cancel')}
+          </button>
+          <button
+            onClick={() => onImport(tasks, replaceExisting)}
+            disabled={tasks.length === 0}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {t('importTasksCount')} ({tasks.length})
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TableImportModal;
@@ -0,0 +1,83 @@
+import React, { useId } from 'react';
+import { useLanguage } from '../contexts/LanguageContext.tsx';
+import { translations, TranslationKey } from '../lib/translations.ts';
+import type { Task, TaskCategory } from '../types.ts';
+import XIcon from './icons/XIcon.tsx';
+
+interface TaskColorEditorProps {
+  task: Task;
+  categories: TaskCategory[];
+  defaultColor: string; // Bar color the task gets without an override, offered as the starting point
+  x: number;
+  y: number;
+  onCategoryChange: (categoryId: string | undefined) => void;
+  onColorChange: (color: string | undefined) => void;
+  onClose: () => void;
+}
+
+const TaskColorEditor: React.FC<TaskColorEditorProps> = ({
+  task,
+  categories,
+  defaultColor,
+  x,
+  y,
+  onCategoryChange,
+  onColorChange,
+  onClose,
+}) => {
+  const { language } = useLanguage();
+  const t = (key: TranslationKey) => translations[key][language];
+  const fieldId = useId();
+
+  return (
+    <div
+      data-task-color-editor
+      className="fixed w-64 bg-white border border-gray-300 rounded-lg shadow-xl z-50 font-sans"
+      style={{ top: y + 8, left: x + 8 }}
+    >
+      <div className="px-3 py-2 border-b flex justify-between items-center">
+        <h3 className="text-sm font-semibold text-slate-800 truncate">{task.name}</h3>
+        <button onClick={onClose} className="p-1 rounded-full text-gray-400 hover:bg-gray-200 hover:text-gray-600" title={t('close')}>
+          <XIcon className="w-4 h-4" />
+        </button>
+      </div>
+      <div className="p-3 space-y-3">
+        <div>
+          <label htmlFor={`${fieldId}-taskCategory`} className="block text-xs font-medium text-gray-700 mb-1">{t('category')}</label>
+          <select
+            id={`${fieldId}-taskCategory`}
+            value={task.categoryId || ''}
+            onChange={e => onCategoryChange(e.target.value || undefined)}
+            className="w-full px-2 py-1 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            <option value="">{t('noCategory')}</option>
+            {categories.map(category => (
+              <option key={category.id} value={category.id}>{category.name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex items-center justify-between">
+          <label className="flex items-center gap-2 text-xs font-medium text-gray-700">
+            <input
+              type="checkbox"
+              checked={!!task.color}
+              onChange={e => onColorChange(e.target.checked ? defaultColor : undefined)}
+              className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+            />
+            {t('customColor')}
+          </label>
+          <input
+            type="color"
+            value={task.color || defaultColor}
+            onChange={e => onColorChange(e.target.value)}
+            disabled={!task.color}
+            aria-label={t('taskColor')}
+            className="p-0.5 h-7 w-10 bg-white border border-gray-300 rounded-md cursor-pointer disabled:opacity-40 disabled:cursor-not-allowed"
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TaskColorEditor;
@@ -0,0 +1,245 @@
+import React, { useState, useEffect } from 'react';
+import type { TaskFilter, TaskStatus, FilterPreset, CustomField } from '../types.ts';
+import { useLanguage } from '../contexts/LanguageContext.tsx';
+import { translations, TranslationKey } from '../lib/translations.ts';
+import { EMPTY_TASK_FILTER, TASK_STATUSES, isTaskFilterActive } from '../lib/taskFilter.ts';
+import TrashIcon from './icons/TrashIcon.tsx';
+import XIcon from './icons/XIcon.tsx';
+
+interface TaskFilterBarProps {
+  filter: TaskFilter;
+  onFilterChange: (filter: TaskFilter) => void;
+  assignees: string[];
+  customFields: CustomField[];
+  matchCount: number;
+  totalCount: number;
+  presets: FilterPreset[];
+  onApplyPreset: (preset: FilterPreset) => void;
+  onSavePreset: (name: string) => void;
+  onDeletePreset: (id: string) => void;
+  onClose: () => void;
+}
+
+const STATUS_LABEL_KEYS: Record<TaskStatus, TranslationKey> = {
+  notStarted: 'statusNotStarted',
+  inProgress: 'statusInProgress',
+  done: 'statusDone',
+  late: 'statusLate',
+};
+
+const inputClassName = 'px-2 py-1 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500';
+
+const TaskFilterBar: React.FC<TaskFilterBarProps> = ({
+  filter,
+  onFilterChange,
+  assignees,
+  customFields,
+  matchCount,
+  totalCount,
+  presets,
+  onApplyPreset,
+  onSavePreset,
+  onDeletePreset,
+  onClose,
+}) => {
+  const { language } = useLanguage();
+  const t = (key: TranslationKey) => translations[key][language];
+
+  const [isAssigneeMenuOpen, setIsAssigneeMenuOpen] = useState(false);
+  const [selectedPresetId, setSelectedPresetId] = useState('');
+  const [presetName, setPresetName] = useState('');
+
+  useEffect(() => {
+    if (!isAssigneeMenuOpen) return;
+    const handleClickOutside = (event: MouseEvent) => {
+      if (!(event.target as HTMLElement).closest('[data-assignee-filter]')) {
+        setIsAssigneeMenuOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isAssigneeMenuOpen]);
+
+  const update = (changes: Partial<TaskFilter>) => onFilterChange({ ...filter, ...changes });
+  const updateCustomValue = (fieldId: string, value: string) =>
+    update({ customValues: { ...filter.customValues, [fieldId]: value } });
+
+  const toggleListValue = <T,>(values: T[], value: T): T[] =>
+    values.includes(value) ? values.filter(v => v !== value) : [...values, value];
+
+  // '' is the "unassigned" entry.
+  const assigneeOptions = [...assignees, ''];
+  const assigneeSummary = filter.assignees.length === 0
+    ? t('allAssignees')
+    : filter.assignees.map(name => name || t('unassigned')).join(', ');
+
+  return (
+    <div className="mb-2 p-2 flex flex-wrap items-center gap-x-4 gap-y-2 rounded-lg bg-white border border-slate-200 shadow-sm text-sm text-slate-700">
+      <input
+        type="search"
+        value={filter.text}
+        onChange={e => update({ text: e.target.value })}
+        placeholder={t('searchTasks')}
+        aria-label={t('searchTasks')}
+        className={`${inputClassName} w-48`}
+      />
+      <div className="relative" data-assignee-filter>
+        <button
+          onClick={() => setIsAssigneeMenuOpen(prev => !prev)}
+          className={`${inputClassName} w-44 text-left truncate bg-white`}
+          title={assigneeSummary}
+        >
+          {t('assignee')}: {assigneeSummary}
+        </button>
+        {isAssigneeMenuOpen && (
+          <div className="absolute left-0 mt-1 w-56 max-h-64 overflow-y-auto bg-white border border-gray-200 rounded-md shadow-lg z-50 py-1">
+            {assigneeOptions.map(name => (
+              <label key={name || '-'} className="flex items-center gap-2 px-3 py-1 hover:bg-gray-100 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={filter.assignees.includes(name)}
+                  onChange={() => update({ assignees: toggleListValue(filter.assignees, name) })}
+                  className="h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+                />
+                <span className={name ? '' : 'italic text-slate-500'}>{name || t('unassigned')}</span>
+              </label>
+            ))}
+          </div>
+        )}
+      </div>
+      <div className="flex items-center gap-1">
+        <span className="text-slate-600">{t('dateWindow')}</span>
+        <input
+          type="text"
+          value={filter.dateFrom}
+          onChange={e => update({ dateFrom: e.target.value })}
+          placeholder={t('dateFormatPlaceholder')}
+          aria-label={`${t('dateWindow')} (${t('startDate')})`}
+          className={`${inputClassName} w-28`}
+        />
+        <span>–</span>
+        <input
+          type="text"
+          value={filter.dateTo}
+          onChange={e => update({ dateTo: e.target.value })}
+          placeholder={t('dateFormatPlaceholder')}
+          aria-label={`${t('dateWindow')} (${t('endDate')})`}
+          className={`${inputClassName} w-28`}
+        />
+      </div>
+      <div className="flex items-center gap-1" role="group" aria-label={t('status')}>
+        {TASK_STATUSES.map(status => {
+          const isActive = filter.statuses.includes(status);
+          return (
+            <button
+              key={status}
+              onClick={() => update({ statuses: toggleListValue(filter.statuses, status) })}
+              aria-pressed={isActive}
+              title={status === 'late' ? t('statusLateDesc') : undefined}
+              className={`px-2 py-1 rounded-full border text-xs font-medium transition-colors ${isActive ? 'bg-indigo-600 border-indigo-600 text-white' : 'bg-white border-gray-300 text-slate-600 hover:bg-gray-100'}`}
+            >
+              {t(STATUS_LABEL_KEYS[status])}
+            </button>
+          );
+        })}
+      </div>
+      {customFields.map(field => {
+        const value = filter.customValues?.[field.id] || '';
+        return field.type === 'choice' ? (
+          <select
+            key={field.id}
+            value={value}
+            onChange={e => updateCustomValue(field.id, e.target.value)}
+            aria-label={field.name}
+            className={`${inputClassName} w-36`}
+          >
+            <option value="">{field.name}: {t('anyValue')}</option>
+            {(field.options || []).map(option => <option key={option} value={option}>{field.name}: {option}</option>)}
+          </select>
+        ) : (
+          <input
+            key={field.id}
+            type="search"
+            value={value}
+            onChange={e => updateCustomValue(field.id, e.target.value)}
+            placeholder={field.name}
+            aria-label={field.name}
+            className={`${inputClassName} w-32`}
+          />
+        );
+      })}
+      <div className="flex items-center gap-1">
+        <select
+          value={selectedPresetId}
+          onChange={e => {
+            setSelectedPresetId(e.target.value);
+            const preset = presets.find(p => p.id === e.target.value);
+            if (preset) onApplyPreset(preset);
+          }}
+          className={`${inputClassName} w-36`}
+          aria-label={t('filterPresets')}
+        >
+          <option value="">{t('filterPresets')}</option>
+          {presets.map(preset => <option key={preset.id} value={preset.id}>{preset.name}</option>)}
+        </select>
+        {selectedPresetId && (
+          <button
+            onClick={() => {
+              onDeletePreset(selectedPresetId);
+              setSelectedPresetId('');
+            }}
+            className="p-1 rounded-full text-gray-400 hover:bg-red-100 hover:text-red-600 transition-colors"
+            title={t('deletePreset')}
+          >
+            <TrashIcon className="w-4 h-4" />
+          </button>
+        )}
+        <form
+          className="flex items-center gap-1"
+          onSubmit={e => {
+            e.preventDefault();
+            if (!presetName.trim()) return;
+            onSavePreset(presetName.trim());
+            setPresetName('');
+          }}
+        >
+          <input
+            type="text"
+            value={presetName}
+            onChange={e => setPresetName(e.target.value)}
+            placeholder={t('presetNamePlaceholder')}
+            aria-label={t('presetNamePlaceholder')}
+            className={`${inputClassName} w-32`}
+          />
+          <button
+            type="submit"
+            disabled={!presetName.trim()}
+            className="px-2 py-1 bg-indigo-600 text-white rounded-md text-sm hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {t('savePreset')}
+          </button>
+        </form>
+      </div>
+      <div className="flex items-center gap-2 ml-auto">
+        <span className="text-slate-500" aria-live="polite">
+          {t('filterMatchCount').replace('{count}', `${matchCount}`).replace('{total}', `${totalCount}`)}
+        </span>
+        <button
+          onClick={() => {
+            onFilterChange(EMPTY_TASK_FILTER);
+            setSelectedPresetId('');
+          }}
+          disabled={!isTaskFilterActive(filter)}
+          className="px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {t('clearFilters')}
+        </button>
+        <button onClick={onClose} className="p-1 rounded-full text-gray-400 hover:bg-gray-200 hover:text-gray-600" title={t('close')}>
+          <XIcon className="w-5 h-5" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TaskFilterBar;
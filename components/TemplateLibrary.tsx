@@ -0,0 +1,166 @@
+import React, { useMemo, useState } from 'react';
+import { useLanguage } from '../contexts/LanguageContext.tsx';
+import { translations, TranslationKey } from '../lib/translations.ts';
+import type { ProjectTemplate } from '../types.ts';
+import { parseUTCDateString } from '../lib/dateUtils.ts';
+import { getBuiltInTemplates, TemplateProjectOptions } from '../lib/projectTemplates.ts';
+import TrashIcon from './icons/TrashIcon.tsx';
+
+interface TemplateLibraryProps {
+  templates: ProjectTemplate[];
+  currentProjectName: string;
+  defaultStartDate: string;
+  onSaveTemplate: (name: string) => void;
+  onDeleteTemplate: (id: string) => void;
+  onCreateFromTemplate: (template: ProjectTemplate, options: TemplateProjectOptions) => void;
+}
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-indigo-500 focus:border-indigo-500';
+const checkboxClass = 'h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500';
+
+const TemplateLibrary: React.FC<TemplateLibraryProps> = ({
+  templates,
+  currentProjectName,
+  defaultStartDate,
+  onSaveTemplate,
+  onDeleteTemplate,
+  onCreateFromTemplate,
+}) => {
+  const { language } = useLanguage();
+  const t = (key: TranslationKey) => translations[key][language];
+
+  const builtInTemplates = useMemo(() => getBuiltInTemplates(language), [language]);
+  const [templateName, setTemplateName] = useState(currentProjectName);
+  const [selected, setSelected] = useState<ProjectTemplate | null>(null);
+  const [projectName, setProjectName] = useState('');
+  const [startDate, setStartDate] = useState(defaultStartDate);
+  const [clearProgress, setClearProgress] = useState(true);
+  const [clearAssignees, setClearAssignees] = useState(false);
+
+  const isStartDateValid = parseUTCDateString(startDate) !== null;
+
+  const handleSave = () => {
+    if (!templateName.trim()) return;
+    onSaveTemplate(templateName.trim());
+  };
+
+  const handleSelect = (template: ProjectTemplate) => {
+    setSelected(template);
+    setProjectName(template.name);
+  };
+
+  const handleCreate = () => {
+    if (!selected || !isStartDateValid) return;
+    onCreateFromTemplate(selected, {
+      projectName: projectName.trim() || selected.name,
+      startDate,
+      clearProgress,
+      clearAssignees,
+    });
+  };
+
+  if (selected) {
+    return (
+      <div className="p-4 sm:p-5 space-y-4">
+        <p className="text-sm text-slate-600">
+          {t('templateLabel')}: <span className="font-medium text-slate-800">{selected.name}</span>
+        </p>
+        <div>
+          <label htmlFor="templateProjectName" className="block text-sm font-medium text-gray-700 mb-1">{t('projectNameLabel')}</label>
+          <input id="templateProjectName" type="text" value={projectName} onChange={e => setProjectName(e.target.value)} className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor="templateStartDate" className="block text-sm font-medium text-gray-700 mb-1">{t('templateStartDate')}</label>
+          <input
+            id="templateStartDate"
+            type="text"
+            value={startDate}
+            onChange={e => setStartDate(e.target.value)}
+            placeholder={t('dateFormatPlaceholder')}
+            className={inputClass}
+          />
+          {!isStartDateValid && <p className="mt-1 text-xs text-red-600">{t('invalidStartDate')}</p>}
+          <p className="mt-1 text-xs text-slate-500">{t('templateStartDateDesc')}</p>
+        </div>
+        <div className="space-y-2">
+          <label className="flex items-center gap-2 text-sm text-slate-600 cursor-pointer">
+            <input type="checkbox" checked={clearProgress} onChange={e => setClearProgress(e.target.checked)} className={checkboxClass} />
+            <span>{t('clearProgress')}</span>
+          </label>
+          <label className="flex items-center gap-2 text-sm text-slate-600 cursor-pointer">
+            <input type="checkbox" checked={clearAssignees} onChange={e => setClearAssignees(e.target.checked)} className={checkboxClass} />
+            <span>{t('clearAssignees')}</span>
+          </label>
+        </div>
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={() => setSelected(null)}
+            className="px-4 py-2 bg-white border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+          >
+            {t('cancel')}
+          </button>
+          <button
+            onClick={handleCreate}
+            disabled={!isStartDateValid}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-md text-sm font-medium hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {t('createFromTemplate')}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const renderTemplate = (template: ProjectTemplate) => (
+    <li key={template.id} className="flex items-center gap-2 px-4 py-2 hover:bg-gray-50">
+      <div className="flex-grow min-w-0">
+        <span className="block truncate text-sm font-medium text-slate-700">
+          {template.name}
+          {template.builtIn && <span className="ml-2 text-xs text-emerald-600">({t('sampleTemplate')})</span>}
+        </span>
+        <span className="block text-xs text-slate-400">
+          {template.tasks.length} {t('templateTaskCount')}
+        </span>
+      </div>
+      <button
+        onClick={() => handleSelect(template)}
+        className="px-2 py-1 text-xs text-gray-500 hover:text-indigo-600 rounded-md hover:bg-gray-200 transition-colors"
+      >
+        {t('useTemplate')}
+      </button>
+      {!template.builtIn && (
+        <button onClick={() => onDeleteTemplate(template.id)} className="text-gray-400 hover:text-red-500 p-1 rounded-full transition-colors" title={t('deleteTemplate')}>
+          <TrashIcon />
+        </button>
+      )}
+    </li>
+  );
+
+  return (
+    <div>
+      <div className="px-4 py-3 border-b flex items-center gap-2">
+        <input
+          type="text"
+          value={templateName}
+          onChange={e => setTemplateName(e.target.value)}
+          onKeyDown={e => { if (e.key === 'Enter') handleSave(); }}
+          placeholder={t('templateName')}
+          className={inputClass}
+        />
+        <button
+          onClick={handleSave}
+          disabled={!templateName.trim()}
+          className="px-3 py-2 bg-indigo-600 text-white rounded-md text-sm font-medium hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed whitespace-nowrap"
+        >
+          {t('saveAsTemplate')}
+        </button>
+      </div>
+      <ul className="max-h-[50vh] overflow-y-auto divide-y">
+        {templates.map(renderTemplate)}
+        {builtInTemplates.map(renderTemplate)}
+      </ul>
+    </div>
+  );
+};
+
+export default TemplateLibrary;
@@ -0,0 +1,21 @@
+import React from 'react';
+
+const BaselineIcon: React.FC<React.SVGProps<SVGSVGElement>> = (props) => (
+  <svg
+    xmlns="http://www.w3.org/2000/svg"
+    fill="none"
+    viewBox="0 0 24 24"
+    strokeWidth={1.5}
+    stroke="currentColor"
+    className="w-5 h-5"
+    {...props}
+  >
+    <path
+      strokeLinecap="round"
+      strokeLinejoin="round"
+      d="M3.75 6.75h10.5v3H3.75v-3ZM9.75 13.5h10.5v3H9.75v-3ZM3.75 12h6M3.75 19.5h16.5"
+    />
+  </svg>
+);
+
+export default BaselineIcon;
@@ -0,0 +1,21 @@
+import React from 'react';
+
+const DiamondIcon: React.FC<React.SVGProps<SVGSVGElement>> = (props) => (
+  <svg
+    xmlns="http://www.w3.org/2000/svg"
+    fill="none"
+    viewBox="0 0 24 24"
+    strokeWidth={1.5}
+    stroke="currentColor"
+    className="w-5 h-5"
+    {...props}
+  >
+    <path
+      strokeLinecap="round"
+      strokeLinejoin="round"
+      d="M12 3.75 20.25 12 12 20.25 3.75 12 12 3.75Z"
+    />
+  </svg>
+);
+
+export default DiamondIcon;
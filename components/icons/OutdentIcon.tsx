@@ -0,0 +1,21 @@
+import React from 'react';
+
+const OutdentIcon: React.FC<React.SVGProps<SVGSVGElement>> = (props) => (
+  <svg
+    xmlns="http://www.w3.org/2000/svg"
+    fill="none"
+    viewBox="0 0 24 24"
+    strokeWidth={1.5}
+    stroke="currentColor"
+    className="w-5 h-5"
+    {...props}
+  >
+    <path
+      strokeLinecap="round"
+      strokeLinejoin="round"
+      d="M3.75 5.25h16.5M10.5 9.75h9.75M10.5 14.25h9.75M3.75 18.75h16.5M6.75 9.75l-3 2.25 3 2.25"
+    />
+  </svg>
+);
+
+export default OutdentIcon;
@@ -1,4 +1,4 @@
-import React, { createContext, useState, useContext, ReactNode, Dispatch, SetStateAction } from 'react';
+import React, { createContext, useState, useEffect, useContext, ReactNode, Dispatch, SetStateAction } from 'react';
 
 export type Language = 'ja' | 'en';
 
@@ -9,8 +9,13 @@ interface LanguageContextType {
 
 const LanguageContext = createContext<LanguageContextType | undefined>(undefined);
 
-export const LanguageProvider: React.FC<{ children: ReactNode }> = ({ children }) => {
-  const [language, setLanguage] = useState<Language>('ja'); // Default to Japanese
+// `language` makes the provider follow a language chosen outside of it, e.g. by a page embedding the chart.
+export const LanguageProvider: React.FC<{ children: ReactNode; language?: Language }> = ({ children, language: fixedLanguage }) => {
+  const [language, setLanguage] = useState<Language>(fixedLanguage ?? 'ja'); // Default to Japanese
+
+  useEffect(() => {
+    if (fixedLanguage) setLanguage(fixedLanguage);
+  }, [fixedLanguage]);
 
   return (
     <LanguageContext.Provider value={{ language, setLanguage }}>
@@ -0,0 +1,9 @@
+// Entry point of the library build (`npm run build:lib`): the embeddable chart and its types.
+import './embed.css';
+
+export { default as GanttEmbed } from './components/GanttEmbed.tsx';
+export type { GanttEmbedProps, GanttEmbedHandle, GanttChangeEvent, GanttEditRejection } from './components/GanttEmbed.tsx';
+export type { TaskEdit } from './lib/taskEditing.ts';
+export { ZOOM_LEVELS } from './lib/timescale.ts';
+export type { ProjectData, ProjectSettings, Task, TaskDependency, Baseline, ProgressSnapshot } from './types.ts';
+export type { Language } from './contexts/LanguageContext.tsx';
@@ -0,0 +1,296 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import type { CollabSettings, CollabStatus, CollabPeer, SharedProjectState } from '../types.ts';
+import {
+  CollabDoc,
+  CollabOp,
+  applyOps,
+  diffSharedState,
+  readSharedState,
+  getAllOps,
+  isCollabDocEmpty,
+  serializeCollabDoc,
+  deserializeCollabDoc,
+} from '../lib/collabDoc.ts';
+import { loadCollabSyncState, saveCollabSyncState } from '../lib/projectStorage.ts';
+
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+// Edits made within this window (e.g. the steps of a drag) are sent as one message.
+const SEND_DELAY_MS = 50;
+const PERSIST_DELAY_MS = 1000;
+const PEER_COLORS = ['#e11d48', '#d97706', '#059669', '#0284c7', '#7c3aed', '#db2777', '#0d9488', '#4f46e5'];
+
+// Stable per person, so everyone sees the same color for the same collaborator.
+export const getPeerColor = (name: string): string => {
+  let hash = 0;
+  for (let i = 0; i < name.length; i++) hash = (hash * 31 + name.charCodeAt(i)) | 0;
+  return PEER_COLORS[Math.abs(hash) % PEER_COLORS.length];
+};
+
+const createClientId = (): string => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+interface CollabSession {
+  doc: CollabDoc;
+  seq: number;            // Last server sequence number seen
+  synced: boolean;        // Whether the replica has been reconciled with the room at least once
+  pending: CollabOp[];    // Local writes not sent yet
+  inFlight: CollabOp[][]; // Sent batches waiting for the server's ack, oldest first
+  recordLocalChanges: () => void;
+  sendPresence: () => void;
+}
+
+// What the server sends; see the protocol in server/collabServer.js.
+type ServerMessage =
+  | { type: 'sync'; ops: CollabOp[]; seq: number }   // Writes missed since `hello`
+  | { type: 'ops'; ops: CollabOp[]; seq: number }    // Writes by others
+  | { type: 'ack'; seq: number }                     // The oldest batch in flight was accepted
+  | { type: 'presence'; peers: CollabPeer[] };       // Everyone else in the room
+
+// Replies of another server version or a broken connection are ignored instead of corrupting the replica.
+const isServerMessage = (value: unknown): value is ServerMessage => {
+  if (typeof value !== 'object' || value === null) return false;
+  const message = value as Record<string, unknown>;
+  switch (message.type) {
+    case 'sync':
+    case 'ops':
+      return Array.isArray(message.ops) && typeof message.seq === 'number';
+    case 'ack':
+      return typeof message.seq === 'number';
+    case 'presence':
+      return Array.isArray(message.peers);
+    default:
+      return false;
+  }
+};
+
+// Later writes to the same register supersede earlier ones, so only the last needs sending.
+const coalesceOps = (ops: CollabOp[]): CollabOp[] => {
+  const latest = new Map<string, CollabOp>();
+  ops.forEach(op => latest.set(`${op.taskId ?? ''}\u0000${op.field}`, op));
+  return [...latest.values()];
+};
+
+interface UseCollaborationOptions {
+  projectId: string;
+  settings: CollabSettings | null;
+  state: SharedProjectState;
+  // Receives the merged state after collaborators' edits changed it, and the writes that did.
+  // `isJoin` is set when the project was replaced by the schedule of the room it just joined.
+  onRemoteChange: (state: SharedProjectState, ops: CollabOp[], isJoin: boolean) => void;
+}
+
+/**
+ * Keeps `state` in sync with everyone in the same room of a collaboration server (server/collabServer.js).
+ * Local edits are diffed into CRDT writes (lib/collabDoc.ts). While offline they queue up, also across
+ * reloads, and are sent when the connection comes back.
+ */
+export const useCollaboration = ({ projectId, settings, state, onRemoteChange }: UseCollaborationOptions) => {
+  const [status, setStatus] = useState<CollabStatus>('off');
+  const [peers, setPeers] = useState<CollabPeer[]>([]);
+  const sessionRef = useRef<CollabSession | null>(null);
+  const stateRef = useRef(state);
+  stateRef.current = state;
+  const onRemoteChangeRef = useRef(onRemoteChange);
+  onRemoteChangeRef.current = onRemoteChange;
+  const activeTaskIdRef = useRef<string | null>(null);
+
+  const enabled = !!settings?.enabled && !!settings.serverUrl.trim() && !!settings.room.trim();
+  const serverUrl = settings?.serverUrl.trim() || '';
+  const room = settings?.room.trim() || '';
+  const userName = settings?.userName.trim() || '';
+
+  useEffect(() => {
+    if (!enabled) {
+      setStatus('off');
+      return;
+    }
+    const saved = loadCollabSyncState(projectId);
+    const resumed = saved && saved.serverUrl === serverUrl && saved.room === room ? saved : null;
+    const clientId = createClientId();
+    let socket: WebSocket | null = null;
+    let isClosed = false;
+    let retryDelay = RECONNECT_MIN_MS;
+    let retryTimer: ReturnType<typeof setTimeout> | undefined;
+    let sendTimer: ReturnType<typeof setTimeout> | undefined;
+    let persistTimer: ReturnType<typeof setTimeout> | undefined;
+
+    const session: CollabSession = {
+      doc: deserializeCollabDoc(resumed?.doc),
+      seq: resumed?.seq || 0,
+      synced: !!resumed,
+      pending: resumed?.pending || [],
+      inFlight: [],
+      recordLocalChanges: () => {},
+      sendPresence: () => {},
+    };
+
+    const send = (message: object) => {
+      if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+    };
+
+    const persist = () => {
+      persistTimer = undefined;
+      if (!session.synced) return;
+      saveCollabSyncState(projectId, {
+        serverUrl,
+        room,
+        seq: session.seq,
+        doc: serializeCollabDoc(session.doc),
+        pending: [...session.inFlight.flat(), ...session.pending],
+      });
+    };
+    const schedulePersist = () => {
+      if (persistTimer === undefined) persistTimer = setTimeout(persist, PERSIST_DELAY_MS);
+    };
+
+    const flush = () => {
+      sendTimer = undefined;
+      if (socket?.readyState !== WebSocket.OPEN || !session.synced || session.pending.length === 0) return;
+      const batch = coalesceOps(session.pending);
+      session.pending = [];
+      session.inFlight.push(batch);
+      send({ type: 'ops', ops: batch });
+    };
+    const scheduleFlush = () => {
+      if (sendTimer === undefined) sendTimer = setTimeout(flush, SEND_DELAY_MS);
+    };
+
+    session.recordLocalChanges = () => {
+      if (!session.synced) return;
+      const ops = diffSharedState(session.doc, stateRef.current, clientId);
+      if (ops.length === 0) return;
+      session.pending.push(...ops);
+      scheduleFlush();
+      schedulePersist();
+    };
+    session.sendPresence = () => send({ type: 'presence', taskId: activeTaskIdRef.current });
+
+    const applyRemoteOps = (ops: CollabOp[], isJoin = false) => {
+      const applied = applyOps(session.doc, ops);
+      if (applied.length === 0) return;
+      schedulePersist();
+      const next = readSharedState(session.doc);
+      const current = stateRef.current;
+      const isUnchanged = next.tasks.length === current.tasks.length
+        && next.tasks.every((task, index) => task === current.tasks[index])
+        && (['projectName', 'projectStart', 'projectEnd', 'creationDate', 'creatorName'] as const).every(field => next[field] === current[field]);
+      if (!isUnchanged) onRemoteChangeRef.current(next, applied, isJoin);
+    };
+
+    const handleMessage = (message: ServerMessage) => {
+      switch (message.type) {
+        case 'sync': {
+          // The server lost data (e.g. restored from an older backup): give it everything we have.
+          if (message.seq < session.seq) session.pending = getAllOps(session.doc);
+          const isFirstSync = !session.synced;
+          const isRoomEmpty = message.ops.length === 0 && isCollabDocEmpty(session.doc);
+          applyRemoteOps(message.ops, isFirstSync);
+          session.seq = message.seq;
+          session.synced = true;
+          // The first person in a room shares their schedule; everyone else adopts the room's.
+          if (isFirstSync && isRoomEmpty) session.recordLocalChanges();
+          setStatus('online');
+          retryDelay = RECONNECT_MIN_MS;
+          session.sendPresence();
+          flush();
+          schedulePersist();
+          break;
+        }
+        case 'ops':
+          applyRemoteOps(message.ops);
+          session.seq = message.seq;
+          break;
+        case 'ack':
+          session.inFlight.shift();
+          session.seq = Math.max(session.seq, message.seq);
+          schedulePersist();
+          break;
+        case 'presence':
+          setPeers(message.peers);
+          break;
+      }
+    };
+
+    const scheduleReconnect = () => {
+      retryTimer = setTimeout(connect, retryDelay);
+      retryDelay = Math.min(retryDelay * 2, RECONNECT_MAX_MS);
+    };
+
+    const connect = () => {
+      retryTimer = undefined;
+      try {
+        socket = new WebSocket(serverUrl);
+      } catch (error) {
+        console.error('Failed to connect to the collaboration server:', error);
+        setStatus('offline');
+        scheduleReconnect();
+        return;
+      }
+      socket.onopen = () => send({
+        type: 'hello',
+        room,
+        since: session.synced ? session.seq : 0,
+        peer: { clientId, name: userName, color: getPeerColor(userName) },
+      });
+      socket.onmessage = event => {
+        try {
+          const message: unknown = JSON.parse(event.data);
+          if (isServerMessage(message)) handleMessage(message);
+          else console.error('Ignored an unexpected collaboration message:', message);
+        } catch (error) {
+          console.error('Failed to handle a collaboration message:', error);
+        }
+      };
+      socket.onclose = () => {
+        socket = null;
+        // Unacknowledged writes may not have arrived; they are idempotent, so send them again later.
+        session.pending = [...session.inFlight.flat(), ...session.pending];
+        session.inFlight = [];
+        setPeers([]);
+        if (isClosed) return;
+        setStatus('offline');
+        scheduleReconnect();
+      };
+    };
+
+    // Reconnect right away when the device comes back online instead of waiting for the next retry.
+    const handleOnline = () => {
+      if (socket || retryTimer === undefined) return;
+      clearTimeout(retryTimer);
+      retryDelay = RECONNECT_MIN_MS;
+      connect();
+    };
+
+    sessionRef.current = session;
+    setStatus('connecting');
+    connect();
+    window.addEventListener('online', handleOnline);
+    return () => {
+      isClosed = true;
+      window.removeEventListener('online', handleOnline);
+      clearTimeout(retryTimer);
+      clearTimeout(sendTimer);
+      clearTimeout(persistTimer);
+      session.pending = [...session.inFlight.flat(), ...session.pending];
+      session.inFlight = [];
+      persist();
+      socket?.close();
+      sessionRef.current = null;
+      setStatus('off');
+      setPeers([]);
+    };
+  }, [enabled, projectId, serverUrl, room, userName]);
+
+  useEffect(() => {
+    sessionRef.current?.recordLocalChanges();
+  }, [state]);
+
+  // Tells the others which task this user is working on (null when none).
+  const setActiveTaskId = useCallback((taskId: string | null) => {
+    if (activeTaskIdRef.current === taskId) return;
+    activeTaskIdRef.current = taskId;
+    sessionRef.current?.sendPresence();
+  }, []);
+
+  return { status, peers, setActiveTaskId };
+};
@@ -0,0 +1,49 @@
+import { useState, useLayoutEffect, RefObject } from 'react';
+
+export interface ScrollViewport {
+  scrollTop: number;
+  scrollLeft: number;
+  width: number;
+  height: number;
+}
+
+const EMPTY_VIEWPORT: ScrollViewport = { scrollTop: 0, scrollLeft: 0, width: 0, height: 0 };
+
+/**
+ * Tracks the scroll position and client size of a scroll container.
+ * Updates are batched to one per animation frame so fast scrolling does not queue renders.
+ */
+export const useScrollViewport = (ref: RefObject<HTMLElement>): ScrollViewport => {
+  const [viewport, setViewport] = useState<ScrollViewport>(EMPTY_VIEWPORT);
+
+  useLayoutEffect(() => {
+    const element = ref.current;
+    if (!element) return;
+    let frame: number | null = null;
+
+    const measure = () => {
+      frame = null;
+      setViewport(prev => (
+        prev.scrollTop === element.scrollTop && prev.scrollLeft === element.scrollLeft
+          && prev.width === element.clientWidth && prev.height === element.clientHeight
+          ? prev
+          : { scrollTop: element.scrollTop, scrollLeft: element.scrollLeft, width: element.clientWidth, height: element.clientHeight }
+      ));
+    };
+    const scheduleMeasure = () => {
+      if (frame === null) frame = requestAnimationFrame(measure);
+    };
+
+    measure();
+    element.addEventListener('scroll', scheduleMeasure, { passive: true });
+    const observer = new ResizeObserver(scheduleMeasure);
+    observer.observe(element);
+    return () => {
+      element.removeEventListener('scroll', scheduleMeasure);
+      observer.disconnect();
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, [ref]);
+
+  return viewport;
+};
@@ -0,0 +1,124 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+const MAX_HISTORY = 100;
+// Changes arriving faster than this (e.g. typing in a field) are merged into one step.
+const COALESCE_MS = 500;
+
+interface HistoryState<T> {
+  past: T[];
+  future: T[];
+  current: T;
+  lastChangeAt: number;
+  gestureBase: T | null;
+  skipNextChange: boolean;
+}
+
+/**
+ * Records snapshots of `present` as it changes and exposes undo/redo.
+ * `restore` must write a snapshot back into the owning component's state.
+ */
+export const useUndoHistory = <T>(present: T, restore: (snapshot: T) => void) => {
+  const historyRef = useRef<HistoryState<T>>({
+    past: [],
+    future: [],
+    current: present,
+    lastChangeAt: 0,
+    gestureBase: null,
+    skipNextChange: false,
+  });
+  const [availability, setAvailability] = useState({ canUndo: false, canRedo: false });
+
+  const syncAvailability = useCallback(() => {
+    const history = historyRef.current;
+    setAvailability(prev => {
+      const canUndo = history.past.length > 0;
+      const canRedo = history.future.length > 0;
+      return prev.canUndo === canUndo && prev.canRedo === canRedo ? prev : { canUndo, canRedo };
+    });
+  }, []);
+
+  useEffect(() => {
+    const history = historyRef.current;
+    if (history.current === present) return;
+
+    const previous = history.current;
+    history.current = present;
+
+    if (history.skipNextChange) {
+      history.skipNextChange = false;
+      return;
+    }
+    // Inside a drag gesture the whole gesture is recorded once, in endGesture.
+    if (history.gestureBase !== null) return;
+
+    const now = Date.now();
+    if (now - history.lastChangeAt > COALESCE_MS || history.past.length === 0) {
+      history.past = [...history.past, previous].slice(-MAX_HISTORY);
+    }
+    history.lastChangeAt = now;
+    history.future = [];
+    syncAvailability();
+  }, [present, syncAvailability]);
+
+  const undo = useCallback(() => {
+    const history = historyRef.current;
+    if (history.past.length === 0 || history.gestureBase !== null) return;
+    const snapshot = history.past[history.past.length - 1];
+    history.past = history.past.slice(0, -1);
+    history.future = [...history.future, history.current];
+    history.skipNextChange = true;
+    history.lastChangeAt = 0;
+    restore(snapshot);
+    syncAvailability();
+  }, [restore, syncAvailability]);
+
+  const redo = useCallback(() => {
+    const history = historyRef.current;
+    if (history.future.length === 0 || history.gestureBase !== null) return;
+    const snapshot = history.future[history.future.length - 1];
+    history.future = history.future.slice(0, -1);
+    history.past = [...history.past, history.current];
+    history.skipNextChange = true;
+    history.lastChangeAt = 0;
+    restore(snapshot);
+    syncAvailability();
+  }, [restore, syncAvailability]);
+
+  const beginGesture = useCallback(() => {
+    historyRef.current.gestureBase = historyRef.current.current;
+  }, []);
+
+  const endGesture = useCallback(() => {
+    const history = historyRef.current;
+    const base = history.gestureBase;
+    history.gestureBase = null;
+    if (base === null || base === history.current) return;
+    history.past = [...history.past, base].slice(-MAX_HISTORY);
+    history.future = [];
+    history.lastChangeAt = 0;
+    syncAvailability();
+  }, [syncAvailability]);
+
+  // Applies a change made elsewhere (e.g. by a collaborator) to every recorded snapshot, so that undo
+  // only reverts the user's own changes. The change of `present` it causes is not recorded.
+  const rebaseHistory = useCallback((update: (snapshot: T) => T) => {
+    const history = historyRef.current;
+    history.past = history.past.map(update);
+    history.future = history.future.map(update);
+    if (history.gestureBase !== null) history.gestureBase = update(history.gestureBase);
+    history.skipNextChange = true;
+  }, []);
+
+  // Forget all history; the next change (e.g. loading a project) becomes the new starting point.
+  const resetHistory = useCallback(() => {
+    const history = historyRef.current;
+    history.past = [];
+    history.future = [];
+    history.gestureBase = null;
+    history.lastChangeAt = 0;
+    history.skipNextChange = true;
+    syncAvailability();
+  }, [syncAvailability]);
+
+  return { undo, redo, beginGesture, endGesture, resetHistory, rebaseHistory, ...availability };
+};
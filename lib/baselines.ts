@@ -0,0 +1,31 @@
+import type { Task, Baseline, BaselineTaskDates } from '../types.ts';
+import { parseUTCDateString, addDaysUTC, calculateWorkingDays, WorkingCalendar } from './dateUtils.ts';
+
+// --- Baseline Helper Functions ---
+
+export const createBaseline = (tasks: Task[], name: string): Baseline => {
+    const baselineTasks: Record<string, BaselineTaskDates> = {};
+    tasks.forEach(task => {
+        if (task.startDate && task.endDate) {
+            baselineTasks[task.id] = { startDate: task.startDate, endDate: task.endDate };
+        }
+    });
+    return { id: Date.now().toString(), name, createdAt: Date.now(), tasks: baselineTasks };
+};
+
+// Working days the task finishes after (+) or before (-) its baseline finish.
+// Returns null when the task has no dates or did not exist when the baseline was saved.
+export const getBaselineVariance = (task: Task, planned: BaselineTaskDates | undefined, calendar: WorkingCalendar): number | null => {
+    if (!planned) return null;
+    const actualEnd = parseUTCDateString(task.endDate);
+    const plannedEnd = parseUTCDateString(planned.endDate);
+    if (!actualEnd || !plannedEnd) return null;
+
+    if (actualEnd > plannedEnd) {
+        return calculateWorkingDays(addDaysUTC(plannedEnd, 1), actualEnd, calendar);
+    }
+    if (actualEnd < plannedEnd) {
+        return -calculateWorkingDays(addDaysUTC(actualEnd, 1), plannedEnd, calendar);
+    }
+    return 0;
+};
@@ -0,0 +1,79 @@
+import type { ProjectData, Task } from '../types.ts';
+import { addWorkingDays, createWorkingCalendar, formatDateUTC, parseUTCDateString } from './dateUtils.ts';
+import { rollUpSummaryTasks } from './taskTree.ts';
+
+// --- Benchmark Fixture ---
+// A large generated schedule for checking that scrolling and dragging stay smooth. Development
+// builds open it with `?benchmark=3000` (any task count) in the URL.
+
+const BENCHMARK_START = '2025/01/06';
+const BENCHMARK_YEARS = 3;
+const TASKS_PER_PHASE = 25;
+const ASSIGNEES = ['Sato', 'Suzuki', 'Takahashi', 'Tanaka', 'Ito', 'Watanabe', 'Yamamoto', 'Nakamura'];
+
+// Small seeded PRNG so every run produces the same schedule and timings stay comparable.
+const createRandom = (seed: number) => () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let value = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+};
+
+// Fills `base` (a new project with default settings) with `taskCount` tasks spread over three years.
+export const createBenchmarkProject = (base: ProjectData, taskCount: number): ProjectData => {
+    const random = createRandom(taskCount);
+    const calendar = createWorkingCalendar(new Set([0, 6]));
+    const projectStart = parseUTCDateString(BENCHMARK_START)!;
+    const projectEnd = new Date(projectStart.getTime());
+    projectEnd.setUTCFullYear(projectEnd.getUTCFullYear() + BENCHMARK_YEARS);
+    const spanInDays = Math.round((projectEnd.getTime() - projectStart.getTime()) / (1000 * 3600 * 24));
+    const statusTime = projectStart.getTime() + (projectEnd.getTime() - projectStart.getTime()) / 3;
+
+    const tasks: Task[] = [];
+    const phaseCount = Math.max(1, Math.ceil(taskCount / TASKS_PER_PHASE));
+    for (let phase = 0; phase < phaseCount && tasks.length < taskCount; phase++) {
+        const phaseId = `bench-${phase}`;
+        tasks.push({ id: phaseId, name: `Phase ${phase + 1}`, startDate: '', endDate: '', progress: 0 });
+
+        // Phases start staggered across the whole range and run chains of dependent tasks.
+        const cursor = new Date(projectStart.getTime());
+        cursor.setUTCDate(cursor.getUTCDate() + Math.floor((phase / phaseCount) * spanInDays * 0.7));
+        let previousId: string | undefined;
+        for (let index = 1; index < TASKS_PER_PHASE && tasks.length < taskCount; index++) {
+            const id = `${phaseId}-${index}`;
+            const milestone = index === TASKS_PER_PHASE - 1;
+            const start = addWorkingDays(cursor, 1, calendar);
+            const end = milestone ? start : addWorkingDays(start, 2 + Math.floor(random() * 12), calendar);
+            const progress = end.getTime() < statusTime ? 100 : start.getTime() < statusTime ? Math.round(random() * 10) * 10 : 0;
+            tasks.push({
+                id,
+                name: milestone ? `Phase ${phase + 1} complete` : `Task ${phase + 1}.${index}`,
+                assignee: milestone ? '' : ASSIGNEES[Math.floor(random() * ASSIGNEES.length)],
+                startDate: formatDateUTC(start),
+                endDate: formatDateUTC(end),
+                progress: milestone ? 0 : progress,
+                manHours: milestone ? 0 : 8 * (1 + Math.floor(random() * 10)),
+                parentId: phaseId,
+                milestone: milestone || undefined,
+                dependencies: previousId ? [{ predecessorId: previousId, type: 'FS', lag: 0 }] : undefined,
+            });
+            previousId = id;
+            cursor.setTime(end.getTime());
+            cursor.setUTCDate(cursor.getUTCDate() + 1);
+        }
+    }
+
+    // Chains run a little past the nominal span for some seeds, so the range follows the tasks.
+    const lastEnd = tasks.reduce((latest, task) => Math.max(latest, parseUTCDateString(task.endDate)?.getTime() ?? 0), projectEnd.getTime());
+
+    return {
+        ...base,
+        projectName: `Benchmark (${taskCount} tasks)`,
+        projectStart: BENCHMARK_START,
+        projectEnd: formatDateUTC(new Date(lastEnd)),
+        creationDate: BENCHMARK_START,
+        creatorName: '',
+        tasks: rollUpSummaryTasks(tasks, calendar),
+        settings: { ...base.settings, holidays: [0, 6], nonWorkingPeriods: [], workingDayExceptions: [] },
+    };
+};
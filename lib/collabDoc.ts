@@ -0,0 +1,309 @@
+import type { SharedProjectState, Task } from '../types.ts';
+import { sortTaskTree } from './taskFilter.ts';
+
+// --- Collaborative Document (CRDT) ---
+// The shared schedule is a set of last-writer-wins registers: one per project field and one per task
+// field, plus each task's list position and deletion flag. Every write is stamped by a hybrid logical
+// clock (wall time, bumped past every stamp seen so far) and the writer's client id. A register keeps
+// the write with the highest stamp, so replicas that have seen the same writes hold the same values
+// whatever order they arrived in. server/collabServer.js applies the same rule.
+
+export interface CollabStamp {
+    time: number;
+    client: string;
+}
+
+export interface CollabOp {
+    taskId?: string; // Omitted for project fields
+    field: string;
+    value: unknown;  // JSON value; null clears an optional field
+    stamp: CollabStamp;
+}
+
+interface CollabRegister {
+    value: unknown;
+    stamp: CollabStamp;
+}
+
+export interface CollabDoc {
+    project: Map<string, CollabRegister>;
+    tasks: Map<string, Map<string, CollabRegister>>;
+    clock: number;
+    // Task objects last read from or written to the document; diffing skips their fields.
+    knownTasks: Map<string, Task>;
+}
+
+// Serialized registers: [taskId, field, value, time, client].
+export type SerializedCollabDoc = { clock: number; registers: [string | null, string, unknown, number, string][] };
+
+const PROJECT_FIELDS = ['projectName', 'projectStart', 'projectEnd', 'creationDate', 'creatorName'] as const;
+const ORDER_FIELD = '#order';     // Fractional list position
+const DELETED_FIELD = '#deleted';
+
+export const compareStamps = (a: CollabStamp, b: CollabStamp): number =>
+    a.time - b.time || (a.client < b.client ? -1 : a.client > b.client ? 1 : 0);
+
+export const createCollabDoc = (): CollabDoc => ({ project: new Map(), tasks: new Map(), clock: 0, knownTasks: new Map() });
+
+export const isCollabDocEmpty = (doc: CollabDoc): boolean => doc.project.size === 0 && doc.tasks.size === 0;
+
+const nextStamp = (doc: CollabDoc, client: string): CollabStamp => {
+    doc.clock = Math.max(Date.now(), doc.clock + 1);
+    return { time: doc.clock, client };
+};
+
+const getRegisters = (doc: CollabDoc, taskId: string | undefined): Map<string, CollabRegister> => {
+    if (taskId === undefined) return doc.project;
+    let registers = doc.tasks.get(taskId);
+    if (!registers) {
+        registers = new Map();
+        doc.tasks.set(taskId, registers);
+    }
+    return registers;
+};
+
+const isSameValue = (a: unknown, b: unknown): boolean => {
+    if ((a ?? null) === (b ?? null)) return true;
+    return typeof a === 'object' && typeof b === 'object' && a !== null && b !== null && JSON.stringify(a) === JSON.stringify(b);
+};
+
+// Merges remote writes into the document and returns the ones that won.
+export const applyOps = (doc: CollabDoc, ops: CollabOp[]): CollabOp[] => {
+    const applied: CollabOp[] = [];
+    ops.forEach(op => {
+        const registers = getRegisters(doc, op.taskId);
+        const existing = registers.get(op.field);
+        if (existing && compareStamps(op.stamp, existing.stamp) <= 0) return;
+        registers.set(op.field, { value: op.value, stamp: op.stamp });
+        doc.clock = Math.max(doc.clock, op.stamp.time);
+        if (op.taskId !== undefined) doc.knownTasks.delete(op.taskId);
+        applied.push(op);
+    });
+    return applied;
+};
+
+// Every register as an op, e.g. to restore a server that lost its data.
+export const getAllOps = (doc: CollabDoc): CollabOp[] => {
+    const ops: CollabOp[] = [];
+    doc.project.forEach((register, field) => ops.push({ field, ...register }));
+    doc.tasks.forEach((registers, taskId) => registers.forEach((register, field) => ops.push({ taskId, field, ...register })));
+    return ops;
+};
+
+const isDeleted = (registers: Map<string, CollabRegister> | undefined): boolean => !registers || registers.get(DELETED_FIELD)?.value === true;
+
+const getOrder = (doc: CollabDoc, taskId: string): number | undefined => {
+    const value = doc.tasks.get(taskId)?.get(ORDER_FIELD)?.value;
+    return typeof value === 'number' ? value : undefined;
+};
+
+// Concurrent edits can leave links to deleted tasks, parent cycles or children away from their
+// parent. Every replica repairs them the same way, so they still agree.
+const repairTaskTree = (tasks: Task[]): Task[] => {
+    const taskIds = new Set(tasks.map(task => task.id));
+    const parentById = new Map(tasks.map(task => [task.id, task.parentId && taskIds.has(task.parentId) ? task.parentId : undefined]));
+    tasks.forEach(task => {
+        const visited = new Set<string>();
+        for (let id = parentById.get(task.id); id && !visited.has(id); id = parentById.get(id)) {
+            if (id === task.id) {
+                parentById.set(task.id, undefined);
+                break;
+            }
+            visited.add(id);
+        }
+    });
+
+    const repaired = tasks.map(task => {
+        const parentId = parentById.get(task.id);
+        const dependencies = task.dependencies?.filter(dep => dep.predecessorId !== task.id && taskIds.has(dep.predecessorId));
+        if (parentId === task.parentId && dependencies?.length === task.dependencies?.length) return task;
+        const next: Task = { ...task, parentId, dependencies: dependencies?.length ? dependencies : undefined };
+        if (!parentId) delete next.parentId;
+        if (!next.dependencies) delete next.dependencies;
+        return next;
+    });
+    return sortTaskTree(repaired, () => 0);
+};
+
+export const readSharedState = (doc: CollabDoc): SharedProjectState => {
+    const entries: { task: Task; order: number }[] = [];
+    doc.tasks.forEach((registers, id) => {
+        if (isDeleted(registers)) return;
+        // Tasks nobody has changed since keep their identity, so unchanged rows need no re-render.
+        let task = doc.knownTasks.get(id);
+        if (!task) {
+            task = { id, name: '', startDate: '', endDate: '', progress: 0 };
+            registers.forEach((register, field) => {
+                if (field.startsWith('#') || register.value === null) return;
+                (task as unknown as Record<string, unknown>)[field] = register.value;
+            });
+        }
+        entries.push({ task, order: getOrder(doc, id) ?? Infinity });
+    });
+    entries.sort((a, b) => a.order - b.order || (a.task.id < b.task.id ? -1 : a.task.id > b.task.id ? 1 : 0));
+
+    const tasks = repairTaskTree(entries.map(entry => entry.task));
+    // Repaired tasks differ from their registers and must not be taken as known.
+    entries.forEach(entry => doc.knownTasks.set(entry.task.id, entry.task));
+    const readProjectField = (field: typeof PROJECT_FIELDS[number]) => {
+        const value = doc.project.get(field)?.value;
+        return typeof value === 'string' ? value : '';
+    };
+    return {
+        projectName: readProjectField('projectName'),
+        projectStart: readProjectField('projectStart'),
+        projectEnd: readProjectField('projectEnd'),
+        creationDate: readProjectField('creationDate'),
+        creatorName: readProjectField('creatorName'),
+        tasks,
+    };
+};
+
+// Indexes (into `keys`) of a longest strictly increasing subsequence. Tasks on it keep their position.
+const getLongestIncreasingIndexes = <T>(keys: T[], compare: (a: T, b: T) => number): Set<number> => {
+    const tails: number[] = [];
+    const previous: number[] = [];
+    keys.forEach((key, index) => {
+        let low = 0;
+        let high = tails.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (compare(keys[tails[mid]], key) < 0) low = mid + 1;
+            else high = mid;
+        }
+        previous[index] = low > 0 ? tails[low - 1] : -1;
+        tails[low] = index;
+    });
+    const result = new Set<number>();
+    for (let index = tails.length ? tails[tails.length - 1] : -1; index >= 0; index = previous[index]) result.add(index);
+    return result;
+};
+
+// New list positions for `tasks`, changing as few as possible. Returns null when the gaps between
+// neighbours have become too small to split and the list needs renumbering.
+const getListPositions = (doc: CollabDoc, tasks: Task[]): (number | undefined)[] | null => {
+    const orders = tasks.map(task => getOrder(doc, task.id));
+    const candidates = orders.flatMap((order, index) => (order === undefined ? [] : [index]));
+    const kept = getLongestIncreasingIndexes(candidates, (a, b) =>
+        orders[a]! - orders[b]! || (tasks[a].id < tasks[b].id ? -1 : tasks[a].id > tasks[b].id ? 1 : 0));
+    const keptIndexes = new Set([...kept].map(index => candidates[index]));
+
+    const positions: (number | undefined)[] = orders.map((order, index) => (keptIndexes.has(index) ? undefined : order));
+    let runStart = 0;
+    for (let index = 0; index <= tasks.length; index++) {
+        if (index < tasks.length && !keptIndexes.has(index)) continue;
+        const count = index - runStart;
+        if (count > 0) {
+            const lower = runStart > 0 ? orders[runStart - 1]! : undefined;
+            const upper = index < tasks.length ? orders[index]! : undefined;
+            for (let i = 0; i < count; i++) {
+                const position = lower === undefined && upper === undefined ? i
+                    : lower === undefined ? upper! - (count - i)
+                    : upper === undefined ? lower + i + 1
+                    : lower + ((upper - lower) * (i + 1)) / (count + 1);
+                if ((lower !== undefined && position <= lower) || (upper !== undefined && position >= upper)) return null;
+                positions[runStart + i] = position;
+            }
+        }
+        runStart = index + 1;
+    }
+    return positions;
+};
+
+// Records every difference between `state` and the document as new writes by `client`, and returns them.
+export const diffSharedState = (doc: CollabDoc, state: SharedProjectState, client: string): CollabOp[] => {
+    const ops: CollabOp[] = [];
+    const write = (taskId: string | undefined, field: string, value: unknown) => {
+        const registers = getRegisters(doc, taskId);
+        const existing = registers.get(field);
+        if (existing ? isSameValue(existing.value, value) : value === undefined) return;
+        const op: CollabOp = { field, value: value ?? null, stamp: nextStamp(doc, client) };
+        if (taskId !== undefined) op.taskId = taskId;
+        registers.set(field, { value: op.value, stamp: op.stamp });
+        ops.push(op);
+    };
+
+    PROJECT_FIELDS.forEach(field => write(undefined, field, state[field]));
+
+    const localIds = new Set<string>();
+    state.tasks.forEach(task => {
+        localIds.add(task.id);
+        if (doc.knownTasks.get(task.id) === task) return;
+        const registers = doc.tasks.get(task.id);
+        if (registers && isDeleted(registers)) write(task.id, DELETED_FIELD, false);
+        const fields = new Set(Object.keys(task));
+        registers?.forEach((_, field) => fields.add(field));
+        fields.forEach(field => {
+            if (field !== 'id' && !field.startsWith('#')) write(task.id, field, (task as unknown as Record<string, unknown>)[field]);
+        });
+        doc.knownTasks.set(task.id, task);
+    });
+    doc.tasks.forEach((registers, taskId) => {
+        if (!localIds.has(taskId) && !isDeleted(registers)) {
+            write(taskId, DELETED_FIELD, true);
+            doc.knownTasks.delete(taskId);
+        }
+    });
+
+    const positions = getListPositions(doc, state.tasks) ?? state.tasks.map((_, index) => index);
+    positions.forEach((position, index) => {
+        if (position !== undefined) write(state.tasks[index].id, ORDER_FIELD, position);
+    });
+    return ops;
+};
+
+// Applies collaborators' writes to an older snapshot (e.g. an undo step), so that undoing a local
+// change does not also revert theirs. `latest` supplies tasks they created. List positions are not rebased.
+export const rebaseSharedState = (snapshot: SharedProjectState, ops: CollabOp[], latest: SharedProjectState): SharedProjectState => {
+    const next = { ...snapshot };
+    const taskOps = new Map<string, CollabOp[]>();
+    ops.forEach(op => {
+        if (op.taskId === undefined) {
+            if ((PROJECT_FIELDS as readonly string[]).includes(op.field)) {
+                (next as Record<string, unknown>)[op.field] = typeof op.value === 'string' ? op.value : '';
+            }
+            return;
+        }
+        taskOps.set(op.taskId, [...(taskOps.get(op.taskId) || []), op]);
+    });
+    if (taskOps.size === 0) return next;
+
+    const latestById = new Map(latest.tasks.map(task => [task.id, task]));
+    const snapshotIds = new Set(snapshot.tasks.map(task => task.id));
+    const tasks = snapshot.tasks.flatMap(task => {
+        const changes = taskOps.get(task.id);
+        if (!changes) return [task];
+        if (!latestById.has(task.id)) return [];
+        const updated = { ...task } as unknown as Record<string, unknown>;
+        changes.forEach(op => {
+            if (op.field.startsWith('#')) return;
+            if (op.value === null) delete updated[op.field];
+            else updated[op.field] = op.value;
+        });
+        return [updated as unknown as Task];
+    });
+    taskOps.forEach((_, taskId) => {
+        const created = latestById.get(taskId);
+        if (created && !snapshotIds.has(taskId)) tasks.push(created);
+    });
+    next.tasks = repairTaskTree(tasks);
+    return next;
+};
+
+export const serializeCollabDoc = (doc: CollabDoc): SerializedCollabDoc => ({
+    clock: doc.clock,
+    registers: getAllOps(doc).map(op => [op.taskId ?? null, op.field, op.value, op.stamp.time, op.stamp.client]),
+});
+
+export const deserializeCollabDoc = (data: SerializedCollabDoc | null | undefined): CollabDoc => {
+    const doc = createCollabDoc();
+    if (!data || !Array.isArray(data.registers)) return doc;
+    applyOps(doc, data.registers.map(([taskId, field, value, time, client]) => ({
+        ...(taskId === null ? {} : { taskId }),
+        field,
+        value,
+        stamp: { time, client },
+    })));
+    doc.clock = Math.max(doc.clock, data.clock || 0);
+    return doc;
+};
@@ -0,0 +1,138 @@
+import type { Task, TaskDependency } from '../types.ts';
+import { parseUTCDateString, addDaysUTC, isNonWorkingDay, WorkingCalendar } from './dateUtils.ts';
+import { getParentIds } from './taskTree.ts';
+
+// --- Critical Path / Total Float ---
+
+const DAY_IN_MS = 1000 * 3600 * 24;
+
+interface ScheduledTask {
+    task: Task;
+    start: number;    // Working-day index of the first working day of the task
+    finish: number;   // Working-day index of the last working day of the task
+    duration: number;
+}
+
+// Numbers every working day between `first` and `last` so that working-day arithmetic becomes
+// plain integer arithmetic. `cumulative[i]` is the count of working days up to and including day i.
+const createWorkingDayIndex = (first: Date, last: Date, calendar: WorkingCalendar) => {
+    const firstTime = first.getTime();
+    const cumulative: number[] = [];
+    let count = 0;
+    for (let date = first; date.getTime() <= last.getTime(); date = addDaysUTC(date, 1)) {
+        if (!isNonWorkingDay(date, calendar)) count++;
+        cumulative.push(count);
+    }
+    const countUpTo = (date: Date) => {
+        const dayIndex = Math.round((date.getTime() - firstTime) / DAY_IN_MS);
+        return dayIndex < 0 ? 0 : cumulative[Math.min(dayIndex, cumulative.length - 1)];
+    };
+    return {
+        // First working day on or after the date.
+        startIndexOf: (date: Date) => countUpTo(addDaysUTC(date, -1)) + 1,
+        // Last working day on or before the date.
+        finishIndexOf: (date: Date) => countUpTo(date),
+    };
+};
+
+// Latest finish the predecessor may have without delaying the successor's latest dates.
+const getLatestFinishForDependency = (
+    dependency: TaskDependency,
+    predecessor: ScheduledTask,
+    successorLatestStart: number,
+    successorLatestFinish: number
+): number => {
+    switch (dependency.type) {
+        case 'FS':
+            return successorLatestStart - 1 - dependency.lag;
+        case 'SS':
+            return successorLatestStart - dependency.lag + predecessor.duration - 1;
+        case 'FF':
+            return successorLatestFinish - dependency.lag;
+    }
+};
+
+// Total float of every dated task in working days: how far it can slip without moving the project finish.
+// The current dates are taken as the early schedule; late dates come from a backward pass over the links.
+// Summary tasks get the smallest float of their children. Tasks on the critical path have a float of 0 or less.
+export const calculateTotalFloat = (tasks: Task[], calendar: WorkingCalendar): Map<string, number> => {
+    const floats = new Map<string, number>();
+    const summaryIds = getParentIds(tasks);
+
+    const datedTasks = tasks.flatMap(task => {
+        const start = parseUTCDateString(task.startDate);
+        const end = parseUTCDateString(task.endDate);
+        return start && end && start <= end ? [{ task, start, end }] : [];
+    });
+    if (datedTasks.length === 0) return floats;
+
+    const firstDate = new Date(Math.min(...datedTasks.map(({ start }) => start.getTime())));
+    const lastDate = new Date(Math.max(...datedTasks.map(({ end }) => end.getTime())));
+    const { startIndexOf, finishIndexOf } = createWorkingDayIndex(addDaysUTC(firstDate, -1), lastDate, calendar);
+
+    const scheduled = new Map<string, ScheduledTask>();
+    datedTasks.forEach(({ task, start, end }) => {
+        if (summaryIds.has(task.id)) return;
+        const startIndex = startIndexOf(start);
+        const finishIndex = Math.max(finishIndexOf(end), startIndex);
+        scheduled.set(task.id, { task, start: startIndex, finish: finishIndex, duration: finishIndex - startIndex + 1 });
+    });
+
+    const projectFinish = Math.max(...Array.from(scheduled.values(), ({ finish }) => finish));
+    const successorsById = new Map<string, { successorId: string; dependency: TaskDependency }[]>();
+    scheduled.forEach(({ task }) => {
+        task.dependencies?.forEach(dependency => {
+            if (!scheduled.has(dependency.predecessorId)) return;
+            const successors = successorsById.get(dependency.predecessorId) || [];
+            successors.push({ successorId: task.id, dependency });
+            successorsById.set(dependency.predecessorId, successors);
+        });
+    });
+
+    // Backward pass. Links are kept acyclic, but imported data is not trusted: a link that would
+    // close a loop is ignored instead of recursing forever.
+    const latestFinishById = new Map<string, number>();
+    const inProgress = new Set<string>();
+    const getLatestFinish = (taskId: string): number => {
+        const cached = latestFinishById.get(taskId);
+        if (cached !== undefined) return cached;
+        const current = scheduled.get(taskId)!;
+        inProgress.add(taskId);
+
+        let latestFinish = projectFinish;
+        (successorsById.get(taskId) || []).forEach(({ successorId, dependency }) => {
+            if (inProgress.has(successorId)) return;
+            const successor = scheduled.get(successorId)!;
+            const successorLatestFinish = getLatestFinish(successorId);
+            const successorLatestStart = successorLatestFinish - successor.duration + 1;
+            latestFinish = Math.min(
+                latestFinish,
+                getLatestFinishForDependency(dependency, current, successorLatestStart, successorLatestFinish)
+            );
+        });
+
+        inProgress.delete(taskId);
+        latestFinishById.set(taskId, latestFinish);
+        return latestFinish;
+    };
+
+    scheduled.forEach((current, taskId) => floats.set(taskId, getLatestFinish(taskId) - current.finish));
+
+    // Roll the smallest float up through the summary tasks.
+    const parentIdById = new Map(tasks.map(task => [task.id, task.parentId]));
+    const summaryFloats = new Map<string, number>();
+    const rollUp = (taskId: string, float: number) => {
+        const parentId = parentIdById.get(taskId);
+        if (!parentId) return;
+        const parentFloat = summaryFloats.get(parentId);
+        if (parentFloat !== undefined && parentFloat <= float) return;
+        summaryFloats.set(parentId, float);
+        rollUp(parentId, float);
+    };
+    floats.forEach((float, taskId) => rollUp(taskId, float));
+    summaryFloats.forEach((float, taskId) => floats.set(taskId, float));
+
+    return floats;
+};
+
+export const isCriticalFloat = (float: number | undefined): boolean => float !== undefined && float <= 0;
@@ -0,0 +1,61 @@
+import type { Task, CustomField, CustomFieldType, TaskSortKey } from '../types.ts';
+import { parseUTCDateString } from './dateUtils.ts';
+
+// --- User-defined Custom Fields ---
+
+export const CUSTOM_FIELD_TYPES: CustomFieldType[] = ['text', 'number', 'date', 'choice'];
+
+export const getCustomFieldSortKey = (fieldId: string): TaskSortKey => `custom:${fieldId}`;
+
+export const getCustomValue = (task: Task, fieldId: string): string | number | undefined => task.customValues?.[fieldId];
+
+export const formatCustomValue = (value: string | number | undefined): string => (value === undefined ? '' : `${value}`);
+
+// Turns what was typed into a grid cell into the stored value; undefined clears the cell.
+// Dates are kept as typed, like the task date cells.
+export const parseCustomValueInput = (field: CustomField, input: string): string | number | undefined => {
+    if (input.trim() === '') return undefined;
+    switch (field.type) {
+        case 'number': {
+            const value = parseFloat(input);
+            return isNaN(value) ? undefined : value;
+        }
+        default:
+            return input;
+    }
+};
+
+export const setCustomValue = (task: Task, fieldId: string, value: string | number | undefined): Task => {
+    const customValues = { ...task.customValues };
+    if (value === undefined) delete customValues[fieldId];
+    else customValues[fieldId] = value;
+    return { ...task, customValues };
+};
+
+// Drops the values of deleted fields so they do not linger in saved and exported projects.
+export const removeCustomValues = (tasks: Task[], fieldId: string): Task[] =>
+    tasks.map(task => (task.customValues && fieldId in task.customValues ? setCustomValue(task, fieldId, undefined) : task));
+
+// Value used to order tasks by a custom field. Choices sort in the order the options are listed.
+export const getCustomSortValue = (task: Task, field: CustomField): string | number | null => {
+    const value = getCustomValue(task, field.id);
+    if (value === undefined) return null;
+    switch (field.type) {
+        case 'number':
+            return typeof value === 'number' ? value : null;
+        case 'date':
+            return parseUTCDateString(`${value}`)?.getTime() ?? null;
+        case 'choice': {
+            const optionIndex = (field.options || []).indexOf(`${value}`);
+            return optionIndex === -1 ? null : optionIndex;
+        }
+        default:
+            return `${value}`;
+    }
+};
+
+export const matchesCustomValueFilter = (task: Task, field: CustomField, filterValue: string): boolean => {
+    const value = formatCustomValue(getCustomValue(task, field.id));
+    if (field.type === 'choice') return value === filterValue;
+    return value.toLowerCase().includes(filterValue.trim().toLowerCase());
+};
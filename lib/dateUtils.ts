@@ -1,3 +1,5 @@
+import type { NonWorkingPeriod, WorkingHours } from '../types.ts';
+
 // --- UTC Date Helper Functions ---
 
 export const parseUTCDateString = (dateStr: string): Date | null => {
@@ -19,6 +21,32 @@ export const formatDateUTC = (date: Date): string => {
   return `${year}/${month}/${day}`;
 };
 
+// Converts a date written in a common spreadsheet format to YYYY/MM/DD.
+// Accepts YYYY/M/D, YYYY-M-D, YYYY.M.D, YYYY年M月D日, YYYYMMDD, M/D/YYYY and Excel serial day numbers.
+export const normalizeDateString = (value: string): string | null => {
+    const text = value.trim();
+    const toDateString = (year: number, month: number, day: number): string | null => {
+        const formatted = `${year}/${month.toString().padStart(2, '0')}/${day.toString().padStart(2, '0')}`;
+        return parseUTCDateString(formatted) ? formatted : null;
+    };
+
+    let match = text.match(/^(\d{4})\s*[\/\-.年]\s*(\d{1,2})\s*[\/\-.月]\s*(\d{1,2})\s*日?(?:[\sT].*)?$/);
+    if (match) return toDateString(Number(match[1]), Number(match[2]), Number(match[3]));
+
+    match = text.match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (match) return toDateString(Number(match[1]), Number(match[2]), Number(match[3]));
+
+    match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (match) return toDateString(Number(match[3]), Number(match[1]), Number(match[2]));
+
+    // Excel stores dates as days since 1899/12/30.
+    if (/^\d{5}(\.\d+)?$/.test(text)) {
+        const date = new Date(Date.UTC(1899, 11, 30) + Math.floor(Number(text)) * 1000 * 3600 * 24);
+        return formatDateUTC(date);
+    }
+    return null;
+};
+
 export const addDaysUTC = (date: Date, days: number): Date => {
     const result = new Date(date.getTime());
     result.setUTCDate(result.getUTCDate() + days);
@@ -36,12 +64,108 @@ export const getDatesInRange = (startDate: Date, endDate: Date): Date[] => {
   return dates;
 };
 
-export const calculateWorkingDays = (startDate: Date, endDate: Date, nonWorkingDays: Set<number>): number => {
+// --- Working Hours ---
+// Times of day are handled as minutes since midnight.
+
+export const DEFAULT_WORKING_HOURS: WorkingHours = { start: '08:00', end: '17:00', breakStart: '12:00', breakEnd: '13:00' };
+
+export interface WorkdayHours {
+    start: number;
+    end: number;
+    breakStart: number | null;
+    breakEnd: number | null;
+    minutes: number; // Working minutes in a full working day
+}
+
+// Parses HH:MM (00:00-24:00) into minutes since midnight.
+export const parseTimeString = (value: string): number | null => {
+    const match = value.trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (minutes > 59 || hours * 60 + minutes > 24 * 60) return null;
+    return hours * 60 + minutes;
+};
+
+export const formatTime = (minutes: number): string => {
+    const hours = Math.floor(minutes / 60).toString().padStart(2, '0');
+    return `${hours}:${(minutes % 60).toString().padStart(2, '0')}`;
+};
+
+// Invalid hours fall back to the defaults; a break outside the working day is dropped.
+export const createWorkdayHours = (hours: WorkingHours = DEFAULT_WORKING_HOURS): WorkdayHours => {
+    let start = parseTimeString(hours.start);
+    let end = parseTimeString(hours.end);
+    if (start === null || end === null || end <= start) {
+        start = parseTimeString(DEFAULT_WORKING_HOURS.start)!;
+        end = parseTimeString(DEFAULT_WORKING_HOURS.end)!;
+    }
+    let breakStart = hours.breakStart ? parseTimeString(hours.breakStart) : null;
+    let breakEnd = hours.breakEnd ? parseTimeString(hours.breakEnd) : null;
+    if (breakStart === null || breakEnd === null || breakStart < start || breakEnd > end || breakEnd <= breakStart) {
+        breakStart = null;
+        breakEnd = null;
+    }
+    const minutes = end - start - (breakStart !== null && breakEnd !== null ? breakEnd - breakStart : 0);
+    return { start, end, breakStart, breakEnd, minutes };
+};
+
+// Working minutes of one working day between two times of day.
+export const getWorkingMinutesBetween = (hours: WorkdayHours, from: number, to: number): number => {
+    const clampedFrom = Math.max(from, hours.start);
+    const clampedTo = Math.min(to, hours.end);
+    if (clampedTo <= clampedFrom) return 0;
+    let minutes = clampedTo - clampedFrom;
+    if (hours.breakStart !== null && hours.breakEnd !== null) {
+        minutes -= Math.max(0, Math.min(clampedTo, hours.breakEnd) - Math.max(clampedFrom, hours.breakStart));
+    }
+    return minutes;
+};
+
+// --- Working Calendar ---
+
+export interface WorkingCalendar {
+    weekdays: Set<number>;         // Recurring weekly non-working days (0 = Sunday)
+    nonWorkingDates: Set<number>;  // UTC timestamps of specific non-working dates
+    workingDates: Set<number>;     // UTC timestamps of dates that are always working days
+    hours: WorkdayHours;           // Working hours of every working day
+}
+
+export const createWorkingCalendar = (
+    weekdays: Set<number>,
+    nonWorkingPeriods: NonWorkingPeriod[] = [],
+    workingDayExceptions: string[] = [],
+    workingHours: WorkingHours = DEFAULT_WORKING_HOURS
+): WorkingCalendar => {
+    const nonWorkingDates = new Set<number>();
+    nonWorkingPeriods.forEach(period => {
+        const start = parseUTCDateString(period.startDate);
+        const end = parseUTCDateString(period.endDate || period.startDate);
+        if (!start || !end || end < start) return;
+        getDatesInRange(start, end).forEach(date => nonWorkingDates.add(date.getTime()));
+    });
+
+    const workingDates = new Set<number>();
+    workingDayExceptions.forEach(dateStr => {
+        const date = parseUTCDateString(dateStr);
+        if (date) workingDates.add(date.getTime());
+    });
+
+    return { weekdays, nonWorkingDates, workingDates, hours: createWorkdayHours(workingHours) };
+};
+
+export const isNonWorkingDay = (date: Date, calendar: WorkingCalendar): boolean => {
+    const time = date.getTime();
+    if (calendar.workingDates.has(time)) return false;
+    return calendar.weekdays.has(date.getUTCDay()) || calendar.nonWorkingDates.has(time);
+};
+
+export const calculateWorkingDays = (startDate: Date, endDate: Date, calendar: WorkingCalendar): number => {
     if (endDate < startDate) return 0;
     let count = 0;
     const current = new Date(startDate.getTime());
     while (current.getTime() <= endDate.getTime()) {
-      if (!nonWorkingDays.has(current.getUTCDay())) {
+      if (!isNonWorkingDay(current, calendar)) {
         count++;
       }
       current.setUTCDate(current.getUTCDate() + 1);
@@ -49,10 +173,10 @@ export const calculateWorkingDays = (startDate: Date, endDate: Date, nonWorkingD
     return count;
 };
 
-export const addWorkingDays = (startDate: Date, days: number, nonWorkingDays: Set<number>): Date => {
+export const addWorkingDays = (startDate: Date, days: number, calendar: WorkingCalendar): Date => {
     if (days === 0) {
         let tempDate = new Date(startDate.getTime());
-        while(nonWorkingDays.has(tempDate.getUTCDay())) {
+        while(isNonWorkingDay(tempDate, calendar)) {
              tempDate.setUTCDate(tempDate.getUTCDate() - 1);
         }
         return tempDate;
@@ -63,21 +187,21 @@ export const addWorkingDays = (startDate: Date, days: number, nonWorkingDays: Se
     let added = 0;
     
     // Ensure the start date itself is a working day before we begin counting
-    while(nonWorkingDays.has(result.getUTCDay())){
+    while(isNonWorkingDay(result, calendar)){
       result.setUTCDate(result.getUTCDate() + 1);
     }
 
     // We start counting from day 1, so we add days-1
     while (added < days -1) {
       result.setUTCDate(result.getUTCDate() + 1);
-      if (!nonWorkingDays.has(result.getUTCDay())) {
+      if (!isNonWorkingDay(result, calendar)) {
         added++;
       }
     }
     return result;
 };
 
-export const addOrSubtractWorkingDays = (startDate: Date, days: number, nonWorkingDays: Set<number>): Date => {
+export const addOrSubtractWorkingDays = (startDate: Date, days: number, calendar: WorkingCalendar): Date => {
     const result = new Date(startDate.getTime());
     let remaining = Math.abs(days);
     const direction = Math.sign(days);
@@ -86,9 +210,46 @@ export const addOrSubtractWorkingDays = (startDate: Date, days: number, nonWorki
 
     while (remaining > 0) {
       result.setUTCDate(result.getUTCDate() + direction);
-      if (!nonWorkingDays.has(result.getUTCDay())) {
+      if (!isNonWorkingDay(result, calendar)) {
         remaining--;
       }
     }
     return result;
 };
+
+// Signed number of working days between two dates (0 when they are the same day).
+export const getWorkingDayOffset = (from: Date, to: Date, calendar: WorkingCalendar): number => {
+    if (to.getTime() > from.getTime()) {
+        return calculateWorkingDays(addDaysUTC(from, 1), to, calendar);
+    }
+    if (to.getTime() < from.getTime()) {
+        return -calculateWorkingDays(to, addDaysUTC(from, -1), calendar);
+    }
+    return 0;
+};
+
+// Splits a date range into runs of consecutive working days.
+export const getWorkingSegments = (start: Date, end: Date, calendar: WorkingCalendar): { startDate: Date; endDate: Date }[] => {
+    const segments: { startDate: Date; endDate: Date }[] = [];
+    let segmentStart: Date | null = null;
+
+    const current = new Date(start.getTime());
+    while (current.getTime() <= end.getTime()) {
+        const isHoliday = isNonWorkingDay(current, calendar);
+
+        if (!isHoliday && segmentStart === null) {
+            segmentStart = new Date(current.getTime());
+        } else if (isHoliday && segmentStart !== null) {
+            const segmentEnd = new Date(current.getTime());
+            segmentEnd.setUTCDate(segmentEnd.getUTCDate() - 1);
+            segments.push({ startDate: segmentStart, endDate: segmentEnd });
+            segmentStart = null;
+        }
+        current.setUTCDate(current.getUTCDate() + 1);
+    }
+
+    if (segmentStart !== null) {
+        segments.push({ startDate: segmentStart, endDate: new Date(end.getTime()) });
+    }
+    return segments;
+};
@@ -0,0 +1,183 @@
+import type { Task, TaskDependency, DependencyType } from '../types.ts';
+import {
+    parseUTCDateString,
+    formatDateUTC,
+    addWorkingDays,
+    addOrSubtractWorkingDays,
+    calculateWorkingDays,
+    WorkingCalendar,
+} from './dateUtils.ts';
+
+// --- Task Dependency Helper Functions ---
+
+// Returns true when linking `predecessorId` -> `successorId` would close a loop,
+// i.e. the successor is already (directly or indirectly) a predecessor of the predecessor.
+export const wouldCreateCycle = (tasks: Task[], predecessorId: string, successorId: string): boolean => {
+    if (predecessorId === successorId) return true;
+
+    const tasksById = new Map(tasks.map(task => [task.id, task]));
+    const visited = new Set<string>();
+    const stack = [predecessorId];
+
+    while (stack.length > 0) {
+        const currentId = stack.pop()!;
+        if (currentId === successorId) return true;
+        if (visited.has(currentId)) continue;
+        visited.add(currentId);
+        tasksById.get(currentId)?.dependencies?.forEach(dep => stack.push(dep.predecessorId));
+    }
+    return false;
+};
+
+// --- Predecessor column ---
+// Links written as row numbers (positions in the task list, from 1) with an optional type and lag,
+// e.g. `3, 5SS, 7FF+2`. Finish-to-start links without lag are just the row number.
+
+const PREDECESSOR_PATTERN = /^(\d+)\s*(FS|SS|FF)?\s*([+-]\s*\d+)?$/i;
+
+export const formatPredecessors = (dependencies: TaskDependency[] | undefined, rowNumbers: Map<string, number>): string =>
+    (dependencies || [])
+        .filter(dep => rowNumbers.has(dep.predecessorId))
+        .map(dep => {
+            const lag = dep.lag ? `${dep.lag > 0 ? '+' : ''}${dep.lag}` : '';
+            return `${rowNumbers.get(dep.predecessorId)}${dep.type === 'FS' && !lag ? '' : dep.type}${lag}`;
+        })
+        .join(', ');
+
+// Null when the text is malformed or refers to a missing row or to the task itself.
+export const parsePredecessors = (text: string, tasks: Task[], taskId: string): TaskDependency[] | null => {
+    const dependencies: TaskDependency[] = [];
+    for (const part of text.split(/[,、;]/).map(part => part.trim()).filter(Boolean)) {
+        const match = part.match(PREDECESSOR_PATTERN);
+        const predecessor = match ? tasks[Number(match[1]) - 1] : undefined;
+        if (!match || !predecessor || predecessor.id === taskId) return null;
+        const dependency: TaskDependency = {
+            predecessorId: predecessor.id,
+            type: (match[2]?.toUpperCase() as DependencyType | undefined) || 'FS',
+            lag: match[3] ? Number(match[3].replace(/\s/g, '')) : 0,
+        };
+        // A row listed twice keeps its last link, as there is one link per pair of tasks.
+        const existing = dependencies.findIndex(dep => dep.predecessorId === predecessor.id);
+        if (existing === -1) dependencies.push(dependency);
+        else dependencies[existing] = dependency;
+    }
+    return dependencies;
+};
+
+// Drops every link that would close a loop, keeping links in the order they are listed. Used for
+// imported files, whose links may not have been checked.
+export const removeCyclicDependencies = (tasks: Task[]): Task[] => {
+    const result = tasks.map(task => (task.dependencies?.length ? { ...task, dependencies: [] as TaskDependency[] } : task));
+    let removed = false;
+    tasks.forEach((task, index) => {
+        task.dependencies?.forEach(dep => {
+            if (wouldCreateCycle(result, dep.predecessorId, task.id)) {
+                removed = true;
+                return;
+            }
+            result[index] = { ...result[index], dependencies: [...(result[index].dependencies || []), dep] };
+        });
+    });
+    return removed ? result : tasks;
+};
+
+// Earliest start date the successor may have so that the given link is satisfied.
+export const getEarliestStartForDependency = (
+    dependency: TaskDependency,
+    predecessor: Task,
+    durationInWorkingDays: number,
+    calendar: WorkingCalendar
+): Date | null => {
+    const predStart = parseUTCDateString(predecessor.startDate);
+    const predEnd = parseUTCDateString(predecessor.endDate);
+    if (!predStart || !predEnd) return null;
+
+    let earliestStart: Date;
+    switch (dependency.type) {
+        case 'FS':
+            earliestStart = addOrSubtractWorkingDays(predEnd, 1 + dependency.lag, calendar);
+            break;
+        case 'SS':
+            earliestStart = addOrSubtractWorkingDays(predStart, dependency.lag, calendar);
+            break;
+        case 'FF': {
+            const earliestEnd = addOrSubtractWorkingDays(predEnd, dependency.lag, calendar);
+            earliestStart = addOrSubtractWorkingDays(earliestEnd, -(durationInWorkingDays - 1), calendar);
+            break;
+        }
+    }
+    // Never start on a non-working day.
+    return addWorkingDays(earliestStart, 1, calendar);
+};
+
+const applyDependencyConstraints = (task: Task, tasksById: Map<string, Task>, calendar: WorkingCalendar): Task => {
+    if (!task.dependencies || task.dependencies.length === 0) return task;
+
+    const start = parseUTCDateString(task.startDate);
+    const end = parseUTCDateString(task.endDate);
+    if (!start || !end) return task;
+
+    const duration = calculateWorkingDays(start, end, calendar) || 1;
+    let requiredStart: Date | null = null;
+
+    for (const dep of task.dependencies) {
+        const predecessor = tasksById.get(dep.predecessorId);
+        if (!predecessor) continue;
+        const earliest = getEarliestStartForDependency(dep, predecessor, duration, calendar);
+        if (earliest && (!requiredStart || earliest.getTime() > requiredStart.getTime())) {
+            requiredStart = earliest;
+        }
+    }
+
+    // Successors are only ever pushed forward, never pulled back.
+    if (!requiredStart || requiredStart.getTime() <= start.getTime()) return task;
+
+    const newEnd = addWorkingDays(requiredStart, duration, calendar);
+    return { ...task, startDate: formatDateUTC(requiredStart), endDate: formatDateUTC(newEnd) };
+};
+
+// Pushes every task downstream of `changedTaskIds` forward until all links are satisfied.
+export const rescheduleSuccessors = (tasks: Task[], changedTaskIds: string[], calendar: WorkingCalendar): Task[] => {
+    const successorsById = new Map<string, string[]>();
+    tasks.forEach(task => {
+        task.dependencies?.forEach(dep => {
+            const successors = successorsById.get(dep.predecessorId) || [];
+            successors.push(task.id);
+            successorsById.set(dep.predecessorId, successors);
+        });
+    });
+
+    const tasksById = new Map(tasks.map(task => [task.id, task]));
+    const queue = [...changedTaskIds];
+    const rescheduleCounts = new Map<string, number>();
+    let changed = false;
+
+    // Tasks only move forward, so with acyclic links this worklist settles. Links are kept acyclic, but
+    // a loop in untrusted data would push its tasks forward forever; capping how often a task is
+    // rescheduled stops it.
+    while (queue.length > 0) {
+        const currentId = queue.shift()!;
+        (successorsById.get(currentId) || []).forEach(successorId => {
+            const successor = tasksById.get(successorId);
+            const count = rescheduleCounts.get(successorId) || 0;
+            if (!successor || count >= tasks.length) return;
+            const updated = applyDependencyConstraints(successor, tasksById, calendar);
+            if (updated !== successor) {
+                rescheduleCounts.set(successorId, count + 1);
+                tasksById.set(successorId, updated);
+                queue.push(successorId);
+                changed = true;
+            }
+        });
+    }
+
+    return changed ? tasks.map(task => tasksById.get(task.id)!) : tasks;
+};
+
+// Removes every link that points at one of the given (deleted) tasks.
+export const removeDependenciesTo = (tasks: Task[], removedTaskIds: Set<string>): Task[] => {
+    return tasks.map(task => {
+        if (!task.dependencies?.some(dep => removedTaskIds.has(dep.predecessorId))) return task;
+        return { ...task, dependencies: task.dependencies.filter(dep => !removedTaskIds.has(dep.predecessorId)) };
+    });
+};
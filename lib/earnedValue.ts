@@ -0,0 +1,153 @@
+import type { Task, Baseline } from '../types.ts';
+import { parseUTCDateString, WorkingCalendar } from './dateUtils.ts';
+import { getParentIds } from './taskTree.ts';
+import { calculateTaskDuration, getDailyWorkingMinutes } from './workingHours.ts';
+
+// --- Earned Value (S-curve) ---
+// Each task's weight (manpower or working days) is spread over its working days in proportion to the
+// hours worked on each. The planned curve follows the selected baseline where it has dates for a task,
+// the current schedule otherwise.
+// Progress has no history, so the earned curve assumes the work done so far was spread evenly over
+// the days the task has been running up to the status date.
+
+const DAY_IN_MS = 1000 * 3600 * 24;
+
+export type EarnedValueWeighting = 'manHours' | 'workingDays';
+
+// Shared by the on-screen charts and the PDF page.
+export const EARNED_VALUE_COLORS = { planned: '#6366f1', earned: '#10b981' };
+
+export interface SCurvePoint {
+    time: number;           // UTC timestamp of the day
+    planned: number;        // Cumulative planned percentage at the end of the day
+    earned: number | null;  // Cumulative earned percentage; null after the status date
+}
+
+export interface AssigneeProgress {
+    assignee: string;  // Empty for unassigned tasks
+    total: number;     // Weight of the assignee's tasks
+    planned: number;   // Weight planned to be done by the status date
+    earned: number;    // Weight done
+}
+
+export interface EarnedValueReport {
+    totalWeight: number;
+    plannedValue: number;
+    earnedValue: number;
+    scheduleVariance: number;  // Earned minus planned; negative when behind schedule
+    spi: number | null;        // Earned divided by planned; null before anything was planned
+    points: SCurvePoint[];
+    assignees: AssigneeProgress[];
+}
+
+export interface EarnedValueOptions {
+    calendar: WorkingCalendar;
+    statusDate: Date;
+    weighting: EarnedValueWeighting;
+    rangeStart: Date;
+    rangeEnd: Date;
+    baseline?: Baseline | null;
+}
+
+const sumMinutes = (minutesByDay: Map<number, number>): number => {
+    let total = 0;
+    minutesByDay.forEach(minutes => { total += minutes; });
+    return total;
+};
+
+// Spreads `value` over the days of `minutesByDay` in proportion to their working minutes.
+const addSpread = (daily: Map<number, number>, minutesByDay: Map<number, number>, value: number) => {
+    const total = sumMinutes(minutesByDay);
+    if (total === 0 || value === 0) return;
+    minutesByDay.forEach((minutes, time) => daily.set(time, (daily.get(time) || 0) + value * minutes / total));
+};
+
+const sumThrough = (daily: Map<number, number>, time: number): number => {
+    let sum = 0;
+    daily.forEach((value, day) => {
+        if (day <= time) sum += value;
+    });
+    return sum;
+};
+
+export const calculateEarnedValue = (tasks: Task[], options: EarnedValueOptions): EarnedValueReport => {
+    const { calendar, statusDate, weighting, baseline } = options;
+    const statusTime = statusDate.getTime();
+    const summaryIds = getParentIds(tasks);
+    const plannedDaily = new Map<number, number>();
+    const earnedDaily = new Map<number, number>();
+    const assignees = new Map<string, AssigneeProgress>();
+    let totalWeight = 0;
+    let rangeStart = options.rangeStart.getTime();
+    let rangeEnd = options.rangeEnd.getTime();
+
+    tasks.forEach(task => {
+        if (summaryIds.has(task.id)) return;
+        const start = parseUTCDateString(task.startDate);
+        const end = parseUTCDateString(task.endDate);
+        if (!start || !end || end < start) return;
+        const days = getDailyWorkingMinutes(task, calendar);
+        // Milestones mark a point in time and carry no work of their own.
+        const weight = weighting === 'manHours' ? task.manHours || 0 : task.milestone ? 0 : calculateTaskDuration(task, calendar);
+        if (weight <= 0) return;
+
+        // Baselines keep dates only, so the planned work fills whole days.
+        const plannedDates = baseline?.tasks[task.id];
+        const plannedStart = (plannedDates && parseUTCDateString(plannedDates.startDate)) || start;
+        const plannedEnd = (plannedDates && parseUTCDateString(plannedDates.endDate)) || end;
+        const plannedDays = plannedDates
+            ? getDailyWorkingMinutes({ ...task, ...plannedDates, startTime: undefined, endTime: undefined }, calendar)
+            : days;
+        addSpread(plannedDaily, plannedDays.size > 0 ? plannedDays : new Map([[plannedStart.getTime(), 1]]), weight);
+
+        // Work reported on a task that has not started yet is counted on the status date.
+        const earned = weight * Math.min(100, Math.max(0, task.progress)) / 100;
+        const elapsedDays = new Map(Array.from(days).filter(([time]) => time <= statusTime));
+        addSpread(earnedDaily, elapsedDays.size > 0 ? elapsedDays : new Map([[statusTime, 1]]), earned);
+
+        totalWeight += weight;
+        rangeStart = Math.min(rangeStart, start.getTime(), plannedStart.getTime());
+        rangeEnd = Math.max(rangeEnd, end.getTime(), plannedEnd.getTime());
+
+        const assignee = task.assignee?.trim() || '';
+        const entry = assignees.get(assignee) || { assignee, total: 0, planned: 0, earned: 0 };
+        entry.total += weight;
+        entry.planned += plannedDays.size > 0
+            ? weight * sumMinutes(new Map(Array.from(plannedDays).filter(([time]) => time <= statusTime))) / sumMinutes(plannedDays)
+            : plannedStart.getTime() <= statusTime ? weight : 0;
+        entry.earned += earned;
+        assignees.set(assignee, entry);
+    });
+
+    const points: SCurvePoint[] = [];
+    if (totalWeight > 0) {
+        let planned = sumThrough(plannedDaily, rangeStart - DAY_IN_MS);
+        let earned = sumThrough(earnedDaily, rangeStart - DAY_IN_MS);
+        for (let time = rangeStart; time <= rangeEnd; time += DAY_IN_MS) {
+            planned += plannedDaily.get(time) || 0;
+            earned += earnedDaily.get(time) || 0;
+            points.push({
+                time,
+                planned: (planned / totalWeight) * 100,
+                earned: time <= statusTime ? (earned / totalWeight) * 100 : null,
+            });
+        }
+    }
+
+    const plannedValue = sumThrough(plannedDaily, statusTime);
+    const earnedValue = sumThrough(earnedDaily, statusTime);
+    return {
+        totalWeight,
+        plannedValue,
+        earnedValue,
+        scheduleVariance: earnedValue - plannedValue,
+        spi: plannedValue > 0 ? earnedValue / plannedValue : null,
+        points,
+        // Unassigned work is listed last.
+        assignees: Array.from(assignees.values()).sort((a, b) => {
+            if (!a.assignee) return 1;
+            if (!b.assignee) return -1;
+            return a.assignee.localeCompare(b.assignee);
+        }),
+    };
+};
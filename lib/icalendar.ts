@@ -0,0 +1,88 @@
+import type { Task } from '../types.ts';
+import { parseUTCDateString, addDaysUTC } from './dateUtils.ts';
+
+// --- iCalendar (.ics) Export ---
+
+export interface ICalendarOptions {
+    calendarName: string;
+    assignee: string | null; // Only export this assignee's tasks; null exports every task
+    labels: { assignee: string; progress: string };
+}
+
+const formatICalDate = (date: Date): string =>
+    `${date.getUTCFullYear()}${(date.getUTCMonth() + 1).toString().padStart(2, '0')}${date.getUTCDate().toString().padStart(2, '0')}`;
+
+const formatICalTimestamp = (date: Date): string => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// RFC 5545 text values escape backslashes, semicolons, commas and newlines.
+const escapeICalText = (value: string): string =>
+    value.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+// Content lines are folded at 75 octets; continuation lines start with a space.
+// Folding happens between characters so multi-byte (e.g. Japanese) characters are never split.
+const foldLine = (line: string): string => {
+    const encoder = new TextEncoder();
+    const parts: string[] = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const charBytes = encoder.encode(char).length;
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + charBytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+// Lists the distinct assignees, for the export filter.
+export const getAssignees = (tasks: Task[]): string[] => {
+    const assignees = new Set(tasks.map(task => task.assignee?.trim() || '').filter(Boolean));
+    return Array.from(assignees).sort((a, b) => a.localeCompare(b));
+};
+
+// One all-day event per dated task. DTEND of an all-day event is exclusive, hence the extra day.
+export const toICalendar = (tasks: Task[], options: ICalendarOptions): string => {
+    const timestamp = formatICalTimestamp(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Gantt Chart//Schedule Export//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeICalText(options.calendarName)}`,
+    ];
+
+    tasks.forEach(task => {
+        const assignee = task.assignee?.trim() || '';
+        if (options.assignee !== null && assignee !== options.assignee) return;
+        const start = parseUTCDateString(task.startDate);
+        const end = parseUTCDateString(task.endDate);
+        if (!start || !end || end < start) return;
+
+        const description = [
+            `${options.labels.assignee}: ${assignee || '-'}`,
+            `${options.labels.progress}: ${task.progress}%`,
+        ].join('\n');
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${task.id}@gantt-chart`,
+            `DTSTAMP:${timestamp}`,
+            `DTSTART;VALUE=DATE:${formatICalDate(start)}`,
+            `DTEND;VALUE=DATE:${formatICalDate(addDaysUTC(end, 1))}`,
+            `SUMMARY:${escapeICalText(task.name)}`,
+            `DESCRIPTION:${escapeICalText(description)}`,
+            'TRANSP:TRANSPARENT',
+            'END:VEVENT'
+        );
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
@@ -0,0 +1,231 @@
+import type { Task, TaskDependency, DependencyType } from '../types.ts';
+import { parseUTCDateString, formatDateUTC, formatTime, parseTimeString, WorkingCalendar } from './dateUtils.ts';
+import { getParentIds, getTaskDepths } from './taskTree.ts';
+import { removeCyclicDependencies } from './dependencies.ts';
+import { getTaskStart, getTaskEnd, calculateTaskDuration, toTaskDateTimes, DateTime } from './workingHours.ts';
+
+// --- MS Project XML Import/Export ---
+// Covers the subset of the MSPDI schema we can represent: tasks with their outline level,
+// dates, percent complete and links, plus resources and their assignments.
+
+const MSPDI_NAMESPACE = 'http://schemas.microsoft.com/project';
+const HOURS_PER_DAY = 8;
+// Link lags are stored in tenths of a minute.
+const LAG_UNITS_PER_DAY = HOURS_PER_DAY * 60 * 10;
+const LAG_FORMAT_DAYS = 7;
+
+const LINK_TYPE_CODES: Record<DependencyType, number> = { FF: 0, FS: 1, SS: 3 };
+
+export interface MsProjectImport {
+    projectName: string | null;
+    tasks: Task[];
+}
+
+const escapeXml = (value: string): string =>
+    value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const toXmlDate = (date: string, time: string): string => `${date.replace(/\//g, '-')}T${time}`;
+
+const toXmlDuration = (hours: number): string => {
+    const minutes = Math.round(hours * 60);
+    return `PT${Math.floor(minutes / 60)}H${minutes % 60}M0S`;
+};
+
+// Reads the hours out of an ISO 8601 duration such as `PT16H0M0S` or `P1DT4H`.
+const parseXmlDurationHours = (value: string): number => {
+    const match = /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(value.trim());
+    if (!match) return 0;
+    const [, days, hours, minutes, seconds] = match.map(part => Number(part) || 0);
+    return days * 24 + hours + minutes / 60 + seconds / 3600;
+};
+
+const element = (name: string, value: string | number): string => `<${name}>${typeof value === 'string' ? escapeXml(value) : value}</${name}>`;
+
+export const toMsProjectXml = (
+    tasks: Task[],
+    project: { name: string; startDate: string; calendar: WorkingCalendar }
+): string => {
+    const summaryIds = getParentIds(tasks);
+    const depths = getTaskDepths(tasks);
+    const uidById = new Map(tasks.map((task, index) => [task.id, index + 1]));
+
+    const resourceNames = Array.from(new Set(tasks.map(task => task.assignee?.trim() || '').filter(Boolean)));
+    const resourceUidByName = new Map(resourceNames.map((name, index) => [name, index + 1]));
+
+    const taskElements = tasks.map(task => {
+        const uid = uidById.get(task.id)!;
+        const start = getTaskStart(task, project.calendar);
+        const end = getTaskEnd(task, project.calendar);
+        const workingDays = start && end ? calculateTaskDuration(task, project.calendar) : 0;
+        const parts = [
+            element('UID', uid),
+            element('ID', uid),
+            element('Name', task.name),
+            element('OutlineLevel', (depths.get(task.id) || 0) + 1),
+            element('Summary', summaryIds.has(task.id) ? 1 : 0),
+            element('Milestone', task.milestone ? 1 : 0),
+            element('PercentComplete', Math.round(task.progress)),
+        ];
+        if (start && end) {
+            parts.push(
+                element('Start', toXmlDate(task.startDate, `${formatTime(start.minute)}:00`)),
+                element('Finish', toXmlDate(task.endDate, `${formatTime(task.milestone ? start.minute : end.minute)}:00`)),
+                element('Duration', toXmlDuration(task.milestone ? 0 : workingDays * HOURS_PER_DAY)),
+                element('DurationFormat', 7)
+            );
+        }
+        if (task.manHours && !summaryIds.has(task.id)) {
+            parts.push(element('Work', toXmlDuration(task.manHours * HOURS_PER_DAY)));
+        }
+        task.dependencies?.forEach(dependency => {
+            const predecessorUid = uidById.get(dependency.predecessorId);
+            if (predecessorUid === undefined) return;
+            parts.push(`<PredecessorLink>${[
+                element('PredecessorUID', predecessorUid),
+                element('Type', LINK_TYPE_CODES[dependency.type]),
+                element('LinkLag', dependency.lag * LAG_UNITS_PER_DAY),
+                element('LagFormat', LAG_FORMAT_DAYS),
+            ].join('')}</PredecessorLink>`);
+        });
+        return `<Task>${parts.join('')}</Task>`;
+    });
+
+    const resourceElements = resourceNames.map(name => {
+        const uid = resourceUidByName.get(name)!;
+        return `<Resource>${element('UID', uid)}${element('ID', uid)}${element('Name', name)}${element('Type', 1)}</Resource>`;
+    });
+
+    const assignmentElements: string[] = [];
+    tasks.forEach(task => {
+        const resourceUid = resourceUidByName.get(task.assignee?.trim() || '');
+        if (resourceUid === undefined || summaryIds.has(task.id)) return;
+        const parts = [
+            element('UID', assignmentElements.length + 1),
+            element('TaskUID', uidById.get(task.id)!),
+            element('ResourceUID', resourceUid),
+        ];
+        if (task.manHours) parts.push(element('Work', toXmlDuration(task.manHours * HOURS_PER_DAY)));
+        assignmentElements.push(`<Assignment>${parts.join('')}</Assignment>`);
+    });
+
+    const projectStart = project.startDate ? element('StartDate', toXmlDate(project.startDate, '08:00:00')) : '';
+    return [
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+        `<Project xmlns="${MSPDI_NAMESPACE}">`,
+        `${element('Name', project.name)}${element('Title', project.name)}${projectStart}`,
+        `${element('MinutesPerDay', HOURS_PER_DAY * 60)}${element('MinutesPerWeek', HOURS_PER_DAY * 60 * 5)}`,
+        `<Tasks>${taskElements.join('\n')}</Tasks>`,
+        `<Resources>${resourceElements.join('\n')}</Resources>`,
+        `<Assignments>${assignmentElements.join('\n')}</Assignments>`,
+        '</Project>',
+        '',
+    ].join('\n');
+};
+
+const childElements = (parent: Element | undefined, name: string): Element[] =>
+    parent ? Array.from(parent.childNodes).filter((node): node is Element => node.nodeType === 1 && (node as Element).localName === name) : [];
+
+const childText = (parent: Element, name: string): string | null => {
+    const child = childElements(parent, name)[0];
+    return child ? child.textContent : null;
+};
+
+// `2024-05-01T13:00:00` -> 2024/05/01 at 13:00, kept within the working day. Without a time the
+// moment is `fallbackMinute`.
+const fromXmlDate = (value: string | null, fallbackMinute: number, calendar: WorkingCalendar): DateTime | null => {
+    if (!value) return null;
+    const date = parseUTCDateString(value.slice(0, 10).replace(/-/g, '/'));
+    if (!date) return null;
+    const minute = parseTimeString(value.slice(11, 16)) ?? fallbackMinute;
+    return { date, minute: Math.min(calendar.hours.end, Math.max(calendar.hours.start, minute)) };
+};
+
+// Throws when the document is not an MS Project XML file.
+export const parseMsProjectXml = (text: string, calendar: WorkingCalendar): MsProjectImport => {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const root = doc.documentElement;
+    if (doc.getElementsByTagName('parsererror').length > 0 || root.localName !== 'Project') {
+        throw new Error('Not an MS Project XML file');
+    }
+
+    const resourceNames = new Map<string, string>();
+    childElements(childElements(root, 'Resources')[0], 'Resource').forEach(resource => {
+        const uid = childText(resource, 'UID');
+        const name = childText(resource, 'Name');
+        if (uid && name) resourceNames.set(uid, name);
+    });
+
+    const assigneesByTaskUid = new Map<string, string[]>();
+    const workHoursByTaskUid = new Map<string, number>();
+    childElements(childElements(root, 'Assignments')[0], 'Assignment').forEach(assignment => {
+        const taskUid = childText(assignment, 'TaskUID');
+        const resourceName = resourceNames.get(childText(assignment, 'ResourceUID') || '');
+        if (!taskUid || !resourceName) return;
+        assigneesByTaskUid.set(taskUid, [...(assigneesByTaskUid.get(taskUid) || []), resourceName]);
+        const work = childText(assignment, 'Work');
+        if (work) workHoursByTaskUid.set(taskUid, (workHoursByTaskUid.get(taskUid) || 0) + parseXmlDurationHours(work));
+    });
+
+    const baseId = Date.now();
+    const idByUid = new Map<string, string>();
+    const links: { taskId: string; predecessorUid: string; dependency: Omit<TaskDependency, 'predecessorId'> }[] = [];
+    // Parent of each outline level while walking the (depth-first ordered) task list.
+    const outlineParents: string[] = [];
+    const tasks: Task[] = [];
+
+    childElements(childElements(root, 'Tasks')[0], 'Task').forEach(taskElement => {
+        const uid = childText(taskElement, 'UID');
+        const outlineLevel = Number(childText(taskElement, 'OutlineLevel') ?? 1);
+        // UID 0 / outline level 0 is the project summary task that MS Project adds itself.
+        if (!uid || uid === '0' || outlineLevel === 0 || childText(taskElement, 'IsNull') === '1') return;
+
+        const id = `${baseId + tasks.length}`;
+        idByUid.set(uid, id);
+        const level = Math.max(1, Math.min(outlineLevel, outlineParents.length + 1));
+        outlineParents.length = level - 1;
+        const parentId = level > 1 ? outlineParents[level - 2] : undefined;
+        outlineParents.push(id);
+
+        const isMilestone = childText(taskElement, 'Milestone') === '1';
+        const start = fromXmlDate(childText(taskElement, 'Start'), calendar.hours.start, calendar);
+        const end = fromXmlDate(childText(taskElement, 'Finish'), calendar.hours.end, calendar);
+        const startDate = start ? formatDateUTC(start.date) : '';
+        // Milestones are date-only; times at the bounds of the working day are left out.
+        const dates = start && end && !isMilestone
+            ? toTaskDateTimes(start, end, calendar)
+            : { startDate, endDate: isMilestone || !end ? startDate : formatDateUTC(end.date) };
+        const workHours = workHoursByTaskUid.get(uid) ?? parseXmlDurationHours(childText(taskElement, 'Work') || '');
+
+        const task: Task = {
+            id,
+            name: childText(taskElement, 'Name') || '',
+            assignee: (assigneesByTaskUid.get(uid) || []).join(', '),
+            ...dates,
+            progress: Math.max(0, Math.min(100, Number(childText(taskElement, 'PercentComplete')) || 0)),
+            manHours: Math.round((workHours / HOURS_PER_DAY) * 100) / 100,
+        };
+        if (parentId) task.parentId = parentId;
+        if (isMilestone) task.milestone = true;
+        tasks.push(task);
+
+        childElements(taskElement, 'PredecessorLink').forEach(link => {
+            const predecessorUid = childText(link, 'PredecessorUID');
+            const typeCode = Number(childText(link, 'Type') ?? 1);
+            const type = (Object.keys(LINK_TYPE_CODES) as DependencyType[]).find(key => LINK_TYPE_CODES[key] === typeCode);
+            // Start-to-finish links have no equivalent here and are dropped.
+            if (!predecessorUid || !type) return;
+            const lag = Math.round(Number(childText(link, 'LinkLag')) / LAG_UNITS_PER_DAY) || 0;
+            links.push({ taskId: id, predecessorUid, dependency: { type, lag } });
+        });
+    });
+
+    const tasksById = new Map(tasks.map(task => [task.id, task]));
+    links.forEach(({ taskId, predecessorUid, dependency }) => {
+        const predecessorId = idByUid.get(predecessorUid);
+        const task = tasksById.get(taskId)!;
+        if (!predecessorId || predecessorId === taskId) return;
+        task.dependencies = [...(task.dependencies || []), { predecessorId, ...dependency }];
+    });
+
+    return { projectName: childText(root, 'Name') || childText(root, 'Title'), tasks: removeCyclicDependencies(tasks) };
+};
@@ -0,0 +1,519 @@
+/// <reference types="vite/client" />
+import { jsPDF } from 'jspdf';
+import notoSansJpUrl from '@expo-google-fonts/noto-sans-jp/400Regular/NotoSansJP_400Regular.ttf?url';
+import type { Task, TaskCategory, BarPattern, ProgressSnapshot } from '../types.ts';
+import {
+    parseUTCDateString,
+    getDatesInRange,
+    isNonWorkingDay,
+    calculateWorkingDays,
+    getWorkingSegments,
+    WorkingCalendar,
+} from './dateUtils.ts';
+import { getVisibleTasks, getTaskDepths, getParentIds } from './taskTree.ts';
+import { getProgressLinePosition, toDayPosition } from './progressLine.ts';
+import { getTaskBarColors, isDarkColor } from './taskColors.ts';
+import { EARNED_VALUE_COLORS, EarnedValueReport } from './earnedValue.ts';
+import { getSnapshotTask } from './progressHistory.ts';
+
+// --- Vector PDF Export ---
+// Everything is drawn with jsPDF primitives (mm units), so text stays selectable and lines stay sharp.
+
+export type PdfPaperSize = 'a4' | 'a3' | 'b4' | 'letter';
+export type PdfOrientation = 'portrait' | 'landscape';
+export type PdfLayout = 'fitWidth' | 'paginate'; // Fit the whole range on the page width, or split it across pages
+
+export interface PdfExportOptions {
+    paperSize: PdfPaperSize;
+    orientation: PdfOrientation;
+    layout: PdfLayout;
+    rangeStart: string;
+    rangeEnd: string;
+    includeDashboard: boolean;
+}
+
+// The progress dashboard, printed on a page of its own after the chart.
+export interface PdfDashboardContent {
+    report: EarnedValueReport;
+    statusDate: string;
+    unit: string; // Unit of the weights, e.g. manpower
+    labels: {
+        title: string;
+        asOf: string;
+        planned: string;
+        earned: string;
+        scheduleVariance: string;
+        spi: string;
+        sCurve: string;
+        completionByAssignee: string;
+        unassigned: string;
+    };
+}
+
+export interface PdfExportContent {
+    projectName: string;
+    creatorName: string;
+    creationDate: string;
+    tasks: Task[];
+    calendar: WorkingCalendar;
+    progressLineDate: string | null;
+    progressSnapshots: ProgressSnapshot[]; // Drawn as extra progress lines in their own colors
+    categories: TaskCategory[];
+    colors: { base: string; progress: string; progressLine: string };
+    labels: { creator: string; creationDate: string; period: string; taskName: string; legend: string };
+    dashboard?: PdfDashboardContent | null;
+}
+
+// Portrait width and height in mm. B4 is the JIS size used in Japanese offices.
+const PAPER_SIZES: Record<PdfPaperSize, [number, number]> = {
+    a4: [210, 297],
+    a3: [297, 420],
+    b4: [257, 364],
+    letter: [215.9, 279.4],
+};
+
+const FONT_NAME = 'NotoSansJP';
+const MARGIN = 10;
+const TITLE_BLOCK_HEIGHT = 16;
+const FOOTER_HEIGHT = 6;
+const HEADER_ROW_HEIGHT = 5;
+const ROW_HEIGHT = 6;
+const BAR_HEIGHT = 3.6;
+const DAY_WIDTH = 4.5; // Used when splitting the range across pages
+const MIN_DAY_LABEL_WIDTH = 3;
+const INDENT_WIDTH = 3;
+// Matches the summary bar colours of the chart.
+const SUMMARY_BAR_COLOR = '#64748b';
+const SUMMARY_PROGRESS_COLOR = '#334155';
+const GRID_COLOR = '#d1d5db';
+const PATTERN_SPACING = 1.2;
+const LEGEND_SWATCH_WIDTH = 5;
+const LEGEND_SWATCH_HEIGHT = 2.5;
+const NON_WORKING_COLOR = '#fef2f2';
+const DASHBOARD_ROW_HEIGHT = 5;
+const DASHBOARD_LABEL_WIDTH = 40;
+
+let fontDataPromise: Promise<string> | null = null;
+
+// The Japanese font is several megabytes, so it is fetched on the first export only.
+// jsPDF embeds just the glyphs that are used.
+const loadFontData = (): Promise<string> => {
+    if (!fontDataPromise) {
+        fontDataPromise = fetch(notoSansJpUrl)
+            .then(response => {
+                if (!response.ok) throw new Error(`Failed to load font: ${response.status}`);
+                return response.arrayBuffer();
+            })
+            .then(buffer => {
+                const bytes = new Uint8Array(buffer);
+                let binary = '';
+                for (let i = 0; i < bytes.length; i += 0x8000) {
+                    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+                }
+                return btoa(binary);
+            })
+            .catch(error => {
+                fontDataPromise = null;
+                throw error;
+            });
+    }
+    return fontDataPromise;
+};
+
+const chunk = <T>(items: T[], size: number): T[][] => {
+    const chunks: T[][] = [];
+    for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+    return chunks.length > 0 ? chunks : [[]];
+};
+
+const fitText = (doc: jsPDF, text: string, maxWidth: number): string => {
+    if (doc.getTextWidth(text) <= maxWidth) return text;
+    let fitted = text;
+    while (fitted.length > 0 && doc.getTextWidth(`${fitted}…`) > maxWidth) fitted = fitted.slice(0, -1);
+    return `${fitted}…`;
+};
+
+// Hatching and dots for monochrome prints, drawn as vector lines clipped to the bar rectangle.
+const drawBarPattern = (doc: jsPDF, pattern: BarPattern, fillColor: string, x: number, y: number, width: number, height: number) => {
+    if (pattern === 'solid' || width <= 0) return;
+    doc.saveGraphicsState();
+    doc.rect(x, y, width, height, null);
+    doc.clip();
+    doc.discardPath();
+    const ink = isDarkColor(fillColor) ? '#ffffff' : '#1e293b';
+    doc.setDrawColor(ink);
+    doc.setFillColor(ink);
+    doc.setLineWidth(0.15);
+    if (pattern === 'dots') {
+        for (let dotY = y + PATTERN_SPACING / 2; dotY < y + height; dotY += PATTERN_SPACING) {
+            for (let dotX = x + PATTERN_SPACING / 2; dotX < x + width; dotX += PATTERN_SPACING) {
+                doc.circle(dotX, dotY, 0.2, 'F');
+            }
+        }
+    } else {
+        // 45° lines; each starts below the bar and runs up past its top edge.
+        for (let offset = -height; offset < width; offset += PATTERN_SPACING) {
+            doc.line(x + offset, y + height, x + offset + height, y);
+            if (pattern === 'crosshatch') doc.line(x + offset, y, x + offset + height, y + height);
+        }
+    }
+    doc.restoreGraphicsState();
+};
+
+export const createGanttPdf = async (content: PdfExportContent, options: PdfExportOptions): Promise<jsPDF> => {
+    const rangeStart = parseUTCDateString(options.rangeStart);
+    const rangeEnd = parseUTCDateString(options.rangeEnd);
+    if (!rangeStart || !rangeEnd || rangeEnd < rangeStart) throw new Error('Invalid date range');
+
+    const [portraitWidth, portraitHeight] = PAPER_SIZES[options.paperSize];
+    const pageWidth = options.orientation === 'landscape' ? portraitHeight : portraitWidth;
+    const pageHeight = options.orientation === 'landscape' ? portraitWidth : portraitHeight;
+
+    const doc = new jsPDF({ orientation: options.orientation, unit: 'mm', format: [portraitWidth, portraitHeight] });
+    doc.addFileToVFS(`${FONT_NAME}.ttf`, await loadFontData());
+    doc.addFont(`${FONT_NAME}.ttf`, FONT_NAME, 'normal');
+    doc.setFont(FONT_NAME, 'normal');
+
+    const { calendar, colors, labels } = content;
+    const categoriesById = new Map(content.categories.map(category => [category.id, category]));
+    const rows = getVisibleTasks(content.tasks);
+    const depths = getTaskDepths(content.tasks);
+    const summaryIds = getParentIds(content.tasks);
+    const dates = getDatesInRange(rangeStart, rangeEnd);
+
+    const nameColumnWidth = Math.min(80, Math.max(45, pageWidth * 0.22));
+    const chartX = MARGIN + nameColumnWidth;
+    const chartWidth = pageWidth - MARGIN * 2 - nameColumnWidth;
+    const headerY = MARGIN + TITLE_BLOCK_HEIGHT + 2;
+    const bodyY = headerY + HEADER_ROW_HEIGHT * 2;
+    const rowsPerPage = Math.max(1, Math.floor((pageHeight - MARGIN - FOOTER_HEIGHT - bodyY) / ROW_HEIGHT));
+
+    const dayWidth = options.layout === 'fitWidth' ? chartWidth / dates.length : DAY_WIDTH;
+    const daysPerPage = options.layout === 'fitWidth' ? dates.length : Math.max(1, Math.floor(chartWidth / DAY_WIDTH));
+    const dayLabelStep = Math.ceil(MIN_DAY_LABEL_WIDTH / dayWidth);
+
+    const rowChunks = chunk(rows, rowsPerPage);
+    const dateChunks = chunk(dates, daysPerPage);
+    const totalPages = rowChunks.length * dateChunks.length + (content.dashboard ? 1 : 0);
+
+    const drawTitleBlock = () => {
+        doc.setDrawColor('#475569');
+        doc.setLineWidth(0.3);
+        doc.rect(MARGIN, MARGIN, pageWidth - MARGIN * 2, TITLE_BLOCK_HEIGHT);
+        doc.setTextColor('#1e293b');
+        doc.setFontSize(14);
+        doc.text(fitText(doc, content.projectName, pageWidth * 0.55), MARGIN + 3, MARGIN + TITLE_BLOCK_HEIGHT / 2, { baseline: 'middle' });
+
+        const infoX = pageWidth - MARGIN - 3;
+        doc.setFontSize(8);
+        doc.setTextColor('#475569');
+        doc.text(`${labels.creator}: ${content.creatorName || '-'}`, infoX, MARGIN + 4, { align: 'right', baseline: 'middle' });
+        doc.text(`${labels.creationDate}: ${content.creationDate || '-'}`, infoX, MARGIN + 8, { align: 'right', baseline: 'middle' });
+        doc.text(`${labels.period}: ${options.rangeStart} - ${options.rangeEnd}`, infoX, MARGIN + 12, { align: 'right', baseline: 'middle' });
+    };
+
+    // Category legend in the footer, left of the page number. Categories that do not fit are left out.
+    const drawLegend = () => {
+        if (content.categories.length === 0) return;
+        const y = pageHeight - MARGIN - 1; // Centered on the page number line
+        const maxX = pageWidth / 2 - 10;
+        doc.setFontSize(7);
+        doc.setTextColor('#475569');
+        doc.text(`${labels.legend}:`, MARGIN, y, { baseline: 'middle' });
+        let x = MARGIN + doc.getTextWidth(`${labels.legend}:`) + 2;
+        for (const category of content.categories) {
+            const itemWidth = LEGEND_SWATCH_WIDTH + 1 + doc.getTextWidth(category.name) + 3;
+            if (x + itemWidth > maxX) break;
+            doc.setFillColor(category.baseColor);
+            doc.rect(x, y - LEGEND_SWATCH_HEIGHT / 2, LEGEND_SWATCH_WIDTH, LEGEND_SWATCH_HEIGHT, 'F');
+            drawBarPattern(doc, category.pattern, category.baseColor, x, y - LEGEND_SWATCH_HEIGHT / 2, LEGEND_SWATCH_WIDTH, LEGEND_SWATCH_HEIGHT);
+            doc.setTextColor('#475569');
+            doc.text(category.name, x + LEGEND_SWATCH_WIDTH + 1, y, { baseline: 'middle' });
+            x += itemWidth;
+        }
+    };
+
+    const drawPageNumber = (pageNumber: number) => {
+        doc.setFontSize(8);
+        doc.setTextColor('#64748b');
+        doc.text(`${pageNumber} / ${totalPages}`, pageWidth / 2, pageHeight - MARGIN, { align: 'center' });
+    };
+
+    const drawPage = (pageRows: Task[], pageDates: Date[], pageNumber: number) => {
+        const pageChartWidth = pageDates.length * dayWidth;
+        const originPosition = toDayPosition(pageDates[0]);
+        const bodyHeight = pageRows.length * ROW_HEIGHT;
+        const toX = (dayPosition: number) => chartX + (dayPosition - originPosition) * dayWidth;
+
+        drawTitleBlock();
+
+        // Non-working day shading
+        doc.setFillColor(NON_WORKING_COLOR);
+        pageDates.forEach((date, i) => {
+            if (isNonWorkingDay(date, calendar)) {
+                doc.rect(chartX + i * dayWidth, headerY + HEADER_ROW_HEIGHT, dayWidth, HEADER_ROW_HEIGHT + bodyHeight, 'F');
+            }
+        });
+
+        // Date header: months, then days
+        doc.setDrawColor(GRID_COLOR);
+        doc.setLineWidth(0.1);
+        doc.setTextColor('#334155');
+        doc.setFontSize(7);
+        let monthStartIndex = 0;
+        pageDates.forEach((date, i) => {
+            const next = pageDates[i + 1];
+            if (next && next.getUTCMonth() === date.getUTCMonth()) return;
+            const x = chartX + monthStartIndex * dayWidth;
+            const width = (i - monthStartIndex + 1) * dayWidth;
+            doc.rect(x, headerY, width, HEADER_ROW_HEIGHT);
+            const label = `${date.getUTCFullYear()}/${(date.getUTCMonth() + 1).toString().padStart(2, '0')}`;
+            if (doc.getTextWidth(label) < width) {
+                doc.text(label, x + width / 2, headerY + HEADER_ROW_HEIGHT / 2, { align: 'center', baseline: 'middle' });
+            }
+            monthStartIndex = i + 1;
+        });
+        doc.setFontSize(Math.min(6, dayWidth * 1.6));
+        pageDates.forEach((date, i) => {
+            const x = chartX + i * dayWidth;
+            if (dayWidth >= 1) doc.line(x, headerY + HEADER_ROW_HEIGHT, x, bodyY + bodyHeight);
+            if (i % dayLabelStep === 0) {
+                doc.text(`${date.getUTCDate()}`, x + dayWidth / 2, headerY + HEADER_ROW_HEIGHT * 1.5, { align: 'center', baseline: 'middle' });
+            }
+        });
+        doc.line(chartX + pageChartWidth, headerY, chartX + pageChartWidth, bodyY + bodyHeight);
+
+        // Task name column, repeated on every page
+        doc.setFontSize(8);
+        doc.rect(MARGIN, headerY, nameColumnWidth, HEADER_ROW_HEIGHT * 2);
+        doc.text(labels.taskName, MARGIN + 2, headerY + HEADER_ROW_HEIGHT, { baseline: 'middle' });
+        pageRows.forEach((task, i) => {
+            const y = bodyY + i * ROW_HEIGHT;
+            const isSummary = summaryIds.has(task.id);
+            const indent = (depths.get(task.id) || 0) * INDENT_WIDTH;
+            doc.setTextColor(isSummary ? '#0f172a' : '#334155');
+            const name = `${task.milestone ? '◆ ' : ''}${task.name}`;
+            doc.text(fitText(doc, name, nameColumnWidth - 4 - indent), MARGIN + 2 + indent, y + ROW_HEIGHT / 2, { baseline: 'middle' });
+            doc.line(MARGIN, y + ROW_HEIGHT, chartX + pageChartWidth, y + ROW_HEIGHT);
+        });
+        doc.line(MARGIN, headerY, MARGIN, bodyY + bodyHeight);
+        doc.line(chartX, headerY, chartX, bodyY + bodyHeight);
+
+        // Bars are clipped to the chart area so tasks crossing the page edge are cut cleanly.
+        doc.saveGraphicsState();
+        doc.rect(chartX, bodyY, pageChartWidth, bodyHeight, null);
+        doc.clip();
+        doc.discardPath();
+
+        pageRows.forEach((task, i) => {
+            const start = parseUTCDateString(task.startDate);
+            const end = parseUTCDateString(task.endDate);
+            if (!start || !end || end < start) return;
+            const centerY = bodyY + i * ROW_HEIGHT + ROW_HEIGHT / 2;
+
+            const barColors = getTaskBarColors(task, categoriesById, colors);
+
+            if (task.milestone) {
+                const x = toX(toDayPosition(start) + 0.5);
+                const half = BAR_HEIGHT / 2;
+                doc.setFillColor(task.progress >= 100 ? barColors.progress : barColors.base);
+                doc.setDrawColor(barColors.progress);
+                doc.setLineWidth(0.3);
+                doc.lines([[half, half], [-half, half], [-half, -half]], x, centerY - half, [1, 1], 'FD', true);
+                return;
+            }
+
+            const isSummary = summaryIds.has(task.id);
+            const totalWorkingDays = calculateWorkingDays(start, end, calendar);
+            let remainingProgressDays = totalWorkingDays * (task.progress / 100);
+            const barY = centerY - BAR_HEIGHT / 2;
+
+            // Draw one bar segment per run of working days, like the chart does.
+            const segments = getWorkingSegments(start, end, calendar);
+            segments.forEach(({ startDate: segmentStart, endDate: segmentEnd }) => {
+                const x = toX(toDayPosition(segmentStart));
+                const segmentDays = toDayPosition(segmentEnd) - toDayPosition(segmentStart) + 1;
+                doc.setFillColor(isSummary ? SUMMARY_BAR_COLOR : barColors.base);
+                doc.rect(x, barY, segmentDays * dayWidth, BAR_HEIGHT, 'F');
+                const progressDays = Math.max(0, Math.min(segmentDays, remainingProgressDays));
+                if (progressDays > 0) {
+                    doc.setFillColor(isSummary ? SUMMARY_PROGRESS_COLOR : barColors.progress);
+                    doc.rect(x, barY, progressDays * dayWidth, BAR_HEIGHT, 'F');
+                    remainingProgressDays -= progressDays;
+                }
+                if (!isSummary) drawBarPattern(doc, barColors.pattern, barColors.base, x, barY, segmentDays * dayWidth, BAR_HEIGHT);
+            });
+        });
+
+        const drawProgressLine = (progressDate: string, color: string, dashed: boolean, resolveTask: (task: Task) => Task | null) => {
+            const statusDate = parseUTCDateString(progressDate);
+            if (!statusDate) return;
+            const statusX = toX(toDayPosition(statusDate) + 1);
+            doc.setDrawColor(color);
+            doc.setLineWidth(0.4);
+            doc.setLineDashPattern(dashed ? [1, 1] : [], 0);
+            let previous: [number, number] = [statusX, bodyY];
+            pageRows.forEach((row, i) => {
+                const task = resolveTask(row);
+                const rowTop = bodyY + i * ROW_HEIGHT;
+                const points: [number, number][] = [
+                    [statusX, rowTop + (ROW_HEIGHT - BAR_HEIGHT) / 2],
+                    [task ? toX(getProgressLinePosition(task, statusDate, calendar)) : statusX, rowTop + ROW_HEIGHT / 2],
+                    [statusX, rowTop + (ROW_HEIGHT + BAR_HEIGHT) / 2],
+                    [statusX, rowTop + ROW_HEIGHT],
+                ];
+                points.forEach(point => {
+                    doc.line(previous[0], previous[1], point[0], point[1]);
+                    previous = point;
+                });
+            });
+            doc.setLineDashPattern([], 0);
+        };
+        content.progressSnapshots.forEach(snapshot => {
+            drawProgressLine(snapshot.statusDate, snapshot.color, false, task => getSnapshotTask(task, snapshot));
+        });
+        if (content.progressLineDate) drawProgressLine(content.progressLineDate, colors.progressLine, true, task => task);
+        doc.restoreGraphicsState();
+
+        drawLegend();
+        drawPageNumber(pageNumber);
+    };
+
+    // Key figures, the S-curve in the upper part of the page and the per-assignee bars below it.
+    const drawDashboardPage = (dashboard: PdfDashboardContent, pageNumber: number) => {
+        const { report, labels: dashboardLabels } = dashboard;
+        const contentWidth = pageWidth - MARGIN * 2;
+        const formatNumber = (value: number) => (Math.round(value * 10) / 10).toString();
+        const toPercent = (value: number) => (report.totalWeight > 0 ? (value / report.totalWeight) * 100 : 0);
+        const sign = report.scheduleVariance > 0 ? '+' : '';
+
+        drawTitleBlock();
+        let y = MARGIN + TITLE_BLOCK_HEIGHT + 6;
+        doc.setTextColor('#1e293b');
+        doc.setFontSize(11);
+        doc.text(`${dashboardLabels.title}  (${dashboardLabels.asOf} ${dashboard.statusDate})`, MARGIN, y, { baseline: 'middle' });
+
+        y += 7;
+        doc.setFontSize(9);
+        doc.setTextColor('#334155');
+        const figures = [
+            `${dashboardLabels.planned}: ${formatNumber(toPercent(report.plannedValue))}% (${formatNumber(report.plannedValue)} ${dashboard.unit})`,
+            `${dashboardLabels.earned}: ${formatNumber(toPercent(report.earnedValue))}% (${formatNumber(report.earnedValue)} ${dashboard.unit})`,
+            `${dashboardLabels.scheduleVariance}: ${sign}${formatNumber(report.scheduleVariance)} ${dashboard.unit}`,
+            `${dashboardLabels.spi}: ${report.spi === null ? '-' : report.spi.toFixed(2)}`,
+        ];
+        figures.forEach((figure, i) => doc.text(figure, MARGIN + (contentWidth / figures.length) * i, y, { baseline: 'middle' }));
+
+        // S-curve
+        const assigneeRows = report.assignees.length;
+        const availableHeight = pageHeight - MARGIN - FOOTER_HEIGHT - (y + 6);
+        const chartHeight = Math.max(40, Math.min(availableHeight * 0.6, availableHeight - 12 - assigneeRows * DASHBOARD_ROW_HEIGHT));
+        const plotX = MARGIN + 10;
+        const plotY = y + 10;
+        const plotWidth = contentWidth - 10;
+        const plotHeight = chartHeight - 10;
+        const points = report.points;
+        const firstTime = points[0]?.time ?? 0;
+        const span = Math.max(1, (points[points.length - 1]?.time ?? 0) - firstTime);
+        const toX = (time: number) => plotX + ((time - firstTime) / span) * plotWidth;
+        const toY = (percent: number) => plotY + plotHeight - (percent / 100) * plotHeight;
+
+        doc.setFontSize(9);
+        doc.setTextColor('#1e293b');
+        doc.text(dashboardLabels.sCurve, MARGIN, y + 6, { baseline: 'middle' });
+        doc.setFontSize(7);
+        doc.setTextColor('#475569');
+        doc.setDrawColor(GRID_COLOR);
+        doc.setLineWidth(0.1);
+        [0, 20, 40, 60, 80, 100].forEach(percent => {
+            doc.line(plotX, toY(percent), plotX + plotWidth, toY(percent));
+            doc.text(`${percent}%`, plotX - 1, toY(percent), { align: 'right', baseline: 'middle' });
+        });
+        const monthStarts = points.filter(point => new Date(point.time).getUTCDate() === 1);
+        const monthStep = Math.ceil(monthStarts.length / 12) || 1;
+        monthStarts.forEach((point, i) => {
+            if (i % monthStep !== 0) return;
+            doc.line(toX(point.time), plotY, toX(point.time), plotY + plotHeight);
+            const date = new Date(point.time);
+            const label = `${date.getUTCFullYear()}/${(date.getUTCMonth() + 1).toString().padStart(2, '0')}`;
+            doc.text(label, toX(point.time), plotY + plotHeight + 3, { align: 'center', baseline: 'middle' });
+        });
+
+        const drawCurve = (values: (number | null)[], color: string, width: number) => {
+            doc.setDrawColor(color);
+            doc.setLineWidth(width);
+            for (let i = 1; i < points.length; i++) {
+                const from = values[i - 1];
+                const to = values[i];
+                if (from === null || to === null) break;
+                doc.line(toX(points[i - 1].time), toY(from), toX(points[i].time), toY(to));
+            }
+        };
+        doc.setLineDashPattern([1.5, 1], 0);
+        drawCurve(points.map(point => point.planned), EARNED_VALUE_COLORS.planned, 0.5);
+        doc.setLineDashPattern([], 0);
+        drawCurve(points.map(point => point.earned), EARNED_VALUE_COLORS.earned, 0.6);
+
+        const statusTime = parseUTCDateString(dashboard.statusDate)?.getTime();
+        if (statusTime !== undefined && points.length > 0 && statusTime >= firstTime && statusTime <= firstTime + span) {
+            doc.setDrawColor(colors.progressLine);
+            doc.setLineWidth(0.3);
+            doc.setLineDashPattern([1, 1], 0);
+            doc.line(toX(statusTime), plotY, toX(statusTime), plotY + plotHeight);
+            doc.setLineDashPattern([], 0);
+        }
+
+        // Curve legend
+        doc.setLineWidth(0.5);
+        [[dashboardLabels.planned, EARNED_VALUE_COLORS.planned], [dashboardLabels.earned, EARNED_VALUE_COLORS.earned]].forEach(([label, color], i) => {
+            const legendY = plotY + 3 + i * 4;
+            doc.setDrawColor(color);
+            doc.line(plotX + 3, legendY, plotX + 9, legendY);
+            doc.text(label, plotX + 11, legendY, { baseline: 'middle' });
+        });
+
+        // Completion by assignee
+        let rowY = plotY + plotHeight + 10;
+        doc.setFontSize(9);
+        doc.setTextColor('#1e293b');
+        doc.text(dashboardLabels.completionByAssignee, MARGIN, rowY, { baseline: 'middle' });
+        rowY += 4;
+        const barX = MARGIN + DASHBOARD_LABEL_WIDTH;
+        const barWidth = contentWidth - DASHBOARD_LABEL_WIDTH - 25;
+        doc.setFontSize(7);
+        for (const entry of report.assignees) {
+            if (rowY + DASHBOARD_ROW_HEIGHT > pageHeight - MARGIN - FOOTER_HEIGHT) break;
+            const earnedPercent = entry.total > 0 ? (entry.earned / entry.total) * 100 : 0;
+            const plannedPercent = entry.total > 0 ? (entry.planned / entry.total) * 100 : 0;
+            const centerY = rowY + DASHBOARD_ROW_HEIGHT / 2;
+            doc.setTextColor('#475569');
+            doc.text(fitText(doc, entry.assignee || dashboardLabels.unassigned, DASHBOARD_LABEL_WIDTH - 3), MARGIN, centerY, { baseline: 'middle' });
+            doc.setFillColor('#e2e8f0');
+            doc.rect(barX, centerY - 1.5, barWidth, 3, 'F');
+            doc.setFillColor(EARNED_VALUE_COLORS.earned);
+            doc.rect(barX, centerY - 1.5, (earnedPercent / 100) * barWidth, 3, 'F');
+            doc.setDrawColor(EARNED_VALUE_COLORS.planned);
+            doc.setLineWidth(0.5);
+            doc.line(barX + (plannedPercent / 100) * barWidth, centerY - 2.2, barX + (plannedPercent / 100) * barWidth, centerY + 2.2);
+            doc.text(`${Math.round(earnedPercent)}% / ${Math.round(plannedPercent)}%`, barX + barWidth + 2, centerY, { baseline: 'middle' });
+            rowY += DASHBOARD_ROW_HEIGHT;
+        }
+
+        drawPageNumber(pageNumber);
+    };
+
+    let pageNumber = 0;
+    rowChunks.forEach(pageRows => {
+        dateChunks.forEach(pageDates => {
+            pageNumber++;
+            if (pageNumber > 1) doc.addPage([portraitWidth, portraitHeight], options.orientation);
+            drawPage(pageRows, pageDates, pageNumber);
+        });
+    });
+    if (content.dashboard) {
+        doc.addPage([portraitWidth, portraitHeight], options.orientation);
+        drawDashboardPage(content.dashboard, ++pageNumber);
+    }
+
+    return doc;
+};
@@ -0,0 +1,54 @@
+import type { Task, ProgressSnapshot, SnapshotTaskStatus } from '../types.ts';
+
+// --- Progress History ---
+// A snapshot keeps each task's progress and dates on a status date. There is at most one snapshot per
+// status date; recording the same date again brings it up to date.
+
+const SNAPSHOT_COLORS = ['#2563eb', '#16a34a', '#9333ea', '#ea580c', '#0891b2', '#db2777', '#65a30d', '#475569'];
+
+// The first palette color not used yet, cycling once all are taken.
+const getNextSnapshotColor = (snapshots: ProgressSnapshot[]): string => {
+    const used = new Set(snapshots.map(snapshot => snapshot.color));
+    return SNAPSHOT_COLORS.find(color => !used.has(color)) || SNAPSHOT_COLORS[snapshots.length % SNAPSHOT_COLORS.length];
+};
+
+const captureTasks = (tasks: Task[]): Record<string, SnapshotTaskStatus> => {
+    const captured: Record<string, SnapshotTaskStatus> = {};
+    tasks.forEach(task => {
+        captured[task.id] = { startDate: task.startDate, endDate: task.endDate, progress: task.progress };
+    });
+    return captured;
+};
+
+export const recordProgressSnapshot = (
+    snapshots: ProgressSnapshot[],
+    tasks: Task[],
+    statusDate: string,
+    auto = false
+): ProgressSnapshot[] => {
+    const existing = snapshots.find(snapshot => snapshot.statusDate === statusDate);
+    if (existing) {
+        // A manual recording stays manual even when progress edits update it later.
+        const updated = { ...existing, createdAt: Date.now(), auto: existing.auto && auto ? true : undefined, tasks: captureTasks(tasks) };
+        return snapshots.map(snapshot => (snapshot === existing ? updated : snapshot));
+    }
+    const snapshot: ProgressSnapshot = {
+        id: Date.now().toString(),
+        statusDate,
+        createdAt: Date.now(),
+        color: getNextSnapshotColor(snapshots),
+        visible: !auto,
+        auto: auto || undefined,
+        tasks: captureTasks(tasks),
+    };
+    return [...snapshots, snapshot].sort((a, b) => a.statusDate.localeCompare(b.statusDate));
+};
+
+// The task as it stood in the snapshot, or null for tasks added after it was recorded.
+export const getSnapshotTask = (task: Task, snapshot: ProgressSnapshot): Task | null => {
+    const status = snapshot.tasks[task.id];
+    return status ? { ...task, ...status } : null;
+};
+
+export const haveProgressValuesChanged = (previous: Map<string, number>, tasks: Task[]): boolean =>
+    tasks.some(task => previous.has(task.id) && previous.get(task.id) !== task.progress);
@@ -0,0 +1,52 @@
+import type { Task } from '../types.ts';
+import { parseUTCDateString, calculateWorkingDays, isNonWorkingDay, WorkingCalendar } from './dateUtils.ts';
+
+// --- Progress Line (イナズマ線) ---
+
+const DAY_IN_MS = 1000 * 3600 * 24;
+
+// Converts a UTC date to a day position (days since 1970/01/01) so callers can map it to any x-axis.
+export const toDayPosition = (date: Date): number => date.getTime() / DAY_IN_MS;
+
+// Day position of a task's progress-line vertex. Tasks that are on schedule sit on the
+// status line, which is drawn at the end of the status date.
+export const getProgressLinePosition = (task: Task, statusDate: Date, calendar: WorkingCalendar): number => {
+    const statusPosition = toDayPosition(statusDate) + 1;
+    const startDate = parseUTCDateString(task.startDate);
+    const endDate = parseUTCDateString(task.endDate);
+    if (!startDate || !endDate) return statusPosition;
+
+    if (task.milestone) {
+        // A milestone is either done or not: the line bends to it when it is overdue or finished ahead of time.
+        const isDone = task.progress >= 100;
+        const isDue = startDate.getTime() <= statusDate.getTime();
+        return isDone !== isDue ? toDayPosition(startDate) + 0.5 : statusPosition;
+    }
+
+    const isCompletedEarly = endDate.getTime() < statusDate.getTime() && task.progress === 100;
+    const isNotYetStarted = startDate.getTime() > statusDate.getTime() && task.progress === 0;
+    if (isCompletedEarly || isNotYetStarted) return statusPosition;
+
+    const totalWorkDays = calculateWorkingDays(startDate, endDate, calendar);
+    if (totalWorkDays <= 0) return statusPosition;
+    let completedWorkDays = totalWorkDays * (task.progress / 100);
+
+    // Progress is measured from the first working day of the task; non-working days are skipped over.
+    const currentPosDate = new Date(startDate.getTime());
+    while (isNonWorkingDay(currentPosDate, calendar)) {
+        currentPosDate.setUTCDate(currentPosDate.getUTCDate() + 1);
+    }
+    let position = toDayPosition(currentPosDate);
+
+    while (completedWorkDays > 0 && currentPosDate.getTime() <= endDate.getTime()) {
+        if (!isNonWorkingDay(currentPosDate, calendar)) {
+            const consumption = Math.min(1, completedWorkDays);
+            position += consumption;
+            completedWorkDays -= consumption;
+        } else {
+            position += 1;
+        }
+        currentPosDate.setUTCDate(currentPosDate.getUTCDate() + 1);
+    }
+    return position;
+};
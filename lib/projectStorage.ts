@@ -0,0 +1,113 @@
+import type { ProjectData, FilterPreset, CollabSettings, ProjectTemplate } from '../types.ts';
+import type { CollabOp, SerializedCollabDoc } from './collabDoc.ts';
+
+// --- Local Project Library (localStorage) ---
+
+const INDEX_KEY = 'ganttChart.projects';
+const PROJECT_KEY_PREFIX = 'ganttChart.project.';
+const LAST_OPENED_KEY = 'ganttChart.lastOpenedProjectId';
+const FILTER_PRESETS_KEY = 'ganttChart.filterPresets';
+const TEMPLATES_KEY = 'ganttChart.templates';
+const COLLAB_SETTINGS_KEY_PREFIX = 'ganttChart.collabSettings.';
+const COLLAB_STATE_KEY_PREFIX = 'ganttChart.collabState.';
+
+export interface ProjectSummary {
+  id: string;
+  name: string;
+  updatedAt: number;
+}
+
+const readJSON = <T>(key: string): T | null => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? (JSON.parse(raw) as T) : null;
+  } catch (error) {
+    console.error(`Failed to read "${key}" from local storage:`, error);
+    return null;
+  }
+};
+
+const writeJSON = (key: string, value: unknown) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Failed to write "${key}" to local storage:`, error);
+  }
+};
+
+const removeKey = (key: string) => {
+  try {
+    localStorage.removeItem(key);
+  } catch (error) {
+    console.error(`Failed to remove "${key}" from local storage:`, error);
+  }
+};
+
+export const createProjectId = (): string => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const listProjects = (): ProjectSummary[] => {
+  const projects = readJSON<ProjectSummary[]>(INDEX_KEY) || [];
+  return [...projects].sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+export const loadProject = (id: string): ProjectData | null => readJSON<ProjectData>(PROJECT_KEY_PREFIX + id);
+
+export const saveProject = (id: string, data: ProjectData) => {
+  writeJSON(PROJECT_KEY_PREFIX + id, data);
+  const others = (readJSON<ProjectSummary[]>(INDEX_KEY) || []).filter(project => project.id !== id);
+  writeJSON(INDEX_KEY, [...others, { id, name: data.projectName, updatedAt: Date.now() }]);
+};
+
+export const deleteProject = (id: string) => {
+  removeKey(PROJECT_KEY_PREFIX + id);
+  writeJSON(INDEX_KEY, (readJSON<ProjectSummary[]>(INDEX_KEY) || []).filter(project => project.id !== id));
+  removeKey(COLLAB_SETTINGS_KEY_PREFIX + id);
+  removeKey(COLLAB_STATE_KEY_PREFIX + id);
+  if (getLastOpenedProjectId() === id) removeKey(LAST_OPENED_KEY);
+};
+
+export const getLastOpenedProjectId = (): string | null => {
+  try {
+    return localStorage.getItem(LAST_OPENED_KEY);
+  } catch {
+    return null;
+  }
+};
+
+export const setLastOpenedProjectId = (id: string) => {
+  try {
+    localStorage.setItem(LAST_OPENED_KEY, id);
+  } catch (error) {
+    console.error('Failed to remember the last opened project:', error);
+  }
+};
+
+// Filter presets are not tied to a project; they are shared by the whole library.
+export const loadFilterPresets = (): FilterPreset[] => readJSON<FilterPreset[]>(FILTER_PRESETS_KEY) || [];
+
+export const saveFilterPresets = (presets: FilterPreset[]) => writeJSON(FILTER_PRESETS_KEY, presets);
+
+// Saved project templates (the built-in samples are not stored).
+export const loadTemplates = (): ProjectTemplate[] => readJSON<ProjectTemplate[]>(TEMPLATES_KEY) || [];
+
+export const saveTemplates = (templates: ProjectTemplate[]) => writeJSON(TEMPLATES_KEY, templates);
+
+// --- Collaboration (per project, never part of the project file) ---
+
+export const loadCollabSettings = (projectId: string): CollabSettings | null => readJSON<CollabSettings>(COLLAB_SETTINGS_KEY_PREFIX + projectId);
+
+export const saveCollabSettings = (projectId: string, settings: CollabSettings) => writeJSON(COLLAB_SETTINGS_KEY_PREFIX + projectId, settings);
+
+// The local replica of a room and the edits not yet confirmed by the server, so that changes made
+// offline survive a reload and are sent on reconnect.
+export interface CollabSyncState {
+  serverUrl: string;
+  room: string;
+  seq: number; // Last server sequence number seen
+  doc: SerializedCollabDoc;
+  pending: CollabOp[];
+}
+
+export const loadCollabSyncState = (projectId: string): CollabSyncState | null => readJSON<CollabSyncState>(COLLAB_STATE_KEY_PREFIX + projectId);
+
+export const saveCollabSyncState = (projectId: string, state: CollabSyncState) => writeJSON(COLLAB_STATE_KEY_PREFIX + projectId, state);
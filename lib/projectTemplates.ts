@@ -0,0 +1,252 @@
+import type { ProjectData, ProjectTemplate, Task, TemplateTask } from '../types.ts';
+import type { Language } from '../contexts/LanguageContext.tsx';
+import {
+    parseUTCDateString,
+    formatDateUTC,
+    addWorkingDays,
+    addOrSubtractWorkingDays,
+    calculateWorkingDays,
+    getWorkingDayOffset,
+    WorkingCalendar,
+} from './dateUtils.ts';
+import { rescheduleSuccessors } from './dependencies.ts';
+import { createProjectId } from './projectStorage.ts';
+import { rollUpSummaryTasks } from './taskTree.ts';
+
+// --- Project Templates ---
+// Task dates are stored as working-day offsets from the first working day of the project, and laid
+// out again from a new start date against the calendar in use when the project is created.
+
+export interface TemplateProjectOptions {
+    projectName: string;
+    startDate: string;
+    clearProgress: boolean;
+    clearAssignees: boolean;
+}
+
+const getFirstWorkingDay = (date: Date, calendar: WorkingCalendar): Date => addWorkingDays(date, 1, calendar);
+
+export const createTemplateFromProject = (data: ProjectData, name: string, calendar: WorkingCalendar): ProjectTemplate => {
+    const projectStart = parseUTCDateString(data.projectStart) || new Date();
+    const anchor = getFirstWorkingDay(projectStart, calendar);
+    const projectEnd = parseUTCDateString(data.projectEnd);
+
+    const tasks: TemplateTask[] = data.tasks.map(({ startDate, endDate, ...task }) => {
+        const start = parseUTCDateString(startDate);
+        const end = parseUTCDateString(endDate);
+        if (!start || !end || end < start) return { ...task, startOffset: null, duration: 1 };
+        return {
+            ...task,
+            startOffset: getWorkingDayOffset(anchor, start, calendar),
+            duration: Math.max(1, calculateWorkingDays(start, end, calendar)),
+        };
+    });
+
+    return {
+        id: createProjectId(),
+        name,
+        createdAt: Date.now(),
+        projectEndOffset: projectEnd ? getWorkingDayOffset(anchor, projectEnd, calendar) : 0,
+        tasks,
+        customFields: data.settings.customFields,
+        categories: data.settings.categories,
+    };
+};
+
+// `base` is a new project with the settings to use; its calendar must be the one in `calendar`.
+export const createProjectFromTemplate = (
+    template: ProjectTemplate,
+    options: TemplateProjectOptions,
+    base: ProjectData,
+    calendar: WorkingCalendar
+): ProjectData => {
+    const start = parseUTCDateString(options.startDate) || new Date();
+    const anchor = getFirstWorkingDay(start, calendar);
+    let latestEnd = addOrSubtractWorkingDays(anchor, template.projectEndOffset, calendar);
+
+    const laidOut: Task[] = template.tasks.map(({ startOffset, duration, ...task }) => {
+        const next: Task = { ...task, startDate: '', endDate: '' };
+        if (options.clearProgress) next.progress = 0;
+        if (options.clearAssignees) next.assignee = '';
+        if (startOffset === null) return next;
+
+        const taskStart = addOrSubtractWorkingDays(anchor, startOffset, calendar);
+        const taskEnd = task.milestone ? taskStart : addWorkingDays(taskStart, duration, calendar);
+        if (taskEnd > latestEnd) latestEnd = taskEnd;
+        return { ...next, startDate: formatDateUTC(taskStart), endDate: formatDateUTC(taskEnd) };
+    });
+    // Holidays that fall differently can bring linked tasks too close; push them apart again.
+    const tasks = rollUpSummaryTasks(rescheduleSuccessors(laidOut, laidOut.map(task => task.id), calendar), calendar);
+    tasks.forEach(task => {
+        const end = parseUTCDateString(task.endDate);
+        if (end && end > latestEnd) latestEnd = end;
+    });
+
+    return {
+        ...base,
+        projectName: options.projectName,
+        projectStart: formatDateUTC(start),
+        projectEnd: formatDateUTC(latestEnd),
+        tasks,
+        settings: {
+            ...base.settings,
+            customFields: template.customFields || [],
+            categories: template.categories || [],
+        },
+        baselines: [],
+        selectedBaselineId: null,
+    };
+};
+
+// --- Built-in Sample Templates ---
+
+interface SampleTask {
+    en: string;
+    ja: string;
+    duration: number;    // Working days; milestones take the day after their predecessor
+    milestone?: boolean;
+    parallel?: boolean;  // Starts together with the previous task instead of after it
+}
+
+interface SamplePhase {
+    en: string;
+    ja: string;
+    tasks: SampleTask[];
+}
+
+interface SampleTemplate {
+    id: string;
+    name: { en: string; ja: string };
+    phases: SamplePhase[];
+}
+
+const SAMPLE_TEMPLATES: SampleTemplate[] = [
+    {
+        id: 'sample-wooden-house',
+        name: { en: 'Wooden house (new build)', ja: '木造住宅 新築' },
+        phases: [
+            {
+                en: 'Preparation', ja: '着工準備', tasks: [
+                    { en: 'Ground survey', ja: '地盤調査', duration: 2 },
+                    { en: 'Groundbreaking ceremony', ja: '地鎮祭', duration: 1, milestone: true },
+                    { en: 'Batter boards', ja: '遣り方', duration: 1 },
+                ],
+            },
+            {
+                en: 'Foundation', ja: '基礎工事', tasks: [
+                    { en: 'Excavation', ja: '根切り', duration: 2 },
+                    { en: 'Rebar', ja: '配筋', duration: 3 },
+                    { en: 'Rebar inspection', ja: '配筋検査', duration: 1, milestone: true },
+                    { en: 'Pour foundation concrete', ja: '基礎コンクリート打設', duration: 2 },
+                    { en: 'Curing', ja: '養生', duration: 5 },
+                ],
+            },
+            {
+                en: 'Framing', ja: '躯体工事', tasks: [
+                    { en: 'Sill plates', ja: '土台敷き', duration: 1 },
+                    { en: 'Framing erection', ja: '建方', duration: 2 },
+                    { en: 'Topping out', ja: '上棟', duration: 1, milestone: true },
+                    { en: 'Roofing', ja: '屋根工事', duration: 5 },
+                    { en: 'Exterior walls', ja: '外壁工事', duration: 10 },
+                ],
+            },
+            {
+                en: 'Services & interior', ja: '設備・内装工事', tasks: [
+                    { en: 'Electrical rough-in', ja: '電気配線', duration: 4 },
+                    { en: 'Plumbing', ja: '給排水配管', duration: 4, parallel: true },
+                    { en: 'Insulation', ja: '断熱工事', duration: 3 },
+                    { en: 'Drywall', ja: 'ボード張り', duration: 6 },
+                    { en: 'Interior finishes', ja: '内装仕上げ', duration: 10 },
+                    { en: 'Fixture installation', ja: '設備器具取付', duration: 3 },
+                ],
+            },
+            {
+                en: 'Completion', ja: '完成', tasks: [
+                    { en: 'Final cleaning', ja: '美装', duration: 2 },
+                    { en: 'Completion inspection', ja: '完了検査', duration: 1, milestone: true },
+                    { en: 'Handover', ja: '引き渡し', duration: 1, milestone: true },
+                ],
+            },
+        ],
+    },
+    {
+        id: 'sample-renovation',
+        name: { en: 'Interior renovation', ja: '内装リフォーム' },
+        phases: [
+            {
+                en: 'Renovation', ja: 'リフォーム工事', tasks: [
+                    { en: 'Site survey', ja: '現地調査', duration: 1 },
+                    { en: 'Protection', ja: '養生', duration: 1 },
+                    { en: 'Demolition & removal', ja: '解体・撤去', duration: 3 },
+                    { en: 'Plumbing', ja: '設備配管', duration: 2 },
+                    { en: 'Electrical', ja: '電気工事', duration: 2, parallel: true },
+                    { en: 'Carpentry', ja: '木工事', duration: 5 },
+                    { en: 'Wallpaper & flooring', ja: 'クロス・床仕上げ', duration: 4 },
+                    { en: 'Fixtures', ja: '器具取付', duration: 2 },
+                    { en: 'Cleaning', ja: '美装', duration: 1 },
+                    { en: 'Handover', ja: '引き渡し', duration: 1, milestone: true },
+                ],
+            },
+        ],
+    },
+    {
+        id: 'sample-exterior',
+        name: { en: 'Exterior works', ja: '外構工事' },
+        phases: [
+            {
+                en: 'Exterior works', ja: '外構工事', tasks: [
+                    { en: 'Survey & layout', ja: '測量・丁張り', duration: 1 },
+                    { en: 'Excavation', ja: '掘削', duration: 2 },
+                    { en: 'Concrete slab', ja: '土間コンクリート', duration: 3 },
+                    { en: 'Block walls', ja: 'ブロック積み', duration: 4, parallel: true },
+                    { en: 'Fences', ja: 'フェンス設置', duration: 2 },
+                    { en: 'Planting', ja: '植栽', duration: 2 },
+                    { en: 'Cleaning & handover', ja: '清掃・引き渡し', duration: 1 },
+                ],
+            },
+        ],
+    },
+];
+
+// Tasks are chained finish-to-start (or start-to-start when `parallel`), phases one after another.
+const buildSampleTemplate = (sample: SampleTemplate, language: Language): ProjectTemplate => {
+    const tasks: TemplateTask[] = [];
+    let previous: TemplateTask | null = null;
+    let cursor = 0; // Offset of the first day after the previous task
+
+    sample.phases.forEach((phase, phaseIndex) => {
+        const phaseId = `${sample.id}-${phaseIndex + 1}`;
+        tasks.push({ id: phaseId, name: phase[language], progress: 0, startOffset: null, duration: 1 });
+        phase.tasks.forEach((sampleTask, taskIndex) => {
+            const startOffset = sampleTask.parallel && previous ? previous.startOffset! : cursor;
+            const task: TemplateTask = {
+                id: `${phaseId}-${taskIndex + 1}`,
+                name: sampleTask[language],
+                assignee: '',
+                progress: 0,
+                parentId: phaseId,
+                startOffset,
+                duration: sampleTask.milestone ? 1 : sampleTask.duration,
+                milestone: sampleTask.milestone || undefined,
+                dependencies: previous
+                    ? [{ predecessorId: previous.id, type: sampleTask.parallel ? 'SS' : 'FS', lag: 0 }]
+                    : undefined,
+            };
+            tasks.push(task);
+            cursor = Math.max(cursor, startOffset + task.duration);
+            previous = task;
+        });
+    });
+
+    return {
+        id: sample.id,
+        name: sample.name[language],
+        createdAt: 0,
+        builtIn: true,
+        projectEndOffset: cursor - 1,
+        tasks,
+    };
+};
+
+export const getBuiltInTemplates = (language: Language): ProjectTemplate[] =>
+    SAMPLE_TEMPLATES.map(sample => buildSampleTemplate(sample, language));
@@ -0,0 +1,77 @@
+import type { Task } from '../types.ts';
+import type { WorkingCalendar } from './dateUtils.ts';
+import { getParentIds } from './taskTree.ts';
+import { getDailyWorkingMinutes } from './workingHours.ts';
+
+// --- Resource (Assignee) Workload ---
+
+export interface AssigneeLoad {
+    assignee: string;
+    dailyLoad: Map<number, number>;      // UTC timestamp -> man-days planned on that day
+    overAllocatedDates: Set<number>;     // Days whose load exceeds the daily capacity
+}
+
+// Spreads each task's man-hours over its working days in proportion to the hours worked on each day and
+// totals them per assignee. Summary tasks are skipped because their man-hours are rolled up from their children.
+export const calculateResourceLoads = (
+    tasks: Task[],
+    calendar: WorkingCalendar,
+    dailyCapacity: number
+): { loads: AssigneeLoad[]; overAllocatedTaskIds: Set<string> } => {
+    const summaryIds = getParentIds(tasks);
+    const loadsByAssignee = new Map<string, AssigneeLoad>();
+    const taskDaysByAssignee = new Map<string, { taskId: string; days: number[] }[]>();
+
+    tasks.forEach(task => {
+        const assignee = task.assignee?.trim();
+        if (!assignee || !task.manHours || summaryIds.has(task.id)) return;
+
+        const dailyMinutes = getDailyWorkingMinutes(task, calendar);
+        const days = Array.from(dailyMinutes.keys());
+        if (days.length === 0) return;
+        let totalMinutes = 0;
+        dailyMinutes.forEach(minutes => { totalMinutes += minutes; });
+
+        let load = loadsByAssignee.get(assignee);
+        if (!load) {
+            load = { assignee, dailyLoad: new Map(), overAllocatedDates: new Set() };
+            loadsByAssignee.set(assignee, load);
+            taskDaysByAssignee.set(assignee, []);
+        }
+        dailyMinutes.forEach((minutes, day) => {
+            load!.dailyLoad.set(day, (load!.dailyLoad.get(day) || 0) + task.manHours! * minutes / totalMinutes);
+        });
+        taskDaysByAssignee.get(assignee)!.push({ taskId: task.id, days });
+    });
+
+    const overAllocatedTaskIds = new Set<string>();
+    loadsByAssignee.forEach((load, assignee) => {
+        load.dailyLoad.forEach((value, day) => {
+            // Tolerate floating-point noise from splitting man-hours across days.
+            if (value > dailyCapacity + 1e-9) load.overAllocatedDates.add(day);
+        });
+        taskDaysByAssignee.get(assignee)!.forEach(({ taskId, days }) => {
+            if (days.some(day => load.overAllocatedDates.has(day))) overAllocatedTaskIds.add(taskId);
+        });
+    });
+
+    const loads = Array.from(loadsByAssignee.values()).sort((a, b) => a.assignee.localeCompare(b.assignee));
+    return { loads, overAllocatedTaskIds };
+};
+
+// Lists the non-summary tasks ordered by assignee (unassigned last), keeping the manual order within each group.
+export const groupTasksByAssignee = (tasks: Task[]): Task[] => {
+    const summaryIds = getParentIds(tasks);
+    const leafTasks = tasks.filter(task => !summaryIds.has(task.id));
+    return leafTasks
+        .map((task, index) => ({ task, index, assignee: task.assignee?.trim() || '' }))
+        .sort((a, b) => {
+            if (a.assignee !== b.assignee) {
+                if (!a.assignee) return 1;
+                if (!b.assignee) return -1;
+                return a.assignee.localeCompare(b.assignee);
+            }
+            return a.index - b.index;
+        })
+        .map(({ task }) => task);
+};
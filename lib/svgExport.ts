@@ -0,0 +1,40 @@
+// --- Chart Image Export ---
+// Charts are rendered as self-contained SVG, so saving one is a matter of serializing the element.
+
+const PNG_SCALE = 2; // Rendered at twice the chart size so the image stays sharp on high-DPI screens
+
+// Gives the copy its natural size instead of the `100%` it is laid out with on screen.
+const toStandaloneSvg = (svg: SVGSVGElement): { markup: string; width: number; height: number } => {
+    const { width, height } = svg.viewBox.baseVal;
+    const clone = svg.cloneNode(true) as SVGSVGElement;
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    clone.setAttribute('width', String(width));
+    clone.setAttribute('height', String(height));
+    return { markup: new XMLSerializer().serializeToString(clone), width, height };
+};
+
+export const svgToSvgBlob = (svg: SVGSVGElement): Blob =>
+    new Blob([`<?xml version="1.0" encoding="UTF-8"?>\n${toStandaloneSvg(svg).markup}`], { type: 'image/svg+xml' });
+
+export const svgToPngBlob = (svg: SVGSVGElement): Promise<Blob> => {
+    const { markup, width, height } = toStandaloneSvg(svg);
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+    return new Promise<Blob>((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width * PNG_SCALE;
+            canvas.height = height * PNG_SCALE;
+            const context = canvas.getContext('2d');
+            if (!context) {
+                reject(new Error('Canvas is not supported'));
+                return;
+            }
+            context.scale(PNG_SCALE, PNG_SCALE);
+            context.drawImage(image, 0, 0, width, height);
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Failed to encode PNG'))), 'image/png');
+        };
+        image.onerror = () => reject(new Error('Failed to render SVG'));
+        image.src = url;
+    }).finally(() => URL.revokeObjectURL(url));
+};
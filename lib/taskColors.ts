@@ -0,0 +1,99 @@
+import type { Task, TaskCategory, BarPattern } from '../types.ts';
+
+// --- Task Bar Colors, Categories & Text Contrast ---
+
+export const BAR_PATTERNS: BarPattern[] = ['solid', 'stripes', 'dots', 'crosshatch'];
+
+const DARK_TEXT_COLOR = '#1e293b';
+const LIGHT_TEXT_COLOR = '#ffffff';
+// WCAG AA for large text; bar labels are short and medium weight.
+const MIN_TEXT_CONTRAST = 3;
+
+// Accepts #rgb and #rrggbb. Anything else (e.g. a half-typed value in settings) yields null.
+const parseHexColor = (color: string): [number, number, number] | null => {
+    const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color.trim());
+    if (!match) return null;
+    const hex = match[1].length === 3 ? match[1].split('').map(c => c + c).join('') : match[1];
+    return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16)) as [number, number, number];
+};
+
+const toHexColor = (rgb: number[]): string =>
+    `#${rgb.map(value => Math.round(Math.max(0, Math.min(255, value))).toString(16).padStart(2, '0')).join('')}`;
+
+export const isValidHexColor = (color: string): boolean => parseHexColor(color) !== null;
+
+// Relative luminance as defined by WCAG 2.
+const getRelativeLuminance = ([r, g, b]: [number, number, number]): number => {
+    const [lr, lg, lb] = [r, g, b].map(value => {
+        const channel = value / 255;
+        return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+};
+
+const getContrastRatio = (a: [number, number, number], b: [number, number, number]): number => {
+    const [lighter, darker] = [getRelativeLuminance(a), getRelativeLuminance(b)].sort((x, y) => y - x);
+    return (lighter + 0.05) / (darker + 0.05);
+};
+
+export const isDarkColor = (color: string): boolean => {
+    const rgb = parseHexColor(color);
+    return !!rgb && getRelativeLuminance(rgb) < 0.18;
+};
+
+// Keeps the preferred text color while it stays readable on the background, otherwise switches
+// to dark or white text, whichever contrasts more.
+export const getReadableTextColor = (background: string, preferred: string): string => {
+    const backgroundRgb = parseHexColor(background);
+    const preferredRgb = parseHexColor(preferred);
+    if (!backgroundRgb) return preferred;
+    if (preferredRgb && getContrastRatio(preferredRgb, backgroundRgb) >= MIN_TEXT_CONTRAST) return preferred;
+    const dark = parseHexColor(DARK_TEXT_COLOR)!;
+    const light = parseHexColor(LIGHT_TEXT_COLOR)!;
+    return getContrastRatio(dark, backgroundRgb) >= getContrastRatio(light, backgroundRgb) ? DARK_TEXT_COLOR : LIGHT_TEXT_COLOR;
+};
+
+// Mixes the color towards black by `amount` (0..1). Used to derive a progress color from a
+// single per-task color override.
+export const darkenColor = (color: string, amount: number): string => {
+    const rgb = parseHexColor(color);
+    return rgb ? toHexColor(rgb.map(value => value * (1 - amount))) : color;
+};
+
+export interface TaskBarColors {
+    base: string;
+    progress: string;
+    pattern: BarPattern;
+}
+
+export const getTaskBarColors = (
+    task: Task,
+    categoriesById: Map<string, TaskCategory>,
+    defaults: { base: string; progress: string }
+): TaskBarColors => {
+    const category = task.categoryId ? categoriesById.get(task.categoryId) : undefined;
+    const pattern = category?.pattern || 'solid';
+    if (task.color && isValidHexColor(task.color)) {
+        return { base: task.color, progress: darkenColor(task.color, 0.35), pattern };
+    }
+    if (category) return { base: category.baseColor, progress: category.progressColor, pattern };
+    return { base: defaults.base, progress: defaults.progress, pattern };
+};
+
+// CSS background drawn over a bar. The pattern ink follows the bar brightness so it shows on
+// both light and dark colors.
+export const getBarPatternStyle = (pattern: BarPattern, background: string): { backgroundImage: string; backgroundSize?: string } | undefined => {
+    const ink = isDarkColor(background) ? 'rgba(255, 255, 255, 0.45)' : 'rgba(15, 23, 42, 0.35)';
+    switch (pattern) {
+        case 'stripes':
+            return { backgroundImage: `repeating-linear-gradient(45deg, ${ink} 0 2px, transparent 2px 7px)` };
+        case 'crosshatch':
+            return {
+                backgroundImage: `repeating-linear-gradient(45deg, ${ink} 0 1.5px, transparent 1.5px 7px), repeating-linear-gradient(-45deg, ${ink} 0 1.5px, transparent 1.5px 7px)`,
+            };
+        case 'dots':
+            return { backgroundImage: `radial-gradient(${ink} 1.5px, transparent 2px)`, backgroundSize: '6px 6px' };
+        default:
+            return undefined;
+    }
+};
@@ -0,0 +1,463 @@
+import type { Task, TaskDependency, DependencyType } from '../types.ts';
+import {
+    getDescendantIds,
+    indentTask,
+    outdentTask,
+    moveTaskBlock,
+    duplicateTaskBlock,
+    getSelectionRootIds,
+    insertTaskAfter,
+    shiftTasksByWorkingDays,
+} from './taskTree.ts';
+import {
+    formatDateUTC,
+    addDaysUTC,
+    parseUTCDateString,
+    addWorkingDays,
+    addOrSubtractWorkingDays,
+    calculateWorkingDays,
+    getWorkingDayOffset,
+    WorkingCalendar,
+} from './dateUtils.ts';
+import {
+    getTaskStart,
+    getWorkingMinutesBetweenTimes,
+    addWorkingMinutes,
+    getNextWorkingTime,
+    compareDateTimes,
+    shiftTimelineMinutes,
+    toTaskDateTimes,
+    DateTime,
+} from './workingHours.ts';
+import { wouldCreateCycle, rescheduleSuccessors, removeDependenciesTo } from './dependencies.ts';
+import { setCustomValue } from './customFields.ts';
+
+// --- Task Editing ---
+// The edits the chart makes to the task list, shared by the app and the embeddable chart. Every edit
+// goes through `updateTasks` together with a description of what the user did, so that embedders can
+// tell moves, resizes, new rows, reordering and deletions apart.
+
+export type DragActionType = 'move' | 'resize-start' | 'resize-end';
+
+export type TaskEdit =
+    | { type: 'create' }
+    | { type: 'delete' }
+    | { type: 'move'; taskId: string }
+    | { type: 'resize'; taskId: string; edge: 'start' | 'end' }
+    | { type: 'reorder'; taskId: string } // Also indenting and outdenting
+    | { type: 'update'; taskId: string }; // Any other change to a task's fields or links
+
+export interface TaskEditorOptions {
+    tasks: Task[];
+    updateTasks: (updater: (currentTasks: Task[]) => Task[], edit: TaskEdit) => void;
+    projectStart: string;
+    projectEnd: string;
+    workingCalendar: WorkingCalendar;
+    selectedTaskIds: Set<string>;
+    newTaskName: string;
+    copySuffix: string;
+}
+
+// Removes tasks together with their subtrees and any links pointing at them.
+export const removeTaskBlocks = (tasks: Task[], taskIds: string[]): Task[] => {
+    const removedIds = new Set(taskIds);
+    taskIds.forEach(taskId => getDescendantIds(tasks, taskId).forEach(id => removedIds.add(id)));
+    return removeDependenciesTo(tasks.filter(task => !removedIds.has(task.id)), removedIds);
+};
+
+// Whether an edit has taken any of the changed tasks outside the project period.
+const leavesProjectPeriod = (updated: Task[], previous: Task[], periodStart: Date, periodEnd: Date): boolean =>
+    updated.some((task, i) => {
+        if (task === previous[i]) return false;
+        const start = parseUTCDateString(task.startDate);
+        const end = parseUTCDateString(task.endDate);
+        return !!start && !!end && (start < periodStart || end > periodEnd);
+    });
+
+const getDragEdit = (taskId: string, actionType: DragActionType): TaskEdit =>
+    actionType === 'move' ? { type: 'move', taskId } : { type: 'resize', taskId, edge: actionType === 'resize-start' ? 'start' : 'end' };
+
+export const createTaskEditor = ({
+    tasks,
+    updateTasks,
+    projectStart,
+    projectEnd,
+    workingCalendar,
+    selectedTaskIds,
+    newTaskName,
+    copySuffix,
+}: TaskEditorOptions) => {
+    const createTask = (id: string, taskCount: number): Task => (
+        { id, name: `${newTaskName} ${taskCount + 1}`, assignee: '', startDate: '', endDate: '', progress: 0, manHours: 0 }
+    );
+
+    const addTask = () => {
+        const newId = Date.now().toString();
+        updateTasks(prev => [...prev, createTask(newId, prev.length)], { type: 'create' });
+    };
+
+    const deleteTask = (id: string) => {
+        updateTasks(prev => removeTaskBlocks(prev, [id]), { type: 'delete' });
+    };
+
+    // Returns the id of the new row so the grid can move the focus to it.
+    const insertTask = (afterTaskId: string): string => {
+        const newId = Date.now().toString();
+        updateTasks(prev => insertTaskAfter(prev, afterTaskId, createTask(newId, prev.length)), { type: 'create' });
+        return newId;
+    };
+
+    const duplicateTask = (taskId: string) => {
+        updateTasks(currentTasks => duplicateTaskBlock(currentTasks, taskId, copySuffix), { type: 'create' });
+    };
+
+    const changeTask = (id: string, field: keyof Task, value: string | number | undefined) => {
+        updateTasks(prev => {
+            const updated = prev.map(task => {
+                if (task.id !== id) return task;
+                // A milestone sits on a single date, so either date field moves both.
+                if (task.milestone && (field === 'startDate' || field === 'endDate')) {
+                    return { ...task, startDate: value as string, endDate: value as string };
+                }
+                return { ...task, [field]: value };
+            });
+            if (field === 'startDate' || field === 'endDate') {
+                return rescheduleSuccessors(updated, [id], workingCalendar);
+            }
+            return updated;
+        }, { type: 'update', taskId: id });
+    };
+
+    const changeCustomValue = (taskId: string, fieldId: string, value: string | number | undefined) => {
+        updateTasks(prev => prev.map(task => (task.id === taskId ? setCustomValue(task, fieldId, value) : task)), { type: 'update', taskId });
+    };
+
+    const toggleMilestone = (taskId: string) => {
+        updateTasks(prev => rescheduleSuccessors(prev.map(task => {
+            if (task.id !== taskId) return task;
+            if (task.milestone) return { ...task, milestone: false };
+            return { ...task, milestone: true, endDate: task.startDate, startTime: undefined, endTime: undefined };
+        }), [taskId], workingCalendar), { type: 'update', taskId });
+    };
+
+    // Durations are in working days; a fraction is that share of the working hours (0.5 is half a day).
+    const changeDuration = (task: Task, newDurationStr: string) => {
+        const newDuration = parseFloat(newDurationStr);
+        if (isNaN(newDuration) || newDuration <= 0) return;
+
+        const start = getTaskStart(task, workingCalendar);
+        if (start) {
+            const workingMinutes = Math.round(newDuration * workingCalendar.hours.minutes);
+            const end = addWorkingMinutes(getNextWorkingTime(start, workingCalendar), workingMinutes, workingCalendar);
+            const { endDate, endTime } = toTaskDateTimes(start, end, workingCalendar);
+            updateTasks(prev => rescheduleSuccessors(prev.map(t => (
+                t.id === task.id ? { ...t, endDate, endTime } : t
+            )), [task.id], workingCalendar), { type: 'resize', taskId: task.id, edge: 'end' });
+        }
+    };
+
+    const changeProgress = (taskId: string, newProgressStr: string) => {
+        let newProgress = parseInt(newProgressStr, 10);
+        if (isNaN(newProgress)) {
+            newProgress = 0;
+        }
+        const clampedProgress = Math.max(0, Math.min(100, newProgress));
+        changeTask(taskId, 'progress', clampedProgress);
+    };
+
+    const changeManHours = (taskId: string, newManHoursStr: string) => {
+        const newManHours = parseFloat(newManHoursStr);
+        if (isNaN(newManHours)) {
+            changeTask(taskId, 'manHours', undefined);
+            return;
+        }
+        const clampedManHours = Math.max(0, newManHours);
+        changeTask(taskId, 'manHours', clampedManHours);
+    };
+
+    const setTaskDates = (taskId: string, startDateStr: string, endDateStr: string) => {
+        const d1 = parseUTCDateString(startDateStr);
+        const d2 = parseUTCDateString(endDateStr);
+        if (d1 && d2) {
+            const finalStartDate = d1.getTime() < d2.getTime() ? startDateStr : endDateStr;
+            const finalEndDate = d1.getTime() < d2.getTime() ? endDateStr : startDateStr;
+
+            updateTasks(prev => rescheduleSuccessors(prev.map(task =>
+                task.id === taskId
+                ? { ...task, startDate: finalStartDate, endDate: task.milestone ? finalStartDate : finalEndDate }
+                : task
+            ), [taskId], workingCalendar), { type: 'update', taskId });
+        }
+    };
+
+    // Shifts tasks by a number of working days; summary tasks take their whole subtree along.
+    // Like a drag, this never takes a bar outside the project period: such a shift leaves the tasks unchanged.
+    const shiftTasksWithinProject = (currentTasks: Task[], taskIds: string[], offset: number): Task[] => {
+        const pStart = parseUTCDateString(projectStart);
+        const pEnd = parseUTCDateString(projectEnd);
+        if (!pStart || !pEnd || offset === 0) return currentTasks;
+
+        const movedIds = new Set<string>();
+        taskIds.forEach(taskId => {
+            const descendantIds = getDescendantIds(currentTasks, taskId);
+            if (descendantIds.size > 0) descendantIds.forEach(id => movedIds.add(id));
+            else movedIds.add(taskId);
+        });
+        const shifted = shiftTasksByWorkingDays(currentTasks, movedIds, offset, workingCalendar);
+        if (leavesProjectPeriod(shifted, currentTasks, pStart, pEnd)) return currentTasks;
+        return rescheduleSuccessors(shifted, Array.from(movedIds), workingCalendar);
+    };
+
+    // Keyboard counterpart of dragging a bar: moves it, or one of its edges, by one working day.
+    const nudgeTask = (taskId: string, actionType: DragActionType, direction: 1 | -1) => {
+        const pStart = parseUTCDateString(projectStart);
+        const pEnd = parseUTCDateString(projectEnd);
+        if (!pStart || !pEnd) return;
+
+        updateTasks(currentTasks => {
+            const task = currentTasks.find(t => t.id === taskId);
+            const start = task ? parseUTCDateString(task.startDate) : null;
+            const end = task ? parseUTCDateString(task.endDate) : null;
+            if (!task || !start || !end) return currentTasks;
+
+            // Summary bars and milestones can only be moved.
+            const isSummary = getDescendantIds(currentTasks, taskId).size > 0;
+            if (actionType === 'move' || isSummary || task.milestone) {
+                return shiftTasksWithinProject(currentTasks, [taskId], direction);
+            }
+
+            const newStart = actionType === 'resize-start' ? addOrSubtractWorkingDays(start, direction, workingCalendar) : start;
+            const newEnd = actionType === 'resize-end' ? addOrSubtractWorkingDays(end, direction, workingCalendar) : end;
+            if (newEnd < newStart || newStart < pStart || newEnd > pEnd) return currentTasks;
+            return rescheduleSuccessors(currentTasks.map(t => (
+                t.id === taskId ? { ...t, startDate: formatDateUTC(newStart), endDate: formatDateUTC(newEnd) } : t
+            )), [taskId], workingCalendar);
+        }, getDragEdit(taskId, actionType));
+    };
+
+    const dragTask = (
+        taskId: string,
+        actionType: DragActionType,
+        initialStartDate: Date,
+        initialEndDate: Date,
+        dayOffset: number
+    ) => {
+        const pStart = parseUTCDateString(projectStart);
+        const pEnd = parseUTCDateString(projectEnd);
+        if (!pStart || !pEnd) return;
+
+        const getDraggedDates = () => {
+            let newStartDate: Date;
+            let newEndDate: Date;
+
+            switch (actionType) {
+                case 'move': {
+                    const durationInWorkingDays = calculateWorkingDays(initialStartDate, initialEndDate, workingCalendar) || 1;
+                    let potentialStartDate = addDaysUTC(initialStartDate, dayOffset);
+
+                    if (potentialStartDate.getTime() < pStart.getTime()) {
+                        potentialStartDate = pStart;
+                    }
+                    let potentialEndDate = addWorkingDays(potentialStartDate, durationInWorkingDays, workingCalendar);
+
+                    if (potentialEndDate.getTime() > pEnd.getTime()) {
+                        potentialEndDate = pEnd;
+                        potentialStartDate = addOrSubtractWorkingDays(potentialEndDate, -(durationInWorkingDays - 1), workingCalendar);
+                        if (potentialStartDate.getTime() < pStart.getTime()) {
+                            potentialStartDate = pStart;
+                        }
+                    }
+                    newStartDate = potentialStartDate;
+                    newEndDate = addWorkingDays(newStartDate, durationInWorkingDays, workingCalendar);
+                    if (newEndDate.getTime() > pEnd.getTime()) newEndDate = pEnd;
+                    if (newEndDate < newStartDate) newEndDate = newStartDate;
+                    break;
+                }
+                case 'resize-start': {
+                    newStartDate = addDaysUTC(initialStartDate, dayOffset);
+                    newEndDate = initialEndDate;
+                    if (newStartDate.getTime() < pStart.getTime()) newStartDate = pStart;
+                    if (newStartDate.getTime() > newEndDate.getTime()) [newStartDate, newEndDate] = [newEndDate, newStartDate];
+                    break;
+                }
+                case 'resize-end': {
+                    newStartDate = initialStartDate;
+                    newEndDate = addDaysUTC(initialEndDate, dayOffset);
+                    if (newEndDate.getTime() > pEnd.getTime()) newEndDate = pEnd;
+                    if (newEndDate.getTime() < newStartDate.getTime()) [newEndDate, newStartDate] = [newEndDate, newStartDate];
+                    break;
+                }
+            }
+            return { newStartDate, newEndDate };
+        };
+
+        updateTasks(currentTasks => {
+            const { newStartDate, newEndDate } = getDraggedDates();
+            const isSummary = getDescendantIds(currentTasks, taskId).size > 0;
+            const isGroupMove = actionType === 'move' && selectedTaskIds.size > 1 && selectedTaskIds.has(taskId);
+
+            // Summary bars cannot be resized; moving one shifts its whole subtree. Moving one of
+            // several selected bars moves the whole selection by the same number of working days.
+            if (isSummary || isGroupMove) {
+                const dragged = currentTasks.find(task => task.id === taskId);
+                const currentStart = dragged ? parseUTCDateString(dragged.startDate) : null;
+                if (actionType !== 'move' || !currentStart) return currentTasks;
+                const offset = getWorkingDayOffset(currentStart, newStartDate, workingCalendar);
+                const movedIds = isGroupMove ? getSelectionRootIds(currentTasks, selectedTaskIds) : [taskId];
+                return shiftTasksWithinProject(currentTasks, movedIds, offset);
+            }
+
+            return rescheduleSuccessors(
+                currentTasks.map(task => {
+                    if (task.id !== taskId) return task;
+                    if (task.milestone) {
+                        // Milestones can only be moved; they land on the working day the drag snaps to.
+                        if (actionType !== 'move') return task;
+                        const milestoneDate = formatDateUTC(newEndDate);
+                        return { ...task, startDate: milestoneDate, endDate: milestoneDate };
+                    }
+                    return { ...task, startDate: formatDateUTC(newStartDate), endDate: formatDateUTC(newEndDate) };
+                }),
+                [taskId],
+                workingCalendar
+            );
+        }, getDragEdit(taskId, actionType));
+    };
+
+    // Hour timescale counterpart of `dragTask`: edges move in steps of `snapMinutes` and a moved
+    // bar keeps its working time. Summary bars, selections and milestones still move by whole days.
+    const dragTaskTime = (
+        taskId: string,
+        actionType: DragActionType,
+        initialStart: DateTime,
+        initialEnd: DateTime,
+        minuteOffset: number,
+        snapMinutes: number
+    ) => {
+        const pStart = parseUTCDateString(projectStart);
+        const pEnd = parseUTCDateString(projectEnd);
+        const task = tasks.find(t => t.id === taskId);
+        if (!pStart || !pEnd || !task) return;
+
+        const isSummary = getDescendantIds(tasks, taskId).size > 0;
+        const isGroupMove = actionType === 'move' && selectedTaskIds.size > 1 && selectedTaskIds.has(taskId);
+        if (isSummary || isGroupMove || task.milestone) {
+            const workdaySpan = workingCalendar.hours.end - workingCalendar.hours.start;
+            dragTask(taskId, actionType, initialStart.date, initialEnd.date, Math.round(minuteOffset / workdaySpan));
+            return;
+        }
+
+        const projectFirst: DateTime = { date: pStart, minute: workingCalendar.hours.start };
+        const projectLast: DateTime = { date: pEnd, minute: workingCalendar.hours.end };
+        let newStart = initialStart;
+        let newEnd = initialEnd;
+        if (actionType === 'move') {
+            const workingMinutes = getWorkingMinutesBetweenTimes(initialStart, initialEnd, workingCalendar);
+            newStart = shiftTimelineMinutes(initialStart, minuteOffset, snapMinutes, workingCalendar, 'start');
+            if (compareDateTimes(newStart, projectFirst) < 0) newStart = projectFirst;
+            newStart = getNextWorkingTime(newStart, workingCalendar);
+            newEnd = addWorkingMinutes(newStart, workingMinutes, workingCalendar);
+        } else if (actionType === 'resize-start') {
+            newStart = shiftTimelineMinutes(initialStart, minuteOffset, snapMinutes, workingCalendar, 'start');
+            if (compareDateTimes(newStart, projectFirst) < 0) newStart = projectFirst;
+        } else {
+            newEnd = shiftTimelineMinutes(initialEnd, minuteOffset, snapMinutes, workingCalendar, 'end');
+            if (compareDateTimes(newEnd, projectLast) > 0) newEnd = projectLast;
+        }
+        // The bar stays inside the project and keeps some working time; other positions are not taken.
+        if (compareDateTimes(newEnd, projectLast) > 0 || getWorkingMinutesBetweenTimes(newStart, newEnd, workingCalendar) === 0) return;
+
+        const dates = toTaskDateTimes(newStart, newEnd, workingCalendar);
+        updateTasks(currentTasks => rescheduleSuccessors(
+            currentTasks.map(t => (t.id === taskId ? { ...t, ...dates } : t)),
+            [taskId],
+            workingCalendar
+        ), getDragEdit(taskId, actionType));
+    };
+
+    // Returns false, leaving the tasks unchanged, when the link would close a loop.
+    const addDependency = (predecessorId: string, successorId: string, type: DependencyType): boolean => {
+        if (wouldCreateCycle(tasks, predecessorId, successorId)) return false;
+        updateTasks(currentTasks => {
+            const withLink = currentTasks.map(task => {
+                if (task.id !== successorId) return task;
+                const others = (task.dependencies || []).filter(dep => dep.predecessorId !== predecessorId);
+                return { ...task, dependencies: [...others, { predecessorId, type, lag: 0 }] };
+            });
+            return rescheduleSuccessors(withLink, [predecessorId], workingCalendar);
+        }, { type: 'update', taskId: successorId });
+        return true;
+    };
+
+    // Replaces all links of a task, e.g. from the predecessor column. False when a link would close a loop.
+    const setDependencies = (successorId: string, dependencies: TaskDependency[]): boolean => {
+        const withoutLinks = tasks.map(task => (task.id === successorId ? { ...task, dependencies: [] } : task));
+        if (dependencies.some(dep => wouldCreateCycle(withoutLinks, dep.predecessorId, successorId))) return false;
+        updateTasks(currentTasks => {
+            const updated = currentTasks.map(task =>
+                task.id === successorId ? { ...task, dependencies: dependencies.length > 0 ? dependencies : undefined } : task
+            );
+            return rescheduleSuccessors(updated, dependencies.map(dep => dep.predecessorId), workingCalendar);
+        }, { type: 'update', taskId: successorId });
+        return true;
+    };
+
+    const changeDependency = (successorId: string, predecessorId: string, changes: Partial<TaskDependency>) => {
+        updateTasks(currentTasks => {
+            const updated = currentTasks.map(task => {
+                if (task.id !== successorId || !task.dependencies) return task;
+                return {
+                    ...task,
+                    dependencies: task.dependencies.map(dep => dep.predecessorId === predecessorId ? { ...dep, ...changes } : dep),
+                };
+            });
+            return rescheduleSuccessors(updated, [predecessorId], workingCalendar);
+        }, { type: 'update', taskId: successorId });
+    };
+
+    const deleteDependency = (successorId: string, predecessorId: string) => {
+        updateTasks(currentTasks => currentTasks.map(task => {
+            if (task.id !== successorId || !task.dependencies) return task;
+            return { ...task, dependencies: task.dependencies.filter(dep => dep.predecessorId !== predecessorId) };
+        }), { type: 'update', taskId: successorId });
+    };
+
+    const reorderTask = (draggedTaskId: string, dropIndex: number) => {
+        updateTasks(currentTasks => moveTaskBlock(currentTasks, draggedTaskId, dropIndex), { type: 'reorder', taskId: draggedTaskId });
+    };
+
+    const indent = (taskId: string) => {
+        updateTasks(currentTasks => indentTask(currentTasks, taskId), { type: 'reorder', taskId });
+    };
+
+    const outdent = (taskId: string) => {
+        updateTasks(currentTasks => outdentTask(currentTasks, taskId), { type: 'reorder', taskId });
+    };
+
+    return {
+        addTask,
+        deleteTask,
+        insertTask,
+        duplicateTask,
+        changeTask,
+        changeCustomValue,
+        toggleMilestone,
+        changeDuration,
+        changeProgress,
+        changeManHours,
+        setTaskDates,
+        shiftTasksWithinProject,
+        nudgeTask,
+        dragTask,
+        dragTaskTime,
+        addDependency,
+        setDependencies,
+        changeDependency,
+        deleteDependency,
+        reorderTask,
+        indentTask: indent,
+        outdentTask: outdent,
+    };
+};
+
+export type TaskEditor = ReturnType<typeof createTaskEditor>;
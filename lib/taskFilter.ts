@@ -0,0 +1,134 @@
+import type { Task, TaskFilter, TaskSort, TaskStatus, CustomField } from '../types.ts';
+import { parseUTCDateString, WorkingCalendar } from './dateUtils.ts';
+import { getProgressLinePosition, toDayPosition } from './progressLine.ts';
+import { getCustomFieldSortKey, getCustomSortValue, matchesCustomValueFilter } from './customFields.ts';
+import { calculateTaskDuration } from './workingHours.ts';
+
+// --- Task List Filtering & Sorting ---
+// Both only produce a view of the task list; the stored (manual) order is never touched.
+
+export const EMPTY_TASK_FILTER: TaskFilter = { text: '', assignees: [], dateFrom: '', dateTo: '', statuses: [], customValues: {} };
+
+export const TASK_STATUSES: TaskStatus[] = ['notStarted', 'inProgress', 'done', 'late'];
+
+export const isTaskFilterActive = (filter: TaskFilter): boolean =>
+    filter.text.trim() !== '' || filter.assignees.length > 0 || filter.dateFrom !== '' || filter.dateTo !== '' || filter.statuses.length > 0
+    || Object.values(filter.customValues || {}).some(value => value.trim() !== '');
+
+// A task is late when its progress line vertex falls behind the status date, i.e. the same rule
+// that makes the progress line bend to the left.
+export const getTaskStatuses = (task: Task, statusDate: Date, calendar: WorkingCalendar): TaskStatus[] => {
+    const statuses: TaskStatus[] = [];
+    if (task.progress >= 100) statuses.push('done');
+    else if (task.progress > 0) statuses.push('inProgress');
+    else statuses.push('notStarted');
+
+    if (task.progress < 100 && task.startDate && task.endDate
+        && getProgressLinePosition(task, statusDate, calendar) < toDayPosition(statusDate) + 1) {
+        statuses.push('late');
+    }
+    return statuses;
+};
+
+const matchesFilter = (task: Task, filter: TaskFilter, statusDate: Date, calendar: WorkingCalendar, customFields: CustomField[]): boolean => {
+    const text = filter.text.trim().toLowerCase();
+    if (text && !task.name.toLowerCase().includes(text)) return false;
+
+    if (filter.assignees.length > 0 && !filter.assignees.includes(task.assignee?.trim() || '')) return false;
+
+    const windowStart = parseUTCDateString(filter.dateFrom);
+    const windowEnd = parseUTCDateString(filter.dateTo);
+    if (windowStart || windowEnd) {
+        const start = parseUTCDateString(task.startDate);
+        const end = parseUTCDateString(task.endDate);
+        if (!start || !end) return false;
+        if (windowStart && end < windowStart) return false;
+        if (windowEnd && start > windowEnd) return false;
+    }
+
+    if (filter.statuses.length > 0) {
+        const statuses = getTaskStatuses(task, statusDate, calendar);
+        if (!filter.statuses.some(status => statuses.includes(status))) return false;
+    }
+
+    return customFields.every(field => {
+        const filterValue = filter.customValues?.[field.id];
+        return !filterValue?.trim() || matchesCustomValueFilter(task, field, filterValue);
+    });
+};
+
+// Keeps the matching tasks plus their summary tasks, so the hierarchy stays readable.
+export const filterTasks = (
+    tasks: Task[],
+    filter: TaskFilter,
+    statusDate: Date,
+    calendar: WorkingCalendar,
+    customFields: CustomField[] = []
+): Task[] => {
+    if (!isTaskFilterActive(filter)) return tasks;
+    const parentIdById = new Map(tasks.map(task => [task.id, task.parentId]));
+    const keptIds = new Set<string>();
+    tasks.forEach(task => {
+        if (!matchesFilter(task, filter, statusDate, calendar, customFields)) return;
+        for (let id: string | undefined = task.id; id && !keptIds.has(id); id = parentIdById.get(id)) {
+            keptIds.add(id);
+        }
+    });
+    return tasks.filter(task => keptIds.has(task.id));
+};
+
+export const createTaskComparator = (sort: TaskSort, calendar: WorkingCalendar, customFields: CustomField[] = []) => {
+    const customField = customFields.find(field => getCustomFieldSortKey(field.id) === sort.key);
+    const getValue = (task: Task): string | number | null => {
+        if (customField) return getCustomSortValue(task, customField);
+        switch (sort.key) {
+            case 'name':
+                return task.name;
+            case 'assignee':
+                return task.assignee?.trim() || null;
+            case 'startDate':
+            case 'endDate':
+                return parseUTCDateString(task[sort.key])?.getTime() ?? null;
+            case 'duration':
+                return task.startDate && task.endDate ? calculateTaskDuration(task, calendar) : null;
+            case 'progress':
+                return task.progress;
+            case 'manHours':
+                return task.manHours ?? null;
+            default:
+                return null; // A custom field that no longer exists
+        }
+    };
+    const direction = sort.direction === 'asc' ? 1 : -1;
+    // Empty values go last in either direction.
+    return (a: Task, b: Task): number => {
+        const valueA = getValue(a);
+        const valueB = getValue(b);
+        if (valueA === null || valueB === null) return valueA === valueB ? 0 : valueA === null ? 1 : -1;
+        const result = typeof valueA === 'string' ? valueA.localeCompare(valueB as string) : valueA - (valueB as number);
+        return result * direction;
+    };
+};
+
+// Sorts siblings among themselves; every task stays directly below its summary task.
+export const sortTaskTree = (tasks: Task[], compare: (a: Task, b: Task) => number): Task[] => {
+    const taskIds = new Set(tasks.map(task => task.id));
+    const childrenById = new Map<string | undefined, Task[]>();
+    tasks.forEach(task => {
+        // Tasks whose parent is not in the list (e.g. filtered out) are sorted as top-level tasks.
+        const parentId = task.parentId && taskIds.has(task.parentId) ? task.parentId : undefined;
+        const siblings = childrenById.get(parentId) || [];
+        siblings.push(task);
+        childrenById.set(parentId, siblings);
+    });
+
+    const sorted: Task[] = [];
+    const append = (parentId: string | undefined) => {
+        (childrenById.get(parentId) || []).sort(compare).forEach(task => {
+            sorted.push(task);
+            append(task.id);
+        });
+    };
+    append(undefined);
+    return sorted;
+};
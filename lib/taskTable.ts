@@ -0,0 +1,310 @@
+import type { Task } from '../types.ts';
+import type { TranslationKey } from './translations.ts';
+import {
+    parseUTCDateString,
+    formatDateUTC,
+    normalizeDateString,
+    formatTime,
+    parseTimeString,
+    WorkingCalendar,
+} from './dateUtils.ts';
+import {
+    calculateTaskDuration,
+    formatDuration,
+    getTaskStart,
+    getTaskEnd,
+    addWorkingMinutes,
+    compareDateTimes,
+    toTaskDateTimes,
+} from './workingHours.ts';
+
+// --- Task Table (CSV / XLSX) Import & Export ---
+
+export type TaskTableField =
+    | 'name'
+    | 'assignee'
+    | 'startDate'
+    | 'startTime'
+    | 'endDate'
+    | 'endTime'
+    | 'duration'
+    | 'progress'
+    | 'manHours';
+
+export const TASK_TABLE_FIELDS: TaskTableField[] = ['name', 'assignee', 'startDate', 'startTime', 'endDate', 'endTime', 'duration', 'progress', 'manHours'];
+
+export type TaskTableCell = string | number | null;
+
+// Maps each field to a column index of the imported table, or null when the field is not imported.
+export type TaskTableMapping = Record<TaskTableField, number | null>;
+
+export interface TaskTableRowError {
+    row: number; // 1-based row number as shown by spreadsheet applications
+    messageKey: TranslationKey;
+    value?: string;
+}
+
+// Header names recognised when guessing the column mapping (compared lower-cased, without spaces).
+const FIELD_ALIASES: Record<TaskTableField, string[]> = {
+    name: ['name', 'task', 'taskname', 'タスク', 'タスク名', '作業', '作業名', '項目', '工程'],
+    assignee: ['assignee', 'owner', 'resource', 'person', '担当', '担当者'],
+    startDate: ['start', 'startdate', 'begin', '開始', '開始日', '着手日'],
+    startTime: ['starttime', 'begintime', '開始時刻', '開始時間'],
+    endDate: ['end', 'enddate', 'finish', 'finishdate', 'due', '終了', '終了日', '完了日'],
+    endTime: ['endtime', 'finishtime', '終了時刻', '終了時間'],
+    duration: ['duration', 'days', 'workingdays', '期間', '日数', '稼働日数'],
+    progress: ['progress', '%complete', 'percentcomplete', 'complete', '進捗', '進捗率'],
+    manHours: ['manhours', 'manpower', 'effort', 'work', '工数', '人工'],
+};
+
+const normalizeHeader = (header: TaskTableCell): string => String(header ?? '').replace(/[\s()（）]/g, '').toLowerCase();
+
+export const guessTaskTableMapping = (headers: TaskTableCell[]): TaskTableMapping => {
+    const normalizedHeaders = headers.map(normalizeHeader);
+    const mapping = {} as TaskTableMapping;
+    TASK_TABLE_FIELDS.forEach(field => {
+        const index = normalizedHeaders.findIndex(header => FIELD_ALIASES[field].includes(header));
+        mapping[field] = index === -1 ? null : index;
+    });
+    return mapping;
+};
+
+export const buildTaskTableRows = (
+    tasks: Task[],
+    calendar: WorkingCalendar,
+    headers: Record<TaskTableField, string>
+): TaskTableCell[][] => {
+    const rows: TaskTableCell[][] = [TASK_TABLE_FIELDS.map(field => headers[field])];
+    tasks.forEach(task => {
+        const start = parseUTCDateString(task.startDate);
+        const end = parseUTCDateString(task.endDate);
+        const duration = start && end && !task.milestone ? Number(formatDuration(calculateTaskDuration(task, calendar))) : null;
+        rows.push([
+            task.name,
+            task.assignee || '',
+            task.startDate,
+            task.startTime || '',
+            task.endDate,
+            task.endTime || '',
+            duration,
+            task.progress,
+            task.manHours ?? null,
+        ]);
+    });
+    return rows;
+};
+
+// --- CSV ---
+
+const escapeCsvCell = (cell: TaskTableCell): string => {
+    const text = cell === null ? '' : String(cell);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// The BOM lets Excel detect UTF-8 so Japanese text is not garbled.
+export const toCsv = (rows: TaskTableCell[][]): string =>
+    '\uFEFF' + rows.map(row => row.map(escapeCsvCell).join(',')).join('\r\n') + '\r\n';
+
+export const parseCsv = (text: string): TaskTableCell[][] => {
+    const input = text.replace(/^\uFEFF/, '');
+    const rows: TaskTableCell[][] = [];
+    let row: TaskTableCell[] = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+};
+
+// --- XLSX (exceljs is loaded on demand to keep the initial bundle small) ---
+
+export const toXlsx = async (rows: TaskTableCell[][], sheetName: string): Promise<Blob> => {
+    const { default: ExcelJS } = await import('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    // Sheet names are limited to 31 characters and may not contain []:*?/\
+    const worksheet = workbook.addWorksheet(sheetName.replace(/[[\]:*?/\\]/g, '').slice(0, 31) || 'Tasks');
+
+    rows.forEach((row, rowIndex) => {
+        worksheet.addRow(row.map((cell, columnIndex) => {
+            const field = TASK_TABLE_FIELDS[columnIndex];
+            if (rowIndex > 0 && (field === 'startDate' || field === 'endDate') && typeof cell === 'string') {
+                return parseUTCDateString(cell) || cell;
+            }
+            return cell;
+        }));
+    });
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.columns.forEach((column, columnIndex) => {
+        const field = TASK_TABLE_FIELDS[columnIndex];
+        column.width = field === 'name' ? 32 : 14;
+        if (field === 'startDate' || field === 'endDate') column.numFmt = 'yyyy/mm/dd';
+    });
+
+    const buffer = await workbook.xlsx.writeBuffer();
+    return new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+};
+
+export const parseXlsx = async (data: ArrayBuffer): Promise<TaskTableCell[][]> => {
+    const { default: ExcelJS } = await import('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(data);
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) return [];
+
+    const toCell = (value: unknown): TaskTableCell => {
+        if (value === null || value === undefined) return null;
+        // Date cells are read as UTC midnight; time-only cells fall on Excel's 1899/12/30 epoch.
+        if (value instanceof Date) {
+            return value.getUTCFullYear() === 1899 ? formatTime(value.getUTCHours() * 60 + value.getUTCMinutes()) : formatDateUTC(value);
+        }
+        if (typeof value === 'number' || typeof value === 'string') return value;
+        if (typeof value === 'boolean') return String(value);
+        if (typeof value === 'object') {
+            const objectValue = value as { result?: unknown; text?: unknown; richText?: { text: string }[] };
+            if (objectValue.richText) return objectValue.richText.map(part => part.text).join('');
+            if (objectValue.result !== undefined) return toCell(objectValue.result);
+            if (objectValue.text !== undefined) return toCell(objectValue.text);
+        }
+        return String(value);
+    };
+
+    const rows: TaskTableCell[][] = [];
+    worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+        const values = row.values as unknown[]; // 1-based; index 0 is always empty
+        rows[rowNumber - 1] = Array.from(values.slice(1), toCell);
+    });
+    return Array.from(rows, row => row || []);
+};
+
+// --- Converting imported rows to tasks ---
+
+const parseNumberCell = (cell: TaskTableCell): number | null | undefined => {
+    if (cell === null || String(cell).trim() === '') return undefined;
+    if (typeof cell === 'number') return cell;
+    const value = Number(cell.trim().replace(/[%,]/g, ''));
+    return isNaN(value) ? null : value;
+};
+
+// Converts table rows (the first row being the header) to tasks.
+// Rows with errors are reported and left out; completely empty rows are skipped silently.
+export const convertTableRowsToTasks = (
+    rows: TaskTableCell[][],
+    mapping: TaskTableMapping,
+    calendar: WorkingCalendar
+): { tasks: Task[]; errors: TaskTableRowError[] } => {
+    const tasks: Task[] = [];
+    const errors: TaskTableRowError[] = [];
+    const baseId = Date.now();
+
+    rows.slice(1).forEach((row, index) => {
+        const rowNumber = index + 2;
+        if (row.every(cell => cell === null || String(cell).trim() === '')) return;
+
+        const getCell = (field: TaskTableField): TaskTableCell => {
+            const column = mapping[field];
+            return column === null ? null : row[column] ?? null;
+        };
+        const getText = (field: TaskTableField): string => String(getCell(field) ?? '').trim();
+        const rowErrors: TaskTableRowError[] = [];
+
+        const name = getText('name');
+        if (!name) rowErrors.push({ row: rowNumber, messageKey: 'importErrorNoName' });
+
+        const parseDate = (field: 'startDate' | 'endDate', messageKey: TranslationKey): string => {
+            const text = getText(field);
+            if (!text) return '';
+            const date = normalizeDateString(text);
+            if (!date) rowErrors.push({ row: rowNumber, messageKey, value: text });
+            return date || '';
+        };
+        let startDate = parseDate('startDate', 'importErrorStartDate');
+        let endDate = parseDate('endDate', 'importErrorEndDate');
+
+        // Empty times stand for the start and the end of the working day.
+        const parseTime = (field: 'startTime' | 'endTime', messageKey: TranslationKey): string | undefined => {
+            const text = getText(field);
+            if (!text) return undefined;
+            const minute = parseTimeString(text);
+            if (minute === null) rowErrors.push({ row: rowNumber, messageKey, value: text });
+            return minute === null ? undefined : formatTime(minute);
+        };
+        const startTime = parseTime('startTime', 'importErrorStartTime');
+        let endTime = parseTime('endTime', 'importErrorEndTime');
+
+        const duration = parseNumberCell(getCell('duration'));
+        if (duration === null || (duration !== undefined && duration <= 0)) {
+            rowErrors.push({ row: rowNumber, messageKey: 'importErrorDuration', value: getText('duration') });
+        }
+
+        const taskStart = getTaskStart({ startDate, startTime } as Task, calendar);
+        if (taskStart && !endDate && !getText('endDate')) {
+            // Without an end date the task lasts `duration` working days (one day by default).
+            const days = typeof duration === 'number' && duration > 0 ? duration : 1;
+            const taskEnd = addWorkingMinutes(taskStart, Math.round(days * calendar.hours.minutes), calendar);
+            ({ endDate, endTime } = toTaskDateTimes(taskStart, taskEnd, calendar));
+        }
+        if (!startDate && endDate && !getText('startDate')) {
+            startDate = endDate;
+        }
+        const times = { startDate, startTime, endDate, endTime } as Task;
+        const start = getTaskStart(times, calendar);
+        const end = getTaskEnd(times, calendar);
+        if (start && end && compareDateTimes(end, start) < 0) {
+            rowErrors.push({ row: rowNumber, messageKey: 'importErrorDateOrder', value: `${startDate} - ${endDate}` });
+        }
+
+        const progress = parseNumberCell(getCell('progress'));
+        if (progress === null || (progress !== undefined && (progress < 0 || progress > 100))) {
+            rowErrors.push({ row: rowNumber, messageKey: 'importErrorProgress', value: getText('progress') });
+        }
+
+        const manHours = parseNumberCell(getCell('manHours'));
+        if (manHours === null || (manHours !== undefined && manHours < 0)) {
+            rowErrors.push({ row: rowNumber, messageKey: 'importErrorManHours', value: getText('manHours') });
+        }
+
+        if (rowErrors.length > 0) {
+            errors.push(...rowErrors);
+            return;
+        }
+        tasks.push({
+            id: `${baseId + index}`,
+            name,
+            assignee: getText('assignee'),
+            ...(start && end ? toTaskDateTimes(start, end, calendar) : { startDate, endDate }),
+            progress: Math.round(progress ?? 0),
+            manHours: manHours ?? 0,
+        });
+    });
+
+    return { tasks, errors };
+};
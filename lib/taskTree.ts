@@ -0,0 +1,271 @@
+import type { Task } from '../types.ts';
+import { createProjectId } from './projectStorage.ts';
+import {
+    parseUTCDateString,
+    formatDateUTC,
+    calculateWorkingDays,
+    addWorkingDays,
+    addOrSubtractWorkingDays,
+    WorkingCalendar,
+} from './dateUtils.ts';
+import { getTaskStart, getTaskEnd, compareDateTimes, calculateTaskDuration, toTaskDateTimes, DateTime } from './workingHours.ts';
+
+// --- Task Hierarchy Helper Functions ---
+// Tasks are stored as a flat, depth-first ordered list: every task's descendants
+// directly follow it. `parentId` links a task to its summary (phase) task.
+
+export const getParentIds = (tasks: Task[]): Set<string> => {
+    const parentIds = new Set<string>();
+    tasks.forEach(task => {
+        if (task.parentId) parentIds.add(task.parentId);
+    });
+    return parentIds;
+};
+
+export const getTaskDepths = (tasks: Task[]): Map<string, number> => {
+    const depths = new Map<string, number>();
+    tasks.forEach(task => {
+        const parentDepth = task.parentId !== undefined ? depths.get(task.parentId) : undefined;
+        depths.set(task.id, parentDepth === undefined ? 0 : parentDepth + 1);
+    });
+    return depths;
+};
+
+export const getDescendantIds = (tasks: Task[], taskId: string): Set<string> => {
+    const descendants = new Set<string>();
+    tasks.forEach(task => {
+        if (task.parentId && (task.parentId === taskId || descendants.has(task.parentId))) {
+            descendants.add(task.id);
+        }
+    });
+    return descendants;
+};
+
+// Index one past the last task of the subtree starting at `index`.
+const getSubtreeEnd = (tasks: Task[], index: number): number => {
+    const descendants = getDescendantIds(tasks, tasks[index].id);
+    let end = index + 1;
+    while (end < tasks.length && descendants.has(tasks[end].id)) end++;
+    return end;
+};
+
+// Collapsed rows are view state. The app keeps them apart from the tasks, so that expanding a row is
+// neither an undo step nor shared with collaborators, and merges them back in for display and saving.
+export const getCollapsedIds = (tasks: Task[]): Set<string> => new Set(tasks.filter(task => task.collapsed).map(task => task.id));
+
+export const setCollapsedState = (tasks: Task[], collapsedIds: Set<string>): Task[] =>
+    tasks.map(task => {
+        const collapsed = collapsedIds.has(task.id);
+        if (!!task.collapsed === collapsed) return task;
+        const updated = { ...task };
+        if (collapsed) updated.collapsed = true;
+        else delete updated.collapsed;
+        return updated;
+    });
+
+// Hides the descendants of collapsed summary tasks.
+export const getVisibleTasks = (tasks: Task[]): Task[] => {
+    const hiddenIds = new Set<string>();
+    const collapsedIds = new Set(tasks.filter(task => task.collapsed).map(task => task.id));
+    return tasks.filter(task => {
+        if (task.parentId && (collapsedIds.has(task.parentId) || hiddenIds.has(task.parentId))) {
+            hiddenIds.add(task.id);
+            return false;
+        }
+        return true;
+    });
+};
+
+// Makes the task a child of the sibling directly above it.
+export const indentTask = (tasks: Task[], taskId: string): Task[] => {
+    const index = tasks.findIndex(task => task.id === taskId);
+    if (index <= 0) return tasks;
+    const task = tasks[index];
+
+    let previousSibling: Task | undefined;
+    for (let i = index - 1; i >= 0; i--) {
+        if (tasks[i].parentId === task.parentId) {
+            previousSibling = tasks[i];
+            break;
+        }
+        if (tasks[i].id === task.parentId) break;
+    }
+    if (!previousSibling) return tasks;
+
+    const newParentId = previousSibling.id;
+    return tasks.map(t => {
+        if (t.id === taskId) return { ...t, parentId: newParentId };
+        // The new parent becomes a summary task, which can be neither collapsed nor a milestone.
+        if (t.id === newParentId && (t.collapsed || t.milestone)) return { ...t, collapsed: false, milestone: false };
+        return t;
+    });
+};
+
+// Moves the task (with its subtree) one level up, placing it right after its former parent's subtree.
+export const outdentTask = (tasks: Task[], taskId: string): Task[] => {
+    const index = tasks.findIndex(task => task.id === taskId);
+    if (index === -1) return tasks;
+    const task = tasks[index];
+    const parent = tasks.find(t => t.id === task.parentId);
+    if (!parent) return tasks;
+
+    const block = tasks.slice(index, getSubtreeEnd(tasks, index));
+    const remaining = [...tasks.slice(0, index), ...tasks.slice(index + block.length)];
+    const parentIndex = remaining.findIndex(t => t.id === parent.id);
+    const insertAt = getSubtreeEnd(remaining, parentIndex);
+
+    const movedBlock = [{ ...task, parentId: parent.parentId }, ...block.slice(1)];
+    return [...remaining.slice(0, insertAt), ...movedBlock, ...remaining.slice(insertAt)];
+};
+
+// Moves a task together with its subtree. The task adopts the parent of the row it is dropped above.
+export const moveTaskBlock = (tasks: Task[], taskId: string, dropIndex: number): Task[] => {
+    const index = tasks.findIndex(task => task.id === taskId);
+    if (index === -1) return tasks;
+    const blockEnd = getSubtreeEnd(tasks, index);
+    if (dropIndex >= index && dropIndex <= blockEnd) return tasks; // Dropped onto itself
+
+    const block = tasks.slice(index, blockEnd);
+    const remaining = [...tasks.slice(0, index), ...tasks.slice(blockEnd)];
+    const insertAt = dropIndex > index ? dropIndex - block.length : dropIndex;
+    const newParentId = remaining[insertAt]?.parentId;
+
+    const movedBlock = [{ ...block[0], parentId: newParentId }, ...block.slice(1)];
+    return [...remaining.slice(0, insertAt), ...movedBlock, ...remaining.slice(insertAt)];
+};
+
+// Copies a task and its subtree with fresh ids, placing the copy right after the original subtree.
+export const duplicateTaskBlock = (tasks: Task[], taskId: string, nameSuffix: string): Task[] =>
+    duplicateTaskBlocks(tasks, [taskId], nameSuffix);
+
+// Duplicates several subtrees at once. Links between tasks of a copied block point at the copies;
+// links to tasks outside the block are kept.
+export const duplicateTaskBlocks = (tasks: Task[], taskIds: string[], nameSuffix: string): Task[] =>
+    taskIds.reduce((currentTasks, taskId) => {
+        const index = currentTasks.findIndex(task => task.id === taskId);
+        if (index === -1) return currentTasks;
+        const blockEnd = getSubtreeEnd(currentTasks, index);
+        const block = currentTasks.slice(index, blockEnd);
+
+        const idMap = new Map<string, string>();
+        block.forEach(task => idMap.set(task.id, createProjectId()));
+        const copies = block.map((task, i) => ({
+            ...task,
+            id: idMap.get(task.id)!,
+            name: i === 0 ? `${task.name}${nameSuffix}` : task.name,
+            parentId: i === 0 ? task.parentId : idMap.get(task.parentId!),
+            ...(task.dependencies && {
+                dependencies: task.dependencies.map(dependency => ({
+                    ...dependency,
+                    predecessorId: idMap.get(dependency.predecessorId) ?? dependency.predecessorId,
+                })),
+            }),
+        }));
+        return [...currentTasks.slice(0, blockEnd), ...copies, ...currentTasks.slice(blockEnd)];
+    }, tasks);
+
+// Selected tasks whose ancestors are not selected themselves, in list order. Acting on these
+// (with their subtrees) touches every selected task exactly once.
+export const getSelectionRootIds = (tasks: Task[], selectedIds: Set<string>): string[] => {
+    const coveredIds = new Set<string>();
+    const rootIds: string[] = [];
+    tasks.forEach(task => {
+        if (task.parentId && coveredIds.has(task.parentId)) {
+            coveredIds.add(task.id);
+        } else if (selectedIds.has(task.id)) {
+            coveredIds.add(task.id);
+            rootIds.push(task.id);
+        }
+    });
+    return rootIds;
+};
+
+// Inserts a new task as the next sibling of `taskId`, i.e. right after its subtree.
+export const insertTaskAfter = (tasks: Task[], taskId: string, newTask: Task): Task[] => {
+    const index = tasks.findIndex(task => task.id === taskId);
+    if (index === -1) return [...tasks, newTask];
+    const blockEnd = getSubtreeEnd(tasks, index);
+    const inserted = { ...newTask, parentId: tasks[index].parentId };
+    return [...tasks.slice(0, blockEnd), inserted, ...tasks.slice(blockEnd)];
+};
+
+// Shifts the given tasks by a number of working days, keeping each task's working-day duration.
+export const shiftTasksByWorkingDays = (tasks: Task[], taskIds: Set<string>, offset: number, calendar: WorkingCalendar): Task[] => {
+    if (offset === 0) return tasks;
+    return tasks.map(task => {
+        if (!taskIds.has(task.id)) return task;
+        const start = parseUTCDateString(task.startDate);
+        const end = parseUTCDateString(task.endDate);
+        if (!start || !end) return task;
+        const duration = calculateWorkingDays(start, end, calendar) || 1;
+        const newStart = addWorkingDays(addOrSubtractWorkingDays(start, offset, calendar), 1, calendar);
+        const newEnd = addWorkingDays(newStart, duration, calendar);
+        return { ...task, startDate: formatDateUTC(newStart), endDate: formatDateUTC(newEnd) };
+    });
+};
+
+// Recomputes dates, progress and man-hours of every summary task from its children.
+// Progress is weighted by man-hours when the children have any, otherwise by working days.
+export const rollUpSummaryTasks = (tasks: Task[], calendar: WorkingCalendar): Task[] => {
+    const parentIds = getParentIds(tasks);
+    if (parentIds.size === 0) return tasks;
+
+    const childrenById = new Map<string, Task[]>();
+    tasks.forEach(task => {
+        if (!task.parentId) return;
+        const children = childrenById.get(task.parentId) || [];
+        children.push(task);
+        childrenById.set(task.parentId, children);
+    });
+
+    const rolledUp = new Map<string, Task>();
+    const rollUp = (task: Task): Task => {
+        const cached = rolledUp.get(task.id);
+        if (cached) return cached;
+        const children = childrenById.get(task.id);
+        if (!children) return task;
+
+        const resolvedChildren = children.map(rollUp);
+        let start: DateTime | null = null;
+        let end: DateTime | null = null;
+        let manHours = 0;
+        let weightedProgress = 0;
+        let totalDurationWeight = 0;
+        let totalManHoursWeight = 0;
+        let weightedProgressByManHours = 0;
+
+        for (const child of resolvedChildren) {
+            const childStart = getTaskStart(child, calendar);
+            const childEnd = getTaskEnd(child, calendar);
+            const duration = childStart && childEnd ? calculateTaskDuration(child, calendar) : 0;
+            if (childStart && (!start || compareDateTimes(childStart, start) < 0)) start = childStart;
+            if (childEnd && (!end || compareDateTimes(childEnd, end) > 0)) end = childEnd;
+            manHours += child.manHours || 0;
+            weightedProgress += child.progress * duration;
+            totalDurationWeight += duration;
+            weightedProgressByManHours += child.progress * (child.manHours || 0);
+            totalManHoursWeight += child.manHours || 0;
+        }
+
+        let progress = 0;
+        if (totalManHoursWeight > 0) {
+            progress = weightedProgressByManHours / totalManHoursWeight;
+        } else if (totalDurationWeight > 0) {
+            progress = weightedProgress / totalDurationWeight;
+        }
+
+        const dates = start && end
+            ? toTaskDateTimes(start, end, calendar)
+            : { startDate: start ? formatDateUTC(start.date) : '', endDate: end ? formatDateUTC(end.date) : '', startTime: undefined, endTime: undefined };
+        const result: Task = {
+            ...task,
+            ...dates,
+            progress: Math.round(progress),
+            manHours,
+        };
+        rolledUp.set(task.id, result);
+        return result;
+    };
+
+    return tasks.map(rollUp);
+};
@@ -0,0 +1,171 @@
+import type { Language } from '../contexts/LanguageContext.tsx';
+import { addDaysUTC } from './dateUtils.ts';
+
+// --- Timeline Timescales ---
+
+const DAY_IN_MS = 1000 * 3600 * 24;
+
+export type TimescaleMode = 'hour' | 'day' | 'week' | 'month' | 'quarter';
+export type TimescaleUnit = 'day' | 'week' | 'month' | 'quarter' | 'year';
+
+interface TimescaleConfig {
+    tiers: [TimescaleUnit, TimescaleUnit]; // Upper and lower header rows
+    snapUnit: TimescaleUnit;                // Dragged and drawn bars snap to this unit
+}
+
+export const TIMESCALE_MODES: TimescaleMode[] = ['hour', 'day', 'week', 'month', 'quarter'];
+
+// The hour timescale is the day timescale with the working hours drawn inside each day; bars snap
+// to the minutes from `getTimeSnapMinutes` instead of whole days.
+export const TIMESCALE_CONFIGS: Record<TimescaleMode, TimescaleConfig> = {
+    hour: { tiers: ['month', 'day'], snapUnit: 'day' },
+    day: { tiers: ['month', 'day'], snapUnit: 'day' },
+    week: { tiers: ['month', 'week'], snapUnit: 'week' },
+    month: { tiers: ['year', 'month'], snapUnit: 'month' },
+    quarter: { tiers: ['year', 'quarter'], snapUnit: 'month' },
+};
+
+// One zoom ladder from the coarsest to the finest scale; zooming in and out walks along it.
+export const ZOOM_LEVELS: { mode: TimescaleMode; dayWidth: number }[] = [
+    { mode: 'quarter', dayWidth: 0.5 },
+    { mode: 'quarter', dayWidth: 0.8 },
+    { mode: 'month', dayWidth: 1.2 },
+    { mode: 'month', dayWidth: 2 },
+    { mode: 'week', dayWidth: 4 },
+    { mode: 'week', dayWidth: 6 },
+    { mode: 'day', dayWidth: 12 },
+    { mode: 'day', dayWidth: 18 },
+    { mode: 'day', dayWidth: 24 },
+    { mode: 'day', dayWidth: 40 },
+    { mode: 'day', dayWidth: 64 },
+    { mode: 'hour', dayWidth: 270 },
+    { mode: 'hour', dayWidth: 540 },
+];
+
+export const DEFAULT_ZOOM_INDEX = ZOOM_LEVELS.findIndex(level => level.mode === 'day' && level.dayWidth === 24);
+
+// Zoom level used when the timescale is picked directly: the default for days, the widest level otherwise.
+export const getZoomIndexForMode = (mode: TimescaleMode): number => {
+    if (mode === 'day') return DEFAULT_ZOOM_INDEX;
+    return ZOOM_LEVELS.map(level => level.mode).lastIndexOf(mode);
+};
+
+const MIN_SNAP_SLOT_WIDTH = 24;
+
+// Drag step on the hour timescale: half hours once they are wide enough to aim at, whole hours otherwise.
+// `workdaySpan` is the length of the working day in minutes, which one day column shows.
+export const getTimeSnapMinutes = (dayWidth: number, workdaySpan: number): number =>
+    (dayWidth * 30) / workdaySpan >= MIN_SNAP_SLOT_WIDTH ? 30 : 60;
+
+// Widest zoom level at which `dayCount` days fit into `availableWidth` pixels.
+export const getFitZoomIndex = (dayCount: number, availableWidth: number): number => {
+    for (let i = ZOOM_LEVELS.length - 1; i > 0; i--) {
+        if (dayCount * ZOOM_LEVELS[i].dayWidth <= availableWidth) return i;
+    }
+    return 0;
+};
+
+// ISO 8601 week: weeks start on Monday and week 1 contains the year's first Thursday.
+export const getISOWeek = (date: Date): { year: number; week: number } => {
+    const thursday = addDaysUTC(date, 3 - ((date.getUTCDay() + 6) % 7));
+    const year = thursday.getUTCFullYear();
+    const week = Math.floor((thursday.getTime() - Date.UTC(year, 0, 1)) / (7 * DAY_IN_MS)) + 1;
+    return { year, week };
+};
+
+export const getPeriodStart = (date: Date, unit: TimescaleUnit): Date => {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    switch (unit) {
+        case 'day':
+            return date;
+        case 'week':
+            return addDaysUTC(date, -((date.getUTCDay() + 6) % 7));
+        case 'month':
+            return new Date(Date.UTC(year, month, 1));
+        case 'quarter':
+            return new Date(Date.UTC(year, month - (month % 3), 1));
+        case 'year':
+            return new Date(Date.UTC(year, 0, 1));
+    }
+};
+
+export const getPeriodEnd = (date: Date, unit: TimescaleUnit): Date => {
+    const start = getPeriodStart(date, unit);
+    switch (unit) {
+        case 'day':
+            return date;
+        case 'week':
+            return addDaysUTC(start, 6);
+        case 'month':
+            return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 0));
+        case 'quarter':
+            return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 3, 0));
+        case 'year':
+            return new Date(Date.UTC(start.getUTCFullYear(), 11, 31));
+    }
+};
+
+// Nearest period boundary to a dragged date: the start of a period for start edges, the end of one for end edges.
+export const snapDateToUnit = (date: Date, unit: TimescaleUnit, edge: 'start' | 'end'): Date => {
+    if (unit === 'day') return date;
+    if (edge === 'start') {
+        const start = getPeriodStart(date, unit);
+        const nextStart = addDaysUTC(getPeriodEnd(date, unit), 1);
+        return date.getTime() - start.getTime() < nextStart.getTime() - date.getTime() ? start : nextStart;
+    }
+    const end = getPeriodEnd(date, unit);
+    const previousEnd = addDaysUTC(getPeriodStart(date, unit), -1);
+    return end.getTime() - date.getTime() < date.getTime() - previousEnd.getTime() ? end : previousEnd;
+};
+
+// Range covering the whole periods of both dates, used when a bar is drawn on an empty row.
+export const getSnappedRange = (anchor: Date, current: Date, unit: TimescaleUnit): { start: Date; end: Date } => {
+    const [first, last] = anchor.getTime() <= current.getTime() ? [anchor, current] : [current, anchor];
+    return { start: getPeriodStart(first, unit), end: getPeriodEnd(last, unit) };
+};
+
+export interface TimescalePeriod {
+    start: Date;
+    startIndex: number; // Index into the day array where the period begins
+    span: number;       // Number of days of the period that are inside the day array
+}
+
+// Groups the (consecutive) days of the timeline into the periods of the given unit.
+export const getTimescalePeriods = (dates: Date[], unit: TimescaleUnit): TimescalePeriod[] => {
+    const periods: TimescalePeriod[] = [];
+    dates.forEach((date, index) => {
+        const periodStart = getPeriodStart(date, unit);
+        const last = periods[periods.length - 1];
+        if (last && last.start.getTime() === periodStart.getTime()) {
+            last.span++;
+        } else {
+            periods.push({ start: periodStart, startIndex: index, span: 1 });
+        }
+    });
+    return periods;
+};
+
+export type PeriodLabelVariant = 'long' | 'short' | 'narrow';
+
+// Header label of a period. Upper header rows use the long form; lower rows fall back to the
+// narrow form when the cells are too small for the short one.
+export const formatPeriodLabel = (start: Date, unit: TimescaleUnit, language: Language, variant: PeriodLabelVariant): string => {
+    const locale = language === 'ja' ? 'ja-JP' : 'en-US';
+    switch (unit) {
+        case 'day':
+            return `${start.getUTCDate()}`;
+        case 'week': {
+            const { week } = getISOWeek(start);
+            if (variant === 'narrow') return `${week}`;
+            return language === 'ja' ? `第${week}週` : `W${week}`;
+        }
+        case 'month':
+            if (variant === 'long') return start.toLocaleString(locale, { year: 'numeric', month: 'long', timeZone: 'UTC' });
+            return start.toLocaleString(locale, { month: variant === 'narrow' ? 'numeric' : 'short', timeZone: 'UTC' });
+        case 'quarter':
+            return `Q${Math.floor(start.getUTCMonth() / 3) + 1}`;
+        case 'year':
+            return language === 'ja' ? `${start.getUTCFullYear()}年` : `${start.getUTCFullYear()}`;
+    }
+};
@@ -22,7 +22,7 @@ export const translations = {
   duplicateTask: { en: 'Duplicate Task', ja: 'タスクを複製' },
   copySuffix: { en: ' (Copy)', ja: ' (コピー)' },
   deleteAllTasks: { en: 'Delete All Tasks', ja: '全タスクを削除' },
-  confirmDeleteAllTasks: { en: 'Are you sure you want to delete all tasks? This action cannot be undone.', ja: 'すべてのタスクを削除しますか？この操作は元に戻せません。' },
+  confirmDeleteAllTasks: { en: 'Are you sure you want to delete all tasks? You can restore them with Undo.', ja: 'すべてのタスクを削除しますか？「元に戻す」で復元できます。' },
   newTaskName: { en: 'New Task', ja: '新規タスク' },
   temporaryWorks: { en: 'Temporary Works', ja: '仮設工事' },
   earthworks: { en: 'Earthworks', ja: '土工事' },
@@ -69,6 +69,245 @@ export const translations = {
   importError: { en: 'Failed to import file. Please ensure it is a valid project file.', ja: 'ファイルのインポートに失敗しました。有効なプロジェクトファイルであることを確認してください。' },
   exportPdf: { en: 'Export PDF', ja: 'PDF出力' },
   exportPdfError: { en: 'Failed to export PDF.', ja: 'PDF出力に失敗しました。' },
+  dependency: { en: 'Task Link', ja: 'タスクの関連' },
+  dependencyType: { en: 'Link Type', ja: '関連の種類' },
+  finishToStart: { en: 'Finish-to-Start (FS)', ja: '終了→開始 (FS)' },
+  startToStart: { en: 'Start-to-Start (SS)', ja: '開始→開始 (SS)' },
+  finishToFinish: { en: 'Finish-to-Finish (FF)', ja: '終了→終了 (FF)' },
+  lagDays: { en: 'Lag (working days)', ja: 'ラグ (稼働日)' },
+  deleteDependency: { en: 'Delete Link', ja: '関連を削除' },
+  dragToLink: { en: 'Drag onto another task to link', ja: '他のタスクにドラッグして関連付け' },
+  dependencyCycleError: { en: 'This link would create a circular dependency and cannot be added.', ja: 'この関連は循環参照になるため追加できません。' },
+  nonWorkingDates: { en: 'Non-working Dates', ja: '休業日' },
+  nonWorkingDatesDesc: { en: 'Add national holidays, shutdowns or site closures. Leave the end date empty for a single day.', ja: '祝日・長期休暇・現場休工日を追加します。1日だけの場合は終了日を空欄にしてください。' },
+  holidayLabelPlaceholder: { en: 'Label (optional)', ja: '名称（任意）' },
+  add: { en: 'Add', ja: '追加' },
+  workingDayExceptions: { en: 'Working-day Exceptions', ja: '振替稼働日' },
+  workingDayExceptionsDesc: { en: 'Dates that are worked even though they fall on a holiday.', ja: '休日に当たっていても稼働する日を指定します。' },
+  toggleNonWorkingDay: { en: 'Click to toggle non-working day', ja: 'クリックで休業日を切り替え' },
+  projectLibrary: { en: 'Project Library', ja: 'プロジェクト一覧' },
+  newProject: { en: 'New Project', ja: '新規プロジェクト' },
+  openProject: { en: 'Open project', ja: 'プロジェクトを開く' },
+  currentProject: { en: 'Open', ja: '編集中' },
+  lastSaved: { en: 'Last saved', ja: '最終保存' },
+  rename: { en: 'Rename', ja: '名前を変更' },
+  duplicateProject: { en: 'Duplicate Project', ja: 'プロジェクトを複製' },
+  deleteProject: { en: 'Delete Project', ja: 'プロジェクトを削除' },
+  confirmDeleteProject: { en: 'Are you sure you want to delete this project? This action cannot be undone.', ja: 'このプロジェクトを削除しますか？この操作は元に戻せません。' },
+  undo: { en: 'Undo (Ctrl+Z)', ja: '元に戻す (Ctrl+Z)' },
+  redo: { en: 'Redo (Ctrl+Shift+Z)', ja: 'やり直す (Ctrl+Shift+Z)' },
+  indentTask: { en: 'Indent (Tab)', ja: 'インデント (Tab)' },
+  outdentTask: { en: 'Outdent (Shift+Tab)', ja: 'インデント解除 (Shift+Tab)' },
+  expand: { en: 'Expand', ja: '展開' },
+  collapse: { en: 'Collapse', ja: '折りたたむ' },
+  summaryTask: { en: 'Summary task (rolled up from subtasks)', ja: 'サマリータスク（サブタスクから集計）' },
+  milestone: { en: 'Milestone', ja: 'マイルストーン' },
+  convertToMilestone: { en: 'Convert to milestone', ja: 'マイルストーンに変換' },
+  convertToTask: { en: 'Convert to task', ja: 'タスクに変換' },
+  milestoneDone: { en: 'Done', ja: '完了' },
+  baselines: { en: 'Baselines', ja: 'ベースライン' },
+  baselinesDesc: { en: 'Save the current task dates as a baseline and compare the plan with the actual schedule.', ja: '現在のタスク日付をベースラインとして保存し、計画と実績を比較します。' },
+  saveBaseline: { en: 'Save Baseline', ja: 'ベースラインを保存' },
+  baselineNamePlaceholder: { en: 'Baseline name', ja: 'ベースライン名' },
+  defaultBaselineName: { en: 'Baseline', ja: 'ベースライン' },
+  showBaseline: { en: 'Show in chart', ja: 'チャートに表示' },
+  hideBaseline: { en: 'Do not show a baseline', ja: 'ベースラインを表示しない' },
+  noBaselines: { en: 'No baselines saved yet.', ja: '保存されたベースラインはありません。' },
+  deleteBaseline: { en: 'Delete Baseline', ja: 'ベースラインを削除' },
+  confirmDeleteBaseline: { en: 'Are you sure you want to delete this baseline?', ja: 'このベースラインを削除してもよろしいですか？' },
+  variance: { en: 'Variance', ja: '差異' },
+  varianceDesc: { en: 'Working days late (+) or early (-) against the baseline finish', ja: 'ベースライン終了日に対する遅れ(+)・前倒し(-)の稼働日数' },
+  taskName: { en: 'Task Name', ja: 'タスク名' },
+  exportJson: { en: 'Project file (.json)', ja: 'プロジェクトファイル (.json)' },
+  exportCsv: { en: 'Task table (.csv)', ja: 'タスク表 (.csv)' },
+  exportXlsx: { en: 'Task table (Excel .xlsx)', ja: 'タスク表 (Excel .xlsx)' },
+  exportTableError: { en: 'Failed to export the task table.', ja: 'タスク表のエクスポートに失敗しました。' },
+  importTable: { en: 'Import Task Table', ja: 'タスク表のインポート' },
+  importTableDesc: { en: 'Choose which column of the file holds each field. Rows with errors are skipped.', ja: 'ファイルのどの列を各項目として読み込むか選択してください。エラーのある行はスキップされます。' },
+  notImported: { en: '(Not imported)', ja: '(読み込まない)' },
+  replaceExistingTasks: { en: 'Replace the current tasks', ja: '現在のタスクを置き換える' },
+  importTasksCount: { en: 'Import tasks', ja: 'タスクをインポート' },
+  importRowErrors: { en: 'Rows with errors', ja: 'エラーのある行' },
+  row: { en: 'Row', ja: '行' },
+  importTableEmpty: { en: 'The file does not contain any rows.', ja: 'ファイルに行がありません。' },
+  importErrorNoName: { en: 'Task name is empty', ja: 'タスク名が空です' },
+  importErrorStartDate: { en: 'Unrecognised start date', ja: '開始日を認識できません' },
+  importErrorEndDate: { en: 'Unrecognised end date', ja: '終了日を認識できません' },
+  importErrorDuration: { en: 'Duration must be a number greater than 0', ja: '期間は0より大きい数値で指定してください' },
+  importErrorDateOrder: { en: 'End date is before start date', ja: '終了日が開始日より前です' },
+  importErrorProgress: { en: 'Progress must be a number from 0 to 100', ja: '進捗は0〜100の数値で指定してください' },
+  importErrorManHours: { en: 'Manpower must be a number of 0 or more', ja: '人工は0以上の数値で指定してください' },
+  pdfExportSettings: { en: 'PDF Export', ja: 'PDF出力' },
+  paperSize: { en: 'Paper Size', ja: '用紙サイズ' },
+  orientation: { en: 'Orientation', ja: '向き' },
+  landscape: { en: 'Landscape', ja: '横' },
+  portrait: { en: 'Portrait', ja: '縦' },
+  pdfLayout: { en: 'Layout', ja: 'レイアウト' },
+  fitToWidth: { en: 'Fit to page width', ja: '用紙幅に合わせる' },
+  splitAcrossPages: { en: 'Split across pages', ja: '複数ページに分割' },
+  printPeriod: { en: 'Period', ja: '期間' },
+  invalidDateRange: { en: 'Enter a valid period (YYYY/MM/DD).', ja: '有効な期間を入力してください (YYYY/MM/DD)。' },
+  exportingPdf: { en: 'Exporting…', ja: '出力中…' },
+  resourceLoad: { en: 'Workload', ja: '負荷' },
+  dailyCapacity: { en: 'Daily Capacity', ja: '1日あたりの稼働上限' },
+  dailyCapacityDesc: { en: 'Manpower one assignee can handle per working day. Days above it are shown as over-allocated.', ja: '担当者1人が1稼働日に対応できる人工です。これを超える日は過負荷として表示されます。' },
+  overAllocated: { en: 'Over-allocated', ja: '過負荷' },
+  noResourceLoad: { en: 'No tasks with both an assignee and manpower.', ja: '担当者と人工が設定されたタスクがありません。' },
+  showResourcePanel: { en: 'Resource Workload', ja: 'リソース負荷' },
+  groupByAssignee: { en: 'Group by Assignee', ja: '担当者でグループ化' },
+  unassigned: { en: 'Unassigned', ja: '未割当' },
+  float: { en: 'Float', ja: '余裕日数' },
+  floatDesc: { en: 'Working days the task can slip without delaying the project finish', ja: 'プロジェクト完了日を遅らせずに遅延できる稼働日数' },
+  criticalPath: { en: 'Critical path', ja: 'クリティカルパス' },
+  timescale: { en: 'Timescale', ja: 'タイムスケール' },
+  timescaleHour: { en: 'Hour', ja: '時間' },
+  timescaleDay: { en: 'Day', ja: '日' },
+  timescaleWeek: { en: 'Week', ja: '週' },
+  timescaleMonth: { en: 'Month', ja: '月' },
+  timescaleQuarter: { en: 'Quarter', ja: '四半期' },
+  fitToScreen: { en: 'Fit whole project to screen', ja: 'プロジェクト全体を画面に合わせる' },
+  export: { en: 'Export', ja: 'エクスポート' },
+  exportIcs: { en: 'Calendar (.ics)', ja: 'カレンダー (.ics)' },
+  exportIcsDesc: { en: 'Each task becomes an all-day event with its assignee and progress in the description.', ja: '各タスクを終日の予定として書き出します。説明欄に担当者と進捗が入ります。' },
+  allAssignees: { en: 'All assignees', ja: 'すべての担当者' },
+  exportMsProject: { en: 'MS Project XML (.xml)', ja: 'MS Project XML (.xml)' },
+  gridKeyboardHelp: { en: 'Use the arrow keys, Enter and Tab to move between cells, Insert to add a row, Ctrl+Delete to delete it, Ctrl+D to duplicate it and Alt+Shift+Left/Right to change its indent.', ja: '矢印キー・Enter・Tab でセル間を移動、Insert で行を追加、Ctrl+Delete で行を削除、Ctrl+D で複製、Alt+Shift+左右でインデントを変更します。' },
+  taskBarKeyboardHelp: { en: 'Left/Right moves the task by one working day, Shift+Left/Right changes its finish and Alt+Left/Right its start. Up/Down moves to other tasks, Enter to the task name, Delete removes the task.', ja: '左右キーで1稼働日移動、Shift+左右で終了日、Alt+左右で開始日を変更します。上下キーで他のタスクへ、Enter でタスク名へ移動、Delete で削除します。' },
+  selectTask: { en: 'Select (Shift+click selects a range)', ja: '選択（Shift+クリックで範囲選択）' },
+  selectAllTasks: { en: 'Select all', ja: 'すべて選択' },
+  selectedTaskCount: { en: '{count} selected', ja: '{count}件選択中' },
+  apply: { en: 'Apply', ja: '適用' },
+  shiftByWorkingDays: { en: 'Shift (working days)', ja: '移動（稼働日）' },
+  shiftByWorkingDaysDesc: { en: 'Negative values move the tasks earlier', ja: '負の値で前倒しします' },
+  bulkShiftOutsideProject: { en: 'The tasks cannot be moved outside the project period.', ja: 'プロジェクト期間の外にはタスクを移動できません。' },
+  duplicateSelectedTasks: { en: 'Duplicate Selected Tasks', ja: '選択したタスクを複製' },
+  deleteSelectedTasks: { en: 'Delete Selected Tasks', ja: '選択したタスクを削除' },
+  confirmDeleteSelectedTasks: { en: 'Delete the {count} selected tasks, including their subtasks? This can be undone.', ja: '選択した{count}件のタスクをサブタスクも含めて削除しますか？この操作は元に戻せます。' },
+  clearSelection: { en: 'Clear Selection', ja: '選択を解除' },
+  filterTasks: { en: 'Filter & Search', ja: '絞り込み・検索' },
+  searchTasks: { en: 'Search task names', ja: 'タスク名を検索' },
+  dateWindow: { en: 'Period', ja: '期間' },
+  status: { en: 'Status', ja: '状態' },
+  statusNotStarted: { en: 'Not started', ja: '未着手' },
+  statusInProgress: { en: 'In progress', ja: '進行中' },
+  statusDone: { en: 'Done', ja: '完了' },
+  statusLate: { en: 'Late', ja: '遅延' },
+  statusLateDesc: { en: 'Behind schedule on the progress line date, or today when no progress line is shown', ja: 'イナズマ線の日付（未設定の場合は今日）時点で予定より遅れているタスク' },
+  filterPresets: { en: 'Presets', ja: 'プリセット' },
+  presetNamePlaceholder: { en: 'Preset name', ja: 'プリセット名' },
+  savePreset: { en: 'Save', ja: '保存' },
+  deletePreset: { en: 'Delete Preset', ja: 'プリセットを削除' },
+  filterMatchCount: { en: '{count} of {total} tasks', ja: '{total}件中{count}件' },
+  clearFilters: { en: 'Clear', ja: 'クリア' },
+  sortByColumn: { en: 'Sort (click again to reverse, a third time for manual order)', ja: '並べ替え（再クリックで逆順、3回目で手動の並び順に戻す）' },
+  sortAscending: { en: 'Ascending', ja: '昇順' },
+  sortDescending: { en: 'Descending', ja: '降順' },
+  customFields: { en: 'Custom Fields', ja: 'カスタム項目' },
+  customFieldsDesc: { en: 'Add your own columns to the task list, such as work area, contractor, cost or permit number.', ja: '作業エリア・協力会社・費用・許可番号など、独自の列をタスク一覧に追加します。' },
+  customFieldName: { en: 'Field name', ja: '項目名' },
+  customFieldType: { en: 'Type', ja: '種類' },
+  customFieldTypeText: { en: 'Text', ja: 'テキスト' },
+  customFieldTypeNumber: { en: 'Number', ja: '数値' },
+  customFieldTypeDate: { en: 'Date', ja: '日付' },
+  customFieldTypeChoice: { en: 'Choice list', ja: '選択リスト' },
+  customFieldOptionsPlaceholder: { en: 'Choices, separated by commas', ja: '選択肢（カンマ区切り）' },
+  showColumn: { en: 'Show column', ja: '列を表示' },
+  anyValue: { en: 'Any', ja: 'すべて' },
+  taskCategories: { en: 'Task Categories', ja: 'タスク分類' },
+  taskCategoriesDesc: { en: 'Give each trade or work type its own bar colors. Patterns keep categories distinguishable in black-and-white prints.', ja: '工種や作業種別ごとにバーの色を設定します。模様を付けると白黒印刷でも区別できます。' },
+  categoryName: { en: 'Category name', ja: '分類名' },
+  category: { en: 'Category', ja: '分類' },
+  noCategory: { en: 'None', ja: 'なし' },
+  barPattern: { en: 'Pattern', ja: '模様' },
+  barPatternDesc: { en: 'Pattern drawn over the bar, for monochrome printing', ja: '白黒印刷用にバーへ重ねる模様' },
+  patternSolid: { en: 'Solid', ja: 'なし（塗りつぶし）' },
+  patternStripes: { en: 'Stripes', ja: '斜線' },
+  patternDots: { en: 'Dots', ja: 'ドット' },
+  patternCrosshatch: { en: 'Crosshatch', ja: '格子' },
+  taskColor: { en: 'Bar color', ja: 'バーの色' },
+  customColor: { en: 'Use a custom color', ja: '個別の色を使う' },
+  taskColorDesc: { en: 'Category and color', ja: '分類と色' },
+  legend: { en: 'Legend', ja: '凡例' },
+  textColorDesc: { en: 'Switches to dark or white automatically where it would be hard to read on a bar.', ja: 'バーの色に対して読みにくい場合は、自動的に黒または白に切り替わります。' },
+  collaboration: { en: 'Collaboration', ja: '共同編集' },
+  collaborationDesc: { en: 'Edit this project together in real time through a collaboration server your team hosts (npm run collab-server).', ja: 'チームで用意した共同編集サーバー（npm run collab-server）を通じて、このプロジェクトをリアルタイムで一緒に編集します。' },
+  collabServerUrl: { en: 'Server URL', ja: 'サーバーURL' },
+  collabRoom: { en: 'Room', ja: 'ルーム' },
+  collabRoomDesc: { en: 'Everyone who joins the same room edits the same schedule.', ja: '同じルームに参加した全員が同じ工程表を編集します。' },
+  collabUserName: { en: 'Your name', ja: 'あなたの名前' },
+  collabJoinWarning: { en: 'If the room already has a schedule, it replaces the tasks of this project. An empty room receives this project.', ja: 'ルームに工程表がすでにある場合、このプロジェクトのタスクはそれに置き換わります。空のルームにはこのプロジェクトが共有されます。' },
+  collabConnect: { en: 'Connect', ja: '接続' },
+  collabDisconnect: { en: 'Disconnect', ja: '切断' },
+  collabStatusOff: { en: 'Not connected', ja: '未接続' },
+  collabStatusConnecting: { en: 'Connecting...', ja: '接続中...' },
+  collabStatusOnline: { en: 'Online', ja: 'オンライン' },
+  collabStatusOffline: { en: 'Offline - changes are kept and sent when the connection returns', ja: 'オフライン - 変更は保持され、再接続時に送信されます' },
+  collabOnlineUsers: { en: 'Online now', ja: 'オンライン中' },
+  collabNoOtherUsers: { en: 'No one else is here yet.', ja: 'ほかに参加者はいません。' },
+  collabEditing: { en: 'Editing', ja: '編集中' },
+  collabMissingFields: { en: 'Enter the server URL, room and your name.', ja: 'サーバーURL、ルーム、名前を入力してください。' },
+  projectsTab: { en: 'Projects', ja: 'プロジェクト' },
+  templatesTab: { en: 'Templates', ja: 'テンプレート' },
+  templateName: { en: 'Template name', ja: 'テンプレート名' },
+  saveAsTemplate: { en: 'Save current project as template', ja: '現在のプロジェクトをテンプレートとして保存' },
+  sampleTemplate: { en: 'Sample', ja: 'サンプル' },
+  templateTaskCount: { en: 'tasks', ja: 'タスク' },
+  useTemplate: { en: 'Use', ja: '使用' },
+  deleteTemplate: { en: 'Delete Template', ja: 'テンプレートを削除' },
+  confirmDeleteTemplate: { en: 'Are you sure you want to delete this template? This action cannot be undone.', ja: 'このテンプレートを削除しますか？この操作は元に戻せません。' },
+  templateLabel: { en: 'Template', ja: 'テンプレート' },
+  templateStartDate: { en: 'New start date', ja: '新しい開始日' },
+  templateStartDateDesc: { en: 'Every task is rescheduled from this date in working days, using the current holiday calendar.', ja: 'すべてのタスクを現在の休日設定に基づき、この日から稼働日単位で再計算します。' },
+  invalidStartDate: { en: 'Enter a valid date (YYYY/MM/DD).', ja: '有効な日付を入力してください (YYYY/MM/DD)。' },
+  clearProgress: { en: 'Clear progress', ja: '進捗をクリア' },
+  clearAssignees: { en: 'Clear assignees', ja: '担当者をクリア' },
+  createFromTemplate: { en: 'Create Project', ja: 'プロジェクトを作成' },
+  progressDashboard: { en: 'Progress Dashboard', ja: '進捗ダッシュボード' },
+  asOf: { en: 'As of', ja: '基準日' },
+  statusDateToday: { en: 'today', ja: '今日' },
+  plannedFrom: { en: 'Plan', ja: '計画' },
+  currentSchedule: { en: 'Current schedule', ja: '現在の工程' },
+  weightBy: { en: 'Weight by', ja: '重み付け' },
+  workingDays: { en: 'Working days', ja: '稼働日数' },
+  plannedValue: { en: 'Planned', ja: '予定出来高' },
+  earnedValue: { en: 'Actual (earned)', ja: '実績出来高' },
+  scheduleVariance: { en: 'Schedule variance', ja: 'スケジュール差異' },
+  spi: { en: 'SPI', ja: 'SPI' },
+  sCurve: { en: 'S-curve (cumulative)', ja: 'Sカーブ（累積）' },
+  completionByAssignee: { en: 'Completion by assignee (actual / planned)', ja: '担当者別の達成率（実績 / 予定）' },
+  noManHoursForDashboard: { en: 'No manpower has been entered. Enter manpower on the tasks or weight by working days.', ja: '人工が入力されていません。タスクに人工を入力するか、稼働日数で重み付けしてください。' },
+  noTasksForDashboard: { en: 'There are no scheduled tasks to chart.', ja: '集計できる日程のタスクがありません。' },
+  exportChartError: { en: 'Failed to export the chart.', ja: 'グラフのエクスポートに失敗しました。' },
+  includeProgressDashboard: { en: 'Add the progress dashboard page', ja: '進捗ダッシュボードのページを追加' },
+  invalidStatusDate: { en: 'Enter a valid date (YYYY/MM/DD).', ja: '有効な日付を入力してください (YYYY/MM/DD)。' },
+  progressHistory: { en: 'Progress History', ja: '進捗履歴' },
+  progressHistoryDesc: { en: 'Record the status as of a date and overlay the progress lines of several dates to compare them.', ja: '基準日時点の進捗を記録し、複数日のイナズマ線を重ねて比較します。' },
+  noProgressSnapshots: { en: 'No status has been recorded yet.', ja: '記録された進捗はまだありません。' },
+  showProgressSnapshot: { en: 'Show this progress line on the chart', ja: 'このイナズマ線をチャートに表示' },
+  recordedAutomatically: { en: 'automatic', ja: '自動' },
+  lineColor: { en: 'Line color', ja: '線の色' },
+  deleteProgressSnapshot: { en: 'Delete Recorded Status', ja: '記録した進捗を削除' },
+  confirmDeleteProgressSnapshot: { en: 'Are you sure you want to delete the status recorded for this date? This action cannot be undone.', ja: 'この日付の進捗記録を削除しますか？この操作は元に戻せません。' },
+  autoRecordProgress: { en: "Record today's status automatically when progress changes", ja: '進捗を変更したときに今日の進捗を自動で記録' },
+  recordProgressSnapshot: { en: 'Record Status', ja: '進捗を記録' },
+  updateProgressSnapshot: { en: 'Update Status', ja: '記録を更新' },
+  startTime: { en: 'Start time', ja: '開始時刻' },
+  endTime: { en: 'End time', ja: '終了時刻' },
+  times: { en: 'Times', ja: '時刻' },
+  workingHours: { en: 'Working Hours', ja: '稼働時間' },
+  workingHoursDesc: { en: 'Hours worked on every working day. Task durations and man-hours are based on them.', ja: '各稼働日の作業時間です。タスクの期間と工数の計算に使われます。' },
+  workdayStart: { en: 'Start of the working day', ja: '始業時刻' },
+  workdayEnd: { en: 'End of the working day', ja: '終業時刻' },
+  lunchBreak: { en: 'Lunch break', ja: '昼休み' },
+  lunchBreakStart: { en: 'Start of the lunch break', ja: '昼休みの開始時刻' },
+  lunchBreakEnd: { en: 'End of the lunch break', ja: '昼休みの終了時刻' },
+  invalidWorkingHours: { en: 'The working day must end after it starts, with the break inside it. The default hours are used until this is fixed.', ja: '終業は始業より後に、昼休みは稼働時間内に設定してください。修正されるまでは既定の時間が使われます。' },
+  importErrorStartTime: { en: 'Unrecognised start time (use HH:MM)', ja: '開始時刻を認識できません（HH:MM形式）' },
+  importErrorEndTime: { en: 'Unrecognised end time (use HH:MM)', ja: '終了時刻を認識できません（HH:MM形式）' },
+  predecessors: { en: 'Predecessors', ja: '先行タスク' },
+  predecessorsDesc: { en: 'Row numbers of the tasks this one depends on, e.g. 3, 5SS, 7FF+2 (finish-to-start unless SS or FF is given; +/- working days of lag)', ja: '先行タスクの行番号（例: 3, 5SS, 7FF+2）。SS・FFの指定がなければ終了-開始、+/-はラグの稼働日数' },
+  rowNumberDesc: { en: 'Row number, used in the predecessor column', ja: '行番号（先行タスク列で使用）' },
+  invalidPredecessors: { en: 'Use row numbers with an optional SS/FF and lag, e.g. 3, 5SS, 7FF+2', ja: '行番号と任意のSS/FF・ラグで指定してください（例: 3, 5SS, 7FF+2）' },
 };
 
 export type TranslationKey = keyof typeof translations;
\ No newline at end of file
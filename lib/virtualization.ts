@@ -0,0 +1,38 @@
+// --- Row & Column Virtualization ---
+// The chart only renders the rows and day columns that intersect the scroll viewport.
+
+const DAY_IN_MS = 1000 * 3600 * 24;
+
+export interface IndexRange {
+    start: number; // First index to render
+    end: number;   // One past the last index to render
+}
+
+// Items of a fixed `itemSize` laid out from offset 0. `overscan` extra items are rendered on each
+// side so fast scrolling does not reveal blank space before the next render.
+export const getVisibleRange = (
+    scrollOffset: number,
+    viewportSize: number,
+    itemSize: number,
+    count: number,
+    overscan: number
+): IndexRange => {
+    if (count === 0 || itemSize <= 0) return { start: 0, end: 0 };
+    const first = Math.floor(Math.max(0, scrollOffset) / itemSize);
+    const last = Math.ceil(Math.max(0, scrollOffset + viewportSize) / itemSize);
+    return {
+        start: Math.max(0, Math.min(count, first - overscan)),
+        end: Math.max(0, Math.min(count, last + overscan)),
+    };
+};
+
+export const isInRange = (range: IndexRange, index: number): boolean => index >= range.start && index < range.end;
+
+// Whether the `count` items from `startIndex` overlap the range.
+export const overlapsRange = (range: IndexRange, startIndex: number, count: number): boolean =>
+    startIndex < range.end && startIndex + count > range.start;
+
+// Column of `date` in a timeline of consecutive days starting at `firstDate`. Dates are UTC
+// midnights, so this is exact and needs no search. May be negative or past the last column.
+export const getDateColumnIndex = (firstDate: Date, date: Date): number =>
+    Math.round((date.getTime() - firstDate.getTime()) / DAY_IN_MS);
@@ -0,0 +1,183 @@
+import type { Task } from '../types.ts';
+import {
+    parseUTCDateString,
+    formatDateUTC,
+    addDaysUTC,
+    isNonWorkingDay,
+    parseTimeString,
+    formatTime,
+    getWorkingMinutesBetween,
+    WorkdayHours,
+    WorkingCalendar,
+} from './dateUtils.ts';
+
+// --- Task Times ---
+// A task runs from its start time on its start date to its end time on its end date. Missing times stand
+// for the start and the end of the working day, so date-only tasks fill whole working days and their
+// durations come out exactly as the working-day count.
+
+const DAY_IN_MS = 1000 * 3600 * 24;
+// Longest stretch searched for working time, so that a calendar without working days cannot hang.
+const MAX_SEARCH_DAYS = 3660;
+
+export interface DateTime {
+    date: Date;     // UTC midnight of the day
+    minute: number; // Minutes since midnight
+}
+
+const clampToWorkday = (minute: number, hours: WorkdayHours): number => Math.min(hours.end, Math.max(hours.start, minute));
+
+const parseTaskTime = (time: string | undefined, fallback: number, hours: WorkdayHours): number => {
+    const minute = time ? parseTimeString(time) : null;
+    return clampToWorkday(minute ?? fallback, hours);
+};
+
+export const getTaskStart = (task: Task, calendar: WorkingCalendar): DateTime | null => {
+    const date = parseUTCDateString(task.startDate);
+    return date ? { date, minute: parseTaskTime(task.startTime, calendar.hours.start, calendar.hours) } : null;
+};
+
+export const getTaskEnd = (task: Task, calendar: WorkingCalendar): DateTime | null => {
+    const date = parseUTCDateString(task.endDate);
+    return date ? { date, minute: parseTaskTime(task.endTime, calendar.hours.end, calendar.hours) } : null;
+};
+
+export const compareDateTimes = (a: DateTime, b: DateTime): number => a.date.getTime() - b.date.getTime() || a.minute - b.minute;
+
+export const getWorkingMinutesBetweenTimes = (from: DateTime, to: DateTime, calendar: WorkingCalendar): number => {
+    if (compareDateTimes(to, from) <= 0) return 0;
+    const { hours } = calendar;
+    let total = 0;
+    for (let time = from.date.getTime(); time <= to.date.getTime(); time += DAY_IN_MS) {
+        if (isNonWorkingDay(new Date(time), calendar)) continue;
+        const dayFrom = time === from.date.getTime() ? from.minute : hours.start;
+        const dayTo = time === to.date.getTime() ? to.minute : hours.end;
+        total += getWorkingMinutesBetween(hours, dayFrom, dayTo);
+    }
+    return total;
+};
+
+export const getTaskWorkingMinutes = (task: Task, calendar: WorkingCalendar): number => {
+    const start = getTaskStart(task, calendar);
+    const end = getTaskEnd(task, calendar);
+    return start && end ? getWorkingMinutesBetweenTimes(start, end, calendar) : 0;
+};
+
+// Duration in working days; part of a day counts as its share of the working hours.
+export const calculateTaskDuration = (task: Task, calendar: WorkingCalendar): number =>
+    getTaskWorkingMinutes(task, calendar) / calendar.hours.minutes;
+
+export const formatDuration = (days: number): string => `${Math.round(days * 100) / 100}`;
+
+// Working minutes of a task on each of its days (UTC timestamp -> minutes), for spreading its work.
+export const getDailyWorkingMinutes = (task: Task, calendar: WorkingCalendar): Map<number, number> => {
+    const daily = new Map<number, number>();
+    const start = getTaskStart(task, calendar);
+    const end = getTaskEnd(task, calendar);
+    if (!start || !end) return daily;
+    for (let time = start.date.getTime(); time <= end.date.getTime(); time += DAY_IN_MS) {
+        if (isNonWorkingDay(new Date(time), calendar)) continue;
+        const dayFrom = time === start.date.getTime() ? start.minute : calendar.hours.start;
+        const dayTo = time === end.date.getTime() ? end.minute : calendar.hours.end;
+        const minutes = getWorkingMinutesBetween(calendar.hours, dayFrom, dayTo);
+        if (minutes > 0) daily.set(time, minutes);
+    }
+    return daily;
+};
+
+// Time of day reached after `minutes` working minutes from `minute`; the caller makes sure they fit into the day.
+const advanceWithinDay = (hours: WorkdayHours, minute: number, minutes: number): number => {
+    let current = clampToWorkday(minute, hours);
+    if (hours.breakStart !== null && hours.breakEnd !== null) {
+        if (current >= hours.breakStart && current < hours.breakEnd) current = hours.breakEnd;
+        if (current < hours.breakStart) {
+            const beforeBreak = hours.breakStart - current;
+            if (minutes <= beforeBreak) return current + minutes;
+            return hours.breakEnd + minutes - beforeBreak;
+        }
+    }
+    return current + minutes;
+};
+
+// The moment `minutes` working minutes after `from`. Ends that fill a day up stay on that day at its end.
+export const addWorkingMinutes = (from: DateTime, minutes: number, calendar: WorkingCalendar): DateTime => {
+    const { hours } = calendar;
+    let date = from.date;
+    let minute = from.minute;
+    let remaining = Math.max(0, minutes);
+    for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+        if (!isNonWorkingDay(date, calendar)) {
+            const available = getWorkingMinutesBetween(hours, minute, hours.end);
+            if (remaining <= available) return { date, minute: advanceWithinDay(hours, minute, remaining) };
+            remaining -= available;
+        }
+        date = addDaysUTC(date, 1);
+        minute = hours.start;
+    }
+    return { date, minute: hours.end };
+};
+
+// The first moment at or after `point` at which work is done, e.g. the start of the next working day
+// for a point at the end of one.
+export const getNextWorkingTime = (point: DateTime, calendar: WorkingCalendar): DateTime => {
+    const { hours } = calendar;
+    let { date, minute } = point;
+    for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+        if (!isNonWorkingDay(date, calendar) && minute < hours.end) {
+            minute = Math.max(minute, hours.start);
+            if (hours.breakStart !== null && hours.breakEnd !== null && minute >= hours.breakStart && minute < hours.breakEnd) {
+                minute = hours.breakEnd;
+            }
+            return { date, minute };
+        }
+        date = addDaysUTC(date, 1);
+        minute = hours.start;
+    }
+    return point;
+};
+
+// Task fields for a start and end moment; times at the bounds of the working day are left out, so
+// whole-day tasks stay date-only.
+export const toTaskDateTimes = (
+    start: DateTime,
+    end: DateTime,
+    calendar: WorkingCalendar
+): Pick<Task, 'startDate' | 'startTime' | 'endDate' | 'endTime'> => ({
+    startDate: formatDateUTC(start.date),
+    startTime: start.minute === calendar.hours.start ? undefined : formatTime(start.minute),
+    endDate: formatDateUTC(end.date),
+    endTime: end.minute === calendar.hours.end ? undefined : formatTime(end.minute),
+});
+
+// --- Timeline Mapping ---
+// Each day column of the timeline shows the working day only, from its start to its end time.
+
+// Position of a time of day within its day column, from 0 (start of the working day) to 1 (its end).
+export const getDayFraction = (minute: number, calendar: WorkingCalendar): number => {
+    const { hours } = calendar;
+    return (clampToWorkday(minute, hours) - hours.start) / (hours.end - hours.start);
+};
+
+// Moves a moment by `offset` timeline minutes and snaps it to `step` minutes from the start of the
+// working day. An end edge that lands on a day boundary stays at the end of the earlier day.
+export const shiftTimelineMinutes = (
+    point: DateTime,
+    offset: number,
+    step: number,
+    calendar: WorkingCalendar,
+    edge: 'start' | 'end'
+): DateTime => {
+    const { hours } = calendar;
+    const span = hours.end - hours.start;
+    const position = Math.round((point.minute - hours.start + offset) / step) * step;
+    let days = Math.floor(position / span);
+    let minute = hours.start + Math.min(span, position - days * span);
+    if (edge === 'end' && minute === hours.start) {
+        days -= 1;
+        minute = hours.end;
+    } else if (edge === 'start' && minute === hours.end) {
+        days += 1;
+        minute = hours.start;
+    }
+    return { date: addDaysUTC(point.date, days), minute };
+};
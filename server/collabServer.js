@@ -0,0 +1,280 @@
+// --- Collaboration Server ---
+// A small, dependency-free WebSocket server that relays schedule edits between the people working in
+// the same room. Run it with `npm run collab-server` (or `node server/collabServer.js`) and enter
+// ws://<host>:<port> in the app's collaboration dialog.
+//
+//   PORT      Port to listen on (default 8787)
+//   DATA_DIR  Directory rooms are saved to, so a restart loses nothing (default ./collab-data)
+//
+// The server holds every room's registers (see lib/collabDoc.ts) and keeps the write with the
+// highest stamp, exactly like the clients. Each accepted write gets the room's next sequence number;
+// a client that reconnects sends the last number it saw and receives only what it missed.
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { mkdirSync, readFileSync, writeFileSync, renameSync } from 'node:fs';
+import { join } from 'node:path';
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_DIR = process.env.DATA_DIR || './collab-data';
+const SAVE_DELAY_MS = 1000;
+const MAX_MESSAGE_BYTES = 16 * 1024 * 1024;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// --- Rooms ---
+
+/** @typedef {{ time: number, client: string }} Stamp */
+/** @typedef {{ taskId?: string, field: string, value: unknown, stamp: Stamp }} Op */
+/** @typedef {{ clientId: string, name: string, color: string, taskId: string | null }} Peer */
+
+/** @type {Map<string, { seq: number, registers: Map<string, Op & { seq: number }>, connections: Set<Connection>, saveTimer: NodeJS.Timeout | null }>} */
+const rooms = new Map();
+
+const compareStamps = (a, b) => a.time - b.time || (a.client < b.client ? -1 : a.client > b.client ? 1 : 0);
+
+const getRoomFile = name => join(DATA_DIR, `${encodeURIComponent(name)}.json`);
+
+const getRoom = name => {
+  let room = rooms.get(name);
+  if (room) return room;
+  room = { seq: 0, registers: new Map(), connections: new Set(), saveTimer: null };
+  try {
+    const saved = JSON.parse(readFileSync(getRoomFile(name), 'utf8'));
+    room.seq = saved.seq;
+    saved.registers.forEach(register => room.registers.set(JSON.stringify([register.taskId ?? null, register.field]), register));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`Failed to load room "${name}":`, error);
+  }
+  rooms.set(name, room);
+  return room;
+};
+
+const scheduleSave = (name, room) => {
+  if (room.saveTimer) return;
+  room.saveTimer = setTimeout(() => {
+    room.saveTimer = null;
+    try {
+      mkdirSync(DATA_DIR, { recursive: true });
+      const file = getRoomFile(name);
+      writeFileSync(`${file}.tmp`, JSON.stringify({ seq: room.seq, registers: [...room.registers.values()] }));
+      renameSync(`${file}.tmp`, file);
+    } catch (error) {
+      console.error(`Failed to save room "${name}":`, error);
+    }
+  }, SAVE_DELAY_MS);
+};
+
+const isValidOp = op =>
+  op && typeof op.field === 'string' && (op.taskId === undefined || typeof op.taskId === 'string')
+  && op.stamp && typeof op.stamp.time === 'number' && typeof op.stamp.client === 'string';
+
+// Keeps the writes that win and numbers them.
+const applyOps = (room, ops) => {
+  const accepted = [];
+  ops.filter(isValidOp).forEach(op => {
+    const key = JSON.stringify([op.taskId ?? null, op.field]);
+    const existing = room.registers.get(key);
+    if (existing && compareStamps(op.stamp, existing.stamp) <= 0) return;
+    const register = { ...op, seq: ++room.seq };
+    room.registers.set(key, register);
+    accepted.push(register);
+  });
+  return accepted;
+};
+
+const toOp = ({ seq, ...op }) => op;
+
+const broadcast = (room, message, except) => {
+  const data = JSON.stringify(message);
+  room.connections.forEach(connection => {
+    if (connection !== except) connection.send(data);
+  });
+};
+
+const broadcastPresence = room => {
+  const peers = [...room.connections].filter(connection => connection.peer).map(connection => connection.peer);
+  room.connections.forEach(connection => {
+    connection.send(JSON.stringify({ type: 'presence', peers: peers.filter(peer => peer !== connection.peer) }));
+  });
+};
+
+/**
+ * Client messages:
+ *   { type: 'hello', room, since, peer }  Join a room; `since` is the last sequence number seen (0 if none)
+ *   { type: 'ops', ops }                  New writes; answered with { type: 'ack', seq }
+ *   { type: 'presence', taskId }          Task the user is now editing (or null)
+ * Server messages:
+ *   { type: 'sync', ops, seq }            Writes the client missed, in reply to hello
+ *   { type: 'ops', ops, seq }             Writes by others
+ *   { type: 'presence', peers }           Everyone else in the room
+ */
+const handleMessage = (connection, message) => {
+  if (message.type === 'hello') {
+    if (connection.roomName || typeof message.room !== 'string' || !message.room) return;
+    const room = getRoom(message.room);
+    connection.roomName = message.room;
+    connection.peer = {
+      clientId: String(message.peer?.clientId || ''),
+      name: String(message.peer?.name || ''),
+      color: String(message.peer?.color || '#64748b'),
+      taskId: null,
+    };
+    room.connections.add(connection);
+    const since = Number(message.since) || 0;
+    const missed = [...room.registers.values()].filter(register => register.seq > since).map(toOp);
+    connection.send(JSON.stringify({ type: 'sync', ops: missed, seq: room.seq }));
+    broadcastPresence(room);
+    return;
+  }
+
+  const room = connection.roomName ? rooms.get(connection.roomName) : undefined;
+  if (!room) return;
+  if (message.type === 'ops' && Array.isArray(message.ops)) {
+    const accepted = applyOps(room, message.ops);
+    connection.send(JSON.stringify({ type: 'ack', seq: room.seq }));
+    if (accepted.length === 0) return;
+    broadcast(room, { type: 'ops', ops: accepted.map(toOp), seq: room.seq }, connection);
+    scheduleSave(connection.roomName, room);
+  } else if (message.type === 'presence') {
+    connection.peer.taskId = typeof message.taskId === 'string' ? message.taskId : null;
+    broadcastPresence(room);
+  }
+};
+
+const handleClose = connection => {
+  const room = connection.roomName ? rooms.get(connection.roomName) : undefined;
+  if (!room) return;
+  room.connections.delete(connection);
+  broadcastPresence(room);
+};
+
+// --- WebSocket transport (RFC 6455, text frames only) ---
+
+class Connection {
+  constructor(socket) {
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.fragmentBytes = 0;
+    this.roomName = null;
+    this.peer = null;
+    this.closed = false;
+    socket.on('data', chunk => this.receive(chunk));
+    socket.on('end', () => this.close());
+    socket.on('close', () => this.close());
+    socket.on('error', () => this.close());
+  }
+
+  send(text) {
+    if (!this.closed) this.socket.write(encodeFrame(0x1, Buffer.from(text)));
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.socket.end();
+    handleClose(this);
+  }
+
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    for (let frame = decodeFrame(this.buffer); frame; frame = decodeFrame(this.buffer)) {
+      this.buffer = this.buffer.subarray(frame.length);
+      switch (frame.opcode) {
+        case 0x0: // Continuation
+        case 0x1: // Text
+          this.fragments.push(frame.payload);
+          this.fragmentBytes += frame.payload.length;
+          // A message is limited to the same size however it is split into frames.
+          if (this.fragmentBytes > MAX_MESSAGE_BYTES) return this.close();
+          if (frame.fin) {
+            const text = Buffer.concat(this.fragments).toString('utf8');
+            this.fragments = [];
+            this.fragmentBytes = 0;
+            try {
+              handleMessage(this, JSON.parse(text));
+            } catch (error) {
+              console.error('Ignoring malformed message:', error);
+            }
+          }
+          break;
+        case 0x8: // Close
+          this.socket.write(encodeFrame(0x8, Buffer.alloc(0)));
+          return this.close();
+        case 0x9: // Ping
+          this.socket.write(encodeFrame(0xa, frame.payload));
+          break;
+        default:
+          break;
+      }
+    }
+    if (this.buffer.length > MAX_MESSAGE_BYTES) this.close();
+  }
+}
+
+const decodeFrame = buffer => {
+  if (buffer.length < 2) return null;
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  const maskOffset = offset;
+  if (masked) offset += 4;
+  if (buffer.length < offset + length) return null;
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (masked) {
+    for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+  }
+  return { fin, opcode, payload, length: offset + length };
+};
+
+const encodeFrame = (opcode, payload) => {
+  const header = payload.length < 126 ? Buffer.alloc(2) : payload.length < 65536 ? Buffer.alloc(4) : Buffer.alloc(10);
+  header[0] = 0x80 | opcode;
+  if (payload.length < 126) {
+    header[1] = payload.length;
+  } else if (payload.length < 65536) {
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+};
+
+const server = createServer((req, res) => {
+  res.writeHead(200, { 'Content-Type': 'text/plain' });
+  res.end('Gantt chart collaboration server\n');
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n'
+    + 'Upgrade: websocket\r\n'
+    + 'Connection: Upgrade\r\n'
+    + `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  socket.setNoDelay(true);
+  new Connection(socket);
+});
+
+server.listen(PORT, () => {
+  console.log(`Collaboration server listening on ws://localhost:${PORT} (rooms saved to ${DATA_DIR})`);
+});
@@ -3,7 +3,8 @@
 export default {
   content: [
     "./index.html",
-    "./**/*.{js,ts,jsx,tsx}",
+    "./*.{js,ts,jsx,tsx}",
+    "./{components,contexts,hooks,lib}/**/*.{js,ts,jsx,tsx}",
   ],
   theme: {
     extend: {},
@@ -1,9 +1,201 @@
+export type DependencyType = 'FS' | 'SS' | 'FF';
+
+export interface TaskDependency {
+  predecessorId: string;
+  type: DependencyType;
+  lag: number; // In working days. Negative values are leads.
+}
+
 export interface Task {
   id: string;
   name: string;
   assignee?: string;
   startDate: string;
   endDate: string;
+  startTime?: string;  // HH:MM; the task starts when the working day starts when omitted
+  endTime?: string;    // HH:MM; the task ends when the working day ends when omitted
   progress: number;
   manHours?: number;
-}
\ No newline at end of file
+  dependencies?: TaskDependency[];
+  parentId?: string;   // Summary (phase) task this task belongs to
+  collapsed?: boolean; // Only meaningful for summary tasks
+  milestone?: boolean; // Zero-duration marker; startDate and endDate are always the same day
+  customValues?: Record<string, string | number>; // Values of the project's custom fields, keyed by field id
+  categoryId?: string;
+  color?: string; // Bar color override; takes precedence over the category colors
+}
+
+// Fill drawn over a bar so categories stay distinguishable in monochrome prints.
+export type BarPattern = 'solid' | 'stripes' | 'dots' | 'crosshatch';
+
+// A trade or work type with its own bar colors, shown in the chart legend.
+export interface TaskCategory {
+  id: string;
+  name: string;
+  baseColor: string;
+  progressColor: string;
+  pattern: BarPattern;
+}
+
+export type CustomFieldType = 'text' | 'number' | 'date' | 'choice';
+
+// A user-defined task column. Dates are stored as YYYY/MM/DD strings, numbers as numbers.
+export interface CustomField {
+  id: string;
+  name: string;
+  type: CustomFieldType;
+  options?: string[]; // Choices of a 'choice' field
+  visible: boolean;
+}
+
+export interface NonWorkingPeriod {
+  id: string;
+  startDate: string;
+  endDate: string; // Same as startDate for a single day
+  label?: string;
+}
+
+// Daily working hours shared by every working day, e.g. 08:00-17:00 with a lunch break.
+export interface WorkingHours {
+  start: string; // HH:MM
+  end: string;
+  breakStart?: string; // No break when omitted
+  breakEnd?: string;
+}
+
+export interface ColumnVisibility {
+  assignee: boolean;
+  startDate: boolean;
+  endDate: boolean;
+  duration: boolean;
+  progress: boolean;
+  manHours: boolean;
+  variance: boolean;
+  float: boolean;
+  times: boolean; // Start and finish time columns
+  predecessors: boolean; // Row numbers and the predecessor column
+}
+
+export interface BaselineTaskDates {
+  startDate: string;
+  endDate: string;
+}
+
+// A named snapshot of the planned dates of every task, used for planned-vs-actual comparison.
+export interface Baseline {
+  id: string;
+  name: string;
+  createdAt: number;
+  tasks: Record<string, BaselineTaskDates>;
+}
+
+export interface SnapshotTaskStatus extends BaselineTaskDates {
+  progress: number;
+}
+
+// Task progress (and dates) as they stood on a status date, so that its progress line can be redrawn later.
+export interface ProgressSnapshot {
+  id: string;
+  statusDate: string;
+  createdAt: number;
+  color: string;
+  visible: boolean; // Overlaid on the chart as an extra progress line
+  auto?: boolean;   // Recorded automatically when progress changed
+  tasks: Record<string, SnapshotTaskStatus>;
+}
+
+export type TaskStatus = 'notStarted' | 'inProgress' | 'done' | 'late';
+
+// Narrows the task list down; empty fields do not filter.
+export interface TaskFilter {
+  text: string;          // Matched against task names
+  assignees: string[];   // '' stands for unassigned tasks
+  dateFrom: string;      // Tasks overlapping this window are kept
+  dateTo: string;
+  statuses: TaskStatus[];
+  customValues?: Record<string, string>; // Per custom field: the exact choice, or text the value must contain
+}
+
+export type TaskSortKey = 'name' | 'assignee' | 'startDate' | 'endDate' | 'duration' | 'progress' | 'manHours' | `custom:${string}`;
+
+export interface TaskSort {
+  key: TaskSortKey;
+  direction: 'asc' | 'desc';
+}
+
+export interface FilterPreset {
+  id: string;
+  name: string;
+  filter: TaskFilter;
+  sort: TaskSort | null;
+}
+
+export interface ProjectSettings {
+  holidays: number[];
+  nonWorkingPeriods: NonWorkingPeriod[];
+  workingDayExceptions: string[];
+  workingHours?: WorkingHours;
+  columnVisibility: ColumnVisibility;
+  baseColor: string;
+  progressColor: string;
+  textColor: string;
+  rowHeight: number;
+  progressLineColor: string;
+  dailyCapacity?: number; // Man-days one assignee can work per day
+  customFields?: CustomField[];
+  categories?: TaskCategory[];
+  autoRecordProgress?: boolean; // Update today's progress snapshot whenever progress changes
+}
+
+// Everything that is written to a `.gantt.json` export and to the local project library.
+export interface ProjectData {
+  projectName: string;
+  projectStart: string;
+  projectEnd: string;
+  creationDate: string;
+  creatorName: string;
+  tasks: Task[];
+  settings: ProjectSettings;
+  baselines?: Baseline[];
+  selectedBaselineId?: string | null;
+  progressSnapshots?: ProgressSnapshot[];
+}
+
+// The part of a project that collaborators edit together; also what undo/redo covers.
+export type SharedProjectState = Pick<ProjectData, 'projectName' | 'projectStart' | 'projectEnd' | 'creationDate' | 'creatorName' | 'tasks'>;
+
+// Connection to a self-hosted collaboration server, remembered per project on this device.
+export interface CollabSettings {
+  serverUrl: string; // e.g. ws://192.168.1.10:8787
+  room: string;      // Everyone in the same room edits the same schedule
+  userName: string;
+  enabled: boolean;
+}
+
+export type CollabStatus = 'off' | 'connecting' | 'online' | 'offline';
+
+// Another user in the same room.
+export interface CollabPeer {
+  clientId: string;
+  name: string;
+  color: string;
+  taskId: string | null; // Task the user is currently editing
+}
+
+// A task of a project template. Dates are kept as working days relative to the project start, so
+// the schedule can be laid out again from any start date against the calendar in use then.
+export interface TemplateTask extends Omit<Task, 'startDate' | 'endDate'> {
+  startOffset: number | null; // Working days from the first working day of the project; null for tasks without dates
+  duration: number;           // Working days
+}
+
+export interface ProjectTemplate {
+  id: string;
+  name: string;
+  createdAt: number;
+  builtIn?: boolean; // Sample templates that ship with the app; they cannot be deleted
+  projectEndOffset: number;
+  tasks: TemplateTask[];
+  customFields?: CustomField[];
+  categories?: TaskCategory[];
+}
@@ -1,18 +1,41 @@
-
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import tailwindcss from 'tailwindcss';
+import autoprefixer from 'autoprefixer';
+import tailwindConfig from './tailwind.config.js';
 
-export default defineConfig({
+// `vite build --mode lib` builds the embeddable chart (embed.ts) for other pages instead of the app.
+// Its stylesheet leaves out Tailwind's page-wide reset, so that the host page keeps its own styles.
+export default defineConfig(({ mode }) => ({
   plugins: [react()],
+  css: mode === 'lib'
+    ? {
+        postcss: {
+          plugins: [tailwindcss({ ...tailwindConfig, corePlugins: { preflight: false } }), autoprefixer()],
+        },
+      }
+    : undefined,
   resolve: {
     extensions: ['.tsx', '.ts', '.jsx', '.js', '.json']
   },
-  build: {
-    outDir: 'dist',
-    rollupOptions: {
-      input: {
-        main: './index.html',
+  build: mode === 'lib'
+    ? {
+        outDir: 'dist-lib',
+        lib: {
+          entry: './embed.ts',
+          formats: ['es'],
+          fileName: 'gantt-embed',
+        },
+        rollupOptions: {
+          external: ['react', 'react-dom', 'react/jsx-runtime'],
+        },
+      }
+    : {
+        outDir: 'dist',
+        rollupOptions: {
+          input: {
+            main: './index.html',
+          },
+        },
       },
-    },
-  },
-});
+}));